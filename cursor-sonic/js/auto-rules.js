@@ -0,0 +1,264 @@
+/**
+ * 自动规则
+ * 浏览器与服务端共用。规则保存在 auto_rules 集合中，每条规则一个条件、一个动作：
+ *   { id, name, enabled, field, operator, value, action, target }
+ * field 为文件名、标题、提示词等字段或页面内容（html），operator 为 contains（包含）
+ * 或 matches（正则表达式），均不区分大小写；action 为 addTag（添加标签）、setCategory
+ * （设置分类）或 setModel（设置模型），target 为对应记录的ID。
+ * 规则按列表顺序执行，多条规则设置同一字段时后面的生效；目标已被删除的规则跳过。
+ * 目标被合并、拆分或改用其他记录后删除时，规则随之改用新的目标（planRetarget），
+ * 没有替代的目标仍被规则使用时不能删除。
+ * 批量执行计划格式：
+ *   {
+ *     summary,
+ *     files: [{ id, title, before: { tags, category, model }, after: { tags, category, model }, rules: [规则名称] }]
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AutoRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIELDS = {
+    originalName: '文件名',
+    title: '标题',
+    prompt: '提示词',
+    background: '背景需求',
+    description: '描述',
+    html: '页面内容'
+  };
+
+  const OPERATORS = {
+    contains: '包含',
+    matches: '匹配正则'
+  };
+
+  const ACTIONS = {
+    addTag: { label: '添加标签', collection: 'preset_tags', targetLabel: '标签' },
+    setCategory: { label: '设置分类', collection: 'categories', targetLabel: '分类' },
+    setModel: { label: '设置模型', collection: 'preset_models', targetLabel: '模型' }
+  };
+
+  class RuleError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'RuleError';
+    }
+  }
+
+  function findTarget(data, rule) {
+    const action = ACTIONS[rule.action];
+    if (!action) return null;
+    return (data[action.collection] || []).find(record => record.id === rule.target) || null;
+  }
+
+  /**
+   * 目标为指定记录的规则
+   * @param {Array<Object>} rules 规则列表
+   * @param {string} collection 目标所在的集合：preset_tags、categories 或 preset_models
+   * @param {string} id 记录ID
+   * @returns {Array<Object>}
+   */
+  function findRulesUsing(rules, collection, id) {
+    return rules.filter(rule => ACTIONS[rule.action] && ACTIONS[rule.action].collection === collection && rule.target === id);
+  }
+
+  /**
+   * 标签、分类或模型被合并、拆分或删除时，目标为它的规则改用 replacement
+   * @param {Array<Object>} rules 规则列表
+   * @param {string} collection 目标所在的集合
+   * @param {string} id 被替换的记录ID
+   * @param {string} replacement 改用的记录ID，空字符串表示没有替代
+   * @returns {Array<Object>} 需要修改的规则 [{ id, name, before, after }]
+   * @throws {RuleError} 没有替代但仍有规则使用此记录
+   */
+  function planRetarget(rules, collection, id, replacement = '') {
+    const using = findRulesUsing(rules, collection, id);
+    if (using.length > 0 && !replacement) {
+      const label = Object.values(ACTIONS).find(action => action.collection === collection).targetLabel;
+      throw new RuleError(`有 ${using.length} 条自动规则使用此${label}（${using.map(rule => rule.name).join('、')}），请先修改这些规则`);
+    }
+    return using.map(rule => ({ id: rule.id, name: rule.name, before: id, after: replacement }));
+  }
+
+  /**
+   * 检查规则：字段、条件、动作有效，正则表达式能够解析，目标存在
+   * @param {Object} rule 规则
+   * @param {Object} data { preset_tags, preset_models, categories }
+   * @throws {RuleError}
+   */
+  function checkRule(rule, data) {
+    if (!rule || !String(rule.name || '').trim()) {
+      throw new RuleError('规则名称不能为空');
+    }
+    if (!FIELDS[rule.field]) {
+      throw new RuleError(`无效的条件字段: ${rule.field}`);
+    }
+    if (!OPERATORS[rule.operator]) {
+      throw new RuleError(`无效的匹配方式: ${rule.operator}`);
+    }
+    if (!String(rule.value || '')) {
+      throw new RuleError('匹配内容不能为空');
+    }
+    if (rule.operator === 'matches') {
+      try {
+        new RegExp(rule.value, 'i');
+      } catch (error) {
+        throw new RuleError(`正则表达式无效: ${error.message}`);
+      }
+    }
+    if (!ACTIONS[rule.action]) {
+      throw new RuleError(`无效的动作: ${rule.action}`);
+    }
+    if (!findTarget(data, rule)) {
+      throw new RuleError(`${ACTIONS[rule.action].label}的目标不存在: ${rule.target || '未选择'}`);
+    }
+  }
+
+  // 是否有启用的规则需要读取页面内容
+  function usesPage(rules) {
+    return rules.some(rule => rule.enabled !== false && rule.field === 'html');
+  }
+
+  /**
+   * 文件是否满足规则的条件
+   * @param {Object} rule 规则
+   * @param {Object} file 文件记录
+   * @param {string} html 页面内容，只在条件字段为 html 时使用
+   * @returns {boolean}
+   */
+  function matchRule(rule, file, html = '') {
+    const text = String((rule.field === 'html' ? html : file[rule.field]) || '');
+    if (rule.operator === 'matches') {
+      try {
+        return new RegExp(rule.value, 'i').test(text);
+      } catch (error) {
+        return false;
+      }
+    }
+    return text.toLowerCase().includes(String(rule.value).toLowerCase());
+  }
+
+  /**
+   * 对一个文件执行规则
+   * @param {Array<Object>} rules 规则列表，未启用的规则跳过
+   * @param {Object} file 文件记录
+   * @param {Object} options { html, data }，data 用于跳过目标已被删除的规则
+   * @returns {Object} { patch, matched }，patch 只包含发生变化的 tags、category、model，
+   *   matched 为满足条件的规则
+   */
+  function applyRules(rules, file, options = {}) {
+    const { html = '', data = null } = options;
+    const result = { tags: [...(file.tags || [])], category: file.category || '', model: file.model || '' };
+    const matched = [];
+
+    rules
+      .filter(rule => rule.enabled !== false)
+      .filter(rule => !data || findTarget(data, rule))
+      .forEach(rule => {
+        if (!matchRule(rule, file, html)) return;
+        matched.push(rule);
+        if (rule.action === 'addTag') {
+          if (!result.tags.includes(rule.target)) result.tags.push(rule.target);
+        } else if (rule.action === 'setCategory') {
+          result.category = rule.target;
+        } else if (rule.action === 'setModel') {
+          result.model = rule.target;
+        }
+      });
+
+    const patch = {};
+    if (result.tags.length !== (file.tags || []).length) patch.tags = result.tags;
+    if (result.category !== (file.category || '')) patch.category = result.category;
+    if (result.model !== (file.model || '')) patch.model = result.model;
+    return { patch, matched };
+  }
+
+  /**
+   * 规则的文字说明，如：文件名 匹配正则 "^glm45-" → 设置模型 GLM-4.5
+   * @param {Object} rule 规则
+   * @param {Object} data { preset_tags, preset_models, categories }
+   * @returns {string}
+   */
+  function describeRule(rule, data) {
+    const target = findTarget(data, rule);
+    const action = ACTIONS[rule.action];
+    return `${FIELDS[rule.field] || rule.field} ${OPERATORS[rule.operator] || rule.operator} "${rule.value}" → ` +
+      `${action ? action.label : rule.action} ${target ? target.name : '（已删除）'}`;
+  }
+
+  /**
+   * 计划中一个文件的变化说明，如：标签 +画布；模型 未设置 → GLM-4.5
+   * @param {Object} entry 计划中的文件 { before, after }
+   * @param {Object} data { preset_tags, preset_models, categories }
+   * @returns {string}
+   */
+  function describeChanges(entry, data) {
+    const nameOf = (collection, id) => {
+      if (!id) return '未设置';
+      const record = (data[collection] || []).find(item => item.id === id);
+      return record ? record.name : id;
+    };
+    const changes = [];
+    const added = entry.after.tags.filter(id => !entry.before.tags.includes(id));
+    if (added.length > 0) {
+      changes.push(`标签 ${added.map(id => `+${nameOf('preset_tags', id)}`).join(' ')}`);
+    }
+    if (entry.after.category !== entry.before.category) {
+      changes.push(`分类 ${nameOf('categories', entry.before.category)} → ${nameOf('categories', entry.after.category)}`);
+    }
+    if (entry.after.model !== entry.before.model) {
+      changes.push(`模型 ${nameOf('preset_models', entry.before.model)} → ${nameOf('preset_models', entry.after.model)}`);
+    }
+    return changes.join('；');
+  }
+
+  /**
+   * 对全部未删除的文件执行规则，列出会发生变化的文件
+   * @param {Object} data 与 data.json 格式相同的数据
+   * @param {Array<Object>} rules 规则列表
+   * @param {Function} readPage file => 页面内容，只在有规则按页面内容匹配时调用
+   * @returns {Object} 计划
+   */
+  function planApply(data, rules, readPage = () => '') {
+    const needsPage = usesPage(rules);
+    const files = (data.files || [])
+      .filter(file => file.status !== 'deleted')
+      .map(file => {
+        const { patch, matched } = applyRules(rules, file, { html: needsPage ? readPage(file) : '', data });
+        if (Object.keys(patch).length === 0) return null;
+        const before = { tags: file.tags || [], category: file.category || '', model: file.model || '' };
+        return {
+          id: file.id,
+          title: file.title || file.originalName || file.id,
+          before,
+          after: { ...before, ...patch },
+          rules: matched.map(rule => rule.name)
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      summary: files.length === 0 ? '没有文件需要修改' : `${files.length} 个文件将被修改`,
+      files
+    };
+  }
+
+  return {
+    FIELDS,
+    OPERATORS,
+    ACTIONS,
+    RuleError,
+    findRulesUsing,
+    planRetarget,
+    checkRule,
+    usesPage,
+    matchRule,
+    applyRules,
+    describeRule,
+    describeChanges,
+    planApply
+  };
+});
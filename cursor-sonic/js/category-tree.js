@@ -0,0 +1,146 @@
+/**
+ * 分类层级与删除
+ * 浏览器与服务端共用。文件的 category 保存分类ID，分类的 parentId 指向上级分类（空字符串为顶层），
+ * 按上级分类筛选时包含所有下级分类。层级的遍历与标签相同，使用 TagTaxonomy 中的实现。
+ * 删除计划格式：
+ *   {
+ *     action: 'delete', categoryId, summary,
+ *     categories: { update: [{ id, patch }], remove: [分类ID] },
+ *     files: [{ id, title, deleted, before, after }]   分类发生变化的文件
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tag-taxonomy'));
+  } else {
+    root.CategoryTree = factory(root.TagTaxonomy);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TagTaxonomy) {
+  const { getAncestors, getDescendantIds, getPath } = TagTaxonomy;
+
+  class CategoryError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'CategoryError';
+    }
+  }
+
+  function findCategory(categories, id) {
+    return categories.find(category => category.id === id) || null;
+  }
+
+  function requireCategory(categories, id, label = '分类') {
+    const category = findCategory(categories, id);
+    if (!category) {
+      throw new CategoryError(`${label}不存在: ${id}`);
+    }
+    return category;
+  }
+
+  function normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  /**
+   * 检查新增或修改后的分类：上级存在且不形成循环，名称不与其他分类重复
+   * @param {Array<Object>} categories 当前全部分类
+   * @param {Object} category 新增或修改后的分类（修改时 id 与原分类相同）
+   * @throws {CategoryError}
+   */
+  function checkCategory(categories, category) {
+    if (category.parentId) {
+      if (category.parentId === category.id) {
+        throw new CategoryError('分类不能作为自己的上级');
+      }
+      requireCategory(categories, category.parentId, '上级分类');
+      if (category.id && getDescendantIds(categories, category.id).has(category.parentId)) {
+        throw new CategoryError('不能把分类移动到它自己的下级分类中');
+      }
+    }
+
+    const duplicate = categories.find(other =>
+      other.id !== category.id && normalizeName(other.name) === normalizeName(category.name));
+    if (duplicate) {
+      throw new CategoryError(`分类"${getPath(categories, duplicate.id)}"已存在`);
+    }
+  }
+
+  /**
+   * 按层级排列的分类，上级在前，下级紧随其后
+   * @returns {Array<{category, depth}>}
+   */
+  function flattenTree(categories) {
+    return TagTaxonomy.flattenTree(categories).map(({ tag, depth }) => ({ category: tag, depth }));
+  }
+
+  /**
+   * 分类的显示名称（带上级），分类不存在时返回原值
+   * @param {Array<Object>} categories 全部分类
+   * @param {string} id 分类ID
+   * @returns {string}
+   */
+  function getLabel(categories, id) {
+    return id ? getPath(categories, id) : '';
+  }
+
+  /**
+   * 删除分类：使用它的文件改用 reassignTo，未指定时改为未分类；
+   * 下级分类改挂到被删除分类的上级下
+   * @param {Object} data { categories, files }
+   * @param {string} categoryId 要删除的分类
+   * @param {string} reassignTo 改用的分类，空字符串表示改为未分类
+   * @returns {Object} 计划
+   */
+  function planDelete(data, categoryId, reassignTo = '') {
+    const categories = data.categories || [];
+    const category = requireCategory(categories, categoryId);
+    if (reassignTo) {
+      requireCategory(categories, reassignTo, '改用的分类');
+      if (reassignTo === categoryId) {
+        throw new CategoryError('不能改用要删除的分类');
+      }
+    }
+
+    // 已删除的文件同样改写，避免引用不存在的分类
+    const files = (data.files || [])
+      .filter(file => file.category === categoryId)
+      .map(file => ({
+        id: file.id,
+        title: file.title || file.originalName || file.id,
+        deleted: file.status === 'deleted',
+        before: categoryId,
+        after: reassignTo
+      }));
+
+    const path = getPath(categories, categoryId);
+    const summary = files.length === 0
+      ? `删除分类"${path}"，没有文件使用它`
+      : reassignTo
+        ? `删除分类"${path}"，${files.length} 个文件改用"${getPath(categories, reassignTo)}"`
+        : `删除分类"${path}"，${files.length} 个文件改为未分类`;
+
+    return {
+      action: 'delete',
+      categoryId,
+      summary,
+      categories: {
+        update: categories
+          .filter(item => item.parentId === categoryId)
+          .map(item => ({ id: item.id, patch: { parentId: category.parentId || '' } })),
+        remove: [categoryId]
+      },
+      files
+    };
+  }
+
+  return {
+    CategoryError,
+    getAncestors,
+    getDescendantIds,
+    getPath,
+    getLabel,
+    flattenTree,
+    checkCategory,
+    planDelete
+  };
+});
@@ -0,0 +1,403 @@
+// 对比视图组件 - 将同一提示词/背景需求下不同模型的实现并排展示
+class CompareView {
+  constructor(dataManager, presetManager) {
+    this.dataManager = dataManager;
+    this.presetManager = presetManager;
+    this.groupBy = 'prompt';
+    this.currentGroupKey = '';
+    this.selectedIds = [];
+    this.frames = [];
+    this.maxColumns = 4;
+    this.removeListener = null;
+    this.onMessage = this.handleFrameMessage.bind(this);
+  }
+
+  init() {
+    this.createView();
+
+    // 数据变化时刷新分组
+    this.removeListener = this.dataManager.addListener(() => {
+      if (this.isOpen()) {
+        this.renderGroupOptions();
+      }
+    });
+
+    window.addEventListener('message', this.onMessage);
+  }
+
+  createView() {
+    if (document.getElementById('compareView')) return;
+
+    const view = document.createElement('div');
+    view.id = 'compareView';
+    view.className = 'compare-view';
+    view.style.display = 'none';
+
+    view.innerHTML = `
+      <div class="compare-toolbar">
+        <h3>对比模式</h3>
+        <div class="filter-group">
+          <label for="compareGroupBy">分组依据:</label>
+          <select id="compareGroupBy">
+            <option value="prompt">相同提示词</option>
+            <option value="background">相同背景需求</option>
+          </select>
+        </div>
+        <div class="filter-group compare-group-select">
+          <label for="compareGroup">分组:</label>
+          <select id="compareGroup"></select>
+        </div>
+        <label class="compare-sync-toggle">
+          <input type="checkbox" id="compareSyncScroll" checked> 同步滚动
+        </label>
+        <button type="button" id="compareReloadBtn" class="btn btn-secondary">全部重载</button>
+        <button type="button" id="compareCloseBtn" class="btn btn-secondary">退出对比</button>
+      </div>
+      <div class="compare-picker" id="comparePicker"></div>
+      <div class="compare-grid" id="compareGrid"></div>
+    `;
+
+    document.body.appendChild(view);
+
+    view.querySelector('#compareGroupBy').addEventListener('change', (e) => {
+      this.groupBy = e.target.value;
+      this.currentGroupKey = '';
+      this.renderGroupOptions();
+    });
+
+    view.querySelector('#compareGroup').addEventListener('change', (e) => {
+      this.selectGroup(e.target.value);
+    });
+
+    view.querySelector('#compareReloadBtn').addEventListener('click', () => this.renderFrames());
+    view.querySelector('#compareCloseBtn').addEventListener('click', () => this.close());
+  }
+
+  isOpen() {
+    const view = document.getElementById('compareView');
+    return !!view && view.style.display !== 'none';
+  }
+
+  /**
+   * 打开对比视图
+   * @param {Object} file 可选，以该文件所在的分组作为初始分组
+   */
+  open(file = null) {
+    const view = document.getElementById('compareView');
+    if (!view) return;
+
+    if (file) {
+      // 优先按提示词分组，提示词为空时退回到背景需求
+      this.groupBy = this.getGroupKey(file, 'prompt') ? 'prompt' : 'background';
+      this.currentGroupKey = this.getGroupKey(file, this.groupBy);
+    }
+
+    view.querySelector('#compareGroupBy').value = this.groupBy;
+    view.style.display = 'flex';
+    document.body.classList.add('compare-open');
+    this.renderGroupOptions(file ? file.id : null);
+  }
+
+  close() {
+    const view = document.getElementById('compareView');
+    if (!view) return;
+
+    view.style.display = 'none';
+    document.body.classList.remove('compare-open');
+    view.querySelector('#compareGrid').innerHTML = '';
+    this.frames = [];
+  }
+
+  getGroupKey(file, field) {
+    return (file[field] || '').trim();
+  }
+
+  /**
+   * 按提示词或背景需求分组，只保留至少包含两个文件的分组
+   * @returns {Array<{key: string, files: Array}>} 分组列表
+   */
+  getGroups() {
+    const files = (this.dataManager.data?.files || []).filter(f => f.status !== 'deleted');
+    const groups = new Map();
+
+    files.forEach(file => {
+      const key = this.getGroupKey(file, this.groupBy);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(file);
+    });
+
+    return [...groups.entries()]
+      .filter(([, groupFiles]) => groupFiles.length >= 2)
+      .map(([key, groupFiles]) => ({ key, files: groupFiles }));
+  }
+
+  renderGroupOptions(preferredFileId = null) {
+    const select = document.getElementById('compareGroup');
+    if (!select) return;
+
+    const groups = this.getGroups();
+
+    if (groups.length === 0) {
+      select.innerHTML = '<option value="">没有可对比的分组</option>';
+      this.currentGroupKey = '';
+      this.renderPicker([]);
+      this.renderFrames();
+      return;
+    }
+
+    select.innerHTML = '';
+    groups.forEach(group => {
+      const option = document.createElement('option');
+      const label = group.key.length > 40 ? group.key.slice(0, 40) + '…' : group.key;
+      option.value = group.key;
+      option.textContent = `${label} (${group.files.length})`;
+      select.appendChild(option);
+    });
+
+    if (!groups.some(group => group.key === this.currentGroupKey)) {
+      this.currentGroupKey = groups[0].key;
+    }
+    select.value = this.currentGroupKey;
+
+    this.selectGroup(this.currentGroupKey, preferredFileId);
+  }
+
+  selectGroup(key, preferredFileId = null) {
+    this.currentGroupKey = key;
+    const group = this.getGroups().find(g => g.key === key);
+    const files = group ? group.files : [];
+
+    // 默认选中前几个文件，并确保触发对比的文件在其中
+    const ids = files.map(f => f.id);
+    let selected = this.selectedIds.filter(id => ids.includes(id));
+    if (selected.length < 2) {
+      selected = ids.slice(0, this.maxColumns);
+    }
+    if (preferredFileId && ids.includes(preferredFileId) && !selected.includes(preferredFileId)) {
+      selected = [preferredFileId, ...selected].slice(0, this.maxColumns);
+    }
+    // 选择未变化时不重载 iframe（例如数据刷新触发的重绘）
+    const unchanged = this.frames.length > 0 &&
+      selected.length === this.frames.length &&
+      selected.every(id => this.frames.some(frame => frame.fileId === id));
+    this.selectedIds = selected;
+
+    this.renderPicker(files);
+    if (!unchanged) {
+      this.renderFrames();
+    }
+  }
+
+  renderPicker(files) {
+    const picker = document.getElementById('comparePicker');
+    if (!picker) return;
+
+    picker.innerHTML = '';
+    files.forEach(file => {
+      const label = document.createElement('label');
+      label.className = 'compare-picker-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = file.id;
+      checkbox.checked = this.selectedIds.includes(file.id);
+      checkbox.addEventListener('change', () => this.toggleFile(file.id, checkbox));
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${this.getModelName(file)} · ${file.title || file.originalName}`));
+      picker.appendChild(label);
+    });
+  }
+
+  toggleFile(fileId, checkbox) {
+    if (checkbox.checked) {
+      if (this.selectedIds.length >= this.maxColumns) {
+        checkbox.checked = false;
+        window.OpenOneHTML.showMessage(`最多同时对比 ${this.maxColumns} 个文件`, 'error');
+        return;
+      }
+      this.selectedIds.push(fileId);
+    } else {
+      this.selectedIds = this.selectedIds.filter(id => id !== fileId);
+    }
+    this.renderFrames();
+  }
+
+  getModelName(file) {
+    if (!file.model) return '未知模型';
+    const model = this.presetManager.getModelById(file.model);
+    return model ? model.name : file.model;
+  }
+
+  renderFrames() {
+    const grid = document.getElementById('compareGrid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    this.frames = [];
+
+    const files = (this.dataManager.data?.files || []).filter(f => this.selectedIds.includes(f.id));
+
+    if (files.length < 2) {
+      grid.innerHTML = '<div class="empty-state"><h3>请至少选择两个文件进行对比</h3></div>';
+      return;
+    }
+
+    grid.style.gridTemplateColumns = `repeat(${files.length}, minmax(0, 1fr))`;
+
+    files.forEach(file => {
+      const column = document.createElement('div');
+      column.className = 'compare-column';
+      column.appendChild(this.createColumnHeader(file));
+
+      const iframe = document.createElement('iframe');
+      iframe.className = 'compare-frame';
+      // 不授予 allow-same-origin，页面脚本无法访问管理端的接口和存储
+      iframe.setAttribute('sandbox', 'allow-scripts allow-modals');
+      iframe.title = file.title || file.originalName;
+      column.appendChild(iframe);
+
+      grid.appendChild(column);
+      this.frames.push({ fileId: file.id, iframe });
+      this.loadFrame(file, iframe);
+    });
+  }
+
+  createColumnHeader(file) {
+    const header = document.createElement('div');
+    header.className = 'compare-column-header';
+
+    const title = document.createElement('div');
+    title.className = 'compare-model-name';
+    title.textContent = this.getModelName(file);
+    header.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'compare-meta';
+    const items = [
+      file.title || file.originalName,
+      this.formatSize(file.fileSize),
+      file.uploadTime ? new Date(file.uploadTime).toLocaleString() : ''
+    ].filter(Boolean);
+    meta.textContent = items.join(' · ');
+    header.appendChild(meta);
+
+    if (file.tags && file.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'file-card-tags';
+      file.tags.forEach(tagId => {
+        const tag = this.presetManager.getTagById(tagId);
+        if (tag) tags.appendChild(this.presetManager.createTagElement(tag));
+      });
+      header.appendChild(tags);
+    }
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'btn btn-small btn-secondary';
+    openBtn.textContent = '新窗口打开';
+    openBtn.onclick = () => window.open(this.dataManager.getPageWindowUrl(file.encryptedName), '_blank');
+    header.appendChild(openBtn);
+
+    return header;
+  }
+
+  async loadFrame(file, iframe) {
+    try {
+      const response = await fetch(this.dataManager.getPageUrl(file.encryptedName));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const html = await response.text();
+      iframe.srcdoc = this.injectSyncScript(html);
+    } catch (error) {
+      console.error('加载对比文件失败:', error);
+      iframe.srcdoc = `<p style="font-family:sans-serif;color:#e74c3c">加载失败: ${this.escapeHtml(error.message)}</p>`;
+    }
+  }
+
+  /**
+   * 注入滚动同步脚本，沙箱内页面通过 postMessage 与父页面通信
+   * srcdoc 不会带上服务端的 CSP 响应头，这里同时注入与服务端 PREVIEW_CSP 相同的资源限制
+   * @param {string} html 原始HTML
+   * @returns {string} 注入后的HTML
+   */
+  injectSyncScript(html) {
+    const csp = `<meta http-equiv="Content-Security-Policy" content="${CompareView.FRAME_CSP}">`;
+    if (/<head[^>]*>/i.test(html)) {
+      html = html.replace(/<head[^>]*>/i, match => match + csp);
+    } else {
+      html = html.replace(/^(\s*<!doctype[^>]*>)?/i, match => match + csp);
+    }
+
+    const script = `<script>(function(){
+  var silent = false;
+  function root() { return document.scrollingElement || document.documentElement; }
+  window.addEventListener('scroll', function () {
+    if (silent) { silent = false; return; }
+    var el = root();
+    var max = el.scrollHeight - el.clientHeight;
+    parent.postMessage({ type: 'compare-scroll', ratio: max > 0 ? el.scrollTop / max : 0 }, '*');
+  });
+  window.addEventListener('message', function (e) {
+    if (!e.data || e.data.type !== 'compare-scroll-to') return;
+    var el = root();
+    silent = true;
+    el.scrollTop = e.data.ratio * (el.scrollHeight - el.clientHeight);
+  });
+})();<\/script>`;
+
+    if (/<\/body>/i.test(html)) {
+      return html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${script}</body>`);
+    }
+    return html + script;
+  }
+
+  handleFrameMessage(event) {
+    if (!event.data || event.data.type !== 'compare-scroll') return;
+    if (!document.getElementById('compareSyncScroll')?.checked) return;
+
+    const source = this.frames.find(frame => frame.iframe.contentWindow === event.source);
+    if (!source) return;
+
+    this.frames.forEach(frame => {
+      if (frame !== source && frame.iframe.contentWindow) {
+        frame.iframe.contentWindow.postMessage({ type: 'compare-scroll-to', ratio: event.data.ratio }, '*');
+      }
+    });
+  }
+
+  formatSize(bytes) {
+    if (!bytes && bytes !== 0) return '';
+    if (bytes < 1024) return `${bytes}B`;
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  destroy() {
+    if (this.removeListener) {
+      this.removeListener();
+    }
+    window.removeEventListener('message', this.onMessage);
+  }
+}
+
+// 对比页面的 CSP：不加载外部脚本、样式、图片，不发起网络请求和提交表单。
+// sandbox 和 frame-ancestors 不能通过 meta 设置，由 iframe 的 sandbox 属性代替
+CompareView.FRAME_CSP = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline' 'unsafe-eval'",
+  "style-src 'unsafe-inline'",
+  'img-src data: blob:',
+  'font-src data:',
+  'media-src data: blob:',
+  "connect-src 'none'",
+  "form-action 'none'",
+  "base-uri 'none'"
+].join('; ');
@@ -0,0 +1,5 @@
+// 运行配置：transport 为 rest（服务器）、indexeddb / local（浏览器本地存储）或 static（只读）
+// 静态版本由 utils/static-sync.js publish 生成自己的配置
+window.OPENONEHTML_CONFIG = {
+  transport: 'rest'
+};
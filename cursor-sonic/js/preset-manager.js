@@ -1,10 +1,26 @@
-// 预置选项管理器 - 管理标签和模型的预置选项
+// 预置选项管理器 - 管理标签和模型的预置选项，读写通过数据管理器完成
 class PresetManager {
-  constructor() {
+  constructor(dataManager) {
+    this.dataManager = dataManager;
     this.tags = [];
     this.models = [];
     this.categories = [];
     this.isInitialized = false;
+
+    // 其他用户修改了标签、模型或分类时同步更新，先于界面组件的监听器执行
+    this.dataManager.addListener((data, changes) => {
+      if (changes) this.applyRemoteChanges(data, changes);
+    });
+  }
+
+  // 按实时推送的变化重新读取对应的预置选项
+  applyRemoteChanges(data, changes) {
+    const lists = { preset_tags: 'tags', preset_models: 'models', categories: 'categories' };
+    new Set(changes.map(change => change.collection)).forEach(collection => {
+      if (lists[collection]) {
+        this[lists[collection]] = (data[collection] || []).map(preset => ({ ...preset }));
+      }
+    });
   }
 
   async init() {
@@ -25,11 +41,7 @@ class PresetManager {
 
   async loadTags() {
     try {
-      const response = await fetch('/api/tags');
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      this.tags = await response.json();
+      this.tags = await this.dataManager.getPresets('tags');
       return this.tags;
     } catch (error) {
       console.error('加载标签失败:', error);
@@ -40,19 +52,7 @@ class PresetManager {
 
   async addTag(tagData) {
     try {
-      const response = await fetch('/api/tags', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(tagData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const result = await response.json();
+      const result = await this.dataManager.addPreset('tags', tagData);
       if (result.success) {
         await this.loadTags(); // 重新加载标签
       }
@@ -65,30 +65,64 @@ class PresetManager {
 
   async deleteTag(tagId) {
     try {
-      // 注意：需要实现删除标签的API
-      console.warn('删除标签功能暂未实现');
-      return { success: false, error: '功能暂未实现' };
+      const result = await this.dataManager.deletePreset('tags', tagId);
+      if (result.success) {
+        await this.loadTags();
+      }
+      return result;
     } catch (error) {
       console.error('删除标签失败:', error);
       throw error;
     }
   }
 
-  async updateTag(tagId, tagData) {
+  async updateTag(tagId, tagData, options = {}) {
     try {
-      // 注意：需要实现更新标签的API
-      console.warn('更新标签功能暂未实现');
-      return { success: false, error: '功能暂未实现' };
+      const result = await this.dataManager.updatePreset('tags', tagId, tagData, options);
+      if (result.success) {
+        await this.loadTags();
+      }
+      return result;
     } catch (error) {
       console.error('更新标签失败:', error);
       throw error;
     }
   }
 
+  // 标签整理，执行后重新加载标签；options.dryRun 为 true 时只返回计划用于预览
+
+  async mergeTag(tagId, targetId, options = {}) {
+    const result = await this.dataManager.mergeTag(tagId, targetId, options);
+    if (!options.dryRun) await this.loadTags();
+    return result;
+  }
+
+  async splitTag(tagId, parts, options = {}) {
+    const result = await this.dataManager.splitTag(tagId, parts, options);
+    if (!options.dryRun) await this.loadTags();
+    return result;
+  }
+
+  async removeTag(tagId, reassignTo = '', options = {}) {
+    const result = await this.dataManager.removeTag(tagId, reassignTo, options);
+    if (!options.dryRun) await this.loadTags();
+    return result;
+  }
+
   getTags() {
     return this.tags;
   }
 
+  // 按层级排列的标签 [{ tag, depth }]
+  getTagTree() {
+    return TagTaxonomy.flattenTree(this.tags);
+  }
+
+  // 带上级的完整名称，如"交互 > 拖拽"
+  getTagPath(id) {
+    return TagTaxonomy.getPath(this.tags, id);
+  }
+
   getTagById(id) {
     return this.tags.find(tag => tag.id === id);
   }
@@ -101,11 +135,7 @@ class PresetManager {
 
   async loadModels() {
     try {
-      const response = await fetch('/api/models');
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      this.models = await response.json();
+      this.models = await this.dataManager.getPresets('models');
       return this.models;
     } catch (error) {
       console.error('加载模型失败:', error);
@@ -116,19 +146,7 @@ class PresetManager {
 
   async addModel(modelData) {
     try {
-      const response = await fetch('/api/models', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(modelData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const result = await response.json();
+      const result = await this.dataManager.addPreset('models', modelData);
       if (result.success) {
         await this.loadModels(); // 重新加载模型
       }
@@ -141,38 +159,28 @@ class PresetManager {
 
   async deleteModel(modelId) {
     try {
-      // 注意：需要实现删除模型的API
-      console.warn('删除模型功能暂未实现');
-      return { success: false, error: '功能暂未实现' };
+      const result = await this.dataManager.deletePreset('models', modelId);
+      if (result.success) {
+        await this.loadModels();
+      }
+      return result;
     } catch (error) {
       console.error('删除模型失败:', error);
       throw error;
     }
   }
 
-  async updateModel(modelId, modelData) {
+  async updateModel(modelId, modelData, options = {}) {
     try {
-      const response = await fetch(`/api/models/${modelId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(modelData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const updatedModel = await response.json();
+      const result = await this.dataManager.updatePreset('models', modelId, modelData, options);
 
       // 更新本地缓存
       const modelIndex = this.models.findIndex(model => model.id === modelId);
       if (modelIndex >= 0) {
-        this.models[modelIndex] = { ...this.models[modelIndex], ...updatedModel };
+        this.models[modelIndex] = { ...this.models[modelIndex], ...result.model };
       }
 
-      return updatedModel;
+      return result;
     } catch (error) {
       console.error('更新模型失败:', error);
       throw error;
@@ -268,13 +276,17 @@ class PresetManager {
       const searchTerm = searchEl.value.toLowerCase();
       tagsEl.innerHTML = '';
 
-      this.tags
-        .filter(tag => tag.name.toLowerCase().includes(searchTerm))
+      // 按层级排列，搜索同时匹配别名和上级标签的名称
+      this.getTagTree()
+        .map(({ tag }) => tag)
+        .filter(tag => [this.getTagPath(tag.id), ...(tag.aliases || [])]
+          .some(name => name.toLowerCase().includes(searchTerm)))
         .forEach(tag => {
           const tagEl = this.createTagElement(tag, {
             removable: false,
             selected: selectedIds.includes(tag.id)
           });
+          tagEl.title = this.getTagPath(tag.id);
 
           tagEl.onclick = () => {
             const index = selectedIds.indexOf(tag.id);
@@ -300,6 +312,14 @@ class PresetManager {
     // 添加获取选中标签的方法
     containerEl.getSelectedIds = () => selectedIds;
 
+    // 选中或取消选中标签，用于接受或撤销上传建议
+    containerEl.setSelected = (tagId, selected) => {
+      const index = selectedIds.indexOf(tagId);
+      if (selected && index === -1) selectedIds.push(tagId);
+      if (!selected && index > -1) selectedIds.splice(index, 1);
+      updateTagList();
+    };
+
     return containerEl;
   }
 
@@ -314,11 +334,7 @@ class PresetManager {
 
   async loadCategories() {
     try {
-      const response = await fetch('/api/categories');
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      this.categories = await response.json();
+      this.categories = await this.dataManager.getPresets('categories');
       return this.categories;
     } catch (error) {
       console.error('加载分类失败:', error);
@@ -329,69 +345,34 @@ class PresetManager {
 
   async addCategory(categoryData) {
     try {
-      const response = await fetch('/api/categories', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(categoryData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const newCategory = await response.json();
-      this.categories.push(newCategory);
-      return newCategory;
+      const result = await this.dataManager.addPreset('categories', categoryData);
+      this.categories.push(result.category);
+      return result.category;
     } catch (error) {
       console.error('添加分类失败:', error);
       throw error;
     }
   }
 
-  async deleteCategory(categoryId) {
-    try {
-      const response = await fetch(`/api/categories/${categoryId}`, {
-        method: 'DELETE'
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      // 从本地缓存中删除
-      this.categories = this.categories.filter(category => category.id !== categoryId);
-      return true;
-    } catch (error) {
-      console.error('删除分类失败:', error);
-      throw error;
-    }
+  // 删除分类，使用它的文件改用 reassignTo，为空时改为未分类；执行后重新加载分类，
+  // options.dryRun 为 true 时只返回计划用于预览
+  async removeCategory(categoryId, reassignTo = '', options = {}) {
+    const result = await this.dataManager.removeCategory(categoryId, reassignTo, options);
+    if (!options.dryRun) await this.loadCategories();
+    return result;
   }
 
-  async updateCategory(categoryId, categoryData) {
+  async updateCategory(categoryId, categoryData, options = {}) {
     try {
-      const response = await fetch(`/api/categories/${categoryId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(categoryData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const updatedCategory = await response.json();
+      const result = await this.dataManager.updatePreset('categories', categoryId, categoryData, options);
 
       // 更新本地缓存
       const categoryIndex = this.categories.findIndex(category => category.id === categoryId);
       if (categoryIndex >= 0) {
-        this.categories[categoryIndex] = { ...this.categories[categoryIndex], ...updatedCategory };
+        this.categories[categoryIndex] = { ...this.categories[categoryIndex], ...result.category };
       }
 
-      return updatedCategory;
+      return result.category;
     } catch (error) {
       console.error('更新分类失败:', error);
       throw error;
@@ -401,4 +382,18 @@ class PresetManager {
   getCategories() {
     return this.categories;
   }
+
+  getCategoryById(id) {
+    return this.categories.find(category => category.id === id);
+  }
+
+  // 按层级排列的分类 [{ category, depth }]
+  getCategoryTree() {
+    return CategoryTree.flattenTree(this.categories);
+  }
+
+  // 带上级的完整名称，如"工具 > 图片"；分类不存在时返回原值
+  getCategoryPath(id) {
+    return CategoryTree.getLabel(this.categories, id);
+  }
 }
@@ -0,0 +1,464 @@
+/**
+ * 搜索查询语言
+ * 浏览器与服务端共用同一份解析和求值逻辑，保证两端的筛选结果一致
+ *
+ * 语法示例:
+ *   天气 预报                 多个关键词同时满足（AND）
+ *   天气 OR 时钟              任意一个满足
+ *   NOT 草稿 / -草稿          排除
+ *   "hello world"             短语
+ *   render*  ca?d             通配符，* 匹配任意字符，? 匹配单个字符
+ *   (a OR b) model:kimik2     括号分组
+ *   tag:自动化 category:"好哇" 字段限定，带引号时要求完全相同
+ *   size:>8kb size:8kb..20kb  文件大小
+ *   uploaded:2025-08          上传时间（年、月或日，按 UTC 计算）
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QueryLanguage = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 文本字段：按包含匹配，别名 -> 文件字段
+  const TEXT_FIELDS = {
+    title: 'title',
+    desc: 'description',
+    description: 'description',
+    prompt: 'prompt',
+    background: 'background',
+    name: 'originalName',
+    file: 'originalName'
+  };
+
+  // 名称字段：不带引号时按包含匹配，带引号时要求完全相同
+  const LABEL_FIELDS = ['category', 'tag', 'model'];
+
+  // 范围字段
+  const SIZE_FIELDS = { size: 'fileSize' };
+  const DATE_FIELDS = { uploaded: 'uploadTime', accessed: 'lastAccess' };
+
+  // 无字段关键词默认匹配的元数据
+  const DEFAULT_TEXT_FIELDS = ['title', 'description', 'originalName', 'background', 'prompt'];
+
+  const SIZE_UNITS = { b: 1, kb: 1024, k: 1024, mb: 1024 * 1024, m: 1024 * 1024 };
+
+  class QuerySyntaxError extends Error {
+    /**
+     * @param {string} message 错误信息
+     * @param {number} position 出错位置（字符下标）
+     */
+    constructor(message, position) {
+      super(message);
+      this.name = 'QuerySyntaxError';
+      this.position = position;
+    }
+  }
+
+  function normalize(text) {
+    return String(text ?? '').normalize('NFKC').toLowerCase();
+  }
+
+  // 词法分析：括号、带引号的短语、单词；单词中的 field: 前缀单独拆出
+  function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) i++;
+        value += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw new QuerySyntaxError('引号没有闭合', start);
+      }
+      i++;
+      return value;
+    };
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, position: i });
+        i++;
+      } else if (ch === '"') {
+        const position = i;
+        tokens.push({ type: 'word', value: readQuoted(), quoted: true, position });
+      } else if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: 'NOT', position: i });
+        i++;
+      } else {
+        const position = i;
+        let word = '';
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+          word += input[i];
+          i++;
+        }
+
+        const fieldMatch = word.match(/^([a-z]+):(.*)$/i);
+        if (fieldMatch) {
+          const field = fieldMatch[1].toLowerCase();
+          let value = fieldMatch[2];
+          let quoted = false;
+          if (value === '' && input[i] === '"') {
+            value = readQuoted();
+            quoted = true;
+          }
+          tokens.push({ type: 'field', field, value, quoted, position });
+        } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+          tokens.push({ type: word, position });
+        } else {
+          tokens.push({ type: 'word', value: word, quoted: false, position });
+        }
+      }
+    }
+
+    tokens.push({ type: 'end', position: input.length });
+    return tokens;
+  }
+
+  // 解析文件大小，如 8kb、1.5mb、2048
+  function parseSize(text, position) {
+    const match = text.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/);
+    if (!match) {
+      throw new QuerySyntaxError(`无法识别的文件大小: ${text}`, position);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+  }
+
+  // 解析日期，返回该年、月或日对应的 UTC 时间区间 [start, end)
+  function parseDate(text, position) {
+    const match = text.trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+      throw new QuerySyntaxError(`无法识别的日期: ${text}（格式为 2025、2025-08 或 2025-08-21）`, position);
+    }
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+    if ((month !== null && (month < 0 || month > 11)) || (day !== null && (day < 1 || day > 31))) {
+      throw new QuerySyntaxError(`无效的日期: ${text}`, position);
+    }
+
+    if (day !== null) {
+      return { start: Date.UTC(year, month, day), end: Date.UTC(year, month, day + 1) };
+    }
+    if (month !== null) {
+      return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+    }
+    return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
+  }
+
+  /**
+   * 解析范围表达式，统一为半开区间 [from, to)，缺省的一端为 null
+   * 支持 >x、>=x、<x、<=x、=x、x、x..y
+   */
+  function parseRange(field, text, position) {
+    // 数值的“区间”为单个字节
+    const toInterval = DATE_FIELDS[field]
+      ? value => parseDate(value, position)
+      : value => {
+        const size = parseSize(value, position);
+        return { start: size, end: size + 1 };
+      };
+
+    if (text.includes('..')) {
+      const [low, high] = text.split('..');
+      return {
+        from: low ? toInterval(low).start : null,
+        to: high ? toInterval(high).end : null
+      };
+    }
+
+    const match = text.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const operator = match[1] || '=';
+    const interval = toInterval(match[2]);
+
+    switch (operator) {
+      case '>': return { from: interval.end, to: null };
+      case '>=': return { from: interval.start, to: null };
+      case '<': return { from: null, to: interval.start };
+      case '<=': return { from: null, to: interval.end };
+      default: return { from: interval.start, to: interval.end };
+    }
+  }
+
+  function createFieldNode(token) {
+    const { field, value, quoted, position } = token;
+
+    if (value === '') {
+      throw new QuerySyntaxError(`${field}: 后缺少内容`, position);
+    }
+    if (TEXT_FIELDS[field]) {
+      return { type: 'field', field, value, phrase: quoted };
+    }
+    if (LABEL_FIELDS.includes(field)) {
+      return { type: 'field', field, value, exact: quoted };
+    }
+    if (SIZE_FIELDS[field] || DATE_FIELDS[field]) {
+      return { type: 'range', field, ...parseRange(field, value, position) };
+    }
+
+    const fields = [...Object.keys(TEXT_FIELDS), ...LABEL_FIELDS, ...Object.keys(SIZE_FIELDS), ...Object.keys(DATE_FIELDS)];
+    throw new QuerySyntaxError(`未知的字段 ${field}:（可用字段: ${fields.join('、')}；如需搜索冒号请加引号）`, position);
+  }
+
+  /**
+   * 解析查询语句
+   * 优先级：NOT > AND（可省略）> OR
+   * @param {string} input 查询语句
+   * @returns {Object|null} 语法树，空查询返回 null
+   * @throws {QuerySyntaxError} 语法错误
+   */
+  function parse(input) {
+    const tokens = tokenize(input || '');
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const parseOr = () => {
+      const children = [parseAnd()];
+      while (peek().type === 'OR') {
+        next();
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+      const children = [parseUnary()];
+      while (!['OR', ')', 'end'].includes(peek().type)) {
+        if (peek().type === 'AND') next();
+        children.push(parseUnary());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+      if (peek().type === 'NOT') {
+        next();
+        return { type: 'not', child: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = next();
+      switch (token.type) {
+        case '(': {
+          if (peek().type === 'end') {
+            throw new QuerySyntaxError('缺少右括号', token.position);
+          }
+          if (peek().type === ')') {
+            throw new QuerySyntaxError('括号内缺少搜索条件', token.position);
+          }
+          const node = parseOr();
+          if (peek().type !== ')') {
+            throw new QuerySyntaxError('缺少右括号', token.position);
+          }
+          next();
+          return node;
+        }
+        case 'word':
+          if (token.value === '') {
+            throw new QuerySyntaxError('引号内缺少内容', token.position);
+          }
+          return { type: 'text', value: token.value, phrase: token.quoted };
+        case 'field':
+          return createFieldNode(token);
+        case ')':
+          throw new QuerySyntaxError('多余的右括号', token.position);
+        case 'end':
+          throw new QuerySyntaxError('查询不完整，缺少搜索条件', token.position);
+        default:
+          throw new QuerySyntaxError(`${token.type} 前缺少搜索条件`, token.position);
+      }
+    };
+
+    if (peek().type === 'end') return null;
+
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+      throw new QuerySyntaxError('多余的右括号', peek().position);
+    }
+    return ast;
+  }
+
+  // 编译后的匹配函数按节点缓存，同一棵语法树对多个文件求值时只编译一次
+  const matcherCache = new WeakMap();
+
+  /**
+   * 生成文本匹配函数（参数须已经过 normalize）
+   * 短语和带引号的值按字面匹配，其余的值中 * 和 ? 作为通配符
+   */
+  function getMatcher(node) {
+    if (matcherCache.has(node)) return matcherCache.get(node);
+
+    const needle = normalize(node.value);
+    let matcher;
+    if (node.exact) {
+      matcher = text => text === needle;
+    } else if (!node.phrase && /[*?]/.test(needle)) {
+      const source = needle
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      const pattern = new RegExp(source);
+      matcher = text => pattern.test(text);
+    } else {
+      matcher = text => text.includes(needle);
+    }
+
+    matcherCache.set(node, matcher);
+    return matcher;
+  }
+
+  /**
+   * 创建求值上下文
+   * @param {Object} data 与 data.json 格式相同的数据，用于把标签、模型和分类ID解析为名称
+   * @param {Object} options 选项
+   * @param {Function} options.getText (file) => 无字段关键词要匹配的文本数组（已 normalize），默认使用元数据
+   * @returns {Object} 求值上下文
+   */
+  function createContext(data = {}, options = {}) {
+    const tags = data.preset_tags || [];
+    const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+    const modelNames = new Map((data.preset_models || []).map(model => [model.id, model.name]));
+
+    // 标签的ID、名称和别名，连同所有上级标签的，tag:交互 同时匹配下级标签"拖拽"；分类相同
+    const collectLabels = records => {
+      const byId = new Map(records.map(record => [record.id, record]));
+      return new Map(records.map(record => {
+        const labels = [];
+        const visited = new Set();
+        for (let current = record; current && !visited.has(current.id); current = byId.get(current.parentId)) {
+          visited.add(current.id);
+          labels.push(current.id, current.name, ...(current.aliases || []));
+        }
+        return [record.id, labels];
+      }));
+    };
+
+    return {
+      tagNames,
+      tagLabels: collectLabels(tags),
+      categoryLabels: collectLabels(data.categories || []),
+      modelNames,
+      getText: options.getText || (file => DEFAULT_TEXT_FIELDS.map(field => normalize(file[field])))
+    };
+  }
+
+  // 名称字段的候选值：同时匹配ID与名称，标签还匹配别名，标签和分类还匹配上级
+  function getLabels(node, file, context) {
+    switch (node.field) {
+      case 'category':
+        return file.category ? context.categoryLabels.get(file.category) || [file.category] : [];
+      case 'tag':
+        return (file.tags || []).flatMap(id => context.tagLabels.get(id) || [id]);
+      case 'model':
+        return [file.model, context.modelNames.get(file.model)];
+      default:
+        return [];
+    }
+  }
+
+  function getRangeValue(node, file) {
+    if (SIZE_FIELDS[node.field]) {
+      return file[SIZE_FIELDS[node.field]];
+    }
+    const value = file[DATE_FIELDS[node.field]];
+    return value ? new Date(value).getTime() : undefined;
+  }
+
+  /**
+   * 对单个文件求值
+   * @param {Object|null} ast parse 的结果
+   * @param {Object} file 文件记录
+   * @param {Object} context createContext 的结果
+   * @returns {boolean} 是否匹配
+   */
+  function evaluate(ast, file, context = createContext()) {
+    if (!ast) return true;
+
+    switch (ast.type) {
+      case 'and':
+        return ast.children.every(child => evaluate(child, file, context));
+      case 'or':
+        return ast.children.some(child => evaluate(child, file, context));
+      case 'not':
+        return !evaluate(ast.child, file, context);
+      case 'text': {
+        const matcher = getMatcher(ast);
+        return context.getText(file).some(text => matcher(text));
+      }
+      case 'field': {
+        const matcher = getMatcher(ast);
+        const values = TEXT_FIELDS[ast.field] ? [file[TEXT_FIELDS[ast.field]]] : getLabels(ast, file, context);
+        return values.filter(value => value != null && value !== '').some(value => matcher(normalize(value)));
+      }
+      case 'range': {
+        const value = getRangeValue(ast, file);
+        if (typeof value !== 'number' || Number.isNaN(value)) return false;
+        return (ast.from === null || value >= ast.from) && (ast.to === null || value < ast.to);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 收集用于相关度排序和摘要高亮的关键词（不含 NOT 下的关键词）
+   * @param {Object|null} ast 语法树
+   * @returns {Array<string>} 关键词
+   */
+  function getKeywords(ast, negated = false) {
+    if (!ast) return [];
+    switch (ast.type) {
+      case 'and':
+      case 'or':
+        return ast.children.flatMap(child => getKeywords(child, negated));
+      case 'not':
+        return getKeywords(ast.child, !negated);
+      case 'text':
+        return negated ? [] : [ast.value];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * 是否包含无字段关键词，只有这类条件需要服务端的全文索引
+   * @param {Object|null} ast 语法树
+   * @returns {boolean}
+   */
+  function hasTextTerms(ast) {
+    if (!ast) return false;
+    switch (ast.type) {
+      case 'and':
+      case 'or':
+        return ast.children.some(hasTextTerms);
+      case 'not':
+        return hasTextTerms(ast.child);
+      default:
+        return ast.type === 'text';
+    }
+  }
+
+  return {
+    QuerySyntaxError,
+    normalize,
+    parse,
+    createContext,
+    evaluate,
+    getKeywords,
+    hasTextTerms
+  };
+});
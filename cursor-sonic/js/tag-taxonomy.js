@@ -0,0 +1,363 @@
+/**
+ * 标签层级与整理（合并、拆分、删除）
+ * 浏览器与服务端共用：服务端按计划写入存储，浏览器本地存储版本直接修改数据，
+ * 标签管理中先用同一份计划预览影响范围，确认后再执行
+ *
+ * 标签的 parentId 指向上级标签（空字符串为顶层），aliases 为别名。
+ * 计划格式：
+ *   {
+ *     action, tagId, summary,
+ *     replacedBy,   代替原标签的标签ID（自动规则改用它），没有时为空字符串
+ *     tags: { insert: [新标签], update: [{ id, patch }], remove: [标签ID] },
+ *     files: [{ id, title, deleted, before: [标签ID], after: [标签ID] }]   标签发生变化的文件
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TagTaxonomy = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_COLOR = '#3498db';
+
+  class TaxonomyError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'TaxonomyError';
+    }
+  }
+
+  function findTag(tags, id) {
+    return tags.find(tag => tag.id === id) || null;
+  }
+
+  function requireTag(tags, id, label = '标签') {
+    const tag = findTag(tags, id);
+    if (!tag) {
+      throw new TaxonomyError(`${label}不存在: ${id}`);
+    }
+    return tag;
+  }
+
+  /**
+   * 上级标签，从直接上级到顶层；上级不存在或出现循环时停止
+   * @returns {Array<Object>} 标签记录
+   */
+  function getAncestors(tags, id) {
+    const ancestors = [];
+    const visited = new Set([id]);
+    let current = findTag(tags, id);
+    while (current && current.parentId && !visited.has(current.parentId)) {
+      visited.add(current.parentId);
+      current = findTag(tags, current.parentId);
+      if (current) ancestors.push(current);
+    }
+    return ancestors;
+  }
+
+  /**
+   * 标签及其所有下级标签的ID
+   * @returns {Set<string>}
+   */
+  function getDescendantIds(tags, id) {
+    const result = new Set([id]);
+    let added = true;
+    while (added) {
+      added = false;
+      tags.forEach(tag => {
+        if (tag.parentId && result.has(tag.parentId) && !result.has(tag.id)) {
+          result.add(tag.id);
+          added = true;
+        }
+      });
+    }
+    return result;
+  }
+
+  // 带上级的完整名称，如"交互 > 拖拽"
+  function getPath(tags, id) {
+    const tag = findTag(tags, id);
+    if (!tag) return id;
+    return [...getAncestors(tags, id).reverse(), tag].map(item => item.name).join(' > ');
+  }
+
+  /**
+   * 按层级排列的标签，上级在前，下级紧随其后
+   * 上级不存在的标签视为顶层标签
+   * @returns {Array<{tag, depth}>}
+   */
+  function flattenTree(tags) {
+    const ids = new Set(tags.map(tag => tag.id));
+    const children = new Map();
+    tags.forEach(tag => {
+      const parentId = tag.parentId && ids.has(tag.parentId) && tag.parentId !== tag.id ? tag.parentId : '';
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(tag);
+    });
+
+    const result = [];
+    const visited = new Set();
+    const walk = (parentId, depth) => {
+      (children.get(parentId) || []).forEach(tag => {
+        if (visited.has(tag.id)) return;
+        visited.add(tag.id);
+        result.push({ tag, depth });
+        walk(tag.id, depth + 1);
+      });
+    };
+    walk('', 0);
+    // 循环引用中的标签没有从顶层走到，放在最后
+    tags.filter(tag => !visited.has(tag.id)).forEach(tag => result.push({ tag, depth: 0 }));
+    return result;
+  }
+
+  // 名称和别名统一比较（忽略大小写和首尾空白）
+  function normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  function cleanAliases(aliases, name) {
+    const seen = new Set([normalizeName(name)]);
+    return (Array.isArray(aliases) ? aliases : [])
+      .map(alias => String(alias).trim())
+      .filter(alias => {
+        const key = normalizeName(alias);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * 检查新增或修改后的标签：上级存在且不形成循环，名称和别名不与其他标签重复
+   * @param {Array<Object>} tags 当前全部标签
+   * @param {Object} tag 新增或修改后的标签（修改时 id 与原标签相同）
+   * @param {Array<string>} ignoreIds 比较名称时忽略的标签（如即将删除的标签）
+   * @throws {TaxonomyError}
+   */
+  function checkTag(tags, tag, ignoreIds = []) {
+    if (tag.parentId) {
+      if (tag.parentId === tag.id) {
+        throw new TaxonomyError('标签不能作为自己的上级');
+      }
+      requireTag(tags, tag.parentId, '上级标签');
+      if (tag.id && getDescendantIds(tags, tag.id).has(tag.parentId)) {
+        throw new TaxonomyError('不能把标签移动到它自己的下级标签中');
+      }
+    }
+
+    const names = new Map();
+    tags.forEach(other => {
+      if (other.id === tag.id || ignoreIds.includes(other.id)) return;
+      [other.name, ...(other.aliases || [])].forEach(name => names.set(normalizeName(name), other.name));
+    });
+    [tag.name, ...(tag.aliases || [])].forEach(name => {
+      const owner = names.get(normalizeName(name));
+      if (owner) {
+        throw new TaxonomyError(`名称"${name}"已被标签"${owner}"使用`);
+      }
+    });
+  }
+
+  // 标签变化后的文件列表（只包含变化的文件）。已删除的文件同样改写，避免引用不存在的标签
+  function planFiles(files, rewrite) {
+    return files
+      .map(file => {
+        const before = file.tags || [];
+        const after = [...new Set(rewrite(before, file))];
+        return {
+          id: file.id,
+          title: file.title || file.originalName || file.id,
+          deleted: file.status === 'deleted',
+          before,
+          after
+        };
+      })
+      .filter(item => item.before.length !== item.after.length || item.before.some((id, i) => id !== item.after[i]));
+  }
+
+  // 被删除标签的下级改挂到 parentId 下
+  function reparentChildren(tags, tagId, parentId) {
+    return tags
+      .filter(tag => tag.parentId === tagId)
+      .map(tag => ({ id: tag.id, patch: { parentId } }));
+  }
+
+  /**
+   * 合并标签：文件中的 sourceId 换成 targetId，被合并标签的名称和别名成为目标标签的别名，
+   * 下级标签改挂到目标标签下，然后删除被合并的标签
+   * @param {Object} data { preset_tags, files }
+   * @param {string} sourceId 被合并的标签
+   * @param {string} targetId 合并到的标签
+   * @returns {Object} 计划
+   */
+  function planMerge(data, sourceId, targetId) {
+    const tags = data.preset_tags || [];
+    const source = requireTag(tags, sourceId);
+    const target = requireTag(tags, targetId, '目标标签');
+    if (sourceId === targetId) {
+      throw new TaxonomyError('不能把标签合并到它自己');
+    }
+    if (getDescendantIds(tags, sourceId).has(targetId)) {
+      throw new TaxonomyError('不能把标签合并到它的下级标签，请先把下级标签移出');
+    }
+
+    const aliases = cleanAliases([...(target.aliases || []), source.name, ...(source.aliases || [])], target.name);
+    const files = planFiles(data.files || [], before => before.map(id => (id === sourceId ? targetId : id)));
+
+    return {
+      action: 'merge',
+      tagId: sourceId,
+      summary: `将标签"${getPath(tags, sourceId)}"合并到"${getPath(tags, targetId)}"，${files.length} 个文件改用"${target.name}"`,
+      replacedBy: targetId,
+      tags: {
+        insert: [],
+        update: [
+          { id: targetId, patch: { aliases } },
+          ...reparentChildren(tags, sourceId, targetId)
+        ],
+        remove: [sourceId]
+      },
+      files
+    };
+  }
+
+  /**
+   * 拆分标签：原标签换成若干个新标签（与原标签同级），每个新标签可以指定只用于部分文件，
+   * 未指定时用于所有使用原标签的文件；原标签的下级改挂到原标签的上级下，然后删除原标签。
+   * 自动规则改为添加第一个新标签
+   * @param {Object} data { preset_tags, files }
+   * @param {string} tagId 要拆分的标签
+   * @param {Array<Object>} parts [{ name, color, description, fileIds }]
+   * @param {Object} options
+   * @param {Function} options.createId (index) => 新标签ID
+   * @param {string} options.now 创建时间
+   * @returns {Object} 计划
+   */
+  function planSplit(data, tagId, parts, options = {}) {
+    const tags = data.preset_tags || [];
+    const tag = requireTag(tags, tagId);
+    const {
+      createId = index => `tag_${Date.now()}_${index + 1}`,
+      now = new Date().toISOString()
+    } = options;
+
+    if (!Array.isArray(parts) || parts.length < 2) {
+      throw new TaxonomyError('拆分至少需要两个新标签');
+    }
+
+    const using = (data.files || []).filter(file => (file.tags || []).includes(tagId)).map(file => file.id);
+    const inserted = parts.map((part, index) => {
+      const name = String((part && part.name) || '').trim();
+      if (!name) {
+        throw new TaxonomyError(`第 ${index + 1} 个新标签缺少名称`);
+      }
+      if (part.fileIds !== undefined) {
+        if (!Array.isArray(part.fileIds)) {
+          throw new TaxonomyError(`第 ${index + 1} 个新标签的文件列表无效`);
+        }
+        const unknown = part.fileIds.find(id => !using.includes(id));
+        if (unknown) {
+          throw new TaxonomyError(`文件 ${unknown} 没有使用标签"${tag.name}"`);
+        }
+      }
+      return {
+        id: createId(index),
+        name,
+        color: part.color || tag.color || DEFAULT_COLOR,
+        description: part.description || '',
+        parentId: tag.parentId || '',
+        aliases: [],
+        createTime: now,
+        usageCount: 0
+      };
+    });
+
+    const names = new Set();
+    inserted.forEach(record => {
+      const key = normalizeName(record.name);
+      if (names.has(key)) {
+        throw new TaxonomyError(`新标签名称重复: ${record.name}`);
+      }
+      names.add(key);
+      checkTag(tags, { ...record, id: undefined }, [tagId]);
+    });
+
+    const files = planFiles(data.files || [], (before, file) => before.flatMap(id => {
+      if (id !== tagId) return [id];
+      return inserted
+        .filter((record, index) => parts[index].fileIds === undefined || parts[index].fileIds.includes(file.id))
+        .map(record => record.id);
+    }));
+
+    return {
+      action: 'split',
+      tagId,
+      summary: `将标签"${getPath(tags, tagId)}"拆分为 ${inserted.map(record => `"${record.name}"`).join('、')}，${files.length} 个文件受影响`,
+      replacedBy: inserted[0].id,
+      tags: {
+        insert: inserted,
+        update: reparentChildren(tags, tagId, tag.parentId || ''),
+        remove: [tagId]
+      },
+      files
+    };
+  }
+
+  /**
+   * 删除标签：使用它的文件改用 reassignTo，未指定时从文件中移除；
+   * 下级标签改挂到被删除标签的上级下
+   * @param {Object} data { preset_tags, files }
+   * @param {string} tagId 要删除的标签
+   * @param {string} reassignTo 改用的标签，空字符串表示从文件中移除
+   * @returns {Object} 计划
+   */
+  function planDelete(data, tagId, reassignTo = '') {
+    const tags = data.preset_tags || [];
+    const tag = requireTag(tags, tagId);
+    if (reassignTo) {
+      requireTag(tags, reassignTo, '改用的标签');
+      if (reassignTo === tagId) {
+        throw new TaxonomyError('不能改用要删除的标签');
+      }
+    }
+
+    const files = planFiles(data.files || [], before => before.flatMap(id => {
+      if (id !== tagId) return [id];
+      return reassignTo ? [reassignTo] : [];
+    }));
+
+    const summary = files.length === 0
+      ? `删除标签"${getPath(tags, tagId)}"，没有文件使用它`
+      : reassignTo
+        ? `删除标签"${getPath(tags, tagId)}"，${files.length} 个文件改用"${getPath(tags, reassignTo)}"`
+        : `删除标签"${getPath(tags, tagId)}"，并从 ${files.length} 个文件中移除`;
+
+    return {
+      action: 'delete',
+      tagId,
+      summary,
+      replacedBy: reassignTo,
+      tags: {
+        insert: [],
+        update: reparentChildren(tags, tagId, tag.parentId || ''),
+        remove: [tagId]
+      },
+      files
+    };
+  }
+
+  return {
+    TaxonomyError,
+    getAncestors,
+    getDescendantIds,
+    getPath,
+    flattenTree,
+    cleanAliases,
+    checkTag,
+    planMerge,
+    planSplit,
+    planDelete
+  };
+});
@@ -0,0 +1,9 @@
+// 并发修改冲突 - 保存时记录已被其他人修改（服务器返回 409）
+// conflicts 为 [{ collection, id, rev, current }]，rev、current 为当前的修订号和记录，记录已被删除时为 null
+class ConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message || '数据已被其他人修改，请查看最新内容后重试');
+    this.name = 'ConflictError';
+    this.conflicts = conflicts;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * 根据配置创建数据传输层
+ * DataManager 的接口在各个版本中相同，读写数据时调用传输层：
+ *   rest    服务器版本，通过 /api 接口读写
+ *   indexeddb 静态版本，数据和页面保存在浏览器的 IndexedDB 中
+ *   local   数据保存在浏览器 localStorage 中，容量只有几 MB
+ *   static  只读静态版本，只读取发布的 data.json
+ * @param {Object} config 配置（window.OPENONEHTML_CONFIG），transport 指定传输方式，其余字段传给传输层
+ * @returns {Object} 传输层实例
+ */
+function createTransport(config = {}) {
+  const { transport = 'rest', ...options } = config;
+
+  switch (transport) {
+    case 'rest':
+      return new RestTransport(options);
+    case 'indexeddb':
+      // 不支持 IndexedDB 的浏览器退回到 localStorage
+      return typeof indexedDB !== 'undefined' ? new IndexedDBTransport(options) : new LocalTransport(options);
+    case 'local':
+      return new LocalTransport(options);
+    case 'static':
+      return new StaticTransport(options);
+    default:
+      throw new Error(`未知的数据传输方式: ${transport}`);
+  }
+}
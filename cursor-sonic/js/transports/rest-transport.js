@@ -0,0 +1,380 @@
+// REST 传输层 - 通过服务器的 /api 接口读写数据
+class RestTransport {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || '';
+    this.name = 'rest';
+    // 服务器版本支持全部功能
+    this.capabilities = {
+      write: true,
+      upload: true,
+      bundle: true,
+      auth: true,
+      search: true,
+      revisions: true,
+      reviews: true,
+      votes: true,
+      thumbnails: true,
+      security: true,
+      export: true,
+      scanDirectory: true,
+      staticImport: true,
+      staticSync: false,
+      live: true,
+      integrity: true,
+      rules: true
+    };
+  }
+
+  // 发送请求并解析 JSON，失败时使用服务器返回的错误信息，记录已被其他人修改时抛出 ConflictError
+  async request(path, options = {}) {
+    const response = await fetch(this.baseUrl + path, options);
+    const result = await response.json().catch(() => ({}));
+
+    if (response.status === 409 && result.conflicts) {
+      throw new ConflictError(result.error, result.conflicts);
+    }
+    if (!response.ok) {
+      throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return result;
+  }
+
+  sendJSON(path, method, body, headers = {}) {
+    return this.request(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // 读取记录时的修订号，服务器据此判断记录是否已被其他人修改
+  ifMatch(rev) {
+    return rev === undefined ? {} : { 'If-Match': `"${rev}"` };
+  }
+
+  // 认证
+
+  // 当前用户及角色，未登录时 user 为 null，role 为匿名角色
+  getSession() {
+    return this.request('/api/auth/me');
+  }
+
+  login(username, password) {
+    return this.sendJSON('/api/auth/login', 'POST', { username, password });
+  }
+
+  logout() {
+    return this.request('/api/auth/logout', { method: 'POST' });
+  }
+
+  getUsers() {
+    return this.request('/api/users');
+  }
+
+  saveUser(id, userData) {
+    return this.sendJSON(id ? `/api/users/${id}` : '/api/users', id ? 'PUT' : 'POST', userData);
+  }
+
+  deleteUser(id) {
+    return this.request(`/api/users/${id}`, { method: 'DELETE' });
+  }
+
+  // 数据
+
+  loadData() {
+    return this.request('/api/data');
+  }
+
+  // 按记录提交修改，见 DataManager.applyChanges
+  applyChanges(changes) {
+    return this.sendJSON('/api/data', 'PATCH', { changes });
+  }
+
+  /**
+   * 订阅其他用户的修改（Server-Sent Events），断线后浏览器自动重连，服务器补发错过的修改
+   * @param {Object} handlers
+   * @param {Function} handlers.onChanges 收到一批记录变化 [{ type, collection, id, record }]
+   * @param {Function} handlers.onReload 错过的修改无法补发，需要重新加载全部数据
+   * @returns {Object} { close } 取消订阅
+   */
+  subscribe({ onChanges, onReload }) {
+    const source = new EventSource(this.baseUrl + '/api/events');
+    source.addEventListener('changes', event => onChanges(JSON.parse(event.data).changes));
+    source.addEventListener('reload', () => onReload());
+    return { close: () => source.close() };
+  }
+
+  // 页面文件和缩略图地址
+  getPageUrl(encryptedName) {
+    return `${this.baseUrl}/html-files/${encryptedName}`;
+  }
+
+  // 服务器为页面下发 CSP sandbox 响应头，新窗口直接打开
+  getPageWindowUrl(encryptedName) {
+    return this.getPageUrl(encryptedName);
+  }
+
+  getThumbnailUrl(file) {
+    // 带上生成时间，缩略图更新后绕过浏览器缓存
+    return `${this.baseUrl}/api/files/${file.id}/thumbnail?v=${encodeURIComponent(file.thumbnailTime || '')}`;
+  }
+
+  // 文件
+
+  listFiles(filters = {}) {
+    return this.request(`/api/files?${new URLSearchParams(filters)}`);
+  }
+
+  searchFiles(query, filters = {}) {
+    return this.request(`/api/search?${new URLSearchParams({ ...filters, q: query })}`);
+  }
+
+  getFile(id) {
+    return this.request(`/api/files/${id}`);
+  }
+
+  addFile(fileData) {
+    const formData = new FormData();
+
+    // 添加文件：单个HTML、ZIP 压缩包，或 HTML 连同 CSS/JS/图片等资源
+    const files = fileData.files || (fileData.file ? [fileData.file] : []);
+    files.forEach(file => {
+      formData.append('file', file, file.webkitRelativePath || file.name);
+    });
+
+    // 添加其他数据
+    Object.keys(fileData).forEach(key => {
+      if (key !== 'file' && key !== 'files' && fileData[key] != null) {
+        if (Array.isArray(fileData[key])) {
+          formData.append(key, JSON.stringify(fileData[key]));
+        } else {
+          formData.append(key, fileData[key]);
+        }
+      }
+    });
+
+    return this.request('/api/upload', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  updateFile(id, fileData, rev) {
+    return this.sendJSON(`/api/files/${id}`, 'PUT', fileData, this.ifMatch(rev));
+  }
+
+  deleteFile(id, rev) {
+    return this.request(`/api/files/${id}`, { method: 'DELETE', headers: this.ifMatch(rev) });
+  }
+
+  scanFile(id) {
+    return this.request(`/api/files/${id}/scan`, { method: 'POST' });
+  }
+
+  regenerateThumbnail(id) {
+    return this.request(`/api/files/${id}/thumbnail`, { method: 'POST' });
+  }
+
+  // 批量编辑，options.revs 为各文件的修订号 { 文件ID: rev }
+  bulkEditFiles(ids, action, changes, options = {}) {
+    return this.sendJSON('/api/files/bulk', 'POST', { ids, action, changes, revs: options.revs, dryRun: !!options.dryRun });
+  }
+
+  // 版本
+
+  getRevisions(id) {
+    return this.request(`/api/files/${id}/revisions`);
+  }
+
+  // files 为单个文件或文件数组：单个HTML、ZIP 压缩包，或 HTML 连同 CSS/JS/图片等资源
+  uploadRevision(id, files, note = '') {
+    const formData = new FormData();
+    (Array.isArray(files) ? files : [files]).forEach(file => {
+      formData.append('file', file, file.webkitRelativePath || file.name);
+    });
+    formData.append('note', note);
+
+    return this.request(`/api/files/${id}/revisions`, {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  getRevisionDiff(id, from, to) {
+    return this.request(`/api/files/${id}/diff?${new URLSearchParams({ from, to })}`);
+  }
+
+  rollbackRevision(id, version) {
+    return this.sendJSON(`/api/files/${id}/rollback`, 'POST', { version });
+  }
+
+  // 评分
+
+  getRubric() {
+    return this.request('/api/rubric');
+  }
+
+  saveRubric(criteria) {
+    return this.sendJSON('/api/rubric', 'PUT', { criteria });
+  }
+
+  getReviews(id) {
+    return this.request(`/api/files/${id}/reviews`);
+  }
+
+  saveReview(id, scores, comment = '') {
+    return this.sendJSON(`/api/files/${id}/reviews`, 'PUT', { scores, comment });
+  }
+
+  deleteReview(id) {
+    return this.request(`/api/files/${id}/reviews`, { method: 'DELETE' });
+  }
+
+  getLeaderboard(groupBy = '') {
+    return this.request(`/api/leaderboard?${new URLSearchParams(groupBy ? { groupBy } : {})}`);
+  }
+
+  // 盲评投票
+
+  getVotePair(filters = {}) {
+    return this.request(`/api/votes/pair?${new URLSearchParams(filters)}`);
+  }
+
+  submitVote(a, b, winner) {
+    return this.sendJSON('/api/votes', 'POST', { a, b, winner });
+  }
+
+  getRatings(filters = {}) {
+    return this.request(`/api/ratings?${new URLSearchParams(filters)}`);
+  }
+
+  resetRatings() {
+    return this.request('/api/ratings/reset', { method: 'POST' });
+  }
+
+  // 标签、模型、分类，kind 为 tags、models 或 categories
+
+  listPresets(kind) {
+    return this.request(`/api/${kind}`);
+  }
+
+  addPreset(kind, presetData) {
+    return this.sendJSON(`/api/${kind}`, 'POST', presetData);
+  }
+
+  updatePreset(kind, id, presetData, rev) {
+    return this.sendJSON(`/api/${kind}/${id}`, 'PUT', presetData, this.ifMatch(rev));
+  }
+
+  deletePreset(kind, id, rev) {
+    return this.request(`/api/${kind}/${id}`, { method: 'DELETE', headers: this.ifMatch(rev) });
+  }
+
+  // 标签整理，options.dryRun 为 true 时只返回计划，options.rev 为标签的修订号
+
+  mergeTag(id, into, options = {}) {
+    return this.sendJSON(`/api/tags/${id}/merge`, 'POST', { into, dryRun: !!options.dryRun }, this.ifMatch(options.rev));
+  }
+
+  splitTag(id, parts, options = {}) {
+    return this.sendJSON(`/api/tags/${id}/split`, 'POST', { parts, dryRun: !!options.dryRun }, this.ifMatch(options.rev));
+  }
+
+  // 删除标签，options.reassignTo 为文件改用的标签，未指定时从文件中移除
+  removeTag(id, options = {}) {
+    const params = new URLSearchParams(options.reassignTo ? { reassignTo: options.reassignTo } : { detach: 'true' });
+    if (options.dryRun) params.set('dryRun', 'true');
+    return this.request(`/api/tags/${id}?${params}`, { method: 'DELETE', headers: this.ifMatch(options.rev) });
+  }
+
+  // 删除分类，options.reassignTo 为文件改用的分类，未指定时改为未分类
+  removeCategory(id, options = {}) {
+    const params = new URLSearchParams(options.reassignTo ? { reassignTo: options.reassignTo } : { detach: 'true' });
+    if (options.dryRun) params.set('dryRun', 'true');
+    return this.request(`/api/categories/${id}?${params}`, { method: 'DELETE', headers: this.ifMatch(options.rev) });
+  }
+
+  // 引用完整性
+
+  checkIntegrity() {
+    return this.request('/api/integrity');
+  }
+
+  fixIntegrity(options = {}) {
+    return this.sendJSON('/api/integrity/fix', 'POST', { dryRun: !!options.dryRun });
+  }
+
+  // 自动规则
+
+  getRules() {
+    return this.request('/api/rules');
+  }
+
+  saveRule(id, rule) {
+    return id
+      ? this.sendJSON(`/api/rules/${id}`, 'PUT', rule)
+      : this.sendJSON('/api/rules', 'POST', rule);
+  }
+
+  deleteRule(id) {
+    return this.request(`/api/rules/${id}`, { method: 'DELETE' });
+  }
+
+  previewRule(rule) {
+    return this.sendJSON('/api/rules/preview', 'POST', { rule });
+  }
+
+  applyRules(options = {}) {
+    return this.sendJSON('/api/rules/apply', 'POST', { dryRun: !!options.dryRun });
+  }
+
+  // 导入导出
+
+  scanDirectory(directory) {
+    return this.sendJSON('/api/scan-directory', 'POST', { directory });
+  }
+
+  batchUpload(files, commonData) {
+    return this.sendJSON('/api/batch-upload', 'POST', { files, ...commonData });
+  }
+
+  // 导出离线查看器，返回 { blob, fileName, exported, missing }
+  async exportLibrary(ids, options = {}) {
+    const response = await fetch(`${this.baseUrl}/api/export`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ids, format: options.format, title: options.title })
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    return {
+      blob: await response.blob(),
+      fileName: match ? match[1] : 'openonehtml-export',
+      exported: Number(response.headers.get('X-Export-Count')) || 0,
+      missing: Number(response.headers.get('X-Export-Missing')) || 0
+    };
+  }
+
+  importStaticExport(file, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', options.dryRun ? 'true' : 'false');
+    formData.append('resolutions', JSON.stringify(options.resolutions || {}));
+
+    return this.request('/api/sync/import', {
+      method: 'POST',
+      body: formData
+    });
+  }
+}
@@ -7,6 +7,8 @@ class UIManager {
     this.searchPanel = null;
     this.fileList = null;
     this.modalManager = null;
+    this.compareView = null;
+    this.blindVoteView = null;
     this.isInitialized = false;
   }
 
@@ -20,9 +22,13 @@ class UIManager {
       this.initFileList();
       this.initModalManager();
       this.initSettingsPanel();
+      this.initCompareView();
+      this.initBlindVoteView();
+      this.initAuthControls();
 
       // 设置事件监听
       this.setupEventListeners();
+      this.applyPermissions();
 
       this.isInitialized = true;
       console.log('UI管理器初始化完成');
@@ -62,6 +68,121 @@ class UIManager {
     this.settingsPanel.init();
   }
 
+  // 初始化对比视图
+  initCompareView() {
+    this.compareView = new CompareView(this.dataManager, this.presetManager);
+    this.compareView.init();
+  }
+
+  // 初始化盲评视图
+  initBlindVoteView() {
+    this.blindVoteView = new BlindVoteView(this.dataManager, this.presetManager);
+    this.blindVoteView.init();
+  }
+
+  // 初始化登录状态区域
+  initAuthControls() {
+    const container = document.getElementById('authControls');
+    if (!container) return;
+
+    const user = this.dataManager.currentUser;
+    container.innerHTML = '';
+
+    // 静态版本没有登录，本地修改通过"同步"导出
+    if (!this.dataManager.supports('auth')) {
+      if (this.dataManager.supports('staticSync')) {
+        const syncBtn = document.createElement('button');
+        syncBtn.className = 'btn btn-secondary';
+        syncBtn.textContent = '同步';
+        syncBtn.addEventListener('click', () => this.modalManager.showSyncModal());
+        container.appendChild(syncBtn);
+      }
+      return;
+    }
+
+    if (!user) {
+      const loginBtn = document.createElement('button');
+      loginBtn.className = 'btn btn-secondary';
+      loginBtn.textContent = '登录';
+      loginBtn.addEventListener('click', () => this.modalManager.showLoginModal());
+      container.appendChild(loginBtn);
+      return;
+    }
+
+    const roleNames = { viewer: '查看者', editor: '编辑者', admin: '管理员' };
+    const info = document.createElement('span');
+    info.className = 'auth-user';
+    info.innerHTML = `<strong></strong> (${roleNames[user.role] || user.role})`;
+    info.querySelector('strong').textContent = user.username;
+    container.appendChild(info);
+
+    if (this.dataManager.hasRole('admin')) {
+      const usersBtn = document.createElement('button');
+      usersBtn.className = 'btn btn-secondary';
+      usersBtn.textContent = '用户管理';
+      usersBtn.addEventListener('click', () => this.modalManager.showUserManagerModal());
+      container.appendChild(usersBtn);
+    }
+
+    if (this.dataManager.hasRole('admin') && this.dataManager.supports('staticImport')) {
+      const syncBtn = document.createElement('button');
+      syncBtn.className = 'btn btn-secondary';
+      syncBtn.textContent = '静态版同步';
+      syncBtn.addEventListener('click', () => this.modalManager.showStaticImportModal());
+      container.appendChild(syncBtn);
+    }
+
+    const logoutBtn = document.createElement('button');
+    logoutBtn.className = 'btn btn-secondary';
+    logoutBtn.textContent = '退出';
+    logoutBtn.addEventListener('click', async () => {
+      try {
+        await this.dataManager.logout();
+        window.location.reload();
+      } catch (error) {
+        this.showMessage('退出登录失败', 'error');
+      }
+    });
+    container.appendChild(logoutBtn);
+  }
+
+  // 根据当前角色和版本支持的功能隐藏无法使用的操作（服务端同样会校验）
+  applyPermissions() {
+    const required = {
+      addFileBtn: 'editor',
+      batchManageBtn: 'admin',
+      scanDirectoryBtn: 'admin',
+      blindVoteBtn: 'editor',
+      rulesBtn: 'editor',
+      selectModeBtn: 'editor',
+      trashBtn: 'editor',
+      exportBtn: 'viewer'
+    };
+    const features = {
+      addFileBtn: 'upload',
+      batchManageBtn: 'scanDirectory',
+      scanDirectoryBtn: 'scanDirectory',
+      blindVoteBtn: 'votes',
+      rulesBtn: 'rules',
+      selectModeBtn: 'write',
+      trashBtn: 'write',
+      exportBtn: 'export'
+    };
+
+    Object.keys(required).forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        const allowed = this.dataManager.hasRole(required[id]) && this.dataManager.supports(features[id]);
+        button.style.display = allowed ? '' : 'none';
+      }
+    });
+
+    // 匿名访问被禁用时直接要求登录
+    if (!this.dataManager.role) {
+      this.modalManager.showLoginModal();
+    }
+  }
+
   // 设置事件监听
   setupEventListeners() {
     // 添加文件按钮
@@ -88,6 +209,30 @@ class UIManager {
       });
     }
 
+    // 对比模式按钮
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) {
+      compareBtn.addEventListener('click', () => {
+        this.compareView.open();
+      });
+    }
+
+    // 盲评按钮
+    const blindVoteBtn = document.getElementById('blindVoteBtn');
+    if (blindVoteBtn) {
+      blindVoteBtn.addEventListener('click', () => {
+        this.blindVoteView.open();
+      });
+    }
+
+    // 自动规则按钮
+    const rulesBtn = document.getElementById('rulesBtn');
+    if (rulesBtn) {
+      rulesBtn.addEventListener('click', () => {
+        this.modalManager.showRuleManagerModal();
+      });
+    }
+
     // 设置按钮（如果存在的话）
     const settingsBtn = document.getElementById('settingsBtn');
     console.log('设置按钮:', settingsBtn);
@@ -140,6 +285,8 @@ class StatsPanel {
   constructor(dataManager) {
     this.dataManager = dataManager;
     this.removeListener = null;
+    this.removeLeaderboardListener = null;
+    this.leaderboardRequestId = 0;
   }
 
   init() {
@@ -153,6 +300,9 @@ class StatsPanel {
 
     // 设置点击事件
     this.setupClickEvents();
+
+    // 模型排行榜
+    this.initLeaderboard();
   }
 
   updateStats(stats) {
@@ -197,19 +347,29 @@ class StatsPanel {
     }
   }
 
+  // 预置选项管理需要编辑权限
+  canManage() {
+    if (this.dataManager.hasRole('editor')) return true;
+    window.OpenOneHTML.showMessage('需要编辑权限，请先登录', 'error');
+    return false;
+  }
+
   showTagManager() {
+    if (!this.canManage()) return;
     if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.modalManager) {
       window.OpenOneHTML.uiManager.modalManager.showTagManagerModal();
     }
   }
 
   showModelManager() {
+    if (!this.canManage()) return;
     if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.modalManager) {
       window.OpenOneHTML.uiManager.modalManager.showModelManagerModal();
     }
   }
 
   showCategoryManager() {
+    if (!this.canManage()) return;
     if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.modalManager) {
       window.OpenOneHTML.uiManager.modalManager.showCategoryManagerModal();
     }
@@ -222,14 +382,134 @@ class StatsPanel {
     }
   }
 
+  initLeaderboard() {
+    // 评分保存在服务器上，静态版本不显示排行榜
+    if (!this.dataManager.supports('reviews')) {
+      const leaderboard = document.getElementById('leaderboard');
+      if (leaderboard) leaderboard.style.display = 'none';
+      return;
+    }
+
+    const groupBySelect = document.getElementById('leaderboardGroupBy');
+    const rubricBtn = document.getElementById('editRubricBtn');
+
+    if (groupBySelect) {
+      groupBySelect.value = localStorage.getItem('leaderboardGroupBy') || '';
+      groupBySelect.addEventListener('change', () => {
+        localStorage.setItem('leaderboardGroupBy', groupBySelect.value);
+        this.loadLeaderboard();
+      });
+    }
+
+    // 评分标准只有管理员可以修改
+    if (rubricBtn) {
+      rubricBtn.hidden = !this.dataManager.hasRole('admin');
+      rubricBtn.addEventListener('click', () => {
+        window.OpenOneHTML.uiManager.modalManager.showRubricModal();
+      });
+    }
+
+    // 评分变化或文件的模型、分类变化时刷新
+    document.addEventListener('reviewsChanged', () => this.loadLeaderboard());
+    this.removeLeaderboardListener = this.dataManager.addListener(() => this.loadLeaderboard());
+
+    this.loadLeaderboard();
+  }
+
+  async loadLeaderboard() {
+    const body = document.getElementById('leaderboardBody');
+    if (!body || !this.dataManager.role) return;
+
+    const groupBy = document.getElementById('leaderboardGroupBy')?.value || '';
+    const requestId = ++this.leaderboardRequestId;
+
+    try {
+      const data = await this.dataManager.getLeaderboard(groupBy);
+      if (requestId !== this.leaderboardRequestId) return;
+      this.renderLeaderboard(body, data, groupBy);
+    } catch (error) {
+      body.textContent = '加载排行榜失败';
+    }
+  }
+
+  renderLeaderboard(container, data, groupBy) {
+    container.innerHTML = '';
+
+    if (data.overall.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'leaderboard-empty';
+      empty.textContent = '还没有评分，在文件卡片上点击"评分"开始评审';
+      container.appendChild(empty);
+      return;
+    }
+
+    if (!groupBy) {
+      container.appendChild(this.createLeaderboardTable(data.overall, data.criteria));
+      return;
+    }
+
+    const groupLabel = groupBy === 'category' ? '分类' : '提示词';
+    data.groups.forEach(group => {
+      const section = document.createElement('div');
+      section.className = 'leaderboard-group';
+
+      const title = document.createElement('h4');
+      const label = group.label || group.key;
+      title.textContent = label ? `${groupLabel}：${label}` : `未填写${groupLabel}`;
+      title.title = label;
+      section.appendChild(title);
+
+      section.appendChild(this.createLeaderboardTable(group.models, data.criteria));
+      container.appendChild(section);
+    });
+  }
+
+  createLeaderboardTable(models, criteria) {
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+
+    const headRow = table.createTHead().insertRow();
+    ['#', '模型', '综合', ...criteria.map(c => c.name), '文件', '评审'].forEach((label, index) => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      const criterion = criteria[index - 3];
+      if (criterion) th.title = `${criterion.description || criterion.name}（权重 ${criterion.weight}）`;
+      headRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    models.forEach((model, index) => {
+      const row = tbody.insertRow();
+      const cells = [
+        index + 1,
+        model.modelName,
+        model.score.toFixed(2),
+        ...criteria.map(c => (typeof model.criteria[c.id] === 'number' ? model.criteria[c.id].toFixed(2) : '-')),
+        model.files,
+        model.reviews
+      ];
+      cells.forEach((value, cellIndex) => {
+        const cell = row.insertCell();
+        cell.textContent = value;
+        if (cellIndex === 2) cell.className = 'leaderboard-score';
+      });
+    });
+
+    return table;
+  }
+
   async refresh() {
     this.updateStats(this.dataManager.getStats());
+    this.loadLeaderboard();
   }
 
   destroy() {
     if (this.removeListener) {
       this.removeListener();
     }
+    if (this.removeLeaderboardListener) {
+      this.removeLeaderboardListener();
+    }
   }
 }
 
@@ -308,19 +588,16 @@ class SearchPanel {
     const categoryFilter = document.getElementById('categoryFilter');
     if (!categoryFilter) return;
 
-    const files = this.dataManager.data?.files || [];
-    const categories = [...new Set(files.map(f => f.category).filter(Boolean))];
-
     // 清空现有选项（保留"全部"选项）
     const defaultOption = categoryFilter.querySelector('option[value=""]');
     categoryFilter.innerHTML = '';
     if (defaultOption) categoryFilter.appendChild(defaultOption);
 
-    // 添加分类选项
-    categories.forEach(category => {
+    // 添加分类选项，下级分类缩进显示，选择上级分类时包含所有下级分类
+    this.presetManager.getCategoryTree().forEach(({ category, depth }) => {
       const option = document.createElement('option');
-      option.value = category;
-      option.textContent = category;
+      option.value = category.id;
+      option.textContent = `${'\u3000'.repeat(depth)}${category.name}`;
       categoryFilter.appendChild(option);
     });
   }
@@ -329,18 +606,16 @@ class SearchPanel {
     const tagsFilter = document.getElementById('tagsFilter');
     if (!tagsFilter) return;
 
-    const tags = this.presetManager.getTags();
-
     // 清空现有选项（保留"选择标签"选项）
     const defaultOption = tagsFilter.querySelector('option[value=""]');
     tagsFilter.innerHTML = '';
     if (defaultOption) tagsFilter.appendChild(defaultOption);
 
-    // 添加标签选项
-    tags.forEach(tag => {
+    // 添加标签选项，下级标签缩进显示，选择上级标签时包含所有下级标签
+    this.presetManager.getTagTree().forEach(({ tag, depth }) => {
       const option = document.createElement('option');
       option.value = tag.id;
-      option.textContent = tag.name;
+      option.textContent = `${'\u3000'.repeat(depth)}${tag.name}`;
       tagsFilter.appendChild(option);
     });
   }
@@ -393,10 +668,51 @@ class SearchPanel {
   }
 
   performSearch() {
-    this.currentFilters = this.getCurrentFilters();
+    const filters = this.getCurrentFilters();
+
+    // 语法错误时提示并保留当前结果，不触发搜索
+    if (!this.validateQuery(filters.search)) return;
+
+    this.currentFilters = filters;
     this.triggerSearch();
   }
 
+  /**
+   * 校验查询语句，出错时在搜索框下方显示错误位置
+   * @param {string} query 查询语句
+   * @returns {boolean} 是否有效
+   */
+  validateQuery(query) {
+    try {
+      QueryLanguage.parse(query);
+      this.showQueryError(null);
+      return true;
+    } catch (error) {
+      if (!(error instanceof QueryLanguage.QuerySyntaxError)) throw error;
+      this.showQueryError(error, query);
+      return false;
+    }
+  }
+
+  showQueryError(error, query = '') {
+    const searchInput = document.getElementById('searchInput');
+    const errorBox = document.getElementById('searchError');
+
+    if (searchInput) searchInput.classList.toggle('invalid', !!error);
+    if (!errorBox) return;
+
+    errorBox.innerHTML = '';
+    errorBox.hidden = !error;
+    if (!error) return;
+
+    // 显示出错位置附近的内容
+    const start = Math.max(0, error.position - 10);
+    const excerpt = document.createElement('code');
+    excerpt.textContent = `${start > 0 ? '…' : ''}${query.slice(start, error.position + 10)}`;
+
+    errorBox.append(`查询语法错误：${error.message}（第 ${error.position + 1} 个字符）`, ' ', excerpt);
+  }
+
   onFilterChange() {
     this.performSearch();
   }
@@ -414,6 +730,7 @@ class SearchPanel {
     }
     if (modelFilter) modelFilter.value = '';
 
+    this.showQueryError(null);
     this.currentFilters = {};
     this.triggerSearch();
   }
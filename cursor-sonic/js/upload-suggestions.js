@@ -0,0 +1,263 @@
+/**
+ * 上传时的标签、分类和模型建议
+ * 浏览器与服务端共用，不依赖网络：analyzePage 从页面源码中识别使用的库和技术
+ * （Canvas、SVG、WebGL、表单、媒体查询、本地存储等），suggest 结合提示词、标题和文件名，
+ * 在已有的标签、分类和模型中挑选建议。只建议已存在的选项，名称按名称和别名匹配（不区分大小写）。
+ * 模型根据文件名前缀猜测（如 "kimik2-截屏.html"），前缀与模型名称相同，
+ * 或已有文件名前缀相同的文件使用了该模型。
+ * 建议格式：
+ *   {
+ *     features: [{ id, label }],                     页面中识别到的库和技术
+ *     tags: [{ id, name, reasons }],                 按依据数量排序
+ *     category: { id, name, reasons } | null,
+ *     model: { id, name, reasons } | null
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UploadSuggestions = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_TAGS = 6;
+
+  // 常用的库：按 <script>/<link> 地址或代码中的全局变量识别
+  const LIBRARIES = [
+    { id: 'three', label: 'Three.js', pattern: /three(\.module)?(\.min)?\.js|\bTHREE\.\w+/, tags: ['Three.js', '3D', '三维'], categories: ['3D'] },
+    { id: 'babylon', label: 'Babylon.js', pattern: /babylon(\.min)?\.js|\bBABYLON\.\w+/, tags: ['Babylon.js', '3D', '三维'], categories: ['3D'] },
+    { id: 'd3', label: 'D3.js', pattern: /\bd3(\.v\d+)?(\.min)?\.js|\bd3\.select/, tags: ['D3', '数据可视化', '图表'], categories: ['数据可视化', '可视化'] },
+    { id: 'chartjs', label: 'Chart.js', pattern: /chart(\.umd)?(\.min)?\.js|new Chart\(/i, tags: ['Chart.js', '数据可视化', '图表'], categories: ['数据可视化', '可视化'] },
+    { id: 'echarts', label: 'ECharts', pattern: /echarts(\.min)?\.js|echarts\.init/i, tags: ['ECharts', '数据可视化', '图表'], categories: ['数据可视化', '可视化'] },
+    { id: 'plotly', label: 'Plotly', pattern: /plotly[\w.-]*\.js|Plotly\.newPlot/, tags: ['Plotly', '数据可视化', '图表'], categories: ['数据可视化', '可视化'] },
+    { id: 'p5', label: 'p5.js', pattern: /p5(\.min)?\.js|function\s+setup\s*\(\)[\s\S]*createCanvas\(/, tags: ['p5.js', '创意编程', '动画'], categories: ['动画', '创意编程'] },
+    { id: 'pixi', label: 'PixiJS', pattern: /pixi(\.min)?\.js|\bPIXI\.\w+/, tags: ['PixiJS', '游戏', '动画'], categories: ['游戏'] },
+    { id: 'phaser', label: 'Phaser', pattern: /phaser(\.min)?\.js|\bPhaser\.Game/, tags: ['Phaser', '游戏'], categories: ['游戏'] },
+    { id: 'matter', label: 'Matter.js', pattern: /matter(\.min)?\.js|\bMatter\.Engine/, tags: ['Matter.js', '物理'], categories: ['游戏'] },
+    { id: 'gsap', label: 'GSAP', pattern: /gsap(\.min)?\.js|\bgsap\.(to|from|timeline)/, tags: ['GSAP', '动画'], categories: ['动画'] },
+    { id: 'anime', label: 'anime.js', pattern: /anime(\.min)?\.js|\banime\(\{/, tags: ['anime.js', '动画'], categories: ['动画'] },
+    { id: 'leaflet', label: 'Leaflet', pattern: /leaflet(\.min)?\.(js|css)|\bL\.map\(/, tags: ['Leaflet', '地图'], categories: ['地图'] },
+    { id: 'tone', label: 'Tone.js', pattern: /tone(\.min)?\.js|\bTone\.(Synth|Transport)/, tags: ['Tone.js', '音频', '音乐'], categories: ['音乐', '音频'] },
+    { id: 'vue', label: 'Vue', pattern: /vue(\.global)?(\.prod)?(\.min)?\.js|Vue\.createApp|new Vue\(/, tags: ['Vue'] },
+    { id: 'react', label: 'React', pattern: /react(-dom)?(\.production)?(\.min)?\.js|ReactDOM\.(render|createRoot)/, tags: ['React'] },
+    { id: 'jquery', label: 'jQuery', pattern: /jquery[\w.-]*\.js/i, tags: ['jQuery'] },
+    { id: 'tailwind', label: 'Tailwind CSS', pattern: /cdn\.tailwindcss\.com|tailwind[\w.-]*\.css/, tags: ['Tailwind', 'Tailwind CSS'] },
+    { id: 'bootstrap', label: 'Bootstrap', pattern: /bootstrap[\w.-]*\.(css|js)/, tags: ['Bootstrap'] },
+    { id: 'marked', label: 'Marked', pattern: /marked(\.min)?\.js|marked\.parse\(/, tags: ['Markdown'], categories: ['工具'] },
+    { id: 'katex', label: 'KaTeX / MathJax', pattern: /katex|mathjax/i, tags: ['数学', '公式'], categories: ['教育', '教学演示'] }
+  ];
+
+  // 页面使用的浏览器技术
+  const FEATURES = [
+    { id: 'webgl', label: 'WebGL', pattern: /getContext\(\s*['"](webgl2?|experimental-webgl)['"]/, tags: ['WebGL', '3D', '三维'], categories: ['3D'] },
+    { id: 'canvas', label: 'Canvas', pattern: /<canvas\b|getContext\(\s*['"]2d['"]/i, tags: ['Canvas', '画布'] },
+    { id: 'svg', label: 'SVG', pattern: /<svg\b/i, tags: ['SVG', '矢量图'] },
+    { id: 'form', label: '表单', pattern: /<form\b|<(select|textarea)\b|<input\b(?![^>]*type=["']?(hidden|file)\b)/i, tags: ['表单'] },
+    { id: 'media-query', label: '媒体查询', pattern: /@media[^{]*\((max|min)-width/i, tags: ['响应式', '移动端适配'] },
+    { id: 'storage', label: '本地存储', pattern: /\b(localStorage|sessionStorage|indexedDB)\b/, tags: ['本地存储', '数据持久化'] },
+    { id: 'file-input', label: '读取本地文件', pattern: /<input\b[^>]*type=["']?file\b|\bFileReader\b/i, tags: ['文件处理'], categories: ['工具'] },
+    { id: 'image', label: '图片处理', pattern: /\bdrawImage\(|\bgetImageData\(|\btoDataURL\(/, tags: ['图片处理'], categories: ['工具'] },
+    { id: 'audio', label: '音频', pattern: /<audio\b|\bAudioContext\b|new Audio\(/, tags: ['音频', '音乐'], categories: ['音乐', '音频'] },
+    { id: 'video', label: '视频', pattern: /<video\b|getUserMedia\(/, tags: ['视频'] },
+    { id: 'animation', label: '动画', pattern: /\brequestAnimationFrame\(|@keyframes\b/, tags: ['动画'] },
+    { id: 'keyboard', label: '键盘控制', pattern: /addEventListener\(\s*['"]key(down|up)['"]|\bonkey(down|up)\b/, tags: ['键盘交互'] },
+    { id: 'touch', label: '触摸事件', pattern: /\b(touchstart|touchmove|pointerdown)\b/, tags: ['触摸交互', '移动端'] },
+    { id: 'drag', label: '拖拽', pattern: /\bdraggable\b|\bdragstart\b|\bondrop\b/, tags: ['拖拽'] }
+  ];
+
+  // 同时具备多项技术时推断的用途
+  const COMBINATIONS = [
+    { id: 'game', label: '游戏循环', requires: ['animation', 'keyboard'], tags: ['游戏', '小游戏'], categories: ['游戏'] }
+  ];
+
+  // 提示词、背景需求和标题中的关键词
+  const KEYWORDS = [
+    { words: ['游戏', '小游戏', 'game'], tags: ['游戏', '小游戏'], categories: ['游戏'] },
+    { words: ['可视化', '图表', '仪表盘', 'chart', 'dashboard'], tags: ['数据可视化', '图表'], categories: ['数据可视化', '可视化'] },
+    { words: ['工具', '计算器', '转换器', '生成器', '查看器', 'tool'], tags: ['工具'], categories: ['工具', '实用工具'] },
+    { words: ['动画', '特效', 'animation'], tags: ['动画', '特效'], categories: ['动画', '特效'] },
+    { words: ['教学', '演示', '教程', '学习'], tags: ['教学演示'], categories: ['教育', '教学演示'] },
+    { words: ['响应式', '移动端', '手机'], tags: ['响应式', '移动端'] },
+    { words: ['原型', '交互原型', 'prototype'], tags: ['原型设计'], categories: ['原型'] },
+    { words: ['图片', '截图', '截屏', '照片'], tags: ['图片处理'] },
+    { words: ['3d', '三维'], tags: ['3D', '三维'], categories: ['3D'] },
+    { words: ['音乐', '音频', '声音'], tags: ['音频', '音乐'], categories: ['音乐', '音频'] }
+  ];
+
+  // 比较名称时忽略大小写、空白和常见分隔符
+  function normalize(value) {
+    return String(value || '').toLowerCase().replace(/[\s._\-/]+/g, '');
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 英文关键词按整词匹配，中文按包含匹配
+  function containsWord(text, word) {
+    if (/^[a-z0-9]+$/i.test(word)) {
+      return new RegExp(`(^|[^a-z0-9])${escapeRegExp(word)}([^a-z0-9]|$)`, 'i').test(text);
+    }
+    return text.includes(word);
+  }
+
+  /**
+   * 文件名前缀，用于猜测模型：取第一个 "-"、"_" 或空格之前的部分
+   * @param {string} fileName 文件名
+   * @returns {string} 规范化后的前缀，没有分隔符时为空字符串
+   */
+  function getFileNamePrefix(fileName) {
+    const base = String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    const match = base.match(/^([^-_\s]+)[-_\s]/);
+    return match ? normalize(match[1]) : '';
+  }
+
+  /**
+   * 识别页面使用的库和技术
+   * @param {string} html 页面源码（多文件上传时可以是 HTML、CSS、JS 拼接后的内容）
+   * @returns {Object} { title, features: [{ id, label }] }
+   */
+  function analyzePage(html) {
+    const source = String(html || '');
+    const found = [...LIBRARIES, ...FEATURES].filter(rule => rule.pattern.test(source));
+    const ids = new Set(found.map(rule => rule.id));
+    COMBINATIONS
+      .filter(rule => rule.requires.every(id => ids.has(id)))
+      .forEach(rule => found.push(rule));
+
+    const titleMatch = source.match(/<title[^>]*>([^<]*)<\/title>/i);
+    return {
+      title: titleMatch ? titleMatch[1].trim() : '',
+      features: found.map(rule => ({ id: rule.id, label: rule.label }))
+    };
+  }
+
+  function findRule(id) {
+    return [...LIBRARIES, ...FEATURES, ...COMBINATIONS].find(rule => rule.id === id) || null;
+  }
+
+  // 按名称（标签同时按别名）查找已有选项
+  function createMatcher(records, withAliases) {
+    const byName = new Map();
+    records.forEach(record => {
+      [record.name, ...(withAliases ? record.aliases || [] : [])].forEach(name => {
+        const key = normalize(name);
+        if (key && !byName.has(key)) byName.set(key, record);
+      });
+    });
+    return name => byName.get(normalize(name)) || null;
+  }
+
+  // 累计每个候选选项的依据，同一依据只记一次
+  function createCollector() {
+    const candidates = new Map();
+    return {
+      add(record, reason) {
+        if (!record) return;
+        if (!candidates.has(record.id)) candidates.set(record.id, { record, reasons: [] });
+        const { reasons } = candidates.get(record.id);
+        if (!reasons.includes(reason)) reasons.push(reason);
+      },
+      ranked() {
+        return [...candidates.values()]
+          .sort((a, b) => b.reasons.length - a.reasons.length)
+          .map(({ record, reasons }) => ({ id: record.id, name: record.name, reasons }));
+      }
+    };
+  }
+
+  function suggestModel(fileName, models, files) {
+    const prefix = getFileNamePrefix(fileName);
+    if (!prefix) return null;
+
+    const named = models.find(model => normalize(model.name) === prefix || normalize(model.id) === prefix);
+    if (named) {
+      return { id: named.id, name: named.name, reasons: [`文件名以"${prefix}"开头`] };
+    }
+
+    // 已有文件名前缀相同的文件使用最多的模型
+    const counts = new Map();
+    files
+      .filter(file => file.model && file.status !== 'deleted' && getFileNamePrefix(file.originalName) === prefix)
+      .forEach(file => counts.set(file.model, (counts.get(file.model) || 0) + 1));
+    const [best] = [...counts.entries()]
+      .filter(([id]) => models.some(model => model.id === id))
+      .sort((a, b) => b[1] - a[1]);
+    if (!best) return null;
+
+    const model = models.find(item => item.id === best[0]);
+    return { id: model.id, name: model.name, reasons: [`已有 ${best[1]} 个以"${prefix}"开头的文件使用此模型`] };
+  }
+
+  /**
+   * 生成建议
+   * @param {Object} input { fileName, html, page, prompt, background, title, description }，
+   *   page 为 analyzePage 的结果（已在服务端分析过时提供，此时不需要 html）
+   * @param {Object} presets { tags, categories, models, files }，files 用于按文件名前缀猜测模型
+   * @returns {Object} 建议
+   */
+  function suggest(input = {}, presets = {}) {
+    const tags = presets.tags || [];
+    const categories = presets.categories || [];
+    const models = presets.models || [];
+    const page = input.page || analyzePage(input.html);
+
+    const findTag = createMatcher(tags, true);
+    const findCategory = createMatcher(categories, false);
+    const tagCandidates = createCollector();
+    const categoryCandidates = createCollector();
+
+    // 页面中识别到的库和技术
+    page.features.forEach(feature => {
+      const rule = findRule(feature.id);
+      if (!rule) return;
+      const reason = `页面使用了 ${feature.label}`;
+      (rule.tags || []).forEach(name => tagCandidates.add(findTag(name), reason));
+      (rule.categories || []).forEach(name => categoryCandidates.add(findCategory(name), reason));
+    });
+
+    const texts = [
+      { label: '提示词', value: input.prompt },
+      { label: '背景需求', value: input.background },
+      { label: '标题', value: input.title || page.title },
+      { label: '描述', value: input.description },
+      { label: '文件名', value: input.fileName }
+    ].filter(text => text.value && String(text.value).trim());
+
+    texts.forEach(({ label, value }) => {
+      const text = String(value).toLowerCase();
+
+      KEYWORDS.forEach(rule => {
+        const word = rule.words.find(item => containsWord(text, item.toLowerCase()));
+        if (!word) return;
+        const reason = `${label}中有"${word}"`;
+        (rule.tags || []).forEach(name => tagCandidates.add(findTag(name), reason));
+        (rule.categories || []).forEach(name => categoryCandidates.add(findCategory(name), reason));
+      });
+
+      // 直接提到已有标签或分类的名称
+      tags.forEach(tag => {
+        const name = [tag.name, ...(tag.aliases || [])].find(item => item && item.length >= 2 && containsWord(text, item.toLowerCase()));
+        if (name) tagCandidates.add(tag, `${label}中有"${name}"`);
+      });
+      categories.forEach(category => {
+        if (category.name && category.name.length >= 2 && containsWord(text, category.name.toLowerCase())) {
+          categoryCandidates.add(category, `${label}中有"${category.name}"`);
+        }
+      });
+    });
+
+    return {
+      features: page.features,
+      tags: tagCandidates.ranked().slice(0, MAX_TAGS),
+      category: categoryCandidates.ranked()[0] || null,
+      model: suggestModel(input.fileName, models, presets.files || [])
+    };
+  }
+
+  return {
+    analyzePage,
+    suggest,
+    getFileNamePrefix
+  };
+});
@@ -2,327 +2,1275 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
+const os = require('os');
 const crypto = require('crypto');
 const cors = require('cors');
+const { createStorage, createAuthStorage, PRIVATE_COLLECTIONS } = require('./storage');
+const { ValidationError } = require('./storage/schema');
+const { ConflictError, checkRevision, parseIfMatch, formatETag } = require('./storage/revisions');
+const { diffLines } = require('./utils/text-diff');
+const { ROLES, hashPassword, verifyPassword, publicUser, createAuth } = require('./utils/auth');
+const { scanFile } = require('./utils/html-scanner');
+const Thumbnailer = require('./utils/thumbnailer');
+const { SearchIndex, extractPage } = require('./utils/search-index');
+const QueryLanguage = require('./js/query-language');
+const TagTaxonomy = require('./js/tag-taxonomy');
+const CategoryTree = require('./js/category-tree');
+const UploadSuggestions = require('./js/upload-suggestions');
+const AutoRules = require('./js/auto-rules');
+const BulkEdit = require('./js/bulk-edit');
+const { planIntegrityFix, checkReferences } = require('./storage/integrity');
+const scoring = require('./utils/scoring');
+const voting = require('./utils/voting');
+const { BundleError, ZipError, isHTML, isAllowedUpload, createBundle } = require('./utils/upload-bundle');
+const { ExportError, createLibraryExport } = require('./utils/library-export');
+const { SyncError, parseExport, loadBase, planImport, applyImport } = require('./utils/static-sync');
+const { ChangeError, applyChanges } = require('./utils/data-changes');
+const LiveUpdates = require('./utils/live-updates');
+const autoTagging = require('./utils/auto-tagging');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 上传的页面文件目录
+const HTML_DIR = path.join(__dirname, 'html-files');
+
+/**
+ * 页面文件在上传目录中的路径。文件名只取最后一段，不在上传目录内时返回 null
+ * @param {string} encryptedName 文件记录或版本中的页面文件名
+ * @returns {string|null}
+ */
+function resolvePagePath(encryptedName) {
+  if (!encryptedName || typeof encryptedName !== 'string') return null;
+  const pagePath = path.join(HTML_DIR, path.basename(encryptedName));
+  return path.dirname(pagePath) === HTML_DIR ? pagePath : null;
+}
+
+// 存储层（STORAGE_DRIVER=json|sqlite，默认 json）
+const store = createStorage();
+
+// 实时更新：文件、标签、模型和分类的变化推送给所有打开页面的用户
+const liveUpdates = new LiveUpdates();
+store.onChange(changes => liveUpdates.publish(changes));
+
+// 认证（AUTH_ANONYMOUS_ROLE 控制未登录用户的权限，默认只读）
+// 用户和会话保存在单独的 database/auth.json 中，不纳入版本控制
+const authStore = createAuthStorage(store);
+const auth = createAuth(authStore);
+auth.ensureAdmin();
+const { requireRole } = auth;
+
 // 中间件配置
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-
-// 静态文件服务
-app.use(express.static(path.join(__dirname)));
-app.use('/html-files', express.static(path.join(__dirname, 'html-files')));
-
-// 文件上传配置
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, 'html-files');
-    fs.ensureDirSync(uploadPath);
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // 生成32位随机文件名
-    const randomName = crypto.randomBytes(16).toString('hex');
-    const extension = path.extname(file.originalname);
-    cb(null, randomName + extension);
+app.use(auth.authenticate);
+
+// 数据目录包含用户和会话信息，禁止作为静态文件访问
+app.use('/database', (req, res) => res.status(404).end());
+// 缩略图是页面截图，只通过 /api/files/:id/thumbnail 按查看权限读取
+app.use('/thumbnails', (req, res) => res.status(404).end());
+// 页面文件与列表使用相同的查看权限
+app.use('/html-files', requireRole('viewer'));
+
+// 上传的页面通过 CSP sandbox 运行在独立的匿名源中，无法携带登录凭据或读取管理端存储，
+// 同时禁止页面发起网络请求和提交表单。外部脚本、样式、图片等同样不加载，
+// 避免页面借外部资源把内容带出去；页面需要的资源应打包上传（见压缩包上传）
+const PREVIEW_CSP = [
+  'sandbox allow-scripts allow-modals allow-popups',
+  "default-src 'none'",
+  "script-src 'unsafe-inline' 'unsafe-eval'",
+  "style-src 'unsafe-inline'",
+  'img-src data: blob:',
+  'font-src data:',
+  'media-src data: blob:',
+  "connect-src 'none'",
+  "form-action 'none'",
+  "base-uri 'none'",
+  "frame-ancestors 'self'"
+].join('; ');
+
+// 静态文件服务（上传文件目录必须先于根目录注册，确保安全响应头生效）
+app.use('/html-files', express.static(HTML_DIR, {
+  setHeaders: (res) => {
+    res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
   }
-});
+}));
+app.use(express.static(path.join(__dirname)));
+
+// 新建文件和上传新版本时可以上传单个HTML、ZIP 压缩包，或 HTML 连同 CSS/JS/图片一起上传，
+// 先保存到每个请求独立的临时目录，合并为单个HTML后再移入上传目录
+const MAX_UPLOAD_FILES = 100;
 
-const upload = multer({
-  storage: storage,
+const bundleUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      try {
+        if (!req.uploadDir) {
+          req.uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openonehtml-upload-'));
+        }
+        cb(null, req.uploadDir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      cb(null, crypto.randomBytes(16).toString('hex'));
+    }
+  }),
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/html' || path.extname(file.originalname).toLowerCase() === '.html') {
+    if (isAllowedUpload(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('只允许上传HTML文件！'), false);
+      cb(new Error(`不支持的文件类型: ${file.originalname}`), false);
     }
   },
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
-  }
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: MAX_UPLOAD_FILES
+  },
+  // 多文件上传时文件名带有相对路径（如 css/style.css）
+  preservePath: true
 });
 
-// 工具函数
-function loadData() {
-  try {
-    const dataPath = path.join(__dirname, 'database', 'data.json');
-    if (fs.existsSync(dataPath)) {
-      return JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-    }
-  } catch (error) {
-    console.error('加载数据失败:', error);
+function removeUploadDir(req) {
+  if (req.uploadDir) {
+    fs.removeSync(req.uploadDir);
+    req.uploadDir = null;
+  }
+}
+
+function receiveUpload(req, res, next) {
+  bundleUpload.array('file', MAX_UPLOAD_FILES)(req, res, error => {
+    if (!error) return next();
+
+    removeUploadDir(req);
+    const messages = {
+      LIMIT_FILE_SIZE: '单个文件不能超过10MB',
+      LIMIT_FILE_COUNT: `一次最多上传 ${MAX_UPLOAD_FILES} 个文件`,
+      LIMIT_UNEXPECTED_FILE: `一次最多上传 ${MAX_UPLOAD_FILES} 个文件`
+    };
+    res.status(400).json({ error: messages[error.code] || error.message });
+  });
+}
+
+/**
+ * 把收到的文件保存为上传目录中的页面：单个HTML直接移入，压缩包或多个文件先合并为单个HTML
+ * @param {Array<Object>} files receiveUpload 保存在临时目录中的文件
+ * @param {string} uploadDir 请求的临时目录
+ * @returns {Promise<Object>} { encryptedName, pagePath, originalName, bundle }，单个HTML时 bundle 为 null
+ * @throws {BundleError|ZipError} 上传内容无效
+ */
+async function savePage(files, uploadDir) {
+  const encryptedName = crypto.randomBytes(16).toString('hex') + '.html';
+  const pagePath = path.join(HTML_DIR, encryptedName);
+
+  if (files.length === 1 && isHTML(files[0].originalname)) {
+    fs.moveSync(files[0].path, pagePath);
+    return { encryptedName, pagePath, originalName: files[0].originalname, bundle: null };
   }
-  return { version: "1.0.0", files: [], preset_tags: [], preset_models: [], settings: { totalFiles: 0, totalTags: 0, totalModels: 0, totalCategories: 0 } };
+
+  const result = await createBundle(files, uploadDir);
+  fs.outputFileSync(pagePath, result.html);
+  return {
+    encryptedName,
+    pagePath,
+    // 压缩包以包名命名，多文件上传以入口页面命名
+    originalName: result.source === 'zip'
+      ? files[0].originalname.replace(/\.zip$/i, '.html')
+      : path.posix.basename(result.entry),
+    bundle: {
+      source: result.source,
+      entry: result.entry,
+      inlined: result.inlined,
+      unresolved: result.unresolved,
+      skipped: result.skipped,
+      references: result.references
+    }
+  };
 }
 
-function saveData(data) {
+// 扫描上传目录中的文件，返回安全检查结果
+function scanUploadedFile(encryptedName) {
+  const pagePath = resolvePagePath(encryptedName);
+  if (!pagePath) return null;
   try {
-    const dataPath = path.join(__dirname, 'database', 'data.json');
-    fs.ensureDirSync(path.dirname(dataPath));
-    fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
-    return true;
+    return scanFile(pagePath);
   } catch (error) {
-    console.error('保存数据失败:', error);
-    return false;
+    console.error('安全扫描失败:', error);
+    return null;
   }
 }
 
-function updateStats(data) {
-  const files = data.files || [];
-  const tags = data.preset_tags || [];
-  const models = data.preset_models || [];
-
-  data.settings.totalFiles = files.filter(f => f.status !== 'deleted').length;
-  data.settings.totalTags = tags.length;
-  data.settings.totalModels = models.length;
+// 为尚未扫描过的文件补充扫描结果
+function backfillSecurityScans() {
+  const pending = store.list('files').filter(file => !file.security && file.status !== 'deleted');
+  if (pending.length === 0) return;
 
-  // 计算分类数量
-  const categories = new Set();
-  files.forEach(file => {
-    if (file.category) categories.add(file.category);
+  store.transaction(() => {
+    pending.forEach(file => {
+      const security = scanUploadedFile(file.encryptedName);
+      if (security) {
+        store.update('files', file.id, { security });
+      }
+    });
   });
-  data.settings.totalCategories = categories.size;
+  console.log(`已完成 ${pending.length} 个文件的安全扫描`);
+}
+
+backfillSecurityScans();
+
+// 缩略图（CHROMIUM_PATH 指定浏览器，THUMBNAIL_SIZES 指定视口尺寸，如 1280x800,390x844）
+const thumbnailer = new Thumbnailer({ outputDir: path.join(__dirname, 'thumbnails') });
+
+/**
+ * 将缩略图生成任务加入队列，完成后写回文件记录
+ * @param {string} fileId 文件ID
+ * @param {string} encryptedName 生成缩略图的页面文件名
+ * @returns {Promise<Object|null>} 更新后的文件记录
+ */
+function queueThumbnail(fileId, encryptedName) {
+  const pagePath = resolvePagePath(encryptedName);
+  if (!thumbnailer.enabled || !pagePath) return Promise.resolve(null);
+
+  return thumbnailer.enqueue(pagePath, path.basename(encryptedName))
+    .then(thumbnails => {
+      const file = store.get('files', fileId);
+      // 生成期间文件可能已切换到其他版本
+      if (!file || file.encryptedName !== encryptedName) return null;
+      return store.update('files', fileId, { thumbnails, thumbnailTime: new Date().toISOString() });
+    })
+    .catch(error => {
+      console.error(`生成缩略图失败 (${fileId}):`, error.message);
+      return null;
+    });
+}
+
+// 切换到新的页面文件时，复用已有缩略图或重新生成
+function refreshThumbnail(fileId, encryptedName) {
+  const existing = thumbnailer.findExisting(encryptedName);
+  if (existing) {
+    return { thumbnails: existing, thumbnailTime: new Date().toISOString() };
+  }
+  queueThumbnail(fileId, encryptedName);
+  return { thumbnails: null, thumbnailTime: null };
+}
+
+// 为尚未生成缩略图的文件补充生成
+function backfillThumbnails() {
+  if (!thumbnailer.enabled) {
+    console.log('未找到 Chromium，缩略图功能已关闭（可通过 CHROMIUM_PATH 指定浏览器路径）');
+    return;
+  }
+
+  const pending = store.list('files').filter(file => !file.thumbnails && file.status !== 'deleted');
+  if (pending.length > 0) {
+    console.log(`正在为 ${pending.length} 个文件生成缩略图`);
+    pending.forEach(file => queueThumbnail(file.id, file.encryptedName));
+  }
+}
 
-  data.lastUpdate = new Date().toISOString();
+backfillThumbnails();
+
+// 全文搜索索引（常驻内存，启动时重建，文件变化时增量更新）
+const searchIndex = new SearchIndex();
+
+/**
+ * 更新单个文件的索引
+ * @param {Object} file 文件记录
+ * @param {Object} options 选项
+ * @param {boolean} options.reloadContent 是否重新读取HTML内容，只修改元数据时为 false
+ */
+function indexFile(file, { reloadContent = true } = {}) {
+  if (!file || file.status === 'deleted') {
+    if (file) searchIndex.remove(file.id);
+    return;
+  }
+
+  let page = reloadContent ? null : searchIndex.getPage(file.id);
+  if (!page) {
+    try {
+      const filePath = resolvePagePath(file.encryptedName);
+      page = filePath && fs.existsSync(filePath) ? extractPage(fs.readFileSync(filePath, 'utf8')) : undefined;
+    } catch (error) {
+      console.error('提取页面内容失败:', error);
+    }
+  }
+  // 分类按名称（带上级）参与搜索，分类改名后由 reindexCategory 更新
+  searchIndex.add({ ...file, category: CategoryTree.getLabel(store.list('categories'), file.category) }, page);
+}
+
+function rebuildSearchIndex() {
+  searchIndex.clear();
+  store.list('files').forEach(file => indexFile(file));
+  console.log(`搜索索引已建立，共 ${searchIndex.size} 个文件`);
+}
+
+rebuildSearchIndex();
+
+// 按分类、标签、模型筛选，按上级分类或上级标签筛选时包含所有下级
+function filterFiles(files, { category, tags, model }) {
+  if (category) {
+    const categoryIds = CategoryTree.getDescendantIds(store.list('categories'), category);
+    files = files.filter(f => categoryIds.has(f.category));
+  }
+  if (tags) {
+    const presetTags = store.list('preset_tags');
+    const tagIds = new Set();
+    (Array.isArray(tags) ? tags : [tags]).forEach(tag => {
+      TagTaxonomy.getDescendantIds(presetTags, tag).forEach(id => tagIds.add(id));
+    });
+    files = files.filter(f => f.tags.some(tag => tagIds.has(tag)));
+  }
+  if (model) {
+    files = files.filter(f => f.model === model);
+  }
+  return files;
+}
+
+/**
+ * 按查询语句筛选并排序文件，与前端 FileList 使用同一套查询语言
+ * 无字段关键词同时匹配元数据和页面内容
+ * @param {Array} files 文件列表
+ * @param {string} query 查询语句
+ * @returns {Array<{file, score, snippet}>} 有关键词时按相关度排序
+ * @throws {QueryLanguage.QuerySyntaxError} 查询语法错误
+ */
+function queryFiles(files, query) {
+  const ast = QueryLanguage.parse(query);
+  const context = QueryLanguage.createContext(
+    { preset_tags: store.list('preset_tags'), preset_models: store.list('preset_models'), categories: store.list('categories') },
+    { getText: file => searchIndex.getText(file.id) || [file.title, file.description, file.originalName, file.background, file.prompt].map(QueryLanguage.normalize) }
+  );
+
+  const matched = files.filter(file => QueryLanguage.evaluate(ast, file, context));
+  const keywords = QueryLanguage.getKeywords(ast);
+  if (keywords.length === 0) {
+    return matched.map(file => ({ file, score: 0, snippet: null }));
+  }
+
+  const byId = new Map(matched.map(file => [file.id, file]));
+  const ranked = searchIndex.rank(matched.map(file => file.id), keywords);
+  // 没有进入索引的文件（如HTML文件丢失）排在最后
+  const rankedIds = new Set(ranked.map(result => result.id));
+  return [
+    ...ranked.map(result => ({ file: byId.get(result.id), score: result.score, snippet: result.snippet })),
+    ...matched.filter(file => !rankedIds.has(file.id)).map(file => ({ file, score: 0, snippet: null }))
+  ];
 }
 
 // API路由
 
-// 获取所有数据
-app.get('/api/data', (req, res) => {
-  const data = loadData();
-  res.json(data);
+// 认证
+
+// 登录
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ error: '请输入用户名和密码' });
+  }
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: '用户名和密码必须是字符串' });
+  }
+
+  const user = authStore.list('users').find(u => u.username === username);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: '用户名或密码错误' });
+  }
+
+  try {
+    const token = auth.createSession(user);
+    auth.setSessionCookie(res, token);
+    res.json({ success: true, user: publicUser(user), token });
+  } catch (error) {
+    console.error('登录失败:', error);
+    res.status(500).json({ error: '登录失败' });
+  }
 });
 
-// 保存数据
-app.post('/api/data', (req, res) => {
+// 退出登录
+app.post('/api/auth/logout', (req, res) => {
   try {
-    const newData = req.body;
-    const data = loadData();
+    auth.destroySession(req.sessionToken);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('退出登录失败:', error);
+    res.status(500).json({ error: '退出登录失败' });
+  }
+});
 
-    // 合并新数据
-    Object.assign(data, newData);
+// 获取当前用户及权限
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: publicUser(req.user),
+    role: ROLES.includes(req.role) ? req.role : null
+  });
+});
 
-    // 更新最后修改时间
-    data.lastUpdate = new Date().toISOString();
+// 用户管理（仅管理员）
 
-    // 保存到文件
-    saveData(data);
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(authStore.list('users').map(publicUser));
+});
 
-    res.json({ success: true, message: '数据保存成功' });
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const { username, password, role } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ error: '用户名和密码不能为空' });
+  }
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: '用户名和密码必须是字符串' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: '无效的角色' });
+  }
+  if (authStore.list('users').some(u => u.username === username)) {
+    return res.status(400).json({ error: '用户名已存在' });
+  }
+
+  try {
+    const newUser = authStore.insert('users', {
+      id: 'user_' + Date.now(),
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      createTime: new Date().toISOString()
+    });
+    res.json({ success: true, user: publicUser(newUser) });
+  } catch (error) {
+    console.error('创建用户失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  const user = authStore.get('users', req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: '用户不存在' });
+  }
+
+  const { password, role } = req.body || {};
+  const patch = {};
+
+  if (password !== undefined && typeof password !== 'string') {
+    return res.status(400).json({ error: '密码必须是字符串' });
+  }
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: '无效的角色' });
+    }
+    if (user.role === 'admin' && role !== 'admin' && countAdmins() <= 1) {
+      return res.status(400).json({ error: '至少需要保留一个管理员' });
+    }
+    patch.role = role;
+  }
+  if (password) {
+    patch.passwordHash = hashPassword(password);
+  }
+
+  try {
+    const updated = authStore.update('users', user.id, patch);
+    res.json({ success: true, user: publicUser(updated) });
+  } catch (error) {
+    console.error('更新用户失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  const user = authStore.get('users', req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: '用户不存在' });
+  }
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: '不能删除当前登录的用户' });
+  }
+  if (user.role === 'admin' && countAdmins() <= 1) {
+    return res.status(400).json({ error: '至少需要保留一个管理员' });
+  }
+
+  try {
+    // 删除用户的同时注销其所有会话
+    authStore.transaction(() => {
+      authStore.remove('users', user.id);
+      authStore.list('sessions')
+        .filter(session => session.userId === user.id)
+        .map(session => session.id)
+        .forEach(id => authStore.remove('sessions', id));
+    });
+    res.json({ success: true });
   } catch (error) {
+    console.error('删除用户失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+function countAdmins() {
+  return authStore.list('users').filter(u => u.role === 'admin').length;
+}
+
+// 去掉不通过 /api/data 读写的集合
+function omitPrivate(data) {
+  const result = { ...data };
+  PRIVATE_COLLECTIONS.forEach(key => delete result[key]);
+  return result;
+}
+
+// 获取所有数据
+app.get('/api/data', requireRole('viewer'), (req, res) => {
+  res.json(omitPrivate(store.snapshot()));
+});
+
+// 订阅数据变化（Server-Sent Events），断线重连时补发错过的变化
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  liveUpdates.handle(req, res);
+});
+
+// 保存修改：按记录提交的变更在一个事务中执行，记录已被其他人修改时返回 409 和当前记录
+app.patch('/api/data', requireRole('editor'), (req, res) => {
+  try {
+    const results = applyChanges(store, req.body.changes, { htmlDir: HTML_DIR });
+    results
+      .filter(result => result.collection === 'files')
+      .forEach(result => {
+        const file = store.get('files', result.id);
+        indexFile(file);
+        // 引用新页面的文件缩略图已清除，重新生成
+        if (file && !file.thumbnails && file.status !== 'deleted') queueThumbnail(file.id, file.encryptedName);
+      });
+
+    res.json({ success: true, results });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof ChangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
     console.error('保存数据失败:', error);
     res.status(500).json({ error: '保存数据失败', details: error.message });
   }
 });
 
-// 上传文件
-app.post('/api/upload', upload.single('file'), (req, res) => {
+// 上传文件，写入前执行自动规则
+app.post('/api/upload', requireRole('editor'), receiveUpload, async (req, res) => {
+  const files = req.files || [];
+  // 已保存但还没有写入文件记录的页面，出错时删除
+  let page = null;
+
   try {
-    if (!req.file) {
+    if (files.length === 0) {
       return res.status(400).json({ error: '没有上传文件' });
     }
 
-    const data = loadData();
     const fileId = crypto.randomBytes(8).toString('hex');
+    page = await savePage(files, req.uploadDir);
+    const { encryptedName, pagePath: targetPath, originalName, bundle } = page;
 
     const fileInfo = {
       id: fileId,
-      originalName: req.file.originalname,
-      encryptedName: req.file.filename,
-      fileSize: req.file.size,
+      originalName,
+      encryptedName,
+      fileSize: fs.statSync(targetPath).size,
       uploadTime: new Date().toISOString(),
       accessCount: 0,
-      title: req.body.title || req.file.originalname,
+      title: req.body.title || originalName,
       description: req.body.description || '',
       category: req.body.category || '',
       background: req.body.background || '',
       prompt: req.body.prompt || '',
       model: req.body.model || '',
       tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : [req.body.tags]) : [],
-      status: 'active'
+      status: 'active',
+      security: scanUploadedFile(encryptedName),
+      ...(bundle && { bundle })
     };
 
-    data.files.push(fileInfo);
-    updateStats(data);
-
-    if (saveData(data)) {
-      res.json({ success: true, file: fileInfo });
-    } else {
-      res.status(500).json({ error: '保存数据失败' });
-    }
+    const appliedRules = autoTagging.applyToNewFile(store, fileInfo, () => fs.readFileSync(targetPath, 'utf8'));
+    store.insert('files', fileInfo);
+    page = null;
+    indexFile(fileInfo);
+    queueThumbnail(fileInfo.id, fileInfo.encryptedName);
+    res.json({ success: true, file: fileInfo, rules: appliedRules });
   } catch (error) {
+    if (page) fs.removeSync(page.pagePath);
+    if (error instanceof BundleError || error instanceof ZipError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
     console.error('上传文件错误:', error);
     res.status(500).json({ error: '上传失败' });
+  } finally {
+    removeUploadDir(req);
   }
 });
 
 // 获取文件列表
-app.get('/api/files', (req, res) => {
-  const data = loadData();
+app.get('/api/files', requireRole('viewer'), (req, res) => {
   const { search, category, tags, model } = req.query;
 
-  let files = data.files.filter(f => f.status !== 'deleted');
-
-  // 搜索过滤 - 支持多关键词和高级搜索
-  if (search) {
-    const searchTerm = search.trim();
-    if (searchTerm) {
-      // 支持多关键词搜索，用空格分隔
-      const keywords = searchTerm.toLowerCase().split(/\s+/).filter(k => k.length > 0);
-
-      files = files.filter(f => {
-        // 构建搜索文本
-        const searchText = [
-          f.title || '',
-          f.description || '',
-          f.originalName || '',
-          f.background || '',
-          f.prompt || '',
-          f.category || ''
-        ].join(' ').toLowerCase();
-
-        // 检查是否包含所有关键词（AND逻辑）
-        return keywords.every(keyword => {
-          // 支持通配符 * 和 ?
-          const regex = new RegExp(keyword.replace(/\*/g, '.*').replace(/\?/g, '.'), 'i');
-          return regex.test(searchText);
-        });
-      });
+  let files = filterFiles(store.list('files').filter(f => f.status !== 'deleted'), { category, tags, model });
+
+  // 查询语言搜索，有关键词时按相关度排序
+  if (search && search.trim()) {
+    try {
+      files = queryFiles(files, search).map(result => result.file);
+    } catch (error) {
+      if (error instanceof QueryLanguage.QuerySyntaxError) {
+        return res.status(400).json({ error: error.message, position: error.position });
+      }
+      console.error('搜索失败:', error);
+      return res.status(500).json({ error: '搜索失败' });
     }
   }
 
-  // 分类过滤
-  if (category) {
-    files = files.filter(f => f.category === category);
+  res.json(files);
+});
+
+// 全文搜索：返回相关度和带高亮位置的摘要
+app.get('/api/search', requireRole('viewer'), (req, res) => {
+  const { q, category, tags, model } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  if (!q || !q.trim()) {
+    return res.status(400).json({ error: '请提供搜索关键词' });
   }
 
-  // 标签过滤
-  if (tags) {
-    const tagList = Array.isArray(tags) ? tags : [tags];
-    files = files.filter(f => tagList.some(tag => f.tags.includes(tag)));
+  try {
+    const files = filterFiles(store.list('files').filter(f => f.status !== 'deleted'), { category, tags, model });
+    const matched = queryFiles(files, q);
+    res.json({ total: matched.length, results: matched.slice(0, limit) });
+  } catch (error) {
+    if (error instanceof QueryLanguage.QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    console.error('搜索失败:', error);
+    res.status(500).json({ error: '搜索失败' });
   }
+});
 
-  // 模型过滤
-  if (model) {
-    files = files.filter(f => f.model === model);
+// 导出离线查看器：选中的文件连同标签、模型和分类打包为单个HTML或ZIP
+app.post('/api/export', requireRole('viewer'), (req, res) => {
+  const { ids, format = 'html', title } = req.body || {};
+
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: '请选择要导出的文件' });
   }
 
-  res.json(files);
+  try {
+    const files = ids
+      .map(id => store.get('files', id))
+      .filter(file => file && file.status !== 'deleted');
+
+    const result = createLibraryExport(
+      { preset_tags: store.list('preset_tags'), preset_models: store.list('preset_models'), categories: store.list('categories') },
+      files,
+      {
+        htmlDir: HTML_DIR,
+        thumbnailDir: thumbnailer.outputDir,
+        format,
+        title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 100) : undefined
+      }
+    );
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.setHeader('X-Export-Count', String(result.exported));
+    res.setHeader('X-Export-Missing', String(ids.length - result.exported));
+    res.send(result.body);
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('导出失败:', error);
+    res.status(500).json({ error: '导出失败' });
+  }
+});
+
+// 静态版本导出的数据（含浏览器中保存的页面）可能较大，单独接收
+const STATIC_BASE_DIR = path.join(process.env.DATABASE_DIR || path.join(__dirname, 'database'), 'static-publish');
+
+const syncUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB
+  }
+});
+
+function receiveSyncExport(req, res, next) {
+  syncUpload.single('file')(req, res, error => {
+    if (!error) return next();
+    res.status(400).json({ error: error.code === 'LIMIT_FILE_SIZE' ? '导出文件不能超过50MB' : error.message });
+  });
+}
+
+// 合并静态版本的修改（dryRun 为 true 时只返回合并计划，resolutions 指定冲突的处理方式）
+app.post('/api/sync/import', requireRole('admin'), receiveSyncExport, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: '请选择静态版本导出的文件' });
+  }
+
+  try {
+    const { publishId, data, pages } = parseExport(req.file.buffer.toString('utf8'));
+    const base = loadBase(STATIC_BASE_DIR, publishId);
+    const plan = planImport(data, store.snapshot(), base);
+    const summary = { baseFound: !!base, changes: plan.changes, conflicts: plan.conflicts, unchanged: plan.unchanged };
+
+    if (req.body.dryRun === 'true') {
+      return res.json({ success: true, dryRun: true, ...summary });
+    }
+
+    let resolutions = {};
+    try {
+      resolutions = JSON.parse(req.body.resolutions || '{}');
+    } catch (error) {
+      return res.status(400).json({ error: '无效的冲突处理方式' });
+    }
+
+    const result = applyImport(store, plan, { pages, htmlDir: HTML_DIR, resolutions });
+
+    // 新写入的页面与上传一样做安全扫描并生成缩略图
+    result.files.forEach(id => {
+      const file = store.get('files', id);
+      if (file && result.pages.includes(file.encryptedName)) {
+        store.update('files', id, { security: scanUploadedFile(file.encryptedName) });
+        queueThumbnail(id, file.encryptedName);
+      }
+      indexFile(store.get('files', id));
+    });
+
+    res.json({ success: true, ...summary, result });
+  } catch (error) {
+    if (error instanceof SyncError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('导入静态版本数据失败:', error);
+    res.status(500).json({ error: '导入失败' });
+  }
 });
 
 // 获取单个文件信息
-app.get('/api/files/:id', (req, res) => {
-  const data = loadData();
-  const file = data.files.find(f => f.id === req.params.id && f.status !== 'deleted');
+app.get('/api/files/:id', requireRole('viewer'), (req, res) => {
+  const file = store.get('files', req.params.id);
 
-  if (!file) {
+  if (!file || file.status === 'deleted') {
     return res.status(404).json({ error: '文件不存在' });
   }
 
-  // 更新访问信息
-  file.lastAccess = new Date().toISOString();
-  file.accessCount = (file.accessCount || 0) + 1;
-  saveData(data);
+  // 更新访问信息（高频更新，延迟落盘）
+  const updated = store.update('files', file.id, {
+    lastAccess: new Date().toISOString(),
+    accessCount: (file.accessCount || 0) + 1
+  }, { defer: true });
 
-  res.json(file);
+  res.set('ETag', formatETag(updated));
+  res.json(updated);
 });
 
+// 可以通过 PUT 修改的文件信息，页面文件、版本、扫描结果等由上传、回滚等专用接口维护
+const EDITABLE_FILE_FIELDS = ['title', 'description', 'category', 'background', 'prompt', 'model', 'tags'];
+
 // 更新文件信息
-app.put('/api/files/:id', (req, res) => {
-  const data = loadData();
-  const fileIndex = data.files.findIndex(f => f.id === req.params.id && f.status !== 'deleted');
+app.put('/api/files/:id', requireRole('editor'), (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  const changes = req.body;
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return res.status(400).json({ error: '请求内容必须是对象' });
+  }
+  const rejected = Object.keys(changes).filter(field => !EDITABLE_FILE_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    return res.status(400).json({ error: `不能修改以下字段: ${rejected.join(', ')}` });
+  }
+
+  try {
+    // 带 If-Match 时检查修订号，记录已被其他人修改则返回 409
+    const updated = store.update('files', file.id, changes, { rev: parseIfMatch(req.get('If-Match')) });
+    indexFile(updated, { reloadContent: false });
+    res.set('ETag', formatETag(updated));
+    res.json({ success: true, file: updated });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('更新文件失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 删除文件
+app.delete('/api/files/:id', requireRole('editor'), (req, res) => {
+  if (!store.get('files', req.params.id)) {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  try {
+    // 标记为已删除
+    store.update('files', req.params.id, { status: 'deleted' }, { rev: parseIfMatch(req.get('If-Match')) });
+    searchIndex.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    console.error('删除文件失败:', error);
+    res.status(500).json({ error: '删除失败' });
+  }
+});
+
+// 批量编辑选中的文件：action 为 update（按 changes 修改字段，格式见 js/bulk-edit.js）、delete 或 restore。
+// 全部修改在一个事务中写入；revs 为客户端读取到的各文件修订号，任一文件已被其他人修改时不写入任何内容。
+// 返回计划，其中 results 为每个文件的结果；dryRun=true 时只返回计划
+app.post('/api/files/bulk', requireRole('editor'), (req, res) => {
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ error: '请求内容必须是对象' });
+  }
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+  const { ids, action, changes, revs } = req.body;
+  if (revs !== undefined && (!revs || typeof revs !== 'object' || Array.isArray(revs))) {
+    return res.status(400).json({ error: 'revs 必须是以文件ID为键的对象' });
+  }
+
+  try {
+    const plan = BulkEdit.planBulkEdit(store.snapshot(), { ids, action, changes });
+    if (!dryRun && plan.files.length > 0) {
+      store.transaction(tx => {
+        plan.files.forEach(({ id, after }) => {
+          checkRevision('files', id, tx.get('files', id), revs && revs[id]);
+          tx.update('files', id, after);
+        });
+      });
+      plan.files.forEach(({ id }) => {
+        indexFile(store.get('files', id), { reloadContent: plan.action === 'restore' });
+      });
+    }
+    res.json({ success: true, dryRun, plan });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof BulkEdit.BulkEditError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('批量编辑失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 版本历史
+
+// 获取文件的版本链，旧记录没有 revisions 字段时以当前文件作为第1版
+function getRevisions(file) {
+  if (Array.isArray(file.revisions) && file.revisions.length > 0) {
+    return file.revisions;
+  }
+  return [{
+    version: 1,
+    originalName: file.originalName,
+    encryptedName: file.encryptedName,
+    fileSize: file.fileSize,
+    uploadTime: file.uploadTime,
+    note: '',
+    ...(file.bundle && { bundle: file.bundle })
+  }];
+}
+
+// 获取版本列表
+app.get('/api/files/:id/revisions', requireRole('viewer'), (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  res.json({
+    currentVersion: file.currentVersion || 1,
+    revisions: getRevisions(file)
+  });
+});
+
+// 上传新版本，与新建文件一样可以上传单个HTML、压缩包或多个文件，旧版本文件保留在磁盘上
+app.post('/api/files/:id/revisions', requireRole('editor'), receiveUpload, async (req, res) => {
+  const files = req.files || [];
+  let page = null;
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: '没有上传文件' });
+    }
+
+    const file = store.get('files', req.params.id);
+    if (!file || file.status === 'deleted') {
+      return res.status(404).json({ error: '文件不存在' });
+    }
+
+    page = await savePage(files, req.uploadDir);
+    const revisions = getRevisions(file);
+    const revision = {
+      version: Math.max(...revisions.map(r => r.version)) + 1,
+      originalName: page.originalName,
+      encryptedName: page.encryptedName,
+      fileSize: fs.statSync(page.pagePath).size,
+      uploadTime: new Date().toISOString(),
+      note: String(req.body.note || ''),
+      ...(page.bundle && { bundle: page.bundle })
+    };
+
+    const updated = store.update('files', file.id, {
+      encryptedName: revision.encryptedName,
+      fileSize: revision.fileSize,
+      currentVersion: revision.version,
+      revisions: [...revisions, revision],
+      bundle: page.bundle,
+      security: scanUploadedFile(revision.encryptedName),
+      ...refreshThumbnail(file.id, revision.encryptedName)
+    });
+    indexFile(updated);
+
+    res.json({ success: true, file: updated, revision });
+  } catch (error) {
+    // 没有写入版本记录的页面不会再被引用
+    if (page) fs.removeSync(page.pagePath);
+    if (error instanceof BundleError || error instanceof ZipError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('上传新版本失败:', error);
+    res.status(500).json({ error: '上传新版本失败' });
+  } finally {
+    removeUploadDir(req);
+  }
+});
+
+// 比较两个版本的HTML差异
+app.get('/api/files/:id/diff', requireRole('viewer'), (req, res) => {
+  const file = store.get('files', req.params.id);
 
-  if (fileIndex === -1) {
+  if (!file || file.status === 'deleted') {
     return res.status(404).json({ error: '文件不存在' });
   }
 
-  const updateData = req.body;
-  data.files[fileIndex] = { ...data.files[fileIndex], ...updateData };
-  updateStats(data);
+  const revisions = getRevisions(file);
+  const from = revisions.find(r => r.version === Number(req.query.from));
+  const to = revisions.find(r => r.version === Number(req.query.to));
+
+  if (!from || !to) {
+    return res.status(400).json({ error: '版本不存在' });
+  }
+
+  try {
+    const readRevision = revision => {
+      const pagePath = resolvePagePath(revision.encryptedName);
+      if (!pagePath) throw new Error('版本文件名无效');
+      return fs.readFileSync(pagePath, 'utf8');
+    };
+    const diff = diffLines(readRevision(from), readRevision(to));
+    res.json({ from: from.version, to: to.version, ...diff });
+  } catch (error) {
+    console.error('比较版本失败:', error);
+    res.status(500).json({ error: '比较版本失败: ' + error.message });
+  }
+});
+
+// 回滚到指定版本
+app.post('/api/files/:id/rollback', requireRole('editor'), (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  const revisions = getRevisions(file);
+  const target = revisions.find(r => r.version === Number(req.body.version));
+
+  if (!target) {
+    return res.status(400).json({ error: '版本不存在' });
+  }
+
+  const targetPath = resolvePagePath(target.encryptedName);
+  if (!targetPath || !fs.existsSync(targetPath)) {
+    return res.status(410).json({ error: '该版本的文件已不存在' });
+  }
+
+  try {
+    const updated = store.update('files', file.id, {
+      encryptedName: target.encryptedName,
+      fileSize: target.fileSize,
+      currentVersion: target.version,
+      revisions,
+      bundle: target.bundle || null,
+      security: scanUploadedFile(target.encryptedName),
+      ...refreshThumbnail(file.id, target.encryptedName)
+    });
+    indexFile(updated);
+    res.json({ success: true, file: updated });
+  } catch (error) {
+    console.error('回滚版本失败:', error);
+    res.status(500).json({ error: '回滚失败' });
+  }
+});
+
+// 获取缩略图
+app.get('/api/files/:id/thumbnail', requireRole('viewer'), (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  const size = req.query.size || thumbnailer.defaultSize;
+  const fileName = file.thumbnails && file.thumbnails[size];
+
+  if (!fileName || !fs.existsSync(thumbnailer.getPath(fileName))) {
+    return res.status(404).json({ error: '缩略图不存在' });
+  }
+
+  // 地址中带有生成时间，内容变化时地址随之变化，可以长期缓存
+  res.setHeader('Cache-Control', 'private, max-age=604800');
+  res.sendFile(thumbnailer.getPath(fileName));
+});
+
+// 重新生成缩略图
+app.post('/api/files/:id/thumbnail', requireRole('editor'), async (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  if (!thumbnailer.enabled) {
+    return res.status(503).json({ error: '服务器未安装 Chromium，无法生成缩略图' });
+  }
+
+  const updated = await queueThumbnail(file.id, file.encryptedName);
+  if (!updated) {
+    return res.status(500).json({ error: '生成缩略图失败' });
+  }
+  res.json({ success: true, file: updated });
+});
+
+// 重新扫描文件
+app.post('/api/files/:id/scan', requireRole('editor'), (req, res) => {
+  const file = store.get('files', req.params.id);
+
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  const security = scanUploadedFile(file.encryptedName);
+  if (!security) {
+    return res.status(410).json({ error: '文件已不存在' });
+  }
+
+  try {
+    const updated = store.update('files', file.id, { security });
+    res.json({ success: true, file: updated });
+  } catch (error) {
+    console.error('扫描文件失败:', error);
+    res.status(500).json({ error: '扫描失败' });
+  }
+});
+
+// 获取预置标签
+app.get('/api/tags', requireRole('viewer'), (req, res) => {
+  res.json(store.list('preset_tags'));
+});
+
+// 添加预置标签
+app.post('/api/tags', requireRole('editor'), (req, res) => {
+  const { name, color, description, parentId, aliases } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: '标签名称不能为空' });
+  }
+
+  const tagId = 'tag_' + Date.now();
+  const newTag = {
+    id: tagId,
+    name,
+    color: color || '#3498db',
+    description: description || '',
+    parentId: parentId || '',
+    aliases: TagTaxonomy.cleanAliases(aliases, name),
+    createTime: new Date().toISOString(),
+    usageCount: 0
+  };
+
+  try {
+    TagTaxonomy.checkTag(store.list('preset_tags'), newTag);
+    const tag = store.insert('preset_tags', newTag);
+    res.json({ success: true, tag });
+  } catch (error) {
+    if (error instanceof TagTaxonomy.TaxonomyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('添加标签失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 更新预置标签（文件按ID引用标签，改名后无需修改文件；未提供 parentId、aliases 时保持不变）
+app.put('/api/tags/:id', requireRole('editor'), (req, res) => {
+  const tagId = req.params.id;
+  const { name, color, description, parentId, aliases } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: '标签名称不能为空' });
+  }
+
+  const tag = store.get('preset_tags', tagId);
+  if (!tag) {
+    return res.status(404).json({ error: '标签不存在' });
+  }
+
+  const patch = {
+    name,
+    color: color || tag.color,
+    description: description || '',
+    parentId: parentId !== undefined ? parentId || '' : tag.parentId || '',
+    aliases: TagTaxonomy.cleanAliases(aliases !== undefined ? aliases : tag.aliases, name),
+    updateTime: new Date().toISOString()
+  };
 
-  if (saveData(data)) {
-    res.json({ success: true, file: data.files[fileIndex] });
-  } else {
+  try {
+    TagTaxonomy.checkTag(store.list('preset_tags'), { ...tag, ...patch });
+    const updated = store.update('preset_tags', tagId, patch, { rev: parseIfMatch(req.get('If-Match')) });
+    res.json({ success: true, tag: updated });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof TagTaxonomy.TaxonomyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('更新标签失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-// 删除文件
-app.delete('/api/files/:id', (req, res) => {
-  const { password } = req.body;
+/**
+ * 执行 TagTaxonomy 生成的标签整理计划，全部写入在一个事务中完成
+ * @param {Object} plan TagTaxonomy.planMerge / planSplit / planDelete 的结果，rules 为改用新目标的自动规则
+ * @param {number|undefined} rev 客户端读取到的被整理标签的修订号
+ */
+function applyTagPlan(plan, rev) {
+  const now = new Date().toISOString();
+  store.transaction(tx => {
+    // 先检查修订号，标签已被其他人修改时不写入任何内容
+    checkRevision('preset_tags', plan.tagId, tx.get('preset_tags', plan.tagId), rev);
+    plan.tags.insert.forEach(tag => tx.insert('preset_tags', tag));
+    plan.tags.update.forEach(({ id, patch }) => tx.update('preset_tags', id, { ...patch, updateTime: now }));
+    plan.files.forEach(file => tx.update('files', file.id, { tags: file.after }));
+    plan.rules.forEach(rule => tx.update('auto_rules', rule.id, { target: rule.after, updateTime: now }));
+    plan.tags.remove.forEach(id => tx.remove('preset_tags', id));
+  });
+  plan.files.forEach(file => indexFile(store.get('files', file.id), { reloadContent: false }));
+}
 
-  if (password !== 'wind') {
-    return res.status(403).json({ error: '删除密码错误' });
+/**
+ * 标签整理接口的公共处理：生成计划，dryRun 时只返回计划供预览，否则执行
+ * @param {Function} createPlan (data) => 计划
+ * @param {string} failure 日志中的失败说明
+ */
+function handleTagPlan(req, res, createPlan, failure) {
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  try {
+    const plan = createPlan({ preset_tags: store.list('preset_tags'), files: store.list('files') });
+    // 添加原标签的自动规则改用代替它的标签，没有代替的标签时拒绝
+    plan.rules = AutoRules.planRetarget(store.list('auto_rules'), 'preset_tags', plan.tagId, plan.replacedBy);
+    if (!dryRun) {
+      applyTagPlan(plan, parseIfMatch(req.get('If-Match')));
+    }
+    res.json({ success: true, dryRun, plan });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof TagTaxonomy.TaxonomyError || error instanceof AutoRules.RuleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error(`${failure}:`, error);
+    res.status(500).json({ error: '保存失败' });
   }
+}
 
-  const data = loadData();
-  const fileIndex = data.files.findIndex(f => f.id === req.params.id);
+// 删除标签：reassignTo 指定改用的标签，detach=true 时从文件中移除，
+// 两者都未指定且仍有文件使用时拒绝删除；dryRun=true 时只返回影响范围
+app.delete('/api/tags/:id', requireRole('editor'), (req, res) => {
+  const tagId = req.params.id;
+  const { reassignTo = '', detach } = req.query;
 
-  if (fileIndex === -1) {
-    return res.status(404).json({ error: '文件不存在' });
+  if (!store.get('preset_tags', tagId)) {
+    return res.status(404).json({ error: '标签不存在' });
   }
 
-  // 标记为已删除
-  data.files[fileIndex].status = 'deleted';
-  updateStats(data);
+  // 检查是否有文件使用此标签
+  const filesUsingTag = store.list('files').filter(file => (file.tags || []).includes(tagId));
 
-  if (saveData(data)) {
-    res.json({ success: true });
-  } else {
-    res.status(500).json({ error: '删除失败' });
+  if (filesUsingTag.length > 0 && !reassignTo && detach !== 'true') {
+    return res.status(400).json({
+      error: `无法删除标签，有 ${filesUsingTag.length} 个文件正在使用此标签，请指定改用的标签或从文件中移除`
+    });
   }
-});
 
-// 获取预置标签
-app.get('/api/tags', (req, res) => {
-  const data = loadData();
-  res.json(data.preset_tags || []);
+  handleTagPlan(req, res, data => TagTaxonomy.planDelete(data, tagId, reassignTo), '删除标签失败');
 });
 
-// 添加预置标签
-app.post('/api/tags', (req, res) => {
-  const data = loadData();
-  const { name, color, description } = req.body;
-
-  if (!name) {
-    return res.status(400).json({ error: '标签名称不能为空' });
+// 合并标签：into 为合并到的标签
+app.post('/api/tags/:id/merge', requireRole('editor'), (req, res) => {
+  if (!req.body.into) {
+    return res.status(400).json({ error: '请指定合并到的标签' });
   }
+  handleTagPlan(req, res, data => TagTaxonomy.planMerge(data, req.params.id, req.body.into), '合并标签失败');
+});
 
-  const tagId = 'tag_' + Date.now();
-  const newTag = {
-    id: tagId,
-    name,
-    color: color || '#3498db',
-    description: description || '',
-    createTime: new Date().toISOString(),
-    usageCount: 0
-  };
-
-  if (!data.preset_tags) data.preset_tags = [];
-  data.preset_tags.push(newTag);
-  updateStats(data);
-
-  if (saveData(data)) {
-    res.json({ success: true, tag: newTag });
-  } else {
-    res.status(500).json({ error: '保存失败' });
-  }
+// 拆分标签：parts 为新标签 [{ name, color, description, fileIds }]
+app.post('/api/tags/:id/split', requireRole('editor'), (req, res) => {
+  handleTagPlan(req, res, data => TagTaxonomy.planSplit(data, req.params.id, req.body.parts), '拆分标签失败');
 });
 
 // 获取预置模型
-app.get('/api/models', (req, res) => {
-  const data = loadData();
-  res.json(data.preset_models || []);
+app.get('/api/models', requireRole('viewer'), (req, res) => {
+  res.json(store.list('preset_models'));
 });
 
 // 添加预置模型
-app.post('/api/models', (req, res) => {
-  const data = loadData();
+app.post('/api/models', requireRole('editor'), (req, res) => {
   const { name, description } = req.body;
 
   if (!name) {
@@ -338,20 +1286,20 @@ app.post('/api/models', (req, res) => {
     usageCount: 0
   };
 
-  if (!data.preset_models) data.preset_models = [];
-  data.preset_models.push(newModel);
-  updateStats(data);
-
-  if (saveData(data)) {
+  try {
+    store.insert('preset_models', newModel);
     res.json({ success: true, model: newModel });
-  } else {
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('添加模型失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
 // 更新模型
-app.put('/api/models/:id', (req, res) => {
-  const data = loadData();
+app.put('/api/models/:id', requireRole('editor'), (req, res) => {
   const modelId = req.params.id;
   const { name, description } = req.body;
 
@@ -359,40 +1307,81 @@ app.put('/api/models/:id', (req, res) => {
     return res.status(400).json({ error: '模型名称不能为空' });
   }
 
-  if (!data.preset_models) {
+  if (!store.get('preset_models', modelId)) {
     return res.status(404).json({ error: '模型不存在' });
   }
 
-  const modelIndex = data.preset_models.findIndex(model => model.id === modelId);
-  if (modelIndex === -1) {
+  try {
+    // 更新模型信息
+    const updated = store.update('preset_models', modelId, {
+      name,
+      description: description || '',
+      updateTime: new Date().toISOString()
+    }, { rev: parseIfMatch(req.get('If-Match')) });
+    res.json({ success: true, model: updated });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('更新模型失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+app.delete('/api/models/:id', requireRole('editor'), (req, res) => {
+  const modelId = req.params.id;
+
+  if (!store.get('preset_models', modelId)) {
     return res.status(404).json({ error: '模型不存在' });
   }
 
-  // 更新模型信息
-  data.preset_models[modelIndex] = {
-    ...data.preset_models[modelIndex],
-    name,
-    description: description || '',
-    updateTime: new Date().toISOString()
-  };
+  // 检查是否有文件使用此模型
+  const filesUsingModel = store.list('files').filter(file => file.model === modelId);
+
+  if (filesUsingModel.length > 0) {
+    return res.status(400).json({
+      error: `无法删除模型，有 ${filesUsingModel.length} 个文件正在使用此模型`
+    });
+  }
 
-  if (saveData(data)) {
-    res.json({ success: true, model: data.preset_models[modelIndex] });
-  } else {
+  try {
+    // 仍有自动规则设置此模型时拒绝删除
+    AutoRules.planRetarget(store.list('auto_rules'), 'preset_models', modelId);
+    const deletedModel = store.remove('preset_models', modelId, { rev: parseIfMatch(req.get('If-Match')) });
+    res.json({ success: true, model: deletedModel });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof AutoRules.RuleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('删除模型失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-// 分类管理API
-app.get('/api/categories', (req, res) => {
-  const data = loadData();
-  const categories = data.categories || [];
-  res.json(categories);
+// 分类管理API（文件按ID引用分类，改名后无需修改文件）
+app.get('/api/categories', requireRole('viewer'), (req, res) => {
+  res.json(store.list('categories'));
 });
 
-app.post('/api/categories', (req, res) => {
-  const data = loadData();
-  const { name, description } = req.body;
+/**
+ * 分类及其下级分类改名或移动后，重新索引使用它们的文件（搜索按分类名称匹配）
+ * @param {string} categoryId 分类ID
+ */
+function reindexCategory(categoryId) {
+  const categoryIds = CategoryTree.getDescendantIds(store.list('categories'), categoryId);
+  store.list('files')
+    .filter(file => categoryIds.has(file.category))
+    .forEach(file => indexFile(file, { reloadContent: false }));
+}
+
+app.post('/api/categories', requireRole('editor'), (req, res) => {
+  const { name, description, parentId } = req.body;
 
   if (!name) {
     return res.status(400).json({ error: '分类名称不能为空' });
@@ -403,89 +1392,496 @@ app.post('/api/categories', (req, res) => {
     id: categoryId,
     name,
     description: description || '',
+    parentId: parentId || '',
     createTime: new Date().toISOString(),
     usageCount: 0
   };
 
-  if (!data.categories) data.categories = [];
-  data.categories.push(newCategory);
-  updateStats(data);
-
-  if (saveData(data)) {
-    res.json({ success: true, category: newCategory });
-  } else {
+  try {
+    CategoryTree.checkCategory(store.list('categories'), newCategory);
+    const category = store.insert('categories', newCategory);
+    res.json({ success: true, category });
+  } catch (error) {
+    if (error instanceof CategoryTree.CategoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('添加分类失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-app.put('/api/categories/:id', (req, res) => {
-  const data = loadData();
+// 更新分类（未提供 parentId 时保持不变）
+app.put('/api/categories/:id', requireRole('editor'), (req, res) => {
   const categoryId = req.params.id;
-  const { name, description } = req.body;
+  const { name, description, parentId } = req.body;
 
   if (!name) {
     return res.status(400).json({ error: '分类名称不能为空' });
   }
 
-  if (!data.categories) {
-    return res.status(404).json({ error: '分类不存在' });
-  }
-
-  const categoryIndex = data.categories.findIndex(category => category.id === categoryId);
-  if (categoryIndex === -1) {
+  const category = store.get('categories', categoryId);
+  if (!category) {
     return res.status(404).json({ error: '分类不存在' });
   }
 
-  // 更新分类信息
-  data.categories[categoryIndex] = {
-    ...data.categories[categoryIndex],
+  const patch = {
     name,
     description: description || '',
+    parentId: parentId !== undefined ? parentId || '' : category.parentId || '',
     updateTime: new Date().toISOString()
   };
 
-  if (saveData(data)) {
-    res.json({ success: true, category: data.categories[categoryIndex] });
-  } else {
+  try {
+    CategoryTree.checkCategory(store.list('categories'), { ...category, ...patch });
+    const updated = store.update('categories', categoryId, patch, { rev: parseIfMatch(req.get('If-Match')) });
+    if (updated.name !== category.name || updated.parentId !== category.parentId) {
+      reindexCategory(categoryId);
+    }
+    res.json({ success: true, category: updated });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof CategoryTree.CategoryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('更新分类失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-app.delete('/api/categories/:id', (req, res) => {
-  const data = loadData();
+// 删除分类：reassignTo 指定改用的分类，detach=true 时改为未分类，两者都未指定且仍有文件
+// 使用时拒绝删除；下级分类移到上级分类下；dryRun=true 时只返回影响范围
+app.delete('/api/categories/:id', requireRole('editor'), (req, res) => {
   const categoryId = req.params.id;
+  const { reassignTo = '', detach } = req.query;
+  const dryRun = req.query.dryRun === 'true';
 
-  if (!data.categories) {
-    return res.status(404).json({ error: '分类不存在' });
-  }
-
-  const categoryIndex = data.categories.findIndex(category => category.id === categoryId);
-  if (categoryIndex === -1) {
+  if (!store.get('categories', categoryId)) {
     return res.status(404).json({ error: '分类不存在' });
   }
 
   // 检查是否有文件使用此分类
-  const files = data.files || [];
-  const filesUsingCategory = files.filter(file => file.category === data.categories[categoryIndex].name);
+  const filesUsingCategory = store.list('files').filter(file => file.category === categoryId);
 
-  if (filesUsingCategory.length > 0) {
+  if (filesUsingCategory.length > 0 && !reassignTo && detach !== 'true') {
     return res.status(400).json({
-      error: `无法删除分类，有 ${filesUsingCategory.length} 个文件正在使用此分类`
+      error: `无法删除分类，有 ${filesUsingCategory.length} 个文件正在使用此分类，请指定改用的分类或改为未分类`
+    });
+  }
+
+  try {
+    const plan = CategoryTree.planDelete(
+      { categories: store.list('categories'), files: store.list('files') },
+      categoryId,
+      reassignTo
+    );
+    // 设置此分类的自动规则改用 reassignTo，未指定时拒绝
+    plan.rules = AutoRules.planRetarget(store.list('auto_rules'), 'categories', categoryId, reassignTo);
+
+    if (!dryRun) {
+      const rev = parseIfMatch(req.get('If-Match'));
+      const now = new Date().toISOString();
+      store.transaction(tx => {
+        // 先检查修订号，分类已被其他人修改时不写入任何内容
+        checkRevision('categories', categoryId, tx.get('categories', categoryId), rev);
+        plan.categories.update.forEach(({ id, patch }) => tx.update('categories', id, { ...patch, updateTime: now }));
+        plan.files.forEach(file => tx.update('files', file.id, { category: file.after }));
+        plan.rules.forEach(rule => tx.update('auto_rules', rule.id, { target: rule.after, updateTime: now }));
+        plan.categories.remove.forEach(id => tx.remove('categories', id));
+      });
+      plan.files.forEach(file => indexFile(store.get('files', file.id), { reloadContent: false }));
+      plan.categories.update.forEach(({ id }) => reindexCategory(id));
+    }
+
+    res.json({ success: true, dryRun, plan });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof CategoryTree.CategoryError || error instanceof AutoRules.RuleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('删除分类失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 引用完整性
+
+// 检查文件的分类、模型、标签，标签和分类的上级以及自动规则的目标是否指向存在的记录
+app.get('/api/integrity', requireRole('editor'), (req, res) => {
+  const { issues, fixes, summary } = planIntegrityFix(store.snapshot());
+  res.json({ issues, records: fixes.length, summary });
+});
+
+// 修复失效的引用：能按名称找到对应记录的改为其ID，否则清除；dryRun=true 时只返回修复方案
+app.post('/api/integrity/fix', requireRole('admin'), (req, res) => {
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  try {
+    const plan = planIntegrityFix(store.snapshot());
+    if (!dryRun && plan.fixes.length > 0) {
+      store.transaction(tx => {
+        plan.fixes.forEach(({ collection, id, patch }) => tx.update(collection, id, patch));
+      });
+      plan.fixes
+        .filter(fix => fix.collection === 'files')
+        .forEach(fix => indexFile(store.get('files', fix.id), { reloadContent: false }));
+      plan.fixes
+        .filter(fix => fix.collection === 'categories')
+        .forEach(fix => reindexCategory(fix.id));
+    }
+    res.json({ success: true, dryRun, ...plan });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
+    }
+    console.error('修复引用失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 自动规则
+
+// 规则目标所在的集合
+function getRulePresets() {
+  return {
+    preset_tags: store.list('preset_tags'),
+    preset_models: store.list('preset_models'),
+    categories: store.list('categories')
+  };
+}
+
+// 请求中的规则字段，修改时未提供 enabled 则保持不变
+function readRule(body, current = {}) {
+  return {
+    name: String(body.name || '').trim(),
+    enabled: body.enabled !== undefined ? body.enabled !== false : current.enabled !== false,
+    field: body.field,
+    operator: body.operator,
+    value: String(body.value || ''),
+    action: body.action,
+    target: String(body.target || '')
+  };
+}
+
+function sendRuleError(res, error, message) {
+  if (error instanceof AutoRules.RuleError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, errors: error.errors });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: '保存失败' });
+}
+
+// 获取规则列表（按执行顺序）
+app.get('/api/rules', requireRole('editor'), (req, res) => {
+  res.json({ rules: store.list('auto_rules') });
+});
+
+app.post('/api/rules', requireRole('editor'), (req, res) => {
+  const rule = {
+    id: 'rule_' + Date.now(),
+    ...readRule(req.body),
+    createTime: new Date().toISOString()
+  };
+
+  try {
+    AutoRules.checkRule(rule, getRulePresets());
+    res.json({ success: true, rule: store.insert('auto_rules', rule) });
+  } catch (error) {
+    sendRuleError(res, error, '添加规则失败');
+  }
+});
+
+app.put('/api/rules/:id', requireRole('editor'), (req, res) => {
+  const current = store.get('auto_rules', req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: '规则不存在' });
+  }
+
+  const patch = { ...readRule(req.body, current), updateTime: new Date().toISOString() };
+  try {
+    AutoRules.checkRule(patch, getRulePresets());
+    res.json({ success: true, rule: store.update('auto_rules', current.id, patch) });
+  } catch (error) {
+    sendRuleError(res, error, '更新规则失败');
+  }
+});
+
+app.delete('/api/rules/:id', requireRole('editor'), (req, res) => {
+  if (!store.remove('auto_rules', req.params.id)) {
+    return res.status(404).json({ error: '规则不存在' });
+  }
+  res.json({ success: true });
+});
+
+// 试运行尚未保存的规则：列出已有文件中会被修改的文件，不写入
+app.post('/api/rules/preview', requireRole('editor'), (req, res) => {
+  const rule = { id: 'preview', ...readRule(req.body.rule || {}), enabled: true };
+
+  try {
+    AutoRules.checkRule(rule, getRulePresets());
+    res.json({ success: true, dryRun: true, plan: autoTagging.planRules(store, [rule]) });
+  } catch (error) {
+    sendRuleError(res, error, '试运行规则失败');
+  }
+});
+
+// 对已有文件重新执行全部启用的规则；dryRun=true 时只返回会被修改的文件
+app.post('/api/rules/apply', requireRole('editor'), (req, res) => {
+  const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+  try {
+    const plan = autoTagging.planRules(store, store.list('auto_rules'));
+    if (!dryRun && plan.files.length > 0) {
+      autoTagging.applyPlan(store, plan);
+      plan.files.forEach(({ id }) => indexFile(store.get('files', id), { reloadContent: false }));
+    }
+    res.json({ success: true, dryRun, plan });
+  } catch (error) {
+    sendRuleError(res, error, '执行规则失败');
+  }
+});
+
+// 评分
+
+// 当前评分标准，尚未配置时使用默认标准
+function getCriteria() {
+  const criteria = store.list('rubric');
+  return criteria.length > 0 ? criteria : scoring.DEFAULT_CRITERIA;
+}
+
+// 获取评分标准
+app.get('/api/rubric', requireRole('viewer'), (req, res) => {
+  res.json({ criteria: getCriteria(), min: scoring.SCORE_MIN, max: scoring.SCORE_MAX });
+});
+
+// 修改评分标准（删除的标准不再参与汇总，已有分数保留）
+app.put('/api/rubric', requireRole('admin'), (req, res) => {
+  let criteria;
+  try {
+    criteria = scoring.normalizeCriteria(req.body.criteria);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    store.transaction(() => {
+      store.list('rubric').map(c => c.id).forEach(id => store.remove('rubric', id));
+      criteria.forEach(criterion => store.insert('rubric', criterion));
+    });
+    res.json({ success: true, criteria });
+  } catch (error) {
+    console.error('保存评分标准失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 获取文件的全部评审及汇总
+app.get('/api/files/:id/reviews', requireRole('viewer'), (req, res) => {
+  const file = store.get('files', req.params.id);
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  const criteria = getCriteria();
+  const reviews = store.list('reviews').filter(review => review.fileId === file.id);
+  res.json({ criteria, reviews, summary: scoring.summarizeFile(criteria, reviews) });
+});
+
+// 提交或更新当前用户对文件的评分，每位评审人每个文件保留一条记录
+app.put('/api/files/:id/reviews', requireRole('editor'), (req, res) => {
+  const file = store.get('files', req.params.id);
+  if (!file || file.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+
+  let scores;
+  try {
+    scores = scoring.normalizeScores(getCriteria(), req.body.scores);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const now = new Date().toISOString();
+  const existing = store.list('reviews').find(review => review.fileId === file.id && review.userId === req.user.id);
+  const patch = { scores, comment: String(req.body.comment || '').trim(), updateTime: now };
+
+  try {
+    const review = existing
+      ? store.update('reviews', existing.id, patch)
+      : store.insert('reviews', {
+        id: 'review_' + crypto.randomBytes(6).toString('hex'),
+        fileId: file.id,
+        userId: req.user.id,
+        username: req.user.username,
+        createTime: now,
+        ...patch
+      });
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('保存评分失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 撤回当前用户的评分
+app.delete('/api/files/:id/reviews', requireRole('editor'), (req, res) => {
+  const review = store.list('reviews').find(r => r.fileId === req.params.id && r.userId === req.user.id);
+  if (!review) {
+    return res.status(404).json({ error: '尚未评分' });
+  }
+
+  try {
+    store.remove('reviews', review.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('删除评分失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 模型排行榜（groupBy=category|prompt 时同时返回分组榜单）
+app.get('/api/leaderboard', requireRole('viewer'), (req, res) => {
+  res.json(scoring.buildLeaderboard({
+    files: store.list('files').filter(f => f.status !== 'deleted'),
+    reviews: store.list('reviews'),
+    criteria: getCriteria(),
+    models: store.list('preset_models'),
+    categories: store.list('categories'),
+    groupBy: req.query.groupBy
+  }));
+});
+
+// 盲评投票
+
+// 重置评分后旧投票保留为历史记录，不再参与计算
+function getActiveVotes() {
+  return store.list('votes').filter(vote => !vote.archivedAt);
+}
+
+// 投票时不暴露模型、文件名和标题，只返回页面地址
+function blindFile(file) {
+  return { id: file.id, url: `/html-files/${file.encryptedName}` };
+}
+
+function revealFile(file) {
+  const model = store.get('preset_models', file.model);
+  return {
+    id: file.id,
+    model: file.model,
+    modelName: model ? model.name : file.model,
+    title: file.title,
+    originalName: file.originalName
+  };
+}
+
+// 抽取一组待评的文件（可按标签、分类限定范围）
+app.get('/api/votes/pair', requireRole('editor'), (req, res) => {
+  const { tag, category } = req.query;
+  const files = filterFiles(store.list('files').filter(f => f.status !== 'deleted'), { tags: tag, category });
+
+  const pair = voting.pickPair(voting.findPairs(files), getActiveVotes(), req.user.id);
+  if (!pair) {
+    return res.status(404).json({ error: '没有可盲评的文件：需要至少两个提示词相同、模型不同的文件' });
+  }
+
+  res.json({
+    prompt: pair.a.prompt,
+    a: blindFile(pair.a),
+    b: blindFile(pair.b),
+    fresh: pair.fresh
+  });
+});
+
+// 提交投票，返回双方的真实信息
+app.post('/api/votes', requireRole('editor'), (req, res) => {
+  const { a, b, winner } = req.body;
+  const fileA = store.get('files', a);
+  const fileB = store.get('files', b);
+
+  if (!fileA || !fileB || fileA.status === 'deleted' || fileB.status === 'deleted') {
+    return res.status(404).json({ error: '文件不存在' });
+  }
+  if (!voting.WINNERS.includes(winner)) {
+    return res.status(400).json({ error: '无效的投票结果' });
+  }
+  if ((fileA.prompt || '').trim() !== (fileB.prompt || '').trim() || !fileA.model || fileA.model === fileB.model) {
+    return res.status(400).json({ error: '只能对提示词相同、模型不同的文件投票' });
+  }
+
+  try {
+    // 记录投票时的模型，之后修改文件的模型不影响历史投票
+    const vote = store.insert('votes', {
+      id: 'vote_' + crypto.randomBytes(6).toString('hex'),
+      fileA: fileA.id,
+      fileB: fileB.id,
+      modelA: fileA.model,
+      modelB: fileB.model,
+      winner,
+      userId: req.user.id,
+      username: req.user.username,
+      createTime: new Date().toISOString()
     });
+    res.json({ success: true, vote, reveal: { a: revealFile(fileA), b: revealFile(fileB) } });
+  } catch (error) {
+    console.error('保存投票失败:', error);
+    res.status(500).json({ error: '保存失败' });
+  }
+});
+
+// 各模型的 Elo 评分，tag、category 限定只统计双方都符合条件的投票
+app.get('/api/ratings', requireRole('viewer'), (req, res) => {
+  const { tag, category } = req.query;
+  let votes = getActiveVotes();
+
+  if (tag || category) {
+    const ids = new Set(filterFiles(store.list('files'), { tags: tag, category }).map(f => f.id));
+    votes = votes.filter(vote => ids.has(vote.fileA) && ids.has(vote.fileB));
   }
 
-  const deletedCategory = data.categories.splice(categoryIndex, 1)[0];
-  updateStats(data);
+  const ratings = voting.computeRatings(votes).map(rating => {
+    const model = store.get('preset_models', rating.modelId);
+    return { ...rating, modelName: model ? model.name : rating.modelId };
+  });
+
+  res.json({ ratings, votes: votes.length, initial: voting.INITIAL_RATING, k: voting.K_FACTOR });
+});
 
-  if (saveData(data)) {
-    res.json({ success: true, category: deletedCategory });
-  } else {
+// 重置评分：将现有投票归档
+app.post('/api/ratings/reset', requireRole('admin'), (req, res) => {
+  try {
+    const archivedAt = new Date().toISOString();
+    const votes = getActiveVotes();
+    store.transaction(() => {
+      votes.forEach(vote => store.update('votes', vote.id, { archivedAt }));
+    });
+    res.json({ success: true, archived: votes.length });
+  } catch (error) {
+    console.error('重置评分失败:', error);
     res.status(500).json({ error: '保存失败' });
   }
 });
 
-// 目录扫描接口
-app.post('/api/scan-directory', (req, res) => {
+// 分析扫描到的页面用于生成建议，过大的文件不读取内容
+const MAX_ANALYZE_SIZE = 10 * 1024 * 1024;
+
+// 目录扫描接口，每个文件附带页面分析结果 page，浏览器中再结合提示词生成标签、分类和模型建议；
+// rules 为按文件名和页面内容会生效的自动规则（导入时还会按提示词等字段执行）
+app.post('/api/scan-directory', requireRole('admin'), (req, res) => {
   const { directory } = req.body;
 
   if (!directory) {
@@ -494,6 +1890,8 @@ app.post('/api/scan-directory', (req, res) => {
 
   try {
     const htmlFiles = [];
+    const rules = store.list('auto_rules');
+    const presets = getRulePresets();
 
     // 扫描HTML文件
     function scanDir(dirPath) {
@@ -506,11 +1904,15 @@ app.post('/api/scan-directory', (req, res) => {
         if (stats.isDirectory()) {
           scanDir(fullPath);
         } else if (item.toLowerCase().endsWith('.html')) {
+          const html = stats.size <= MAX_ANALYZE_SIZE ? fs.readFileSync(fullPath, 'utf8') : '';
+          const { matched } = AutoRules.applyRules(rules, { originalName: item, title: item }, { html, data: presets });
           htmlFiles.push({
             path: fullPath,
             name: item,
             size: stats.size,
-            mtime: stats.mtime
+            mtime: stats.mtime,
+            page: UploadSuggestions.analyzePage(html),
+            rules: matched.map(rule => rule.name)
           });
         }
       }
@@ -525,69 +1927,121 @@ app.post('/api/scan-directory', (req, res) => {
   }
 });
 
-// 批量上传文件
-app.post('/api/batch-upload', (req, res) => {
+// 批量上传文件，files 中每项可以带 tags、category、model（接受的建议），
+// 标签与共同的标签合并，分类和模型优先于共同的设置；写入前执行自动规则
+app.post('/api/batch-upload', requireRole('admin'), (req, res) => {
   const { files, background, prompt, tags, model } = req.body;
 
   if (!files || !Array.isArray(files)) {
     return res.status(400).json({ error: '请提供文件列表' });
   }
+  if (!files.every(fileInfo => fileInfo && typeof fileInfo.path === 'string')) {
+    return res.status(400).json({ error: '文件列表中的每一项都需要文件路径 path' });
+  }
 
-  const data = loadData();
   const results = [];
+  // 已复制到上传目录的页面，记录没有写入时删除
+  const copiedPages = [];
 
-  for (const fileInfo of files) {
-    try {
-      const sourcePath = fileInfo.path;
-      const originalName = fileInfo.name;
-
-      if (!fs.existsSync(sourcePath)) {
-        results.push({ name: originalName, success: false, error: '文件不存在' });
-        continue;
+  try {
+    // 所有记录在一次原子写入中落盘
+    store.transaction(() => {
+      for (const fileInfo of files) {
+        const originalName = fileInfo.name;
+        let targetPath = null;
+
+        try {
+          const sourcePath = fileInfo.path;
+
+          if (!fs.existsSync(sourcePath)) {
+            results.push({ name: originalName, success: false, error: '文件不存在' });
+            continue;
+          }
+
+          const fileTags = [...new Set([...(tags || []), ...(Array.isArray(fileInfo.tags) ? fileInfo.tags : [])])];
+          const fileCategory = fileInfo.category || '';
+          const fileModel = fileInfo.model || model || '';
+
+          // 事务中的引用在提交前统一检查，这里先逐个检查，避免一个文件的错误导致全部失败
+          const referenceErrors = checkReferences('files', { tags: fileTags, category: fileCategory, model: fileModel }, null,
+            (target, id) => !!store.get(target, id));
+          if (referenceErrors.length > 0) {
+            results.push({ name: originalName, success: false, error: referenceErrors.map(item => item.message).join('；') });
+            continue;
+          }
+
+          // 生成随机文件名
+          const randomName = crypto.randomBytes(16).toString('hex') + '.html';
+          targetPath = path.join(HTML_DIR, randomName);
+
+          // 复制文件
+          fs.copyFileSync(sourcePath, targetPath);
+          copiedPages.push(targetPath);
+
+          // 添加到数据库
+          const fileId = crypto.randomBytes(8).toString('hex');
+          const fileSize = fs.statSync(sourcePath).size;
+
+          const newFile = {
+            id: fileId,
+            originalName,
+            encryptedName: randomName,
+            fileSize,
+            uploadTime: new Date().toISOString(),
+            accessCount: 0,
+            title: originalName,
+            description: '',
+            category: fileCategory,
+            background: background || '',
+            prompt: prompt || '',
+            model: fileModel,
+            tags: fileTags,
+            status: 'active',
+            security: scanUploadedFile(randomName)
+          };
+
+          const appliedRules = autoTagging.applyToNewFile(store, newFile, () => fs.readFileSync(targetPath, 'utf8'));
+          store.insert('files', newFile);
+          results.push({ name: originalName, success: true, file: newFile, rules: appliedRules });
+
+        } catch (error) {
+          if (targetPath) fs.removeSync(targetPath);
+          results.push({ name: originalName, success: false, error: error.message });
+        }
       }
-
-      // 生成随机文件名
-      const randomName = crypto.randomBytes(16).toString('hex') + '.html';
-      const targetPath = path.join(__dirname, 'html-files', randomName);
-
-      // 复制文件
-      fs.copyFileSync(sourcePath, targetPath);
-
-      // 添加到数据库
-      const fileId = crypto.randomBytes(8).toString('hex');
-      const fileSize = fs.statSync(sourcePath).size;
-
-      const newFile = {
-        id: fileId,
-        originalName,
-        encryptedName: randomName,
-        fileSize,
-        uploadTime: new Date().toISOString(),
-        accessCount: 0,
-        title: originalName,
-        description: '',
-        category: '',
-        background: background || '',
-        prompt: prompt || '',
-        model: model || '',
-        tags: tags || [],
-        status: 'active'
-      };
-
-      data.files.push(newFile);
-      results.push({ name: originalName, success: true, file: newFile });
-
-    } catch (error) {
-      results.push({ name: originalName, success: false, error: error.message });
+    });
+  } catch (error) {
+    // 事务提交失败时所有记录都没有写入，删除已复制的页面
+    copiedPages.forEach(pagePath => fs.removeSync(pagePath));
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, errors: error.errors });
     }
+    console.error('批量导入失败:', error);
+    return res.status(500).json({ error: '批量导入失败' });
   }
 
-  updateStats(data);
-  saveData(data);
+  results
+    .filter(result => result.success)
+    .forEach(result => {
+      indexFile(result.file);
+      queueThumbnail(result.file.id, result.file.encryptedName);
+    });
 
   res.json({ success: true, results });
 });
 
+// 请求体不是有效的 JSON（包括 express.json 拒绝的 null 等非对象值）时返回 JSON 错误，而不是默认的 HTML 错误页
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: '请求内容不是有效的 JSON' });
+  }
+  next(error);
+});
+
+// 退出前刷新未落盘的数据
+process.on('exit', () => store.close());
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
 // 启动服务器
 app.listen(PORT, () => {
   console.log(`OpenOneHTML服务器运行在 http://localhost:${PORT}`);
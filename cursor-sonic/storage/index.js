@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { CURRENT_VERSION, migrateData } = require('./migrations');
+
+/**
+ * 存储层入口
+ * 所有路由通过统一的存储适配器读写数据，而不是直接读写 data.json
+ *
+ * 适配器接口（均为同步方法）:
+ *   snapshot()                         获取完整数据（与 data.json 格式一致）
+ *   merge(partial)                     按顶层字段合并数据（集合整体替换）
+ *   replace(data)                      整体替换数据（用于版本迁移）
+ *   list(collection)                   获取集合中的全部记录
+ *   get(collection, id)                获取单条记录
+ *   insert(collection, record)         插入记录
+ *   update(collection, id, patch, opt) 按记录更新，opt.defer 允许延迟落盘
+ *   remove(collection, id)             删除记录
+ *   transaction(fn)                    在一次原子写入中执行多个操作
+ *   close()                            刷新未落盘的数据并释放资源
+ *
+ * createStorage 返回的适配器外包一层 ValidatedStorage，写入前按 database/schema.json 校验；
+ * 打开时先执行 migrations.js 中尚未执行的数据迁移
+ */
+
+// 以数组形式保存、以 id 作为主键的顶层集合
+const COLLECTIONS = ['files', 'preset_tags', 'preset_models', 'categories', 'users', 'sessions', 'rubric', 'reviews', 'votes', 'auto_rules'];
+
+// 只在服务端使用或只能通过专用接口读写的集合，不通过 /api/data 读取或覆盖
+const PRIVATE_COLLECTIONS = ['users', 'sessions', 'rubric', 'reviews', 'votes', 'auto_rules'];
+
+// 用户和会话保存在单独的 auth.json 中（见 createAuthStorage），不随 data.json 纳入版本控制
+const AUTH_COLLECTIONS = ['users', 'sessions'];
+
+/**
+ * 创建空数据结构
+ * @returns {Object} 默认数据
+ */
+function createEmptyData() {
+  return {
+    version: CURRENT_VERSION,
+    files: [],
+    preset_tags: [],
+    preset_models: [],
+    categories: [],
+    settings: { totalFiles: 0, totalTags: 0, totalModels: 0, totalCategories: 0 }
+  };
+}
+
+/**
+ * 计算统计信息
+ * @param {Object} data 完整数据
+ * @returns {Object} 更新后的 settings
+ */
+function computeStats(data) {
+  const files = data.files || [];
+  const tags = data.preset_tags || [];
+  const models = data.preset_models || [];
+
+  // 计算分类数量
+  const categories = new Set();
+  files.forEach(file => {
+    if (file.category) categories.add(file.category);
+  });
+
+  return {
+    ...(data.settings || {}),
+    totalFiles: files.filter(f => f.status !== 'deleted').length,
+    totalTags: tags.length,
+    totalModels: models.length,
+    totalCategories: categories.size
+  };
+}
+
+/**
+ * 根据配置创建存储适配器
+ * @param {Object} options 配置选项
+ * @param {string} options.driver 存储驱动：json 或 sqlite
+ * @param {string} options.databaseDir 数据目录
+ * @returns {Object} 存储适配器实例
+ */
+function createStorage(options = {}) {
+  const {
+    driver = process.env.STORAGE_DRIVER || 'json',
+    databaseDir = process.env.DATABASE_DIR || path.join(__dirname, '..', 'database')
+  } = options;
+
+  const jsonPath = path.join(databaseDir, 'data.json');
+
+  let adapter;
+  switch (driver) {
+    case 'json': {
+      const JsonStorage = require('./json-storage');
+      adapter = new JsonStorage(jsonPath);
+      break;
+    }
+    case 'sqlite': {
+      const SqliteStorage = require('./sqlite-storage');
+      adapter = new SqliteStorage(path.join(databaseDir, 'data.sqlite'), { importFrom: jsonPath });
+      break;
+    }
+    default:
+      throw new Error(`未知的存储驱动: ${driver}`);
+  }
+
+  const ValidatedStorage = require('./validated-storage');
+  const store = new ValidatedStorage(adapter);
+  migrateStorage(store, databaseDir);
+  return store;
+}
+
+/**
+ * 创建保存用户和会话的存储：数据目录中的 auth.json，与使用的存储驱动无关。
+ * 旧版本把用户和会话保存在主数据中，启动时移入 auth.json 并从主数据中删除
+ * @param {Object} store createStorage 返回的主存储
+ * @param {Object} options 配置选项
+ * @param {string} options.databaseDir 数据目录
+ * @returns {Object} 带结构校验的存储，只包含 users、sessions 两个集合
+ */
+function createAuthStorage(store, options = {}) {
+  const {
+    databaseDir = process.env.DATABASE_DIR || path.join(__dirname, '..', 'database')
+  } = options;
+
+  const JsonStorage = require('./json-storage');
+  const ValidatedStorage = require('./validated-storage');
+  const authPath = path.join(databaseDir, 'auth.json');
+  const existed = fs.existsSync(authPath);
+  const authStore = new ValidatedStorage(new JsonStorage(authPath, {
+    createEmpty: () => ({ users: [], sessions: [] }),
+    stats: false
+  }));
+
+  const data = store.snapshot();
+  const legacy = AUTH_COLLECTIONS.filter(collection => Array.isArray(data[collection]) && data[collection].length > 0);
+  if (legacy.length === 0) return authStore;
+
+  // auth.json 已存在时以它为准，主数据中残留的用户和会话直接删除
+  if (!existed) {
+    authStore.transaction(() => {
+      legacy.forEach(collection => data[collection].forEach(record => authStore.insert(collection, record)));
+    });
+  }
+  // 只删除两个集合，不重新校验其余数据（迁移后可能仍有不符合结构定义的旧记录）
+  const rest = { ...data };
+  AUTH_COLLECTIONS.forEach(collection => delete rest[collection]);
+  store.adapter.replace(rest);
+  console.log(existed
+    ? `已删除主数据中残留的用户和会话（以 ${authPath} 为准）`
+    : `用户和会话已从主数据移到 ${authPath}`);
+  return authStore;
+}
+
+/**
+ * 执行尚未执行的数据迁移，迁移前把原数据备份到 data.json.v<原版本>.bak
+ * 迁移后的数据不符合结构定义时只输出警告，不影响启动，之后写入这些记录时会被拒绝
+ * @param {Object} store 存储实例
+ * @param {string} databaseDir 数据目录
+ */
+function migrateStorage(store, databaseDir) {
+  const data = store.snapshot();
+  const result = migrateData(data);
+  if (result.applied.length === 0) return;
+
+  const backupPath = path.join(databaseDir, `data.json.v${result.from}.bak`);
+  fs.outputJsonSync(backupPath, data, { spaces: 2 });
+
+  try {
+    store.replace(result.data);
+  } catch (error) {
+    if (!error.errors) throw error;
+    console.warn(`迁移后的数据有 ${error.errors.length} 处不符合结构定义:`);
+    error.errors.forEach(item => console.warn(`  ${item.path} ${item.message}`));
+    store.adapter.replace(result.data);
+  }
+
+  console.log(`数据已从版本 ${result.from} 迁移到 ${result.to}（原数据备份在 ${backupPath}）`);
+  result.applied.forEach(line => console.log(`  ${line}`));
+}
+
+module.exports = {
+  COLLECTIONS,
+  PRIVATE_COLLECTIONS,
+  AUTH_COLLECTIONS,
+  createEmptyData,
+  computeStats,
+  createStorage,
+  createAuthStorage
+};
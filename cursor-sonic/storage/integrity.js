@@ -0,0 +1,197 @@
+const { schema } = require('./schema');
+const AutoRules = require('../js/auto-rules');
+
+/**
+ * 引用完整性
+ * schema.json 中带 ref 的字段保存其他集合的记录ID（文件的分类、模型、标签，标签和分类的上级）。
+ * 写入时只检查新写入的引用，已有的失效引用不妨碍修改记录的其他字段；
+ * 数据中已有的失效引用由 findDanglingReferences 报告，planIntegrityFix 生成修复方案：
+ * 值与目标集合中某条记录的名称或别名相同时（如旧数据按名称保存的分类）改为该记录的ID，
+ * 否则清除引用。
+ * 自动规则的 target 按动作引用标签、分类或模型（见 js/auto-rules.js），同样报告失效的目标；
+ * 规则必须有目标，找不到同名记录时不能清除，标记为 manual，需要在自动规则中手动修改
+ */
+
+const COLLECTION_LABELS = {
+  files: '文件',
+  preset_tags: '标签',
+  preset_models: '模型',
+  categories: '分类',
+  auto_rules: '自动规则'
+};
+
+/**
+ * 集合中的引用字段
+ * @param {string} collection 集合名称
+ * @returns {Array<{field, target, many}>} many 为 true 时字段是ID数组
+ */
+function getReferenceFields(collection) {
+  const definition = schema.collections[collection];
+  if (!definition) return [];
+
+  return Object.entries(definition.fields)
+    .map(([field, fieldDefinition]) => {
+      if (fieldDefinition.ref) return { field, target: fieldDefinition.ref, many: false };
+      if (fieldDefinition.items && fieldDefinition.items.ref) return { field, target: fieldDefinition.items.ref, many: true };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// 字段中引用的ID，空字符串表示没有引用
+function getReferencedIds(record, { field, many }) {
+  const value = record ? record[field] : undefined;
+  if (many) return Array.isArray(value) ? value.filter(id => typeof id === 'string' && id) : [];
+  return typeof value === 'string' && value ? [value] : [];
+}
+
+/**
+ * 检查记录中新写入的引用是否存在
+ * @param {string} collection 集合名称
+ * @param {Object} record 写入后的记录
+ * @param {Object|null} previous 写入前的记录，新增时为 null
+ * @param {Function} exists (target, id) => 目标记录是否存在
+ * @param {string} recordPath 错误信息中使用的记录路径
+ * @returns {Array<Object>} 错误列表 [{ path, message }]
+ */
+function checkReferences(collection, record, previous, exists, recordPath = collection) {
+  const errors = [];
+  getReferenceFields(collection).forEach(reference => {
+    const before = new Set(getReferencedIds(previous, reference));
+    getReferencedIds(record, reference)
+      .filter(id => !before.has(id) && !exists(reference.target, id))
+      .forEach(id => {
+        errors.push({
+          path: `${recordPath}.${reference.field}`,
+          message: `引用的${COLLECTION_LABELS[reference.target] || reference.target} ${JSON.stringify(id)} 不存在`
+        });
+      });
+  });
+  return errors;
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function describeRecord(collection, record) {
+  return collection === 'files' ? record.title || record.originalName || record.id : record.name || record.id;
+}
+
+// 名称或别名与 value 相同的记录
+function findByName(targets, value) {
+  return targets.find(target =>
+    [target.name, ...(target.aliases || [])].some(name => normalizeName(name) === normalizeName(value))) || null;
+}
+
+// 目标不存在的自动规则，动作无效的规则由结构校验负责，不在这里报告
+function findDanglingRuleTargets(data) {
+  return (data.auto_rules || [])
+    .filter(rule => AutoRules.ACTIONS[rule.action])
+    .map(rule => {
+      const target = AutoRules.ACTIONS[rule.action].collection;
+      const targets = data[target] || [];
+      if (targets.some(record => record.id === rule.target)) return null;
+      const match = findByName(targets, rule.target);
+      return {
+        collection: 'auto_rules',
+        id: rule.id,
+        label: describeRecord('auto_rules', rule),
+        deleted: false,
+        field: 'target',
+        value: rule.target,
+        target,
+        replacement: match ? match.id : '',
+        manual: !match
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * 查找数据中的失效引用
+ * @param {Object} data 与 data.json 格式相同的数据
+ * @returns {Array<Object>} [{ collection, id, label, deleted, field, value, target, replacement, manual }]，
+ *   replacement 为名称或别名与 value 相同的目标记录ID，没有时为空字符串；
+ *   manual 为 true 时不能自动修复（没有同名记录的自动规则目标）
+ */
+function findDanglingReferences(data) {
+  const issues = [];
+
+  Object.keys(schema.collections).forEach(collection => {
+    const references = getReferenceFields(collection);
+    if (references.length === 0) return;
+
+    (data[collection] || []).forEach(record => {
+      references.forEach(reference => {
+        const targets = data[reference.target] || [];
+        const ids = new Set(targets.map(target => target.id));
+
+        getReferencedIds(record, reference)
+          .filter(id => !ids.has(id))
+          .forEach(value => {
+            const match = findByName(targets, value);
+            issues.push({
+              collection,
+              id: record.id,
+              label: describeRecord(collection, record),
+              deleted: record.status === 'deleted',
+              field: reference.field,
+              value,
+              target: reference.target,
+              replacement: match && match.id !== record.id ? match.id : ''
+            });
+          });
+      });
+    });
+  });
+
+  return [...issues, ...findDanglingRuleTargets(data)];
+}
+
+/**
+ * 生成失效引用的修复方案
+ * @param {Object} data 与 data.json 格式相同的数据
+ * @returns {Object} { issues, fixes: [{ collection, id, patch }], summary }，每条记录一个 patch，
+ *   manual 的问题不生成修复
+ */
+function planIntegrityFix(data) {
+  const issues = findDanglingReferences(data);
+  const fixes = new Map();
+
+  issues.filter(issue => !issue.manual).forEach(issue => {
+    const key = `${issue.collection}/${issue.id}`;
+    if (!fixes.has(key)) fixes.set(key, { collection: issue.collection, id: issue.id, patch: {} });
+    const { patch } = fixes.get(key);
+    const record = (data[issue.collection] || []).find(item => item.id === issue.id);
+    const many = Array.isArray(record[issue.field]);
+
+    if (many) {
+      const current = patch[issue.field] || record[issue.field];
+      patch[issue.field] = [...new Set(current.flatMap(id => {
+        if (id !== issue.value) return [id];
+        return issue.replacement ? [issue.replacement] : [];
+      }))];
+    } else {
+      patch[issue.field] = issue.replacement;
+    }
+  });
+
+  const relinked = issues.filter(issue => issue.replacement).length;
+  const manual = issues.filter(issue => issue.manual).length;
+  const records = new Set(issues.map(issue => `${issue.collection}/${issue.id}`)).size;
+  const summary = issues.length === 0
+    ? '没有发现失效的引用'
+    : `发现 ${issues.length} 处失效的引用，涉及 ${records} 条记录：${relinked} 处按名称改为对应的ID，${issues.length - relinked - manual} 处清除` +
+      (manual > 0 ? `，${manual} 条自动规则的目标需要手动修改` : '');
+
+  return { issues, fixes: [...fixes.values()], summary };
+}
+
+module.exports = {
+  COLLECTION_LABELS,
+  getReferenceFields,
+  checkReferences,
+  findDanglingReferences,
+  planIntegrityFix
+};
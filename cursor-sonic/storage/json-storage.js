@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { COLLECTIONS, createEmptyData, computeStats } = require('./index');
+
+// 延迟写入的等待时间（毫秒），用于合并访问计数等高频低价值更新
+const DEFER_DELAY = 1000;
+
+/**
+ * JSON 文件存储适配器
+ * 保持 database/data.json 现有格式，数据常驻内存，写入采用"临时文件 + 重命名"保证原子性
+ */
+class JsonStorage {
+  /**
+   * @param {string} filePath 数据文件路径
+   * @param {Object} options 配置选项
+   * @param {Function} options.createEmpty 文件不存在时的初始数据，默认为 createEmptyData
+   * @param {boolean} options.stats 写入时是否更新 settings 中的统计信息，默认 true
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.createEmpty = options.createEmpty || createEmptyData;
+    this.stats = options.stats !== false;
+    this.data = null;
+    this.mtimeMs = 0;
+    this.flushTimer = null;
+    this.inTransaction = false;
+    this.load();
+  }
+
+  /**
+   * 从磁盘加载数据
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        return;
+      }
+    } catch (error) {
+      console.error('加载数据失败:', error);
+    }
+    this.data = this.createEmpty();
+  }
+
+  /**
+   * 文件被外部修改（例如手动编辑 data.json）时重新加载
+   */
+  ensureFresh() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs !== this.mtimeMs) {
+        if (this.flushTimer) {
+          console.warn('data.json 已被外部修改，丢弃未落盘的延迟更新');
+          this.cancelFlush();
+        }
+        this.load();
+      }
+    } catch (error) {
+      console.error('检查数据文件失败:', error);
+    }
+  }
+
+  /**
+   * 原子写入：先写临时文件再重命名，避免写入中断导致文件损坏
+   */
+  persist() {
+    this.cancelFlush();
+    if (this.stats) this.data.settings = computeStats(this.data);
+    this.data.lastUpdate = new Date().toISOString();
+
+    fs.ensureDirSync(path.dirname(this.filePath));
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(this.data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer || this.inTransaction) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      try {
+        this.persist();
+      } catch (error) {
+        console.error('保存数据失败:', error);
+      }
+    }, DEFER_DELAY);
+    this.flushTimer.unref();
+  }
+
+  cancelFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  commit() {
+    if (!this.inTransaction) {
+      this.persist();
+    }
+  }
+
+  collection(name) {
+    if (!COLLECTIONS.includes(name)) {
+      throw new Error(`未知的数据集合: ${name}`);
+    }
+    if (!Array.isArray(this.data[name])) {
+      this.data[name] = [];
+    }
+    return this.data[name];
+  }
+
+  snapshot() {
+    this.ensureFresh();
+    return this.stats ? { ...this.data, settings: computeStats(this.data) } : { ...this.data };
+  }
+
+  merge(partial) {
+    this.ensureFresh();
+    Object.assign(this.data, partial);
+    this.commit();
+    return this.snapshot();
+  }
+
+  // 整体替换数据（用于版本迁移）
+  replace(data) {
+    this.cancelFlush();
+    this.data = { ...data };
+    this.persist();
+    return this.snapshot();
+  }
+
+  list(collection) {
+    this.ensureFresh();
+    return this.collection(collection);
+  }
+
+  get(collection, id) {
+    this.ensureFresh();
+    return this.collection(collection).find(record => record.id === id) || null;
+  }
+
+  insert(collection, record) {
+    this.ensureFresh();
+    this.collection(collection).push(record);
+    this.commit();
+    return record;
+  }
+
+  update(collection, id, patch, options = {}) {
+    this.ensureFresh();
+    const records = this.collection(collection);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return null;
+
+    records[index] = { ...records[index], ...patch };
+
+    if (options.defer) {
+      this.scheduleFlush();
+    } else {
+      this.commit();
+    }
+    return records[index];
+  }
+
+  remove(collection, id) {
+    this.ensureFresh();
+    const records = this.collection(collection);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return null;
+
+    const removed = records.splice(index, 1)[0];
+    this.commit();
+    return removed;
+  }
+
+  /**
+   * 在一次写入中执行多个操作，出错时回滚内存中的修改
+   * @param {Function} fn 接收存储实例的回调
+   * @returns {*} 回调返回值
+   */
+  transaction(fn) {
+    if (this.inTransaction) return fn(this);
+
+    this.ensureFresh();
+    const backup = JSON.stringify(this.data);
+    this.inTransaction = true;
+    try {
+      const result = fn(this);
+      this.inTransaction = false;
+      this.persist();
+      return result;
+    } catch (error) {
+      this.inTransaction = false;
+      this.data = JSON.parse(backup);
+      throw error;
+    }
+  }
+
+  close() {
+    if (this.flushTimer) {
+      this.persist();
+    }
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,286 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 数据版本迁移
+ * 数据的 version 字段记录其结构版本。启动时按版本号依次执行尚未执行的迁移，
+ * 每个迁移接收上一版本的数据，返回新版本的数据。修改 database/schema.json
+ * 的结构时，在 MIGRATIONS 末尾追加迁移，并把 schema.json 的 version 改为新版本号
+ */
+
+// trae-trash 的数据有自己的版本号（"1.0"），与这里的版本无关，统一视为最早的版本
+const LEGACY_VERSION = '0.0.0';
+
+// trae-trash 中表示"没有分类"的分类名
+const TRAE_UNCATEGORIZED = '未分类';
+
+/**
+ * 比较两个版本号
+ * @returns {number} a < b 为负数，相等为 0，a > b 为正数
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * 把 trae-trash 格式的数据库转换为当前格式
+ * html_files 改为 files，字段改为驼峰命名；scene 对应背景需求；标签、模型和分类
+ * 在 trae-trash 中直接保存名称，这里生成对应的预置选项并改为引用ID。
+ * 当前格式每个文件只有一个模型，第一个模型作为文件的模型，完整的模型列表、
+ * 评分和兼容性信息保存在 legacy 中
+ * @param {Object} data trae-trash 的 data.json
+ * @returns {Object} 转换后的数据
+ */
+function convertTraeTrash(data) {
+  const now = new Date().toISOString();
+  const tags = new Map();
+  const models = new Map();
+  const categories = new Map();
+
+  // 同名的预置选项只生成一个，ID 按出现顺序编号
+  const presetId = (map, prefix, name) => {
+    if (!map.has(name)) {
+      map.set(name, { id: `${prefix}_trae_${String(map.size + 1).padStart(3, '0')}`, name });
+    }
+    return map.get(name).id;
+  };
+
+  const files = (data.html_files || []).map(file => {
+    const fileModels = Array.isArray(file.models) ? file.models.filter(model => model && model.name) : [];
+    // 所有出现过的模型都生成预置选项，之后可以在界面中改选
+    const modelIds = fileModels.map(model => presetId(models, 'model', String(model.name)));
+    const category = file.category && file.category !== TRAE_UNCATEGORIZED ? String(file.category) : '';
+    if (category) presetId(categories, 'category', category);
+
+    const legacy = {};
+    ['models', 'rating', 'compatibility', 'updated_at'].forEach(key => {
+      if (file[key] !== undefined) legacy[key] = file[key];
+    });
+
+    const uploadTime = file.created_at && !isNaN(Date.parse(file.created_at))
+      ? new Date(file.created_at).toISOString()
+      : now;
+
+    return {
+      id: String(file.id),
+      // trae-trash 的页面以文件ID命名，保存在 html-files/<id>.html
+      originalName: String(file.original_name || `${file.id}.html`),
+      encryptedName: `${file.id}.html`,
+      fileSize: Number(file.file_size) || 0,
+      uploadTime,
+      accessCount: Number(file.access_count) || 0,
+      title: String(file.original_name || file.id),
+      description: String(file.description || ''),
+      category,
+      background: String(file.scene || ''),
+      prompt: String(file.prompt || ''),
+      model: modelIds.length > 0 ? modelIds[0] : '',
+      tags: (Array.isArray(file.tags) ? file.tags : []).map(name => presetId(tags, 'tag', String(name))),
+      status: 'active',
+      ...(Object.keys(legacy).length > 0 && { legacy })
+    };
+  });
+
+  const lastUpdate = data.last_updated && !isNaN(Date.parse(data.last_updated))
+    ? new Date(data.last_updated).toISOString()
+    : now;
+
+  return {
+    lastUpdate,
+    files,
+    preset_tags: [...tags.values()].map(tag => ({
+      ...tag, color: '#3498db', description: '', createTime: now, usageCount: 0
+    })),
+    preset_models: [...models.values()].map(model => ({
+      ...model, description: '', createTime: now, usageCount: 0
+    })),
+    categories: [...categories.values()].map(category => ({
+      ...category, description: '', createTime: now, usageCount: 0
+    })),
+    settings: {}
+  };
+}
+
+/**
+ * 文件的 category 由分类名称改为分类ID
+ * 没有对应分类记录的名称生成新的分类，已经是分类ID的值保持不变
+ * @param {Object} data 1.2.0 版本的数据
+ * @returns {Object} 转换后的数据
+ */
+function categoriesById(data) {
+  const now = new Date().toISOString();
+  const categories = (data.categories || []).map(category => ({ ...category, parentId: category.parentId || '' }));
+  const ids = new Set(categories.map(category => category.id));
+  const byName = new Map();
+  let created = 0;
+  categories.forEach(category => {
+    if (!byName.has(category.name)) byName.set(category.name, category.id);
+  });
+
+  const files = (data.files || []).map(file => {
+    const value = file.category ? String(file.category) : '';
+    if (!value || ids.has(value)) return file;
+
+    if (!byName.has(value)) {
+      let id;
+      do {
+        id = `category_migrated_${String(++created).padStart(3, '0')}`;
+      } while (ids.has(id));
+      ids.add(id);
+      categories.push({ id, name: value, description: '', parentId: '', createTime: now, usageCount: 0 });
+      byName.set(value, id);
+    }
+    return { ...file, category: byName.get(value) };
+  });
+
+  return { ...data, files, categories };
+}
+
+// 按版本号从小到大排列
+const MIGRATIONS = [
+  {
+    version: '1.0.0',
+    description: '将 trae-trash 格式的数据库转换为当前格式',
+    migrate: convertTraeTrash
+  },
+  {
+    version: '1.1.0',
+    description: '分类加入结构定义：createdAt 改为 createTime，补全描述和使用次数',
+    migrate(data) {
+      const categories = (data.categories || []).map(category => {
+        const { createdAt, ...rest } = category;
+        return {
+          ...rest,
+          description: rest.description || '',
+          createTime: rest.createTime || createdAt || new Date().toISOString(),
+          usageCount: rest.usageCount || 0
+        };
+      });
+      return { ...data, categories };
+    }
+  },
+  {
+    version: '1.2.0',
+    description: '标签支持层级和别名：补全 parentId 和 aliases',
+    migrate(data) {
+      const tags = (data.preset_tags || []).map(tag => ({
+        ...tag,
+        parentId: tag.parentId || '',
+        aliases: Array.isArray(tag.aliases) ? tag.aliases : []
+      }));
+      return { ...data, preset_tags: tags };
+    }
+  },
+  {
+    version: '1.3.0',
+    description: '文件按ID引用分类，分类支持层级：分类名称改为分类ID，补全 parentId',
+    migrate: categoriesById
+  }
+];
+
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 识别数据的结构版本
+ * @param {Object} data 数据
+ * @returns {string} 版本号
+ */
+function detectVersion(data) {
+  if (Array.isArray(data.html_files)) {
+    return LEGACY_VERSION;
+  }
+  // 加入版本迁移之前的数据都是 1.0.0
+  return typeof data.version === 'string' ? data.version : '1.0.0';
+}
+
+/**
+ * 执行尚未执行的迁移
+ * @param {Object} data 数据，不会被修改
+ * @returns {Object} { data, from, to, applied }，applied 为执行过的迁移说明，
+ *   没有需要执行的迁移时 data 为原数据
+ * @throws {Error} 数据版本高于当前程序支持的版本
+ */
+function migrateData(data) {
+  const from = detectVersion(data);
+  if (compareVersions(from, CURRENT_VERSION) > 0) {
+    throw new Error(`数据版本 ${from} 高于当前程序支持的 ${CURRENT_VERSION}，请升级程序后再打开`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => compareVersions(from, migration.version) < 0);
+  if (pending.length === 0) {
+    return { data, from, to: from, applied: [] };
+  }
+
+  let result = JSON.parse(JSON.stringify(data));
+  pending.forEach(migration => {
+    result = { ...migration.migrate(result), version: migration.version };
+  });
+  return {
+    data: result,
+    from,
+    to: CURRENT_VERSION,
+    applied: pending.map(migration => `${migration.version} ${migration.description}`)
+  };
+}
+
+// 命令行：转换单个数据文件，例如把 trae-trash 的数据库转换为当前格式
+if (require.main === module) {
+  const { validateData } = require('./schema');
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args[0].startsWith('--')) {
+    console.log('用法:');
+    console.log('  node storage/migrations.js <data.json> [输出文件] [--dry-run]');
+    console.log('');
+    console.log('不指定输出文件时覆盖原文件，原文件备份为 <文件名>.v<原版本>.bak');
+    console.log('trae-trash 的页面以文件ID命名，转换后把它的 html-files 目录中的页面复制到本项目的 html-files 目录即可');
+    process.exit(1);
+  }
+
+  try {
+    const inputPath = path.resolve(args[0]);
+    const outputArg = args.slice(1).find(arg => !arg.startsWith('--'));
+    const outputPath = outputArg ? path.resolve(outputArg) : inputPath;
+    const result = migrateData(fs.readJsonSync(inputPath));
+
+    if (result.applied.length === 0) {
+      console.log(`数据已是最新版本 ${result.from}，无需迁移`);
+    } else {
+      console.log(`数据版本 ${result.from} -> ${result.to}`);
+      result.applied.forEach(line => console.log(`  ${line}`));
+    }
+
+    const errors = validateData(result.data);
+    if (errors.length > 0) {
+      console.log(`迁移后的数据有 ${errors.length} 处不符合结构定义:`);
+      errors.forEach(error => console.log(`  ${error.path} ${error.message}`));
+      process.exitCode = 1;
+    }
+
+    if (result.applied.length > 0 && !args.includes('--dry-run')) {
+      if (outputPath === inputPath) {
+        fs.copySync(inputPath, `${inputPath}.v${result.from}.bak`);
+      }
+      fs.outputJsonSync(outputPath, result.data, { spaces: 2 });
+      console.log(`已写入: ${outputPath}`);
+    }
+  } catch (error) {
+    console.error('迁移失败:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  MIGRATIONS,
+  compareVersions,
+  detectVersion,
+  migrateData,
+  convertTraeTrash
+};
@@ -0,0 +1,97 @@
+const { schema } = require('./schema');
+
+/**
+ * 记录修订号（乐观并发控制）
+ * schema.json 中定义了 rev 字段的集合，每条记录带有修订号，由存储层在写入时维护：
+ * 新增为 1，修改后加 1。访问次数、缩略图等标记为 internal 的字段由服务器自动更新，
+ * 修改它们不改变修订号，避免后台任务让正在编辑的用户遇到冲突。
+ * 客户端修改时带上读取到的修订号（If-Match 请求头或变更中的 rev），与当前修订号不同
+ * 说明记录已被其他人修改，拒绝写入并返回当前记录，由客户端合并后重试
+ */
+
+const REVISION_FIELD = 'rev';
+
+class ConflictError extends Error {
+  /**
+   * @param {Array<Object>} conflicts [{ collection, id, rev, current }]，
+   *   rev 为当前修订号，current 为当前记录，记录已被删除时均为 null
+   */
+  constructor(conflicts) {
+    super('数据已被其他人修改，请查看最新内容后重试');
+    this.name = 'ConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+// 集合是否记录修订号
+function isTracked(collection) {
+  const definition = schema.collections[collection];
+  return !!(definition && definition.fields[REVISION_FIELD]);
+}
+
+// 记录当前的修订号，加入修订号之前的记录视为 0
+function getRevision(record) {
+  return record && typeof record[REVISION_FIELD] === 'number' ? record[REVISION_FIELD] : 0;
+}
+
+/**
+ * 计算修改后的修订号：修改了非 internal 字段时加 1
+ * @param {string} collection 集合名称
+ * @param {Object} current 当前记录
+ * @param {Object} patch 修改内容（不含 rev）
+ * @returns {number} 新的修订号
+ */
+function nextRevision(collection, current, patch) {
+  const fields = schema.collections[collection].fields;
+  const changed = Object.keys(patch).some(key => {
+    if (fields[key] && fields[key].internal) return false;
+    return JSON.stringify(patch[key]) !== JSON.stringify(current[key]);
+  });
+  return getRevision(current) + (changed ? 1 : 0);
+}
+
+/**
+ * 检查客户端读取到的修订号，与当前不同时抛出 ConflictError
+ * @param {string} collection 集合名称
+ * @param {string} id 记录ID
+ * @param {Object|null} current 当前记录，不存在时为 null
+ * @param {number|undefined} expected 客户端的修订号，未提供时不检查
+ */
+function checkRevision(collection, id, current, expected) {
+  if (expected === undefined) return;
+  if (!current || getRevision(current) !== expected) {
+    throw new ConflictError([{
+      collection,
+      id,
+      rev: current ? getRevision(current) : null,
+      current: current || null
+    }]);
+  }
+}
+
+/**
+ * 解析 If-Match 请求头
+ * @param {string|undefined} header 请求头，如 "3" 或 W/"3"
+ * @returns {number|undefined} 修订号，未提供或为 * 时返回 undefined
+ */
+function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return undefined;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  return match ? Number(match[1]) : NaN;
+}
+
+// 记录的 ETag，与 If-Match 使用相同的修订号
+function formatETag(record) {
+  return `"${getRevision(record)}"`;
+}
+
+module.exports = {
+  REVISION_FIELD,
+  ConflictError,
+  isTracked,
+  getRevision,
+  nextRevision,
+  checkRevision,
+  parseIfMatch,
+  formatETag
+};
@@ -0,0 +1,245 @@
+const path = require('path');
+
+/**
+ * 数据结构校验
+ * 按 database/schema.json 检查写入的记录：字段类型、必填、枚举、格式、正则（pattern），以及未定义的字段；
+ * 对象类型的字段可以用 fields 定义其中的字段，数组元素用 items 定义，校验方式与记录相同
+ */
+
+const schema = require(path.join(__dirname, '..', 'database', 'schema.json'));
+
+// 集合之外允许出现在顶层的字段
+const TOP_LEVEL_FIELDS = {
+  version: 'string',
+  lastUpdate: 'string',
+  settings: 'object',
+  sync: 'object'
+};
+
+// 一次报告的错误条数上限，其余合并为"等 N 处错误"
+const MAX_REPORTED_ERRORS = 5;
+
+const FORMATS = {
+  ISO8601: {
+    label: 'ISO 8601 时间',
+    test: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(value) && !isNaN(Date.parse(value))
+  },
+  hex: {
+    label: '十六进制颜色（如 #3498db）',
+    test: value => /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(value)
+  }
+};
+
+const TYPE_LABELS = {
+  string: '字符串',
+  number: '数字',
+  boolean: '布尔值',
+  array: '数组',
+  object: '对象'
+};
+
+class ValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors [{ path, message }]
+   */
+  constructor(errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `${error.path} ${error.message}`);
+    const more = errors.length > MAX_REPORTED_ERRORS ? `等 ${errors.length} 处错误` : '';
+    super(`数据不符合结构定义：${shown.join('；')}${more ? '；' + more : ''}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'NaN';
+  return typeof value;
+}
+
+function getFields(collection) {
+  const definition = schema.collections[collection];
+  if (!definition) {
+    throw new ValidationError([{ path: collection, message: '是未知的数据集合' }]);
+  }
+  return definition.fields;
+}
+
+/**
+ * 检查单个值是否符合字段定义
+ * @returns {Array<Object>} 错误列表
+ */
+function checkValue(value, definition, fieldPath) {
+  const actual = typeOf(value);
+  if (actual !== definition.type) {
+    return [{ path: fieldPath, message: `应为${TYPE_LABELS[definition.type] || definition.type}，实际为 ${actual}` }];
+  }
+
+  const errors = [];
+  if (definition.enum && !definition.enum.includes(value)) {
+    errors.push({ path: fieldPath, message: `的值 ${JSON.stringify(value)} 不在允许范围内（${definition.enum.join('、')}）` });
+  }
+  if (definition.format && FORMATS[definition.format] && !FORMATS[definition.format].test(value)) {
+    errors.push({ path: fieldPath, message: `的值 ${JSON.stringify(value)} 不是有效的${FORMATS[definition.format].label}` });
+  }
+  if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+    errors.push({ path: fieldPath, message: `的值 ${JSON.stringify(value)} 不符合格式 ${definition.pattern}` });
+  }
+  if (definition.type === 'array' && definition.items) {
+    value.forEach((item, index) => {
+      errors.push(...checkValue(item, definition.items, `${fieldPath}[${index}]`));
+    });
+  }
+  if (definition.type === 'object' && definition.fields) {
+    errors.push(...checkFields(value, definition.fields, fieldPath));
+  }
+  return errors;
+}
+
+/**
+ * 按字段定义检查对象：未定义的字段、必填字段和每个字段的值
+ * 未提供的非必填字段和值为 null 的非必填字段视为未设置
+ * @returns {Array<Object>} 错误列表
+ */
+function checkFields(object, fields, objectPath) {
+  const errors = [];
+  Object.keys(object).forEach(key => {
+    if (!fields[key]) {
+      errors.push({ path: `${objectPath}.${key}`, message: '是未定义的字段' });
+    }
+  });
+
+  Object.entries(fields).forEach(([key, definition]) => {
+    const value = object[key];
+    if (value === undefined || value === null) {
+      if (definition.required) {
+        errors.push({ path: `${objectPath}.${key}`, message: '是必填字段' });
+      }
+      return;
+    }
+    errors.push(...checkValue(value, definition, `${objectPath}.${key}`));
+  });
+  return errors;
+}
+
+/**
+ * 校验一条记录
+ * @param {string} collection 集合名称
+ * @param {Object} record 记录
+ * @param {string} recordPath 错误信息中使用的记录路径，如 files[3]
+ * @returns {Array<Object>} 错误列表 [{ path, message }]
+ */
+function validateRecord(collection, record, recordPath = collection) {
+  const fields = getFields(collection);
+  if (!isPlainObject(record)) {
+    return [{ path: recordPath, message: '应为对象' }];
+  }
+  return checkFields(record, fields, recordPath);
+}
+
+/**
+ * 校验整个集合：每条记录以及 ID 不重复
+ * @param {string} collection 集合名称
+ * @param {Array<Object>} records 记录
+ * @returns {Array<Object>} 错误列表
+ */
+function validateCollection(collection, records) {
+  if (!Array.isArray(records)) {
+    return [{ path: collection, message: '应为数组' }];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  records.forEach((record, index) => {
+    const recordPath = `${collection}[${index}]`;
+    errors.push(...validateRecord(collection, record, recordPath));
+    if (record && typeof record.id === 'string') {
+      if (ids.has(record.id)) {
+        errors.push({ path: `${recordPath}.id`, message: `与前面的记录重复（${record.id}）` });
+      }
+      ids.add(record.id);
+    }
+  });
+  return errors;
+}
+
+/**
+ * 校验顶层数据（完整数据或 merge 使用的部分数据）
+ * @param {Object} data 数据
+ * @returns {Array<Object>} 错误列表
+ */
+function validateData(data) {
+  if (!isPlainObject(data)) {
+    return [{ path: '数据', message: '应为对象' }];
+  }
+
+  const errors = [];
+  Object.entries(data).forEach(([key, value]) => {
+    if (schema.collections[key]) {
+      errors.push(...validateCollection(key, value));
+    } else if (TOP_LEVEL_FIELDS[key]) {
+      if (value !== null && value !== undefined) {
+        errors.push(...checkValue(value, { type: TOP_LEVEL_FIELDS[key] }, key));
+      }
+    } else {
+      errors.push({ path: key, message: '是未定义的顶层字段' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * 找出记录中客户端不能写入的字段：标记为 readOnly 的字段由服务器维护，
+ * 标记为 internal 的字段（访问次数、扫描结果、缩略图等）由服务器自动更新
+ * @param {string} collection 集合名称
+ * @param {Object} record 新记录或修改内容
+ * @returns {Array<string>} 字段名
+ */
+function findReadOnlyFields(collection, record) {
+  const fields = getFields(collection);
+  return Object.keys(record || {}).filter(key => fields[key] && (fields[key].readOnly || fields[key].internal));
+}
+
+/**
+ * 为缺少的字段填充默认值
+ * @param {string} collection 集合名称
+ * @param {Object} record 记录
+ * @returns {Object} 填充后的新记录
+ */
+function applyDefaults(collection, record) {
+  if (!isPlainObject(record)) return record;
+
+  const result = { ...record };
+  Object.entries(getFields(collection)).forEach(([key, definition]) => {
+    if (result[key] === undefined && definition.default !== undefined) {
+      result[key] = JSON.parse(JSON.stringify(definition.default));
+    }
+  });
+  return result;
+}
+
+/**
+ * 有错误时抛出 ValidationError
+ * @param {Array<Object>} errors 错误列表
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+module.exports = {
+  schema,
+  ValidationError,
+  validateRecord,
+  validateCollection,
+  validateData,
+  findReadOnlyFields,
+  applyDefaults,
+  assertValid
+};
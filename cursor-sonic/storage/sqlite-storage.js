@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { COLLECTIONS, createEmptyData, computeStats } = require('./index');
+
+/**
+ * SQLite 存储适配器
+ * 每条记录单独一行（JSON 文本），按记录更新，不再整库重写
+ * 首次启动且数据库为空时，自动从 data.json 导入现有数据
+ */
+class SqliteStorage {
+  constructor(filePath, options = {}) {
+    // 按需加载，只有选择 sqlite 驱动时才需要安装 better-sqlite3
+    const Database = require('better-sqlite3');
+
+    fs.ensureDirSync(path.dirname(filePath));
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      list: this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      insert: this.db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+      update: this.db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?'),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      clear: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+      metaAll: this.db.prepare('SELECT key, value FROM meta'),
+      metaSet: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      isEmpty: this.db.prepare('SELECT (SELECT COUNT(*) FROM records) + (SELECT COUNT(*) FROM meta) AS count')
+    };
+
+    if (this.statements.isEmpty.get().count === 0) {
+      this.importData(options.importFrom);
+    }
+  }
+
+  /**
+   * 从 data.json 导入初始数据
+   * @param {string} jsonPath data.json 路径
+   */
+  importData(jsonPath) {
+    let data = createEmptyData();
+    try {
+      if (jsonPath && fs.existsSync(jsonPath)) {
+        data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+        console.log(`已从 ${jsonPath} 导入数据到 SQLite`);
+      }
+    } catch (error) {
+      console.error('导入数据失败:', error);
+    }
+    this.merge(data);
+  }
+
+  markUpdated() {
+    this.statements.metaSet.run('lastUpdate', JSON.stringify(new Date().toISOString()));
+  }
+
+  assertCollection(name) {
+    if (!COLLECTIONS.includes(name)) {
+      throw new Error(`未知的数据集合: ${name}`);
+    }
+  }
+
+  snapshot() {
+    const data = {};
+    this.statements.metaAll.all().forEach(({ key, value }) => {
+      data[key] = JSON.parse(value);
+    });
+    COLLECTIONS.forEach(collection => {
+      data[collection] = this.list(collection);
+    });
+    data.settings = computeStats(data);
+    return data;
+  }
+
+  merge(partial) {
+    this.transaction(() => {
+      Object.keys(partial).forEach(key => {
+        if (COLLECTIONS.includes(key) && Array.isArray(partial[key])) {
+          this.statements.clear.run(key);
+          partial[key].forEach(record => this.insert(key, record));
+        } else {
+          this.statements.metaSet.run(key, JSON.stringify(partial[key]));
+        }
+      });
+      this.markUpdated();
+    });
+    return this.snapshot();
+  }
+
+  // 整体替换数据（用于版本迁移）
+  replace(data) {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM records; DELETE FROM meta');
+      this.merge(data);
+    });
+    return this.snapshot();
+  }
+
+  list(collection) {
+    this.assertCollection(collection);
+    return this.statements.list.all(collection).map(row => JSON.parse(row.data));
+  }
+
+  get(collection, id) {
+    this.assertCollection(collection);
+    const row = this.statements.get.get(collection, id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  insert(collection, record) {
+    this.assertCollection(collection);
+    this.statements.insert.run(collection, record.id, JSON.stringify(record));
+    this.markUpdated();
+    return record;
+  }
+
+  update(collection, id, patch) {
+    const current = this.get(collection, id);
+    if (!current) return null;
+
+    const updated = { ...current, ...patch };
+    this.statements.update.run(JSON.stringify(updated), collection, id);
+    this.markUpdated();
+    return updated;
+  }
+
+  remove(collection, id) {
+    const current = this.get(collection, id);
+    if (!current) return null;
+
+    this.statements.remove.run(collection, id);
+    this.markUpdated();
+    return current;
+  }
+
+  transaction(fn) {
+    if (this.db.inTransaction) return fn(this);
+    return this.db.transaction(() => fn(this))();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
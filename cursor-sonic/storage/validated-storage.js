@@ -0,0 +1,211 @@
+const { CURRENT_VERSION } = require('./migrations');
+const { schema, validateRecord, validateData, applyDefaults, assertValid, ValidationError } = require('./schema');
+const { REVISION_FIELD, isTracked, getRevision, nextRevision, checkRevision } = require('./revisions');
+const { checkReferences } = require('./integrity');
+
+/**
+ * 带结构校验的存储
+ * 包装 JSON / SQLite 适配器，接口相同。每次写入前按 database/schema.json 校验，
+ * 不符合时抛出 ValidationError，数据保持不变；新记录缺少的字段填充默认值。
+ * 同时维护记录的修订号（见 revisions.js），update、remove 的 options.rev
+ * 为客户端读取到的修订号，与当前不同时抛出 ConflictError。
+ * 新写入的引用（分类、模型、标签等ID，见 integrity.js）必须指向存在的记录，
+ * 事务中的记录可以引用同一事务中稍后写入的记录，提交前统一检查。
+ * 带修订号的集合中记录的变化通知 onChange 的监听器，用于向页面推送实时更新
+ */
+class ValidatedStorage {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.changeListeners = new Set();
+    // 事务中的变化，提交后一起通知
+    this.pendingChanges = null;
+    // 事务中写入的记录及其写入前的内容，提交前检查引用
+    this.pendingReferences = null;
+  }
+
+  /**
+   * 监听记录变化，只通知带修订号的集合（文件、标签、模型、分类），只修改 internal 字段时不通知
+   * @param {Function} listener 接收变化列表 [{ type, collection, id, record }]，type 为 insert、
+   *   update 或 remove；merge、replace 整体替换数据时为 [{ type: 'reload' }]
+   * @returns {Function} 取消监听
+   */
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  emitChange(change) {
+    if (this.pendingChanges) {
+      this.pendingChanges.push(change);
+      return;
+    }
+    this.notifyChanges([change]);
+  }
+
+  notifyChanges(changes) {
+    if (changes.length === 0) return;
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(changes);
+      } catch (error) {
+        console.error('数据变化通知失败:', error);
+      }
+    });
+  }
+
+  snapshot() {
+    return this.adapter.snapshot();
+  }
+
+  list(collection) {
+    return this.adapter.list(collection);
+  }
+
+  get(collection, id) {
+    return this.adapter.get(collection, id);
+  }
+
+  /**
+   * 合并数据前校验全部集合。数据版本由服务器维护，
+   * 客户端提交的版本与当前版本不同时说明页面加载的是迁移前的数据
+   */
+  merge(partial) {
+    if (partial && partial.version !== undefined && partial.version !== CURRENT_VERSION) {
+      throw new ValidationError([{
+        path: 'version',
+        message: `为 ${partial.version}，与服务器数据版本 ${CURRENT_VERSION} 不一致，请刷新页面后重试`
+      }]);
+    }
+
+    const data = { ...partial };
+    Object.keys(data).forEach(key => {
+      if (Array.isArray(data[key]) && schema.collections[key]) {
+        data[key] = data[key].map(record => applyDefaults(key, record));
+      }
+    });
+    assertValid(validateData(data));
+    const result = this.adapter.merge(data);
+    this.emitChange({ type: 'reload' });
+    return result;
+  }
+
+  insert(collection, record) {
+    const prepared = applyDefaults(collection, record);
+    if (isTracked(collection) && prepared && typeof prepared === 'object') {
+      prepared[REVISION_FIELD] = 1;
+    }
+    const errors = validateRecord(collection, prepared, this.recordPath(collection, prepared && prepared.id));
+    if (prepared && prepared.id && this.adapter.get(collection, prepared.id)) {
+      errors.push({ path: `${this.recordPath(collection, prepared.id)}.id`, message: '已存在' });
+    }
+    assertValid(errors);
+    this.checkReferences(collection, prepared, null);
+    const inserted = this.adapter.insert(collection, prepared);
+    if (isTracked(collection)) {
+      this.emitChange({ type: 'insert', collection, id: inserted.id, record: inserted });
+    }
+    return inserted;
+  }
+
+  // 校验更新后的完整记录，记录不存在时与适配器一样返回 null
+  update(collection, id, patch, options = {}) {
+    const current = this.adapter.get(collection, id);
+    checkRevision(collection, id, current, options.rev);
+    if (!current) return null;
+
+    const recordPath = this.recordPath(collection, id);
+    if (patch && patch.id !== undefined && patch.id !== id) {
+      throw new ValidationError([{ path: `${recordPath}.id`, message: '不能修改' }]);
+    }
+
+    // 修订号只由存储层维护，忽略提交的值
+    const { [REVISION_FIELD]: ignored, ...changes } = patch || {};
+    if (isTracked(collection)) {
+      const rev = nextRevision(collection, current, changes);
+      if (rev !== getRevision(current)) changes[REVISION_FIELD] = rev;
+    }
+    assertValid(validateRecord(collection, { ...current, ...changes }, recordPath));
+    this.checkReferences(collection, { ...current, ...changes }, current);
+    const record = this.adapter.update(collection, id, changes, options);
+    if (REVISION_FIELD in changes) {
+      this.emitChange({ type: 'update', collection, id, record });
+    }
+    return record;
+  }
+
+  remove(collection, id, options = {}) {
+    checkRevision(collection, id, this.adapter.get(collection, id), options.rev);
+    const record = this.adapter.remove(collection, id);
+    if (record && isTracked(collection)) {
+      this.emitChange({ type: 'remove', collection, id });
+    }
+    return record;
+  }
+
+  /**
+   * 检查新写入的引用，事务中推迟到提交前检查
+   * @param {string} collection 集合名称
+   * @param {Object} record 写入后的记录
+   * @param {Object|null} previous 写入前的记录
+   */
+  checkReferences(collection, record, previous) {
+    if (this.pendingReferences) {
+      const key = `${collection}/${record.id}`;
+      // 同一记录多次写入时与事务开始前的内容比较
+      if (!this.pendingReferences.has(key)) {
+        this.pendingReferences.set(key, { collection, id: record.id, previous });
+      }
+      return;
+    }
+    const exists = (target, id) => !!this.adapter.get(target, id);
+    assertValid(checkReferences(collection, record, previous, exists, this.recordPath(collection, record.id)));
+  }
+
+  // 回调中通过本实例读写，保证事务内的写入同样经过校验；变化在提交后通知，回滚时丢弃
+  transaction(fn) {
+    if (this.pendingChanges) {
+      return this.adapter.transaction(() => fn(this));
+    }
+
+    this.pendingChanges = [];
+    this.pendingReferences = new Map();
+    let changes;
+    let result;
+    try {
+      result = this.adapter.transaction(() => {
+        const value = fn(this);
+        const exists = (target, id) => !!this.adapter.get(target, id);
+        const errors = [];
+        this.pendingReferences.forEach(({ collection, id, previous }) => {
+          const record = this.adapter.get(collection, id);
+          if (record) errors.push(...checkReferences(collection, record, previous, exists, this.recordPath(collection, id)));
+        });
+        assertValid(errors);
+        return value;
+      });
+      changes = this.pendingChanges;
+    } finally {
+      this.pendingChanges = null;
+      this.pendingReferences = null;
+    }
+    this.notifyChanges(changes);
+    return result;
+  }
+
+  replace(data) {
+    assertValid(validateData(data));
+    const result = this.adapter.replace(data);
+    this.emitChange({ type: 'reload' });
+    return result;
+  }
+
+  close() {
+    return this.adapter.close();
+  }
+
+  recordPath(collection, id) {
+    return id ? `${collection}[id=${id}]` : collection;
+  }
+}
+
+module.exports = ValidatedStorage;
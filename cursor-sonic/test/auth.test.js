@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { hashPassword, verifyPassword, hasRole, publicUser, createAuth } = require('../utils/auth');
+const { createStorage, createAuthStorage, createEmptyData } = require('../storage');
+
+const NOW = '2025-09-01T00:00:00.000Z';
+
+// 临时数据目录中的主存储和用户存储，legacy 为旧版本保存在主数据中的用户
+function setup(t, legacy = []) {
+  const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openonehtml-auth-'));
+  t.after(() => fs.removeSync(databaseDir));
+  fs.outputJsonSync(path.join(databaseDir, 'data.json'), { ...createEmptyData(), users: legacy });
+
+  const store = createStorage({ driver: 'json', databaseDir });
+  const authStore = createAuthStorage(store, { databaseDir });
+  t.after(() => {
+    authStore.close();
+    store.close();
+  });
+  return { databaseDir, store, authStore };
+}
+
+function createUser(authStore, role, password = 'secret123') {
+  return authStore.insert('users', {
+    id: `user_${role}`, username: role, passwordHash: hashPassword(password), role, createTime: NOW
+  });
+}
+
+// 依次执行中间件，返回响应状态和内容；没有中间件结束请求时状态为 null
+function run(middlewares, req) {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let index = 0;
+  const next = () => {
+    const middleware = middlewares[index++];
+    if (middleware) middleware(req, res, next);
+  };
+  next();
+  return res;
+}
+
+test('密码加盐哈希，非字符串密码不匹配', () => {
+  const stored = hashPassword('secret123');
+  assert.match(stored, /^scrypt\$[a-f0-9]{32}\$[a-f0-9]{128}$/);
+  assert.notEqual(hashPassword('secret123'), stored);
+  assert.equal(verifyPassword('secret123', stored), true);
+  assert.equal(verifyPassword('secret124', stored), false);
+  assert.equal(verifyPassword(['secret123'], stored), false);
+  assert.equal(verifyPassword({}, stored), false);
+  assert.equal(verifyPassword('secret123', 'md5$x$y'), false);
+});
+
+test('角色等级和返回给客户端的用户信息', () => {
+  assert.equal(hasRole('admin', 'editor'), true);
+  assert.equal(hasRole('viewer', 'editor'), false);
+  assert.equal(hasRole('none', 'viewer'), false);
+  assert.deepEqual(publicUser({ id: 'u', username: 'a', passwordHash: 'x', role: 'viewer' }), { id: 'u', username: 'a', role: 'viewer' });
+});
+
+test('会话令牌只保存摘要，凭令牌识别用户和角色', t => {
+  const { authStore } = setup(t);
+  const auth = createAuth(authStore, { anonymousRole: 'none' });
+  const editor = createUser(authStore, 'editor');
+
+  const token = auth.createSession(editor);
+  assert.equal(authStore.get('sessions', token), null);
+  assert.equal(authStore.list('sessions').length, 1);
+
+  const req = { headers: { cookie: `other=1; openonehtml_session=${token}` } };
+  const editorResponse = run([auth.authenticate, auth.requireRole('editor')], req);
+  assert.equal(editorResponse.statusCode, null);
+  assert.equal(req.user.id, editor.id);
+
+  assert.equal(run([auth.authenticate, auth.requireRole('admin')], { headers: { authorization: `Bearer ${token}` } }).statusCode, 403);
+  assert.equal(run([auth.authenticate, auth.requireRole('viewer')], { headers: {} }).statusCode, 401);
+
+  auth.destroySession(token);
+  assert.equal(run([auth.authenticate, auth.requireRole('viewer')], { headers: { authorization: `Bearer ${token}` } }).statusCode, 401);
+});
+
+test('过期会话无效，创建新会话时清理', t => {
+  const { authStore } = setup(t);
+  const auth = createAuth(authStore, { anonymousRole: 'viewer' });
+  const user = createUser(authStore, 'admin');
+  authStore.insert('sessions', { id: 'expired', userId: user.id, createTime: NOW, expiresAt: NOW });
+
+  const req = { headers: {} };
+  assert.equal(run([auth.authenticate, auth.requireRole('viewer')], req).statusCode, null);
+  assert.equal(req.role, 'viewer');
+
+  auth.createSession(user);
+  assert.equal(authStore.get('sessions', 'expired'), null);
+});
+
+test('用户和会话保存在 auth.json 中，旧数据中的用户移出主数据', t => {
+  const legacy = [{ id: 'user_old', username: 'old', passwordHash: hashPassword('pw'), role: 'admin', createTime: NOW }];
+  const { databaseDir, store, authStore } = setup(t, legacy);
+
+  assert.equal(authStore.get('users', 'user_old').username, 'old');
+  assert.equal(store.snapshot().users, undefined);
+  assert.equal(fs.readJsonSync(path.join(databaseDir, 'data.json')).users, undefined);
+  assert.equal(fs.readJsonSync(path.join(databaseDir, 'auth.json')).users[0].id, 'user_old');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AutoRules = require('../js/auto-rules');
+
+const { RuleError } = AutoRules;
+
+const PRESETS = {
+  preset_tags: [{ id: 'canvas', name: '画布' }, { id: 'game', name: '游戏' }],
+  preset_models: [{ id: 'glm45', name: 'GLM-4.5' }],
+  categories: [{ id: 'tool', name: '工具' }]
+};
+
+const RULES = [
+  { id: 'r1', name: 'GLM 文件名', field: 'originalName', operator: 'matches', value: '^glm45-', action: 'setModel', target: 'glm45' },
+  { id: 'r2', name: '画布', field: 'html', operator: 'contains', value: '<CANVAS', action: 'addTag', target: 'canvas' },
+  { id: 'r3', name: '已停用', enabled: false, field: 'title', operator: 'contains', value: '游戏', action: 'addTag', target: 'game' },
+  { id: 'r4', name: '坐标工具', field: 'prompt', operator: 'contains', value: '坐标', action: 'setCategory', target: 'tool' },
+  { id: 'r5', name: '已删除的标签', field: 'title', operator: 'contains', value: '游戏', action: 'addTag', target: 'gone' }
+];
+
+test('检查规则', () => {
+  AutoRules.checkRule(RULES[0], PRESETS);
+
+  const cases = [
+    [{ ...RULES[0], name: ' ' }, /规则名称不能为空/],
+    [{ ...RULES[0], field: 'model' }, /无效的条件字段: model/],
+    [{ ...RULES[0], operator: 'equals' }, /无效的匹配方式/],
+    [{ ...RULES[0], value: '' }, /匹配内容不能为空/],
+    [{ ...RULES[0], value: '(' }, /正则表达式无效/],
+    [{ ...RULES[0], action: 'remove' }, /无效的动作/],
+    [{ ...RULES[0], target: 'missing' }, /设置模型的目标不存在: missing/]
+  ];
+  cases.forEach(([rule, message]) => {
+    assert.throws(() => AutoRules.checkRule(rule, PRESETS), error => error instanceof RuleError && message.test(error.message));
+  });
+});
+
+test('按顺序执行启用的规则，跳过目标已删除的规则', () => {
+  const file = { originalName: 'glm45-时钟.html', title: '游戏', prompt: '画一个坐标系', tags: ['game'], category: '', model: '' };
+  const { patch, matched } = AutoRules.applyRules(RULES, file, { html: '<canvas></canvas>', data: PRESETS });
+
+  assert.deepEqual(patch, { tags: ['game', 'canvas'], category: 'tool', model: 'glm45' });
+  assert.deepEqual(matched.map(rule => rule.id), ['r1', 'r2', 'r4']);
+  assert.equal(AutoRules.usesPage(RULES), true);
+  assert.equal(AutoRules.usesPage([RULES[0]]), false);
+
+  // 没有变化时 patch 为空
+  assert.deepEqual(AutoRules.applyRules(RULES, { originalName: 'a.html', tags: [] }, { data: PRESETS }).patch, {});
+});
+
+test('规则和计划的文字说明', () => {
+  assert.equal(AutoRules.describeRule(RULES[0], PRESETS), '文件名 匹配正则 "^glm45-" → 设置模型 GLM-4.5');
+  assert.equal(AutoRules.describeRule(RULES[4], PRESETS), '标题 包含 "游戏" → 添加标签 （已删除）');
+
+  const plan = AutoRules.planApply({
+    ...PRESETS,
+    files: [
+      { id: 'f1', originalName: 'glm45-a.html', tags: [] },
+      { id: 'f2', originalName: 'glm45-b.html', tags: [], status: 'deleted' },
+      { id: 'f3', originalName: 'c.html', tags: [] }
+    ]
+  }, RULES, file => (file.id === 'f1' ? '<canvas>' : ''));
+
+  assert.equal(plan.summary, '1 个文件将被修改');
+  assert.deepEqual(plan.files.map(file => [file.id, file.rules]), [['f1', ['GLM 文件名', '画布']]]);
+  assert.equal(AutoRules.describeChanges(plan.files[0], PRESETS), '标签 +画布；模型 未设置 → GLM-4.5');
+});
+
+test('目标被替换时规则改用新目标，没有替代时拒绝', () => {
+  assert.deepEqual(AutoRules.findRulesUsing(RULES, 'preset_tags', 'game').map(rule => rule.id), ['r3']);
+  assert.deepEqual(AutoRules.planRetarget(RULES, 'preset_tags', 'game', 'canvas'), [
+    { id: 'r3', name: '已停用', before: 'game', after: 'canvas' }
+  ]);
+  assert.deepEqual(AutoRules.planRetarget(RULES, 'categories', 'other'), []);
+
+  assert.throws(() => AutoRules.planRetarget(RULES, 'preset_models', 'glm45'),
+    error => error instanceof RuleError && error.message === '有 1 条自动规则使用此模型（GLM 文件名），请先修改这些规则');
+});
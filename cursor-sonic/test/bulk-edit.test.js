@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planBulkEdit, describeEntry, BulkEditError } = require('../js/bulk-edit');
+
+function createData() {
+  return {
+    files: [
+      { id: 'file_1', title: '时钟', tags: ['tag_1'], model: '', prompt: '' },
+      { id: 'file_2', title: '天气', tags: ['tag_1', 'tag_2'], model: 'model_1', prompt: '使用暗色主题' },
+      { id: 'file_3', title: '草稿', tags: [], status: 'deleted' }
+    ],
+    preset_tags: [{ id: 'tag_1', name: '画布' }, { id: 'tag_2', name: '动画' }],
+    preset_models: [{ id: 'model_1', name: 'GLM-4.5' }],
+    categories: []
+  };
+}
+
+test('只列出发生变化的文件，跳过已删除和不存在的文件', () => {
+  const plan = planBulkEdit(createData(), {
+    ids: ['file_1', 'file_2', 'file_3', 'missing'],
+    changes: { tags: { mode: 'add', values: ['tag_2'] } }
+  });
+
+  assert.deepEqual(plan.files, [{ id: 'file_1', title: '时钟', before: { tags: ['tag_1'] }, after: { tags: ['tag_1', 'tag_2'] } }]);
+  assert.deepEqual(plan.results.map(result => result.status), ['changed', 'unchanged', 'skipped', 'skipped']);
+  assert.equal(plan.summary, '修改 1 个文件，1 个无需修改，跳过 2 个');
+});
+
+test('模型添加只设置尚未设置的文件，提示词追加到原文之后', () => {
+  const data = createData();
+  const plan = planBulkEdit(data, {
+    ids: ['file_1', 'file_2'],
+    changes: { model: { mode: 'add', value: 'model_1' }, prompt: { mode: 'add', value: '  加上动画  ' } }
+  });
+
+  assert.deepEqual(plan.files.map(file => file.after), [
+    { model: 'model_1', prompt: '加上动画' },
+    { prompt: '使用暗色主题\n加上动画' }
+  ]);
+  assert.equal(describeEntry(plan.files[0], data), '模型 未设置 → GLM-4.5；提示词 空 → "加上动画"');
+  assert.equal(describeEntry(plan.files[1], data), '提示词 追加 "加上动画"');
+});
+
+test('删除和恢复只改变状态', () => {
+  const plan = planBulkEdit(createData(), { ids: ['file_2', 'file_3'], action: 'restore' });
+  assert.deepEqual(plan.files, [{ id: 'file_3', title: '草稿', before: { status: 'deleted' }, after: { status: 'active' } }]);
+});
+
+test('请求无效时报错', () => {
+  const data = createData();
+  const cases = [
+    [{ ids: [] }, '请选择要批量处理的文件'],
+    [{ ids: ['file_1'], action: 'archive' }, '无效的批量操作: archive'],
+    [{ ids: ['file_1'], changes: {} }, '请至少修改一个字段'],
+    [{ ids: ['file_1'], changes: { title: { mode: 'replace', value: 'x' } } }, '不支持批量修改的字段: title'],
+    [{ ids: ['file_1'], changes: { tags: { mode: 'add', values: ['tag_9'] } } }, '标签不存在: tag_9']
+  ];
+  cases.forEach(([request, message]) => {
+    assert.throws(() => planBulkEdit(data, request), new BulkEditError(message));
+  });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CategoryTree = require('../js/category-tree');
+
+const { CategoryError } = CategoryTree;
+
+// 工具 > 计算器 > 房贷，游戏
+function createData() {
+  return {
+    categories: [
+      { id: 'tool', name: '工具', parentId: '' },
+      { id: 'calc', name: '计算器', parentId: 'tool' },
+      { id: 'loan', name: '房贷', parentId: 'calc' },
+      { id: 'game', name: '游戏', parentId: '' }
+    ],
+    files: [
+      { id: 'f1', title: '税率计算', category: 'calc' },
+      { id: 'f2', originalName: 'old.html', category: 'calc', status: 'deleted' },
+      { id: 'f3', title: '贪吃蛇', category: 'game' }
+    ]
+  };
+}
+
+test('分类的完整名称和层级顺序', () => {
+  const { categories } = createData();
+  assert.equal(CategoryTree.getLabel(categories, 'loan'), '工具 > 计算器 > 房贷');
+  assert.equal(CategoryTree.getLabel(categories, ''), '');
+  assert.deepEqual([...CategoryTree.getDescendantIds(categories, 'tool')], ['tool', 'calc', 'loan']);
+  assert.deepEqual(CategoryTree.flattenTree(categories).map(({ category, depth }) => `${depth}:${category.id}`), [
+    '0:tool', '1:calc', '2:loan', '0:game'
+  ]);
+});
+
+test('检查上级、循环和重名', () => {
+  const { categories } = createData();
+  CategoryTree.checkCategory(categories, { id: 'game', name: '游戏', parentId: 'tool' });
+  CategoryTree.checkCategory(categories, { name: '转换器', parentId: 'tool' });
+
+  const cases = [
+    [{ id: 'tool', name: '工具', parentId: 'tool' }, /不能作为自己的上级/],
+    [{ id: 'tool', name: '工具', parentId: 'loan' }, /不能把分类移动到它自己的下级分类中/],
+    [{ name: '新分类', parentId: 'missing' }, /上级分类不存在: missing/],
+    [{ name: ' 游戏 ' }, /分类"游戏"已存在/]
+  ];
+  cases.forEach(([category, message]) => {
+    assert.throws(() => CategoryTree.checkCategory(categories, category),
+      error => error instanceof CategoryError && message.test(error.message));
+  });
+});
+
+test('删除分类：文件改为未分类，下级改挂到上级', () => {
+  const plan = CategoryTree.planDelete(createData(), 'calc');
+
+  assert.equal(plan.summary, '删除分类"工具 > 计算器"，2 个文件改为未分类');
+  assert.deepEqual(plan.categories, {
+    update: [{ id: 'loan', patch: { parentId: 'tool' } }],
+    remove: ['calc']
+  });
+  assert.deepEqual(plan.files, [
+    { id: 'f1', title: '税率计算', deleted: false, before: 'calc', after: '' },
+    { id: 'f2', title: 'old.html', deleted: true, before: 'calc', after: '' }
+  ]);
+});
+
+test('删除分类时改用其他分类', () => {
+  const plan = CategoryTree.planDelete(createData(), 'game', 'tool');
+  assert.equal(plan.summary, '删除分类"游戏"，1 个文件改用"工具"');
+  assert.deepEqual(plan.files.map(file => file.after), ['tool']);
+  assert.deepEqual(plan.categories.update, []);
+
+  assert.equal(CategoryTree.planDelete(createData(), 'loan').summary, '删除分类"工具 > 计算器 > 房贷"，没有文件使用它');
+  assert.throws(() => CategoryTree.planDelete(createData(), 'game', 'game'), /不能改用要删除的分类/);
+  assert.throws(() => CategoryTree.planDelete(createData(), 'game', 'missing'), /改用的分类不存在/);
+  assert.throws(() => CategoryTree.planDelete(createData(), 'missing'), CategoryError);
+});
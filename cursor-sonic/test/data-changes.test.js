@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createStorage, createEmptyData } = require('../storage');
+const { ConflictError } = require('../storage/revisions');
+const { ChangeError, applyChanges } = require('../utils/data-changes');
+
+const PAGE = `${'a'.repeat(32)}.html`;
+const OTHER_PAGE = `${'b'.repeat(32)}.html`;
+const NOW = '2025-09-01T00:00:00.000Z';
+
+// 临时数据目录和页面目录，包含一个文件和一个标签
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openonehtml-changes-'));
+  t.after(() => fs.removeSync(dir));
+  const htmlDir = path.join(dir, 'html-files');
+  fs.outputFileSync(path.join(htmlDir, PAGE), '<p>页面</p>');
+  fs.outputFileSync(path.join(htmlDir, OTHER_PAGE), '<script src="https://cdn.example.com/a.js"></script>');
+  fs.outputJsonSync(path.join(dir, 'data.json'), {
+    ...createEmptyData(),
+    files: [{
+      id: 'file_1', rev: 1, originalName: 'a.html', encryptedName: PAGE, fileSize: 14,
+      uploadTime: NOW, title: '页面', tags: ['tag_1'], status: 'active'
+    }],
+    preset_tags: [{ id: 'tag_1', rev: 1, name: '画布', createTime: NOW }]
+  });
+
+  const store = createStorage({ driver: 'json', databaseDir: dir });
+  t.after(() => store.close());
+  return { store, htmlDir };
+}
+
+test('修改记录后修订号加 1', t => {
+  const { store, htmlDir } = setup(t);
+  const [result] = applyChanges(store, [
+    { op: 'update', collection: 'files', id: 'file_1', rev: 1, patch: { title: '新标题' } }
+  ], { htmlDir });
+
+  assert.equal(result.record.title, '新标题');
+  assert.equal(store.get('files', 'file_1').rev, 2);
+});
+
+test('修订号不一致时整批变更都不写入', t => {
+  const { store, htmlDir } = setup(t);
+  assert.throws(() => applyChanges(store, [
+    { op: 'update', collection: 'preset_tags', id: 'tag_1', rev: 1, patch: { name: '新名称' } },
+    { op: 'update', collection: 'files', id: 'file_1', rev: 5, patch: { title: '新标题' } }
+  ], { htmlDir }), ConflictError);
+
+  assert.equal(store.get('preset_tags', 'tag_1').name, '画布');
+  assert.equal(store.get('files', 'file_1').title, '页面');
+});
+
+test('变更格式无效时报错', t => {
+  const { store, htmlDir } = setup(t);
+  const cases = [
+    [[], /请提供要保存的修改/],
+    [[{ op: 'drop', collection: 'files', id: 'file_1' }], /操作无效/],
+    [[{ op: 'update', collection: 'users', id: 'u', rev: 1, patch: {} }], /数据集合无效/],
+    [[{ op: 'update', collection: 'files', id: 'file_1', patch: {} }], /缺少读取时的修订号/],
+    [[{ op: 'insert', collection: 'preset_tags', record: { name: '无ID' } }], /缺少新记录或记录ID/]
+  ];
+  cases.forEach(([changes, message]) => {
+    assert.throws(() => applyChanges(store, changes, { htmlDir }), error => {
+      assert.ok(error instanceof ChangeError);
+      assert.match(error.message, message);
+      return true;
+    });
+  });
+});
+
+test('不能修改由服务器维护的字段', t => {
+  const { store, htmlDir } = setup(t);
+  const patches = [{ fileSize: 1 }, { security: null }, { revisions: [] }, { thumbnails: {} }, { accessCount: 99 }];
+  patches.forEach(patch => {
+    assert.throws(
+      () => applyChanges(store, [{ op: 'update', collection: 'files', id: 'file_1', rev: 1, patch }], { htmlDir }),
+      /不能修改由服务器维护的字段/
+    );
+  });
+  assert.throws(() => applyChanges(store, [{
+    op: 'insert', collection: 'preset_tags', record: { id: 'tag_2', name: '新标签', createTime: NOW, usageCount: 5 }
+  }], { htmlDir }), /usageCount/);
+});
+
+test('页面文件名不能包含路径', t => {
+  const { store, htmlDir } = setup(t);
+  ['../server.js', '../database/data.json', '/etc/passwd', 'sub/page.html'].forEach(name => {
+    assert.throws(() => applyChanges(store, [
+      { op: 'update', collection: 'files', id: 'file_1', rev: 1, patch: { encryptedName: name } }
+    ], { htmlDir }), /页面文件名无效/);
+  });
+  assert.throws(() => applyChanges(store, [
+    { op: 'update', collection: 'files', id: 'file_1', rev: 1, patch: { encryptedName: `${'c'.repeat(32)}.html` } }
+  ], { htmlDir }), /引用的页面文件不存在/);
+  assert.equal(store.get('files', 'file_1').encryptedName, PAGE);
+});
+
+test('新文件引用上传目录中的页面时由服务器计算大小和扫描结果', t => {
+  const { store, htmlDir } = setup(t);
+  const [result] = applyChanges(store, [{
+    op: 'insert',
+    collection: 'files',
+    record: { id: 'file_2', originalName: 'b.html', encryptedName: OTHER_PAGE, uploadTime: NOW, status: 'active' }
+  }], { htmlDir });
+
+  assert.equal(result.record.fileSize, fs.statSync(path.join(htmlDir, OTHER_PAGE)).size);
+  assert.equal(result.record.rev, 1);
+  assert.equal(result.record.security.level, 'warning');
+  assert.ok(result.record.security.findings.some(finding => finding.message.includes('cdn.example.com')));
+});
+
+test('删除文件只标记状态，仍在使用的标签不能删除', t => {
+  const { store, htmlDir } = setup(t);
+  assert.throws(() => applyChanges(store, [
+    { op: 'remove', collection: 'preset_tags', id: 'tag_1', rev: 1 }
+  ], { htmlDir }), /有 1 个文件正在使用此标签/);
+
+  applyChanges(store, [{ op: 'remove', collection: 'files', id: 'file_1', rev: 1 }], { htmlDir });
+  assert.equal(store.get('files', 'file_1').status, 'deleted');
+});
+
+test('仍有下级的标签和分类不能删除，先移动下级后可以删除', t => {
+  const { store, htmlDir } = setup(t);
+  const [{ record: parent }, { record: child }] = applyChanges(store, [
+    { op: 'insert', collection: 'categories', record: { id: 'cat_1', name: '工具', createTime: NOW } },
+    { op: 'insert', collection: 'categories', record: { id: 'cat_2', name: '计算器', parentId: 'cat_1', createTime: NOW } },
+    { op: 'insert', collection: 'preset_tags', record: { id: 'tag_2', name: '网格', parentId: 'tag_1', createTime: NOW } }
+  ], { htmlDir });
+
+  assert.throws(() => applyChanges(store, [
+    { op: 'remove', collection: 'categories', id: 'cat_1', rev: parent.rev }
+  ], { htmlDir }), error => error instanceof ChangeError && /有 1 个下级分类/.test(error.message));
+  assert.throws(() => applyChanges(store, [
+    { op: 'remove', collection: 'files', id: 'file_1', rev: 1 },
+    { op: 'update', collection: 'files', id: 'file_1', rev: 2, patch: { tags: [] } },
+    { op: 'remove', collection: 'preset_tags', id: 'tag_1', rev: 1 }
+  ], { htmlDir }), /有 1 个下级标签/);
+  assert.ok(store.get('categories', 'cat_1'));
+  assert.equal(store.get('files', 'file_1').status, 'active');
+
+  applyChanges(store, [
+    { op: 'update', collection: 'categories', id: 'cat_2', rev: child.rev, patch: { parentId: '' } },
+    { op: 'remove', collection: 'categories', id: 'cat_1', rev: parent.rev }
+  ], { htmlDir });
+  assert.equal(store.get('categories', 'cat_1'), null);
+  assert.equal(store.get('categories', 'cat_2').parentId, '');
+});
+
+test('仍被自动规则使用的标签不能删除', t => {
+  const { store, htmlDir } = setup(t);
+  store.insert('auto_rules', {
+    id: 'rule_1', name: '画布', field: 'html', operator: 'contains', value: '<canvas',
+    action: 'addTag', target: 'tag_1', createTime: NOW
+  });
+
+  assert.throws(() => applyChanges(store, [
+    { op: 'update', collection: 'files', id: 'file_1', rev: 1, patch: { tags: [] } },
+    { op: 'remove', collection: 'preset_tags', id: 'tag_1', rev: 1 }
+  ], { htmlDir }), /有 1 条自动规则使用此标签：画布/);
+  assert.ok(store.get('preset_tags', 'tag_1'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, getAttribute, serializeTag, applyEdits, decodeEntities } = require('../utils/html-parser');
+
+const types = (html) => tokenize(html).map(token => (token.name ? `${token.type}:${token.name}` : token.type));
+
+test('切分标签、文本、注释和文档类型', () => {
+  assert.deepEqual(types('<!DOCTYPE html><p class=a>文字<!-- 注释 --></p>'), [
+    'doctype', 'tag:p', 'text', 'comment', 'endTag:p'
+  ]);
+  // 不是标签开头的 < 作为文本
+  assert.deepEqual(types('a < b <3'), ['text']);
+});
+
+test('脚本和样式的内容作为一个原始文本片段', () => {
+  const html = '<script>if (a < b) document.write("</div><p>")</script><p>x</p>';
+  const tokens = tokenize(html);
+  assert.deepEqual(tokens.map(token => token.type), ['tag', 'text', 'endTag', 'tag', 'text', 'endTag']);
+  assert.equal(tokens[1].raw, true);
+  assert.equal(html.slice(tokens[1].start, tokens[1].end), 'if (a < b) document.write("</div><p>")');
+});
+
+test('读取属性：引号、无引号、布尔属性和字符引用', () => {
+  const [tag] = tokenize('<script SRC="a.js?x=1&amp;y=2" type=module defer data-x=\'b c\'>');
+  assert.equal(tag.name, 'script');
+  assert.equal(getAttribute(tag, 'src'), 'a.js?x=1&y=2');
+  assert.equal(getAttribute(tag, 'type'), 'module');
+  assert.equal(getAttribute(tag, 'defer'), '');
+  assert.equal(getAttribute(tag, 'data-x'), 'b c');
+  assert.equal(getAttribute(tag, 'async'), null);
+  assert.equal(decodeEntities('&lt;&#x41;&#66;&unknown;'), '<AB&unknown;');
+});
+
+test('生成标签并按位置替换原文', () => {
+  assert.equal(serializeTag('style', [{ name: 'media', value: 'a"b' }, { name: 'scoped', value: null }]), '<style media="a&quot;b" scoped>');
+
+  const source = '<link href="a.css"><p>正文</p>';
+  const [link] = tokenize(source);
+  assert.equal(applyEdits(source, [
+    { start: link.start, end: link.end, text: '<style>a{}</style>' },
+    { start: source.length, end: source.length, text: '<!-- end -->' }
+  ]), '<style>a{}</style><p>正文</p><!-- end -->');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getReferenceFields, checkReferences, findDanglingReferences, planIntegrityFix } = require('../storage/integrity');
+
+function createData() {
+  return {
+    files: [
+      { id: 'f1', title: '贪吃蛇', category: '游戏', model: 'glm45', tags: ['anim', 'missing', 'Canvas'] },
+      { id: 'f2', originalName: 'old.html', category: 'gone', model: '', tags: [], status: 'deleted' }
+    ],
+    preset_tags: [
+      { id: 'anim', name: '动画', parentId: '' },
+      { id: 'canvas', name: '画布', aliases: ['canvas'], parentId: 'lost' }
+    ],
+    preset_models: [{ id: 'glm45', name: 'GLM-4.5' }],
+    categories: [{ id: 'game', name: '游戏', parentId: '' }]
+  };
+}
+
+test('从结构定义读取引用字段', () => {
+  assert.deepEqual(getReferenceFields('files'), [
+    { field: 'category', target: 'categories', many: false },
+    { field: 'model', target: 'preset_models', many: false },
+    { field: 'tags', target: 'preset_tags', many: true }
+  ]);
+  assert.deepEqual(getReferenceFields('categories'), [{ field: 'parentId', target: 'categories', many: false }]);
+  assert.deepEqual(getReferenceFields('unknown'), []);
+});
+
+test('写入时只检查新写入的引用', () => {
+  const ids = new Set(['categories/game', 'preset_tags/anim']);
+  const exists = (target, id) => ids.has(`${target}/${id}`);
+
+  const previous = { id: 'f1', category: 'gone', tags: ['old'] };
+  assert.deepEqual(checkReferences('files', { ...previous, title: '新标题' }, previous, exists), []);
+  assert.deepEqual(checkReferences('files', { id: 'f1', category: 'game', model: '', tags: ['anim', 'x'] }, null, exists, 'files[0]'), [
+    { path: 'files[0].tags', message: '引用的标签 "x" 不存在' }
+  ]);
+});
+
+test('报告失效引用，名称或别名相同的记录作为替换', () => {
+  const issues = findDanglingReferences(createData());
+  assert.deepEqual(issues.map(issue => [issue.collection, issue.id, issue.field, issue.value, issue.replacement]), [
+    ['files', 'f1', 'category', '游戏', 'game'],
+    ['files', 'f1', 'tags', 'missing', ''],
+    ['files', 'f1', 'tags', 'Canvas', 'canvas'],
+    ['files', 'f2', 'category', 'gone', ''],
+    ['preset_tags', 'canvas', 'parentId', 'lost', '']
+  ]);
+  assert.equal(issues[0].label, '贪吃蛇');
+  assert.equal(issues[3].label, 'old.html');
+  assert.equal(issues[3].deleted, true);
+});
+
+test('修复方案：每条记录一个修改', () => {
+  const plan = planIntegrityFix(createData());
+  assert.deepEqual(plan.fixes, [
+    { collection: 'files', id: 'f1', patch: { category: 'game', tags: ['anim', 'canvas'] } },
+    { collection: 'files', id: 'f2', patch: { category: '' } },
+    { collection: 'preset_tags', id: 'canvas', patch: { parentId: '' } }
+  ]);
+  assert.equal(plan.summary, '发现 5 处失效的引用，涉及 3 条记录：2 处按名称改为对应的ID，3 处清除');
+  assert.equal(planIntegrityFix({ files: [], preset_tags: [] }).summary, '没有发现失效的引用');
+});
+
+test('报告目标不存在的自动规则，没有同名记录时需要手动修改', () => {
+  const data = {
+    ...createData(),
+    files: [],
+    auto_rules: [
+      { id: 'r1', name: '动画', action: 'addTag', target: 'anim' },
+      { id: 'r2', name: '旧模型', action: 'setModel', target: 'glm-4.5' },
+      { id: 'r3', name: '已删除的分类', action: 'setCategory', target: 'gone' }
+    ]
+  };
+  data.preset_tags[1].parentId = '';
+  data.preset_models[0].aliases = ['GLM-4.5'];
+
+  const plan = planIntegrityFix(data);
+  assert.deepEqual(plan.issues.map(issue => [issue.id, issue.target, issue.replacement, issue.manual]), [
+    ['r2', 'preset_models', 'glm45', false],
+    ['r3', 'categories', '', true]
+  ]);
+  assert.equal(plan.issues[1].label, '已删除的分类');
+  assert.deepEqual(plan.fixes, [{ collection: 'auto_rules', id: 'r2', patch: { target: 'glm45' } }]);
+  assert.equal(plan.summary, '发现 2 处失效的引用，涉及 2 条记录：1 处按名称改为对应的ID，0 处清除，1 条自动规则的目标需要手动修改');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { CURRENT_VERSION, compareVersions, detectVersion, migrateData } = require('../storage/migrations');
+const { createStorage } = require('../storage');
+
+// 加入版本迁移之前的数据（没有 version 字段）
+function createLegacyData() {
+  return {
+    files: [
+      { id: 'file_1', category: '游戏' },
+      { id: 'file_2', category: '工具' },
+      { id: 'file_3', category: '' }
+    ],
+    preset_tags: [{ id: 'tag_1', name: '画布' }],
+    preset_models: [],
+    categories: [{ id: 'category_1', name: '工具', createdAt: '2025-01-01T00:00:00.000Z' }]
+  };
+}
+
+test('比较版本号', () => {
+  assert.ok(compareVersions('1.2.0', '1.10.0') < 0);
+  assert.equal(compareVersions('1.3', '1.3.0'), 0);
+  assert.ok(compareVersions('2.0.0', '1.9.9') > 0);
+});
+
+test('识别数据版本', () => {
+  assert.equal(detectVersion({ html_files: [] }), '0.0.0');
+  assert.equal(detectVersion({ files: [] }), '1.0.0');
+  assert.equal(detectVersion({ version: '1.2.0' }), '1.2.0');
+});
+
+test('1.0.0 的数据依次迁移到当前版本', () => {
+  const data = createLegacyData();
+  const result = migrateData(data);
+
+  assert.equal(result.from, '1.0.0');
+  assert.equal(result.to, CURRENT_VERSION);
+  assert.equal(result.data.version, CURRENT_VERSION);
+  assert.deepEqual(result.applied.map(line => line.split(' ')[0]), ['1.1.0', '1.2.0', '1.3.0']);
+  // 原数据不被修改
+  assert.deepEqual(data, createLegacyData());
+
+  const [tool, game] = result.data.categories;
+  assert.deepEqual(tool, {
+    id: 'category_1',
+    name: '工具',
+    description: '',
+    createTime: '2025-01-01T00:00:00.000Z',
+    usageCount: 0,
+    parentId: ''
+  });
+  assert.equal(game.name, '游戏');
+  assert.deepEqual(result.data.files.map(file => file.category), [game.id, 'category_1', '']);
+  assert.deepEqual(result.data.preset_tags[0], { id: 'tag_1', name: '画布', parentId: '', aliases: [] });
+});
+
+test('已是当前版本的数据不执行迁移', () => {
+  const data = migrateData(createLegacyData()).data;
+  const result = migrateData(data);
+  assert.equal(result.data, data);
+  assert.deepEqual(result.applied, []);
+});
+
+test('数据版本高于程序支持的版本时报错', () => {
+  assert.throws(() => migrateData({ version: '99.0.0', files: [] }), /高于当前程序支持的/);
+});
+
+test('trae-trash 的数据转换为当前格式', () => {
+  const { data } = migrateData({
+    html_files: [{ id: 'page_1', category: '未分类', tags: ['动画'], models: [{ name: 'GLM-4.5' }], scene: '演示' }]
+  });
+  const [file] = data.files;
+
+  assert.equal(file.category, '');
+  assert.equal(file.background, '演示');
+  assert.deepEqual(file.tags, [data.preset_tags[0].id]);
+  assert.equal(data.preset_tags[0].name, '动画');
+  assert.equal(file.model, data.preset_models[0].id);
+  assert.equal(data.preset_models[0].name, 'GLM-4.5');
+});
+
+test('打开存储时执行迁移并备份原数据', t => {
+  const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openonehtml-migrate-'));
+  t.after(() => fs.removeSync(databaseDir));
+  fs.writeJsonSync(path.join(databaseDir, 'data.json'), createLegacyData());
+
+  const store = createStorage({ driver: 'json', databaseDir });
+  store.close();
+
+  const migrated = fs.readJsonSync(path.join(databaseDir, 'data.json'));
+  assert.equal(migrated.version, CURRENT_VERSION);
+  assert.ok(migrated.categories.some(category => category.name === '游戏'));
+  // 除读取时重新计算的 settings 外与原数据相同
+  const backup = fs.readJsonSync(path.join(databaseDir, 'data.json.v1.0.0.bak'));
+  delete backup.settings;
+  assert.deepEqual(backup, createLegacyData());
+});
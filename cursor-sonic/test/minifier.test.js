@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { minifyJS, minifyCSS, minifyHTML, verifyJS, verifyCSS, MinifyError } = require('../utils/minifier');
+
+// 在新的上下文中执行脚本，返回 result 变量的值（转为 JSON，便于比较其他上下文中的对象）
+function run(code) {
+  const context = {};
+  vm.runInNewContext(`${code}\n;this.result = JSON.stringify(result);`, context);
+  return context.result;
+}
+
+test('压缩后的脚本执行结果不变', () => {
+  const scripts = [
+    'var a = 1\nvar b = a\n++a\nvar result = [a, b]',
+    'var x = 5, y = 2\nvar result = x - -y + x+ +y',
+    'function f() {\n  return\n  42\n}\nvar result = f()',
+    'var s = "  /* 不是注释 */  "; // 注释\nvar result = s + `${1 + 1} ` + /a b/.source',
+    'var a = 3\nvar result = a\n/2/\n1',
+    'var result = [1, 2]\n.map(n => n * 2) /* 注释 */ .join(",")'
+  ];
+  scripts.forEach(code => {
+    const minified = minifyJS(code);
+    assert.doesNotThrow(() => verifyJS(minified), code);
+    assert.equal(run(minified), run(code), code);
+  });
+});
+
+test('HTML 式注释所在的行原样保留，换行也保留', () => {
+  assert.equal(minifyJS('x = 1 <!--2\n;'), 'x=1<!--2\n;');
+  assert.equal(minifyJS('x = a\n--> b\n;'), 'x=a\n--> b\n;');
+  assert.equal(minifyJS('if (a) {\n--> c\n}'), 'if(a){\n--> c\n}');
+
+  const code = 'var result = 1 <!-- 2\n+ 1\n--> 3\n;';
+  assert.equal(run(minifyJS(code)), run(code));
+});
+
+test('无法分析的脚本原样返回', () => {
+  const code = 'var s = "未结束\nvar t = 1';
+  assert.equal(minifyJS(code), code);
+});
+
+test('CSS 注释直接删除，不产生空格', () => {
+  assert.equal(minifyCSS('a /* 注释 */ , b { color: red ; }'), 'a,b{color:red}');
+  assert.equal(minifyCSS('.x{margin:1px /**/ 2px}'), '.x{margin:1px 2px}');
+  assert.equal(minifyCSS('.a{color:red;/* 注释 */}'), '.a{color:red}');
+  // 两侧的文字删除注释后会连成一个词，保留一个空注释
+  assert.equal(minifyCSS('a/* 注释 */b{color:red}'), 'a/**/b{color:red}');
+  assert.equal(minifyCSS('.x{margin:1px/**/-2px}'), '.x{margin:1px/**/-2px}');
+});
+
+test('CSS 中的字符串、url() 和选择器空格保持不变', () => {
+  const css = 'a :hover { content: "  a  /* b */ "; background: url( a b.png ) }';
+  assert.equal(minifyCSS(css), 'a :hover{content:"  a  /* b */ ";background:url( a b.png )}');
+  assert.doesNotThrow(() => verifyCSS(minifyCSS(css)));
+});
+
+test('检查 CSS 语法', () => {
+  assert.throws(() => verifyCSS('a { color: red'), MinifyError);
+  assert.throws(() => verifyCSS('a { color: red }}'), /多余的 }/);
+  assert.throws(() => verifyCSS('/* 未结束'), /注释未结束/);
+});
+
+test('折叠 HTML 空白，保留 pre 和条件注释', () => {
+  const html = '<p>a   b</p>\n\n<!-- 注释 --><!--[if IE]>x<![endif]--><pre>  c  </pre>';
+  assert.equal(minifyHTML(html), '<p>a b</p>\n<!--[if IE]>x<![endif]--><pre>  c  </pre>');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { ModuleSyntaxError, lex, scanModule, bundleModules } = require('../utils/module-bundler');
+
+// 执行打包结果，入口模块把结果写到 globalThis.result（转为 JSON，便于比较其他上下文中的对象）
+async function run(code) {
+  const context = { result: null };
+  await vm.runInNewContext(`(async () => {\n${code}\n})()`, context);
+  return JSON.parse(JSON.stringify(context.result));
+}
+
+// 从内存中的文件表解析和读取模块
+function createHost(files) {
+  return {
+    resolve: (specifier, fromId) => {
+      const id = new URL(specifier, `file:///${fromId}`).pathname.slice(1);
+      return files[id] !== undefined ? id : null;
+    },
+    load: id => ({ source: files[id], json: id.endsWith('.json') })
+  };
+}
+
+test('区分除号和正则表达式', () => {
+  const values = source => lex(source).tokens.map(token => `${token.type}:${token.value}`);
+  assert.deepEqual(values('a / b / c'), ['name:a', 'punct:/', 'name:b', 'punct:/', 'name:c']);
+  assert.deepEqual(values('return /a+/g'), ['name:return', 'regex:/a+/g']);
+  assert.deepEqual(values('x = `${a}/${b}`'), ['name:x', 'punct:=', 'template:`${a}/${b}`']);
+  assert.throws(() => lex('"未结束'), ModuleSyntaxError);
+});
+
+test('扫描顶层导入导出和字符串参数的动态导入', () => {
+  const statements = scanModule([
+    'import a, { b as c } from "./x.js";',
+    'export const d = 1;',
+    'function f() { const s = "import x from \'y\'"; }',
+    'const m = import("./y.js");',
+    'export * from "./z.js";'
+  ].join('\n'));
+
+  assert.deepEqual(statements.map(statement => [statement.kind, statement.specifier || null]), [
+    ['import', './x.js'], ['export', null], ['dynamicImport', './y.js'], ['reexport', './z.js']
+  ]);
+  assert.deepEqual(statements[0].named, [{ imported: 'b', local: 'c' }]);
+});
+
+test('打包后的模块按原顺序求值，导入导出和 JSON 模块可用', async () => {
+  const files = {
+    'main.js': [
+      'import greet, { name as who } from "./lib/greet.js";',
+      'import * as util from "./lib/util.js";',
+      'import config from "./config.json";',
+      'globalThis.result = [greet(who), util.double(2), config.size, util.order.join(",")];'
+    ].join('\n'),
+    'lib/greet.js': 'import { order } from "./util.js";\norder.push("greet");\nexport const name = "世界";\nexport default function greet(n) { return `你好，${n}`; }',
+    'lib/util.js': 'export const order = ["util"];\nexport function double(n) { return n * 2; }',
+    'config.json': '{ "size": 3 }'
+  };
+
+  const bundle = bundleModules({ id: 'main.js', source: files['main.js'] }, createHost(files));
+  assert.deepEqual(bundle.modules, ['main.js', 'lib/greet.js', 'lib/util.js', 'config.json']);
+  assert.deepEqual(await run(bundle.code), ['你好，世界', 4, 3, 'util,greet']);
+});
+
+test('没有导入导出的入口不打包，无法解析的模块报告模块ID', () => {
+  assert.deepEqual(bundleModules({ id: 'main.js', source: 'console.log(1)' }, createHost({})), { code: null, modules: [] });
+
+  const files = { 'main.js': 'import "./bad.js";', 'bad.js': 'const s = "未结束' };
+  assert.throws(() => bundleModules({ id: 'main.js', source: files['main.js'] }, createHost(files)), error => {
+    assert.ok(error instanceof ModuleSyntaxError);
+    assert.equal(error.moduleId, 'bad.js');
+    return true;
+  });
+});
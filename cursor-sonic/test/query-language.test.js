@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QueryLanguage = require('../js/query-language');
+
+const { parse, evaluate, createContext, QuerySyntaxError } = QueryLanguage;
+
+test('空查询返回 null', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse('   '), null);
+});
+
+test('NOT 优先于 AND，AND 优先于 OR', () => {
+  assert.deepEqual(parse('天气 OR tag:自动化 -草稿'), {
+    type: 'or',
+    children: [
+      { type: 'text', value: '天气', phrase: false },
+      {
+        type: 'and',
+        children: [
+          { type: 'field', field: 'tag', value: '自动化', exact: false },
+          { type: 'not', child: { type: 'text', value: '草稿', phrase: false } }
+        ]
+      }
+    ]
+  });
+});
+
+test('语法错误给出错误信息和位置', () => {
+  const cases = [
+    ['(a', '缺少右括号', 0],
+    ['a)', '多余的右括号', 1],
+    ['()', '括号内缺少搜索条件', 0],
+    ['""', '引号内缺少内容', 0],
+    ['a OR', '查询不完整，缺少搜索条件', 4],
+    ['size:>abc', '无法识别的文件大小: abc', 0],
+    ['uploaded:2025-13', '无效的日期: 2025-13', 0]
+  ];
+  cases.forEach(([input, message, position]) => {
+    assert.throws(() => parse(input), error => {
+      assert.ok(error instanceof QuerySyntaxError, input);
+      assert.equal(error.message, message, input);
+      assert.equal(error.position, position, input);
+      return true;
+    });
+  });
+});
+
+test('按标签名称和文件大小筛选', () => {
+  const context = createContext({ preset_tags: [{ id: 'tag_1', name: '自动化' }] });
+  const file = { title: '天气预报', tags: ['tag_1'], fileSize: 2048 };
+
+  assert.equal(evaluate(parse('tag:自动化'), file, context), true);
+  assert.equal(evaluate(parse('tag:自动化'), { ...file, tags: [] }, context), false);
+  assert.equal(evaluate(parse('size:>1kb'), file, context), true);
+  assert.equal(evaluate(parse('size:>4kb'), file, context), false);
+  assert.equal(evaluate(parse('天气 -预报'), file, context), false);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRecord, findReadOnlyFields } = require('../storage/schema');
+
+const FILE = {
+  id: 'file_1',
+  originalName: 'a.html',
+  encryptedName: `${'a'.repeat(32)}.html`,
+  fileSize: 1,
+  uploadTime: '2025-09-01T00:00:00.000Z'
+};
+
+const paths = errors => errors.map(error => error.path);
+
+test('有效的文件记录', () => {
+  assert.deepEqual(validateRecord('files', FILE), []);
+});
+
+test('页面文件名必须是上传目录中的文件名', () => {
+  ['../server.js', 'a.html', `${'a'.repeat(32)}.htm`].forEach(encryptedName => {
+    assert.deepEqual(paths(validateRecord('files', { ...FILE, encryptedName })), ['files.encryptedName'], encryptedName);
+  });
+});
+
+test('校验版本记录和资源处理结果中的字段', () => {
+  const errors = validateRecord('files', {
+    ...FILE,
+    revisions: [{ version: 1, originalName: 'a.html', encryptedName: 'x/../y', fileSize: 1, uploadTime: 'bad' }],
+    bundle: { source: 'zip', entry: '../index.html', inlined: [1] }
+  });
+  assert.deepEqual(paths(errors).sort(), [
+    'files.bundle.entry',
+    'files.bundle.inlined[0]',
+    'files.revisions[0].encryptedName',
+    'files.revisions[0].uploadTime'
+  ]);
+
+  ['/index.html', 'a\\..\\index.html'].forEach(entry => {
+    assert.deepEqual(paths(validateRecord('files', { ...FILE, bundle: { source: 'zip', entry } })), ['files.bundle.entry'], entry);
+  });
+  assert.deepEqual(validateRecord('files', { ...FILE, bundle: { source: 'files', entry: 'demo/index.html' } }), []);
+});
+
+test('找出由服务器维护的字段', () => {
+  assert.deepEqual(findReadOnlyFields('files', { title: '标题', fileSize: 1, security: null, rev: 2 }), ['fileSize', 'security']);
+  assert.deepEqual(findReadOnlyFields('preset_tags', { name: '标签', usageCount: 3 }), ['usageCount']);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCriteria, normalizeScores, summarizeFile, buildLeaderboard } = require('../utils/scoring');
+
+const CRITERIA = [
+  { id: 'works', name: '功能符合要求', description: '', weight: 2 },
+  { id: 'visual', name: '视觉效果', description: '', weight: 1 }
+];
+
+const review = (fileId, scores) => ({ fileId, scores });
+
+test('规范化评分标准', () => {
+  assert.deepEqual(normalizeCriteria([{ id: 'a', name: ' 功能 ' }]), [{ id: 'a', name: '功能', description: '', weight: 1 }]);
+  assert.throws(() => normalizeCriteria([]), /至少需要一项评分标准/);
+  assert.throws(() => normalizeCriteria([{ id: 'a', name: '' }]), /第 1 项评分标准缺少名称/);
+  assert.throws(() => normalizeCriteria([{ id: 'a', name: '功能', weight: 0 }]), /权重必须大于0/);
+  assert.throws(() => normalizeCriteria([{ id: 'a', name: '一' }, { id: 'a', name: '二' }]), /评分标准ID重复: a/);
+});
+
+test('分数必须是 1~5 的整数，未知的评分标准忽略', () => {
+  assert.deepEqual(normalizeScores(CRITERIA, { works: '4', visual: '', unknown: 3 }), { works: 4 });
+  assert.throws(() => normalizeScores(CRITERIA, { works: 6 }), /"功能符合要求" 的分数必须是 1~5 的整数/);
+  assert.throws(() => normalizeScores(CRITERIA, { works: 2.5 }), /的分数必须是/);
+  assert.throws(() => normalizeScores(CRITERIA, {}), /请至少为一项评分标准打分/);
+});
+
+test('文件得分为各次评审加权平均分的平均值', () => {
+  const summary = summarizeFile(CRITERIA, [
+    review('f1', { works: 5, visual: 2 }),
+    review('f1', { works: 3 })
+  ]);
+  assert.deepEqual(summary, { score: 3.5, reviews: 2, criteria: { works: 4, visual: 2 } });
+  assert.equal(summarizeFile(CRITERIA, [review('f1', { removed: 5 })]), null);
+});
+
+test('模型得分按文件平均，评审次数多的文件不占更大比重', () => {
+  const files = [
+    { id: 'f1', model: 'm1', prompt: '时钟', category: 'c1' },
+    { id: 'f2', model: 'm1', prompt: '日历', category: 'c1' },
+    { id: 'f3', model: 'm2', prompt: '时钟', category: '' },
+    { id: 'f4', model: 'm2', prompt: '时钟' }
+  ];
+  const reviews = [
+    review('f1', { works: 5, visual: 2 }),
+    review('f1', { works: 3 }),
+    review('f2', { works: 4, visual: 4 }),
+    review('f3', { works: 5, visual: 5 })
+  ];
+  const board = buildLeaderboard({
+    files,
+    reviews,
+    criteria: CRITERIA,
+    models: [{ id: 'm1', name: 'GLM-4.5' }],
+    categories: [{ id: 'c1', name: '工具', parentId: '' }],
+    groupBy: 'category'
+  });
+
+  assert.deepEqual(board.overall.map(model => [model.modelName, model.score, model.files, model.reviews]), [
+    ['m2', 5, 1, 1],
+    ['GLM-4.5', 3.75, 2, 3]
+  ]);
+  assert.deepEqual(board.groups.map(group => [group.key, group.label, group.models.length]), [
+    ['c1', '工具', 1],
+    ['', '', 1]
+  ]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex, extractPage, tokenize } = require('../utils/search-index');
+
+test('中日韩文字按二元组切分，英文按单词切分', () => {
+  assert.deepEqual(tokenize('天气预报 Weather API'), ['天气', '气预', '预报', 'weather', 'api']);
+  assert.deepEqual(tokenize('猫 a 画布'), ['猫', '画布']);
+  // 全角字符先规范化
+  assert.deepEqual(tokenize('ＡＢＣ１２３'), ['abc123']);
+});
+
+test('提取标题、可见文本和脚本标识符', () => {
+  const page = extractPage(`<html><head><title>时钟 &amp; 日历</title><style>.a{}</style></head>
+    <body><!-- 注释 --><h1>数字&nbsp;时钟</h1><img alt="表盘">
+    <script>function drawClock() {} const tick_rate = 1;</script></body></html>`);
+
+  assert.equal(page.title, '时钟 & 日历');
+  assert.equal(page.content, '数字 时钟 表盘');
+  assert.equal(page.identifiers, 'drawClock draw Clock tick_rate tick rate');
+});
+
+test('标题中的词比正文中的词排名更高', () => {
+  const index = new SearchIndex();
+  index.add({ id: 'body', title: '页面' }, extractPage('<p>一个天气预报的示例</p>'));
+  index.add({ id: 'title', title: '天气预报' }, extractPage('<p>示例</p>'));
+  index.add({ id: 'other', title: '计算器' }, extractPage('<p>加减乘除</p>'));
+
+  const results = index.rank(['body', 'title', 'other'], ['天气预报']);
+  assert.deepEqual(results.map(result => result.id), ['title', 'body', 'other']);
+  assert.ok(results[1].score > 0);
+  assert.equal(results[2].score, 0);
+});
+
+test('英文关键词以 * 结尾时按前缀匹配', () => {
+  const index = new SearchIndex();
+  index.add({ id: 'a', title: 'renderer' });
+  index.add({ id: 'b', title: 'reader' });
+
+  assert.deepEqual(index.rank(['a', 'b'], ['render*']).filter(result => result.score > 0).map(result => result.id), ['a']);
+});
+
+test('摘要返回关键词附近的原文和高亮位置', () => {
+  const index = new SearchIndex();
+  index.add({ id: 'a', title: '示例' }, extractPage(`<p>${'前文'.repeat(40)}这是天气预报页面</p>`));
+
+  const { snippet } = index.rank(['a'], ['天气'])[0];
+  assert.equal(snippet.field, 'content');
+  assert.ok(snippet.text.startsWith('…'));
+  const [[start, end]] = snippet.highlights;
+  assert.equal(snippet.text.slice(start, end), '天气');
+});
+
+test('删除文档后不再参与排名', () => {
+  const index = new SearchIndex();
+  index.add({ id: 'a', title: '天气' });
+  index.remove('a');
+
+  assert.equal(index.size, 0);
+  assert.equal(index.postings.size, 0);
+  assert.deepEqual(index.rank(['a'], ['天气']), []);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planImport, parseExport, SyncError, EXPORT_FORMAT } = require('../utils/static-sync');
+
+function file(id, fields = {}) {
+  return { id, title: id, description: '', tags: [], status: 'active', ...fields };
+}
+
+function data(files, extra = {}) {
+  return { files, preset_tags: [], preset_models: [], categories: [], ...extra };
+}
+
+test('只在一边修改的字段直接合并', () => {
+  const base = data([file('a', { title: '原标题', description: '原描述' })]);
+  const local = data([file('a', { title: '静态版本标题', description: '原描述' })]);
+  const server = data([file('a', { title: '原标题', description: '服务器描述', rev: 3 })]);
+
+  const plan = planImport(local, server, base);
+  assert.deepEqual(plan.conflicts, []);
+  assert.equal(plan.changes.length, 1);
+  assert.deepEqual(plan.changes[0], {
+    key: 'files:a', collection: 'files', id: 'a', label: '静态版本标题',
+    type: 'update', patch: { title: '静态版本标题' }
+  });
+});
+
+test('两边把同一字段改成不同的值是冲突', () => {
+  const base = data([file('a', { title: '原标题' })]);
+  const local = data([file('a', { title: '静态版本标题' })]);
+  const server = data([file('a', { title: '服务器标题' })]);
+
+  const plan = planImport(local, server, base);
+  assert.deepEqual(plan.changes, []);
+  assert.equal(plan.conflicts.length, 1);
+  const [conflict] = plan.conflicts;
+  assert.equal(conflict.reason, '两边修改了相同的字段');
+  assert.deepEqual(conflict.fields, ['title']);
+  assert.deepEqual(conflict.local, { title: '静态版本标题' });
+  assert.deepEqual(conflict.server, { title: '服务器标题' });
+  assert.deepEqual(conflict.change, { type: 'update', patch: { title: '静态版本标题' } });
+});
+
+test('两边改成相同的值不算冲突也不需要写入', () => {
+  const base = data([file('a', { title: '原标题' })]);
+  const local = data([file('a', { title: '新标题' })]);
+  const server = data([file('a', { title: '新标题' })]);
+
+  const plan = planImport(local, server, base);
+  assert.deepEqual(plan.changes, []);
+  assert.deepEqual(plan.conflicts, []);
+  assert.equal(plan.unchanged, 1);
+});
+
+test('静态版本删除服务器上已修改的记录是冲突，未修改的直接删除', () => {
+  const base = data([file('a'), file('b')]);
+  const local = data([]);
+  const server = data([file('a'), file('b', { description: '服务器修改' })]);
+
+  const plan = planImport(local, server, base);
+  assert.deepEqual(plan.changes.map(change => [change.id, change.type]), [['a', 'remove']]);
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.id, conflict.reason]), [['b', '静态版本删除了服务器上已修改的记录']]);
+});
+
+test('服务器上已删除静态版本修改的文件是冲突', () => {
+  const base = data([file('a')]);
+  const local = data([file('a', { title: '静态版本标题' })]);
+  const server = data([file('a', { status: 'deleted' })]);
+
+  const [conflict] = planImport(local, server, base).conflicts;
+  assert.equal(conflict.reason, '服务器上已删除静态版本修改的记录');
+  assert.equal(conflict.change.type, 'insert');
+});
+
+test('静态版本新增的记录去掉服务器字段后插入', () => {
+  const local = data([file('new', { security: { level: 'safe' }, rev: 1 })]);
+  const plan = planImport(local, data([]), data([]));
+
+  assert.equal(plan.changes.length, 1);
+  assert.equal(plan.changes[0].type, 'insert');
+  assert.deepEqual(plan.changes[0].record, file('new'));
+});
+
+test('没有发布基准时两边不同的记录都是冲突，缺少的记录不算删除', () => {
+  const local = data([file('a', { title: '静态版本标题' })]);
+  const server = data([file('a'), file('b')]);
+
+  const plan = planImport(local, server, null);
+  assert.deepEqual(plan.changes, []);
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.id, conflict.reason]), [['a', '没有发布基准，无法判断哪一边做了修改']]);
+});
+
+test('访问次数等自动更新的字段不算修改', () => {
+  const base = data([file('a', { accessCount: 1 })]);
+  const local = data([file('a', { accessCount: 5, lastAccess: '2025-09-01T00:00:00.000Z' })]);
+  const server = data([file('a', { accessCount: 2 })]);
+
+  const plan = planImport(local, server, base);
+  assert.deepEqual(plan.changes, []);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('解析导出文件时只保留有效的页面文件名', () => {
+  const page = `${'a'.repeat(32)}.html`;
+  const result = parseExport({
+    format: EXPORT_FORMAT,
+    data: data([], { sync: { publishId: 'abc123' } }),
+    pages: { [page]: '<p>ok</p>', '../server.js': 'bad' }
+  });
+
+  assert.equal(result.publishId, 'abc123');
+  assert.deepEqual(result.pages, { [page]: '<p>ok</p>' });
+  assert.throws(() => parseExport('not json'), SyncError);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TagTaxonomy = require('../js/tag-taxonomy');
+
+const { TaxonomyError } = TagTaxonomy;
+
+// 交互 > 拖拽 > 排序，动画
+function createData() {
+  return {
+    preset_tags: [
+      { id: 'interact', name: '交互', parentId: '', aliases: [] },
+      { id: 'drag', name: '拖拽', parentId: 'interact', aliases: ['drag'] },
+      { id: 'sort', name: '排序', parentId: 'drag', aliases: [] },
+      { id: 'anim', name: '动画', parentId: '', aliases: ['animation'] }
+    ],
+    files: [
+      { id: 'f1', title: '看板', tags: ['drag', 'anim'] },
+      { id: 'f2', title: '列表', tags: ['drag'] },
+      { id: 'f3', title: '旧页面', tags: ['drag', 'interact'], status: 'deleted' },
+      { id: 'f4', title: '时钟', tags: ['anim'] }
+    ]
+  };
+}
+
+test('上级、下级和完整名称', () => {
+  const { preset_tags: tags } = createData();
+  assert.deepEqual(TagTaxonomy.getAncestors(tags, 'sort').map(tag => tag.id), ['drag', 'interact']);
+  assert.deepEqual([...TagTaxonomy.getDescendantIds(tags, 'interact')], ['interact', 'drag', 'sort']);
+  assert.equal(TagTaxonomy.getPath(tags, 'sort'), '交互 > 拖拽 > 排序');
+  assert.deepEqual(TagTaxonomy.flattenTree(tags).map(({ tag, depth }) => `${depth}:${tag.id}`), [
+    '0:interact', '1:drag', '2:sort', '0:anim'
+  ]);
+});
+
+test('检查上级循环和名称、别名重复', () => {
+  const { preset_tags: tags } = createData();
+  assert.throws(() => TagTaxonomy.checkTag(tags, { id: 'interact', name: '交互', parentId: 'sort' }), /不能把标签移动到它自己的下级标签中/);
+  assert.throws(() => TagTaxonomy.checkTag(tags, { id: 'x', name: '新标签', parentId: 'missing' }), /上级标签不存在: missing/);
+  assert.throws(() => TagTaxonomy.checkTag(tags, { id: 'x', name: 'Animation' }), new TaxonomyError('名称"Animation"已被标签"动画"使用'));
+  assert.doesNotThrow(() => TagTaxonomy.checkTag(tags, { id: 'anim', name: '动画', aliases: ['animation', '动效'] }));
+});
+
+test('合并标签：文件改用目标标签，名称成为别名，下级改挂到目标标签', () => {
+  const plan = TagTaxonomy.planMerge(createData(), 'drag', 'anim');
+
+  assert.deepEqual(plan.tags, {
+    insert: [],
+    update: [
+      { id: 'anim', patch: { aliases: ['animation', '拖拽', 'drag'] } },
+      { id: 'sort', patch: { parentId: 'anim' } }
+    ],
+    remove: ['drag']
+  });
+  assert.equal(plan.replacedBy, 'anim');
+  assert.deepEqual(plan.files.map(file => [file.id, file.after, file.deleted]), [
+    ['f1', ['anim'], false],
+    ['f2', ['anim'], false],
+    ['f3', ['anim', 'interact'], true]
+  ]);
+  assert.throws(() => TagTaxonomy.planMerge(createData(), 'interact', 'sort'), /不能把标签合并到它的下级标签/);
+});
+
+test('拆分标签：新标签与原标签同级，可以只用于部分文件', () => {
+  const plan = TagTaxonomy.planSplit(createData(), 'drag', [
+    { name: '拖放', fileIds: ['f1'] },
+    { name: '排列' }
+  ], { createId: index => `new_${index + 1}`, now: '2025-09-01T00:00:00.000Z' });
+
+  assert.deepEqual(plan.tags.insert.map(tag => [tag.id, tag.name, tag.parentId]), [
+    ['new_1', '拖放', 'interact'],
+    ['new_2', '排列', 'interact']
+  ]);
+  assert.deepEqual(plan.tags.update, [{ id: 'sort', patch: { parentId: 'interact' } }]);
+  assert.equal(plan.replacedBy, 'new_1');
+  assert.deepEqual(plan.files.map(file => [file.id, file.after]), [
+    ['f1', ['new_1', 'new_2', 'anim']],
+    ['f2', ['new_2']],
+    ['f3', ['new_2', 'interact']]
+  ]);
+
+  assert.throws(() => TagTaxonomy.planSplit(createData(), 'drag', [{ name: '一' }]), /拆分至少需要两个新标签/);
+  assert.throws(() => TagTaxonomy.planSplit(createData(), 'drag', [{ name: '一', fileIds: ['f4'] }, { name: '二' }]), /文件 f4 没有使用标签"拖拽"/);
+  assert.throws(() => TagTaxonomy.planSplit(createData(), 'drag', [{ name: '动画' }, { name: '二' }]), /已被标签"动画"使用/);
+});
+
+test('删除标签：文件改用其他标签或移除，下级改挂到上级', () => {
+  const reassigned = TagTaxonomy.planDelete(createData(), 'drag', 'anim');
+  assert.deepEqual(reassigned.files.map(file => [file.id, file.after]), [
+    ['f1', ['anim']],
+    ['f2', ['anim']],
+    ['f3', ['anim', 'interact']]
+  ]);
+  assert.deepEqual(reassigned.tags.update, [{ id: 'sort', patch: { parentId: 'interact' } }]);
+  assert.equal(reassigned.replacedBy, 'anim');
+
+  const removed = TagTaxonomy.planDelete(createData(), 'anim');
+  assert.equal(removed.summary, '删除标签"动画"，并从 2 个文件中移除');
+  assert.equal(removed.replacedBy, '');
+  assert.deepEqual(removed.files.map(file => [file.id, file.after]), [['f1', ['drag']], ['f4', []]]);
+  assert.throws(() => TagTaxonomy.planDelete(createData(), 'anim', 'anim'), /不能改用要删除的标签/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UploadSuggestions = require('../js/upload-suggestions');
+
+const GAME_PAGE = `<!DOCTYPE html>
+<html><head><title> 贪吃蛇 </title></head>
+<body><canvas id="c"></canvas>
+<script>
+  document.addEventListener('keydown', onKey);
+  function loop() { draw(); requestAnimationFrame(loop); }
+</script></body></html>`;
+
+const PRESETS = {
+  tags: [
+    { id: 't_game', name: '游戏', aliases: [] },
+    { id: 't_canvas', name: '画布', aliases: ['canvas'] },
+    { id: 't_anim', name: '动画', aliases: [] },
+    { id: 't_chart', name: '图表', aliases: [] }
+  ],
+  categories: [
+    { id: 'c_game', name: '游戏' },
+    { id: 'c_tool', name: '工具' }
+  ],
+  models: [
+    { id: 'kimik2', name: 'Kimi K2' },
+    { id: 'glm45', name: 'GLM-4.5' }
+  ]
+};
+
+test('识别页面使用的技术和标题', () => {
+  const page = UploadSuggestions.analyzePage(GAME_PAGE);
+  assert.equal(page.title, '贪吃蛇');
+  assert.deepEqual(page.features.map(feature => feature.id), ['canvas', 'animation', 'keyboard', 'game']);
+
+  const chart = UploadSuggestions.analyzePage('<script src="https://cdn.jsdelivr.net/npm/echarts/dist/echarts.min.js"></script>');
+  assert.deepEqual(chart.features, [{ id: 'echarts', label: 'ECharts' }]);
+  assert.deepEqual(UploadSuggestions.analyzePage(''), { title: '', features: [] });
+});
+
+test('文件名前缀', () => {
+  assert.equal(UploadSuggestions.getFileNamePrefix('KimiK2-截屏.html'), 'kimik2');
+  assert.equal(UploadSuggestions.getFileNamePrefix('uploads/glm_时钟.html'), 'glm');
+  assert.equal(UploadSuggestions.getFileNamePrefix('时钟.html'), '');
+});
+
+test('只建议已有的标签和分类，按依据数量排序', () => {
+  const result = UploadSuggestions.suggest({ html: GAME_PAGE, prompt: '做一个小游戏' }, PRESETS);
+
+  assert.deepEqual(result.tags.map(tag => tag.id), ['t_game', 't_canvas', 't_anim']);
+  assert.deepEqual(result.tags[0].reasons, ['页面使用了 游戏循环', '提示词中有"游戏"']);
+  assert.deepEqual(result.tags[1].reasons, ['页面使用了 Canvas']);
+  assert.equal(result.category.id, 'c_game');
+  assert.equal(result.model, null);
+});
+
+test('提示词直接提到标签别名或分类名称', () => {
+  const result = UploadSuggestions.suggest({ html: '<p></p>', title: '一个 Canvas 练习' }, PRESETS);
+  assert.deepEqual(result.tags, [{ id: 't_canvas', name: '画布', reasons: ['标题中有"canvas"'] }]);
+  assert.equal(result.category, null);
+
+  // 英文关键词按整词匹配
+  assert.deepEqual(UploadSuggestions.suggest({ html: '<p></p>', prompt: 'gamepad' }, PRESETS).tags, []);
+});
+
+test('已分析过的页面不需要源码', () => {
+  const page = UploadSuggestions.analyzePage(GAME_PAGE);
+  const result = UploadSuggestions.suggest({ page }, PRESETS);
+  assert.deepEqual(result.features, page.features);
+  assert.equal(result.category.id, 'c_game');
+});
+
+test('按文件名前缀猜测模型', () => {
+  const named = UploadSuggestions.suggest({ html: '', fileName: 'kimik2-截屏.html' }, PRESETS);
+  assert.deepEqual(named.model, { id: 'kimik2', name: 'Kimi K2', reasons: ['文件名以"kimik2"开头'] });
+
+  const files = [
+    { id: 'f1', originalName: 'claude-时钟.html', model: 'glm45' },
+    { id: 'f2', originalName: 'claude_天气.html', model: 'glm45' },
+    { id: 'f3', originalName: 'claude-待办.html', model: 'kimik2' },
+    { id: 'f4', originalName: 'claude-旧.html', model: 'kimik2', status: 'deleted' },
+    { id: 'f5', originalName: 'claude-未知.html', model: 'missing' }
+  ];
+  const inferred = UploadSuggestions.suggest({ html: '', fileName: 'Claude-新页面.html' }, { ...PRESETS, files });
+  assert.deepEqual(inferred.model, {
+    id: 'glm45',
+    name: 'GLM-4.5',
+    reasons: ['已有 2 个以"claude"开头的文件使用此模型']
+  });
+
+  assert.equal(UploadSuggestions.suggest({ html: '', fileName: 'other-页面.html' }, { ...PRESETS, files }).model, null);
+});
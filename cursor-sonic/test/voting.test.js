@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findPairs, pickPair, computeRatings } = require('../utils/voting');
+
+const FILES = [
+  { id: 'a1', prompt: '时钟', model: 'm1' },
+  { id: 'a2', prompt: ' 时钟 ', model: 'm2' },
+  { id: 'a3', prompt: '时钟', model: 'm1' },
+  { id: 'b1', prompt: '日历', model: 'm1' },
+  { id: 'c1', prompt: '', model: 'm2' }
+];
+
+const vote = (modelA, modelB, winner, createTime, extra = {}) => ({ modelA, modelB, winner, createTime, ...extra });
+
+test('只组合提示词相同、模型不同的文件', () => {
+  assert.deepEqual(findPairs(FILES).map(([a, b]) => [a.id, b.id]), [['a1', 'a2'], ['a2', 'a3']]);
+});
+
+test('优先抽取评审人还没有投过票的组合', () => {
+  const pairs = findPairs(FILES);
+  const votes = [{ userId: 'u1', fileA: 'a2', fileB: 'a1' }];
+  const random = () => 0.9;
+
+  const pair = pickPair(pairs, votes, 'u1', random);
+  assert.equal(pair.fresh, true);
+  assert.deepEqual([pair.a.id, pair.b.id].sort(), ['a2', 'a3']);
+
+  // 全部投过后仍然可以重复抽取
+  const all = [...votes, { userId: 'u1', fileA: 'a2', fileB: 'a3' }];
+  assert.equal(pickPair(pairs, all, 'u1', random).fresh, false);
+  assert.equal(pickPair([], [], 'u1'), null);
+});
+
+test('Elo 评分按投票时间回放', () => {
+  const ratings = computeRatings([
+    vote('m1', 'm2', 'a', '2025-09-01T00:00:00.000Z')
+  ]);
+  assert.deepEqual(ratings, [
+    { modelId: 'm1', rating: 1516, games: 1, wins: 1, losses: 0, ties: 0 },
+    { modelId: 'm2', rating: 1484, games: 1, wins: 0, losses: 1, ties: 0 }
+  ]);
+
+  // 顺序不同结果不同：按 createTime 而不是数组顺序计算
+  const votes = [
+    vote('m1', 'm2', 'tie', '2025-09-02T00:00:00.000Z'),
+    vote('m1', 'm2', 'a', '2025-09-01T00:00:00.000Z')
+  ];
+  const [first, second] = computeRatings(votes);
+  assert.equal(first.modelId, 'm1');
+  assert.equal(first.rating + second.rating, 3000);
+  assert.equal(first.ties, 1);
+  assert.ok(first.rating < 1516);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ZipError, readZip, normalizeEntryName } = require('../utils/zip-reader');
+const { createZip } = require('../utils/zip-writer');
+
+// 修改第一个目录条目中记录的解压后大小
+function withDeclaredSize(buffer, size) {
+  const patched = Buffer.from(buffer);
+  const offset = patched.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  patched.writeUInt32LE(size, offset + 24);
+  return patched;
+}
+
+test('读取存储和压缩的条目，跳过目录和系统文件', () => {
+  const zip = createZip([
+    { name: 'demo/index.html', data: '<p>' + 'a'.repeat(1000) + '</p>' },
+    { name: 'demo/a.css', data: 'b' },
+    { name: '__MACOSX/demo/._index.html', data: 'x' },
+    { name: 'demo/.DS_Store', data: 'x' }
+  ]);
+  const entries = readZip(zip);
+
+  assert.deepEqual(entries.map(entry => entry.name), ['demo/index.html', 'demo/a.css']);
+  assert.equal(entries[0].data.toString(), '<p>' + 'a'.repeat(1000) + '</p>');
+  assert.equal(entries[1].data.toString(), 'b');
+});
+
+test('规范化条目路径，拒绝指向压缩包外部的路径', () => {
+  assert.equal(normalizeEntryName('demo\\css\\..\\a.css'), 'demo/a.css');
+  assert.equal(normalizeEntryName('./demo/a.css'), 'demo/a.css');
+  ['../a.html', 'demo/../../a.html', '/etc/passwd', 'C:/a.html', '..'].forEach(name => {
+    assert.throws(() => normalizeEntryName(name), new ZipError(`非法的文件路径: ${name}`));
+  });
+  assert.throws(() => readZip(createZip([{ name: '../evil.html', data: 'x' }])), /非法的文件路径/);
+});
+
+test('超过文件数或解压后总大小时拒绝', () => {
+  const zip = createZip([{ name: 'a.txt', data: 'a'.repeat(3000) }, { name: 'b.txt', data: 'b' }]);
+  assert.throws(() => readZip(zip, { maxEntries: 1 }), /压缩包中的文件超过 1 个/);
+  assert.throws(() => readZip(zip, { maxTotalSize: 2000 }), /压缩包解压后超过/);
+});
+
+test('解压结果按目录中记录的大小限制，防止压缩炸弹', () => {
+  const zip = createZip([{ name: 'bomb.html', data: Buffer.alloc(1024 * 1024) }]);
+  assert.ok(zip.length < 10 * 1024);
+  assert.throws(() => readZip(withDeclaredSize(zip, 100)), new ZipError('解压失败: bomb.html'));
+});
+
+test('损坏或不支持的文件', () => {
+  assert.throws(() => readZip(Buffer.from('not a zip file at all, just text')), /不是有效的 ZIP 文件/);
+  assert.throws(() => readZip(Buffer.alloc(10)), /不是有效的 ZIP 文件/);
+
+  const encrypted = createZip([{ name: 'a.html', data: 'x' }]);
+  const offset = encrypted.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  encrypted.writeUInt16LE(encrypted.readUInt16LE(offset + 8) | 0x0001, offset + 8);
+  assert.throws(() => readZip(encrypted), /不支持加密的压缩包: a.html/);
+});
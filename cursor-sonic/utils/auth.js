@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+/**
+ * 认证与权限工具
+ * 用户密码使用 scrypt 加盐哈希，会话令牌只保存 SHA-256 摘要
+ */
+
+// 角色等级：viewer < editor < admin
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const SESSION_COOKIE = 'openonehtml_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7天
+
+/**
+ * 生成密码哈希
+ * @param {string} password 明文密码
+ * @returns {string} scrypt$盐$哈希
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * 校验密码
+ * @param {string} password 明文密码
+ * @param {string} stored hashPassword 生成的字符串
+ * @returns {boolean} 是否匹配
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string') return false;
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+// 返回给客户端的用户信息，不包含密码哈希
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > -1) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+/**
+ * 创建认证模块
+ * @param {Object} store 保存用户和会话的存储（见 storage/index.js 的 createAuthStorage）
+ * @param {Object} options 配置选项
+ * @param {string} options.anonymousRole 未登录用户的角色，'none' 表示必须登录
+ * @returns {Object} 中间件与会话操作
+ */
+function createAuth(store, options = {}) {
+  const {
+    anonymousRole = process.env.AUTH_ANONYMOUS_ROLE || 'viewer'
+  } = options;
+
+  /**
+   * 没有任何用户时创建初始管理员
+   * 用户名和密码取自 ADMIN_USERNAME / ADMIN_PASSWORD，未设置密码时随机生成并打印到控制台
+   */
+  function ensureAdmin() {
+    if (store.list('users').length > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+
+    store.insert('users', {
+      id: 'user_' + Date.now(),
+      username,
+      passwordHash: hashPassword(password),
+      role: 'admin',
+      createTime: new Date().toISOString()
+    });
+
+    console.log(`已创建初始管理员账号: ${username}`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`初始密码: ${password}（请登录后修改）`);
+    }
+  }
+
+  /**
+   * 创建会话
+   * @param {Object} user 用户记录
+   * @returns {string} 会话令牌
+   */
+  function createSession(user) {
+    const now = Date.now();
+
+    // 顺便清理过期会话
+    store.transaction(() => {
+      store.list('sessions')
+        .filter(session => new Date(session.expiresAt).getTime() < now)
+        .map(session => session.id)
+        .forEach(id => store.remove('sessions', id));
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    store.insert('sessions', {
+      id: hashToken(token),
+      userId: user.id,
+      createTime: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL).toISOString()
+    });
+    return token;
+  }
+
+  function destroySession(token) {
+    if (token) {
+      store.remove('sessions', hashToken(token));
+    }
+  }
+
+  // 从 Authorization 头或 Cookie 中读取令牌
+  function getToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  function setSessionCookie(res, token) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL / 1000}`);
+  }
+
+  function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  /**
+   * 中间件：解析当前用户，挂载到 req.user 与 req.role
+   */
+  function authenticate(req, res, next) {
+    req.user = null;
+    req.role = anonymousRole;
+
+    const token = getToken(req);
+    if (token) {
+      const session = store.get('sessions', hashToken(token));
+      if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+        const user = store.get('users', session.userId);
+        if (user) {
+          req.user = user;
+          req.role = user.role;
+          req.sessionToken = token;
+        }
+      }
+    }
+
+    next();
+  }
+
+  /**
+   * 中间件：要求至少具备指定角色
+   * @param {string} minRole 最低角色
+   */
+  function requireRole(minRole) {
+    return (req, res, next) => {
+      if (hasRole(req.role, minRole)) {
+        return next();
+      }
+      if (!req.user) {
+        return res.status(401).json({ error: '请先登录' });
+      }
+      res.status(403).json({ error: '权限不足' });
+    };
+  }
+
+  return {
+    anonymousRole,
+    ensureAdmin,
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireRole
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  publicUser,
+  createAuth
+};
@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const path = require('path');
+const AutoRules = require('../js/auto-rules');
+
+/**
+ * 自动规则的服务端执行
+ * 上传、批量导入时对新文件执行启用的规则（js/auto-rules.js），
+ * 也可以对已有文件重新执行全部规则：
+ *   node utils/auto-tagging.js [--dry-run]
+ */
+
+const HTML_DIR = path.join(__dirname, '..', 'html-files');
+
+// 规则目标所在的集合
+function getPresets(store) {
+  return {
+    preset_tags: store.list('preset_tags'),
+    preset_models: store.list('preset_models'),
+    categories: store.list('categories')
+  };
+}
+
+/**
+ * 读取文件的页面内容，页面不存在时返回空字符串
+ * @param {Object} file 文件记录
+ * @param {string} htmlDir 页面目录
+ * @returns {string}
+ */
+function readPage(file, htmlDir = HTML_DIR) {
+  const pagePath = path.join(htmlDir, path.basename(file.encryptedName || ''));
+  return file.encryptedName && fs.existsSync(pagePath) ? fs.readFileSync(pagePath, 'utf8') : '';
+}
+
+/**
+ * 对即将写入的新文件执行规则，直接修改 fileInfo 的标签、分类和模型
+ * @param {Object} store 存储实例
+ * @param {Object} fileInfo 新文件记录
+ * @param {Function} loadPage () => 页面内容，只在有规则按页面内容匹配时调用
+ * @returns {Array<string>} 生效的规则名称
+ */
+function applyToNewFile(store, fileInfo, loadPage) {
+  const rules = store.list('auto_rules');
+  if (rules.length === 0) return [];
+
+  const { patch, matched } = AutoRules.applyRules(rules, fileInfo, {
+    html: AutoRules.usesPage(rules) ? loadPage() : '',
+    data: getPresets(store)
+  });
+  Object.assign(fileInfo, patch);
+  return matched.map(rule => rule.name);
+}
+
+/**
+ * 对已有文件执行规则，列出会发生变化的文件
+ * @param {Object} store 存储实例
+ * @param {Array<Object>} rules 规则列表
+ * @param {string} htmlDir 页面目录
+ * @returns {Object} 计划，格式见 js/auto-rules.js
+ */
+function planRules(store, rules, htmlDir = HTML_DIR) {
+  return AutoRules.planApply(
+    { files: store.list('files'), ...getPresets(store) },
+    rules,
+    file => readPage(file, htmlDir)
+  );
+}
+
+/**
+ * 在一个事务中写入计划中的修改
+ * @param {Object} store 存储实例
+ * @param {Object} plan planRules 的结果
+ */
+function applyPlan(store, plan) {
+  store.transaction(tx => {
+    plan.files.forEach(({ id, after }) => {
+      tx.update('files', id, { tags: after.tags, category: after.category, model: after.model });
+    });
+  });
+}
+
+// 命令行：对已有文件重新执行全部启用的规则（服务运行时请使用规则管理中的"重新执行全部规则"，以便更新搜索索引）
+if (require.main === module) {
+  const { createStorage } = require('../storage');
+  const dryRun = process.argv.includes('--dry-run');
+  const store = createStorage();
+
+  try {
+    const rules = store.list('auto_rules');
+    const plan = planRules(store, rules);
+    const presets = getPresets(store);
+
+    console.log(`${rules.filter(rule => rule.enabled !== false).length} 条启用的规则，${plan.summary}`);
+    plan.files.forEach(entry => {
+      console.log(`  ${entry.title}: ${AutoRules.describeChanges(entry, presets)}（${entry.rules.join('、')}）`);
+    });
+
+    if (!dryRun && plan.files.length > 0) {
+      applyPlan(store, plan);
+      console.log('已保存');
+    }
+  } catch (error) {
+    console.error('执行规则失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = {
+  readPage,
+  applyToNewFile,
+  planRules,
+  applyPlan
+};
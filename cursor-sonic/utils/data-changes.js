@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { isTracked } = require('../storage/revisions');
+const { findReadOnlyFields } = require('../storage/schema');
+const { scanFile } = require('./html-scanner');
+const AutoRules = require('../js/auto-rules');
+
+const HTML_DIR = path.join(__dirname, '..', 'html-files');
+
+/**
+ * 按记录提交的数据修改（PATCH /api/data）
+ * 客户端只提交修改过的记录，每个变更带上读取时的修订号，全部变更在一个事务中执行：
+ * 任一记录已被其他人修改时抛出 ConflictError，其余变更也不会写入
+ *
+ * 变更格式：
+ *   { op: 'insert', collection, record }
+ *   { op: 'update', collection, id, rev, patch }
+ *   { op: 'remove', collection, id, rev }
+ * 文件的 remove 与删除接口相同，标记为已删除；标签、模型、分类仍有文件使用时不能删除，
+ * 标签和分类仍有下级时也不能删除（改挂下级请使用各自的删除接口，或在同一批变更中先修改下级的 parentId），
+ * 仍被自动规则作为目标时同样不能删除
+ * 结构定义中标记为 readOnly 或 internal 的字段（文件大小、版本、扫描结果、缩略图等）由服务器维护，不能通过变更写入；
+ * 文件引用新的页面时，页面必须已在上传目录中，服务器重新计算文件大小并执行安全扫描
+ */
+
+const OPERATIONS = ['insert', 'update', 'remove'];
+
+// 标签、模型、分类被文件引用的方式，hierarchical 表示记录通过 parentId 组成层级
+const PRESET_USAGE = {
+  preset_tags: { label: '标签', hierarchical: true, uses: (file, preset) => (file.tags || []).includes(preset.id) },
+  preset_models: { label: '模型', uses: (file, preset) => file.model === preset.id },
+  categories: { label: '分类', hierarchical: true, uses: (file, preset) => file.category === preset.id }
+};
+
+class ChangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChangeError';
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 检查变更格式，只允许修改带修订号的集合
+ * @param {Array<Object>} changes 变更列表
+ * @throws {ChangeError} 格式无效
+ */
+function checkChanges(changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    throw new ChangeError('请提供要保存的修改');
+  }
+
+  changes.forEach((change, index) => {
+    const where = `第 ${index + 1} 个修改`;
+    if (!isPlainObject(change) || !OPERATIONS.includes(change.op)) {
+      throw new ChangeError(`${where}的操作无效，应为 ${OPERATIONS.join('、')} 之一`);
+    }
+    if (!isTracked(change.collection)) {
+      throw new ChangeError(`${where}的数据集合无效: ${change.collection}`);
+    }
+    if (change.op === 'insert') {
+      if (!isPlainObject(change.record) || typeof change.record.id !== 'string' || !change.record.id) {
+        throw new ChangeError(`${where}缺少新记录或记录ID`);
+      }
+      checkFields(change.collection, change.record, where);
+      return;
+    }
+    if (typeof change.id !== 'string' || !change.id) {
+      throw new ChangeError(`${where}缺少记录ID`);
+    }
+    if (!Number.isInteger(change.rev) || change.rev < 0) {
+      throw new ChangeError(`${where}缺少读取时的修订号 rev`);
+    }
+    if (change.op === 'update') {
+      if (!isPlainObject(change.patch)) {
+        throw new ChangeError(`${where}缺少修改内容`);
+      }
+      checkFields(change.collection, change.patch, where);
+    }
+  });
+}
+
+// 新记录或修改内容不能包含由服务器维护的字段，页面文件名只能是上传目录中的文件名
+function checkFields(collection, fields, where) {
+  const readOnly = findReadOnlyFields(collection, fields);
+  if (readOnly.length > 0) {
+    throw new ChangeError(`${where}不能修改由服务器维护的字段: ${readOnly.join(', ')}`);
+  }
+  const name = fields.encryptedName;
+  if (collection === 'files' && name !== undefined && (typeof name !== 'string' || path.basename(name) !== name)) {
+    throw new ChangeError(`${where}的页面文件名无效: ${name}`);
+  }
+}
+
+/**
+ * 文件引用新的页面时补充由服务器计算的字段
+ * @returns {Object} 补充了 fileSize、security 并清除缩略图的新记录或修改内容
+ * @throws {ChangeError} 页面不在上传目录中
+ */
+function attachPage(fields, htmlDir, where) {
+  const pagePath = path.join(htmlDir, fields.encryptedName);
+  if (!fs.existsSync(pagePath) || !fs.statSync(pagePath).isFile()) {
+    throw new ChangeError(`${where}引用的页面文件不存在: ${fields.encryptedName}`);
+  }
+  return {
+    ...fields,
+    fileSize: fs.statSync(pagePath).size,
+    security: scanFile(pagePath),
+    thumbnails: null,
+    thumbnailTime: null
+  };
+}
+
+/**
+ * 在一个事务中执行全部变更
+ * @param {Object} store 存储实例
+ * @param {Array<Object>} changes 变更列表
+ * @param {Object} options 选项
+ * @param {string} options.htmlDir 页面文件目录，默认为 html-files
+ * @returns {Array<Object>} 每个变更的结果 { op, collection, id, record }，
+ *   record 为写入后的记录（remove 为删除前的记录）
+ * @throws {ChangeError} 格式无效、包含由服务器维护的字段、页面不存在，或删除仍被文件或规则使用、仍有下级的选项
+ * @throws {ConflictError} 记录已被其他人修改或删除
+ * @throws {ValidationError} 修改后的记录不符合结构定义
+ */
+function applyChanges(store, changes, { htmlDir = HTML_DIR } = {}) {
+  checkChanges(changes);
+
+  return store.transaction(() => changes.map((change, index) => {
+    const { op, collection } = change;
+    const where = `第 ${index + 1} 个修改`;
+
+    if (op === 'insert') {
+      const fields = collection === 'files' && change.record.encryptedName !== undefined
+        ? attachPage(change.record, htmlDir, where)
+        : change.record;
+      const record = store.insert(collection, fields);
+      return { op, collection, id: record.id, record };
+    }
+
+    if (op === 'update') {
+      const current = store.get(collection, change.id);
+      const pageChanged = collection === 'files' && change.patch.encryptedName !== undefined &&
+        (!current || current.encryptedName !== change.patch.encryptedName);
+      const patch = pageChanged ? attachPage(change.patch, htmlDir, where) : change.patch;
+      const record = store.update(collection, change.id, patch, { rev: change.rev });
+      return { op, collection, id: change.id, record };
+    }
+
+    if (collection === 'files') {
+      const record = store.update('files', change.id, { status: 'deleted' }, { rev: change.rev });
+      return { op, collection, id: change.id, record };
+    }
+
+    const preset = store.get(collection, change.id);
+    const usage = PRESET_USAGE[collection];
+    if (preset && usage) {
+      const count = store.list('files').filter(file => usage.uses(file, preset)).length;
+      if (count > 0) {
+        throw new ChangeError(`无法删除${usage.label}"${preset.name}"，有 ${count} 个文件正在使用此${usage.label}`);
+      }
+      const children = usage.hierarchical ? store.list(collection).filter(item => item.parentId === preset.id).length : 0;
+      if (children > 0) {
+        throw new ChangeError(`无法删除${usage.label}"${preset.name}"，有 ${children} 个下级${usage.label}，请先移动下级${usage.label}`);
+      }
+      const rules = AutoRules.findRulesUsing(store.list('auto_rules'), collection, preset.id);
+      if (rules.length > 0) {
+        throw new ChangeError(`无法删除${usage.label}"${preset.name}"，有 ${rules.length} 条自动规则使用此${usage.label}：${rules.map(rule => rule.name).join('、')}`);
+      }
+    }
+    const record = store.remove(collection, change.id, { rev: change.rev });
+    return { op, collection, id: change.id, record };
+  }));
+}
+
+module.exports = {
+  ChangeError,
+  applyChanges
+};
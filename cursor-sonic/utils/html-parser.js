@@ -0,0 +1,237 @@
+/**
+ * HTML 词法解析工具
+ * 按 HTML 规范的分词规则把文档切分为标签、文本、注释等片段，并记录每个片段在原文中的位置，
+ * 便于只改写需要替换的部分，其余内容保持原样
+ */
+
+// 内容不解析标签的元素：遇到对应的结束标签才结束
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0'
+};
+
+/**
+ * 解码属性值中的字符引用
+ * @param {string} text 原始文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const value = NAMED_ENTITIES[entity.toLowerCase()];
+    return value !== undefined ? value : match;
+  });
+}
+
+/**
+ * 转义属性值
+ * @param {string} value 属性值
+ * @returns {string} 可放入双引号中的文本
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f';
+}
+
+function isLetter(char) {
+  return !!char && /[a-z]/i.test(char);
+}
+
+// 读取标签属性，返回标签结束位置
+function readAttributes(html, index, attrs) {
+  const length = html.length;
+
+  while (index < length) {
+    while (index < length && (isWhitespace(html[index]) || html[index] === '/')) {
+      if (html[index] === '/' && html[index + 1] === '>') {
+        return { end: index + 2, selfClosing: true };
+      }
+      index++;
+    }
+    if (index >= length) break;
+    if (html[index] === '>') {
+      return { end: index + 1, selfClosing: false };
+    }
+
+    // 属性名：读到空白、/、> 或 = 为止（第一个字符可以是 =）
+    const start = index;
+    index++;
+    while (index < length && !isWhitespace(html[index]) && !'/>='.includes(html[index])) {
+      index++;
+    }
+    const name = html.slice(start, index).toLowerCase();
+
+    let afterName = index;
+    while (afterName < length && isWhitespace(html[afterName])) afterName++;
+
+    const attr = { name, value: null, start, end: index, valueStart: -1, valueEnd: -1 };
+
+    if (html[afterName] === '=') {
+      index = afterName + 1;
+      while (index < length && isWhitespace(html[index])) index++;
+
+      const quote = html[index];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, index + 1);
+        const valueEnd = close === -1 ? length : close;
+        attr.valueStart = index + 1;
+        attr.valueEnd = valueEnd;
+        index = close === -1 ? length : close + 1;
+      } else {
+        attr.valueStart = index;
+        while (index < length && !isWhitespace(html[index]) && html[index] !== '>') index++;
+        attr.valueEnd = index;
+      }
+      attr.value = decodeEntities(html.slice(attr.valueStart, attr.valueEnd));
+      attr.end = index;
+    }
+
+    // 重复的属性以第一个为准
+    if (!attrs.some(existing => existing.name === name)) {
+      attrs.push(attr);
+    }
+  }
+
+  return { end: length, selfClosing: false };
+}
+
+/**
+ * 将HTML切分为片段
+ * @param {string} html HTML文本
+ * @returns {Array<Object>} 片段列表，每项包含 type（tag、endTag、text、comment、doctype）、start、end；
+ *   tag 另有 name、attrs、selfClosing，原始文本元素（script、style 等）的内容作为一个 text 片段
+ */
+function tokenize(html) {
+  const tokens = [];
+  const length = html.length;
+  let index = 0;
+  let textStart = 0;
+
+  const flushText = end => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', start: textStart, end });
+    }
+  };
+
+  while (index < length) {
+    const lt = html.indexOf('<', index);
+    if (lt === -1) break;
+
+    const next = html[lt + 1];
+
+    if (html.startsWith('<!--', lt)) {
+      flushText(lt);
+      const close = html.indexOf('-->', lt + 4);
+      const end = close === -1 ? length : close + 3;
+      tokens.push({ type: 'comment', start: lt, end });
+      index = textStart = end;
+    } else if (next === '!' || next === '?') {
+      flushText(lt);
+      const close = html.indexOf('>', lt + 2);
+      const end = close === -1 ? length : close + 1;
+      const isDoctype = /^<!doctype/i.test(html.slice(lt, lt + 9));
+      tokens.push({ type: isDoctype ? 'doctype' : 'comment', start: lt, end });
+      index = textStart = end;
+    } else if (next === '/' && isLetter(html[lt + 2])) {
+      flushText(lt);
+      let nameEnd = lt + 2;
+      while (nameEnd < length && !isWhitespace(html[nameEnd]) && html[nameEnd] !== '/' && html[nameEnd] !== '>') nameEnd++;
+      const close = html.indexOf('>', nameEnd);
+      const end = close === -1 ? length : close + 1;
+      tokens.push({ type: 'endTag', name: html.slice(lt + 2, nameEnd).toLowerCase(), start: lt, end });
+      index = textStart = end;
+    } else if (isLetter(next)) {
+      flushText(lt);
+      let nameEnd = lt + 1;
+      while (nameEnd < length && !isWhitespace(html[nameEnd]) && html[nameEnd] !== '/' && html[nameEnd] !== '>') nameEnd++;
+      const name = html.slice(lt + 1, nameEnd).toLowerCase();
+      const attrs = [];
+      const { end, selfClosing } = readAttributes(html, nameEnd, attrs);
+      tokens.push({ type: 'tag', name, attrs, selfClosing, start: lt, end });
+      index = textStart = end;
+
+      if (RAW_TEXT_ELEMENTS.has(name) && !selfClosing) {
+        const closePattern = new RegExp(`</${name}(?=[\\s/>])`, 'ig');
+        closePattern.lastIndex = end;
+        const match = closePattern.exec(html);
+        const contentEnd = match ? match.index : length;
+        if (contentEnd > end) {
+          tokens.push({ type: 'text', start: end, end: contentEnd, raw: true });
+        }
+        index = textStart = contentEnd;
+      }
+    } else {
+      index = lt + 1;
+    }
+  }
+
+  flushText(length);
+  return tokens;
+}
+
+/**
+ * 读取属性值
+ * @param {Object} token 标签片段
+ * @param {string} name 属性名
+ * @returns {string|null} 属性值，属性不存在时返回 null，有属性无值时返回空字符串
+ */
+function getAttribute(token, name) {
+  const attr = token.attrs.find(item => item.name === name);
+  if (!attr) return null;
+  return attr.value === null ? '' : attr.value;
+}
+
+/**
+ * 生成开始标签
+ * @param {string} name 标签名
+ * @param {Array<{name, value}>} attrs 属性，value 为 null 时输出布尔属性
+ * @returns {string} 开始标签
+ */
+function serializeTag(name, attrs) {
+  const parts = attrs.map(attr => (attr.value === null ? attr.name : `${attr.name}="${escapeAttribute(attr.value)}"`));
+  return `<${name}${parts.length > 0 ? ' ' + parts.join(' ') : ''}>`;
+}
+
+/**
+ * 按位置替换原文中的片段
+ * @param {string} source 原文
+ * @param {Array<{start, end, text}>} edits 替换列表，区间不能重叠；start 等于 end 时为插入
+ * @returns {string} 替换后的文本
+ */
+function applyEdits(source, edits) {
+  const sorted = edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => a.start - b.start || a.order - b.order);
+
+  let result = '';
+  let cursor = 0;
+  sorted.forEach(edit => {
+    result += source.slice(cursor, edit.start) + edit.text;
+    cursor = Math.max(cursor, edit.end);
+  });
+  return result + source.slice(cursor);
+}
+
+module.exports = {
+  RAW_TEXT_ELEMENTS,
+  decodeEntities,
+  escapeAttribute,
+  tokenize,
+  getAttribute,
+  serializeTag,
+  applyEdits
+};
@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+
+/**
+ * 上传文件安全扫描
+ * 对AI生成的HTML做静态检查，标记外部脚本、访问管理端接口、内联事件和表单提交等行为
+ * 扫描结果只用于提示，不会阻止上传
+ */
+
+// 风险等级，由低到高
+const LEVELS = ['safe', 'info', 'warning', 'danger'];
+
+const MAX_SNIPPET_LENGTH = 120;
+
+function lineOf(html, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (html.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+function snippet(text) {
+  const compact = text.replace(/\s+/g, ' ').trim();
+  return compact.length > MAX_SNIPPET_LENGTH ? compact.slice(0, MAX_SNIPPET_LENGTH) + '…' : compact;
+}
+
+// 外部脚本：<script src="https://..."> 或协议相对地址
+function findExternalScripts(html, findings) {
+  const pattern = /<script\b[^>]*?\bsrc\s*=\s*["']?((?:https?:)?\/\/[^"'\s>]+)/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    let host = match[1];
+    try {
+      host = new URL(match[1], 'http://localhost').host;
+    } catch (error) {
+      // 无法解析时保留原始地址
+    }
+    findings.push({
+      type: 'external-script',
+      severity: 'warning',
+      message: `加载外部脚本（预览时不会加载）: ${host}`,
+      line: lineOf(html, match.index),
+      snippet: snippet(match[0])
+    });
+  }
+}
+
+// 网络请求：以相对路径或本机地址访问 /api/ 视为访问管理端，属于高风险；其余请求仅做提示
+function findNetworkRequests(html, findings) {
+  const apiPattern = /(["'`])(?:https?:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?)?\/api\/[^"'`\s]*\1/g;
+  let match;
+  while ((match = apiPattern.exec(html))) {
+    findings.push({
+      type: 'api-access',
+      severity: 'danger',
+      message: `引用管理端接口: ${match[0].slice(1, -1)}`,
+      line: lineOf(html, match.index),
+      snippet: snippet(html.slice(Math.max(0, match.index - 40), match.index + match[0].length + 20))
+    });
+  }
+
+  const requestPattern = /\b(fetch\s*\(|new\s+XMLHttpRequest|navigator\.sendBeacon|new\s+WebSocket|new\s+EventSource|axios[.(]|\$\.(?:ajax|get|post|getJSON)\s*\()/g;
+  const seen = new Set();
+  while ((match = requestPattern.exec(html))) {
+    const api = match[1].replace(/^new\s+/, '').replace(/[\s.(]+$/, '');
+    if (seen.has(api)) continue;
+    seen.add(api);
+    findings.push({
+      type: 'network-request',
+      severity: 'info',
+      message: `发起网络请求: ${api}`,
+      line: lineOf(html, match.index),
+      snippet: snippet(html.slice(match.index, match.index + 80))
+    });
+  }
+}
+
+// 内联事件处理器：按事件名汇总，避免大量重复条目
+function findInlineHandlers(html, findings) {
+  const pattern = /<[a-z][^>]*?\s(on[a-z]+)\s*=/gi;
+  const handlers = new Map();
+  let match;
+  while ((match = pattern.exec(html))) {
+    const name = match[1].toLowerCase();
+    if (!handlers.has(name)) {
+      handlers.set(name, { count: 0, index: match.index, text: match[0] });
+    }
+    handlers.get(name).count++;
+  }
+
+  handlers.forEach(({ count, index, text }, name) => {
+    findings.push({
+      type: 'inline-handler',
+      severity: 'info',
+      message: `内联事件处理器: ${name}${count > 1 ? ` ×${count}` : ''}`,
+      line: lineOf(html, index),
+      snippet: snippet(text)
+    });
+  });
+}
+
+// 表单提交：method="post" 或指定了 action 的表单
+function findFormPosts(html, findings) {
+  const pattern = /<form\b[^>]*>/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    const tag = match[0];
+    const method = (tag.match(/\bmethod\s*=\s*["']?(\w+)/i) || [])[1];
+    const action = (tag.match(/\baction\s*=\s*["']?([^"'\s>]*)/i) || [])[1];
+    if ((method && method.toLowerCase() === 'post') || action) {
+      findings.push({
+        type: 'form-post',
+        severity: 'warning',
+        message: `表单提交${action ? `到 ${action}` : ''}（${(method || 'get').toUpperCase()}）`,
+        line: lineOf(html, match.index),
+        snippet: snippet(tag)
+      });
+    }
+  }
+}
+
+/**
+ * 扫描HTML内容
+ * @param {string} html HTML文本
+ * @returns {Object} { level, findings: [{type, severity, message, line, snippet}], scannedAt }
+ */
+function scanHtml(html) {
+  const findings = [];
+
+  findExternalScripts(html, findings);
+  findNetworkRequests(html, findings);
+  findInlineHandlers(html, findings);
+  findFormPosts(html, findings);
+
+  findings.sort((a, b) => LEVELS.indexOf(b.severity) - LEVELS.indexOf(a.severity) || a.line - b.line);
+
+  const level = findings.reduce(
+    (max, finding) => LEVELS.indexOf(finding.severity) > LEVELS.indexOf(max) ? finding.severity : max,
+    'safe'
+  );
+
+  return { level, findings, scannedAt: new Date().toISOString() };
+}
+
+/**
+ * 扫描磁盘上的HTML文件
+ * @param {string} filePath 文件路径
+ * @returns {Object|null} 扫描结果，文件不存在时返回 null
+ */
+function scanFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return scanHtml(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  LEVELS,
+  scanHtml,
+  scanFile
+};
@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { extractPage } = require('./search-index');
+const { createZip } = require('./zip-writer');
+const QueryLanguage = require('../js/query-language');
+const CategoryTree = require('../js/category-tree');
+
+/**
+ * 离线导出工具
+ * 把选中的页面连同元数据、标签、模型和分类打包为一个可以直接用 file:// 打开的查看器：
+ *   html  单个HTML文件，页面内容内嵌在查看器中，通过 iframe srcdoc 预览
+ *   zip   index.html 查看器 + pages/ 目录中的页面文件，适合页面较多或较大的情况
+ * 查看器内嵌与主程序相同的查询语言，导出时提取页面文本，离线也能全文搜索
+ */
+
+const VIEWER_DIR = path.join(__dirname, 'library-viewer');
+const QUERY_LANGUAGE_PATH = path.join(__dirname, '..', 'js', 'query-language.js');
+
+const FORMATS = ['html', 'zip'];
+
+// 导出的文件字段，不包含存储文件名、修订历史等内部信息
+const EXPORT_FIELDS = [
+  'id', 'title', 'originalName', 'description', 'category', 'background', 'prompt',
+  'model', 'tags', 'fileSize', 'uploadTime', 'lastAccess', 'accessCount'
+];
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 放入 <script> 中的 JSON：转义 < 防止页面内容提前结束脚本元素
+function serializeData(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function escapeScript(code) {
+  return code.replace(/<\/script/gi, '<\\/script');
+}
+
+function readThumbnail(file, thumbnailDir) {
+  if (!thumbnailDir || !file.thumbnails) return null;
+  const fileName = Object.values(file.thumbnails)[0];
+  const thumbnailPath = fileName && path.join(thumbnailDir, path.basename(fileName));
+  if (!thumbnailPath || !fs.existsSync(thumbnailPath)) return null;
+  return `data:image/png;base64,${fs.readFileSync(thumbnailPath).toString('base64')}`;
+}
+
+/**
+ * 生成离线查看器
+ * @param {Object} data 与 data.json 格式相同的数据（使用其中的标签、模型和分类）
+ * @param {Array<Object>} files 要导出的文件记录，按此顺序显示
+ * @param {Object} options 配置选项
+ * @param {string} options.htmlDir 页面文件目录
+ * @param {string} options.thumbnailDir 缩略图目录，不设置时不导出缩略图
+ * @param {string} options.format 导出格式：html 或 zip，默认 html
+ * @param {string} options.title 查看器标题
+ * @returns {Object} { format, fileName, contentType, body, exported, missing }
+ *   body 为 Buffer；missing 为页面文件不存在而未导出的文件ID
+ * @throws {ExportError} 参数无效或没有可导出的页面
+ */
+function createLibraryExport(data, files, options = {}) {
+  const {
+    htmlDir,
+    thumbnailDir = null,
+    format = 'html',
+    title = 'OpenOneHTML 页面库'
+  } = options;
+
+  if (!FORMATS.includes(format)) {
+    throw new ExportError(`不支持的导出格式: ${format}`);
+  }
+
+  const records = [];
+  const pages = [];
+  const missing = [];
+
+  files.forEach(file => {
+    const sourcePath = path.join(htmlDir, path.basename(file.encryptedName || ''));
+    if (!file.encryptedName || !fs.existsSync(sourcePath)) {
+      missing.push(file.id);
+      return;
+    }
+
+    const content = fs.readFileSync(sourcePath, 'utf8');
+    const page = extractPage(content);
+    const record = {};
+    EXPORT_FIELDS.forEach(field => {
+      if (file[field] !== undefined) record[field] = file[field];
+    });
+    record.text = [page.title, page.content, page.identifiers].filter(Boolean).join(' ');
+
+    const thumbnail = readThumbnail(file, thumbnailDir);
+    if (thumbnail) record.thumbnail = thumbnail;
+
+    if (format === 'html') {
+      record.content = content;
+    } else {
+      record.path = `pages/${file.id}.html`;
+      pages.push({ name: record.path, data: content });
+    }
+    records.push(record);
+  });
+
+  if (records.length === 0) {
+    throw new ExportError('没有可导出的页面');
+  }
+
+  // 只保留被引用的标签、模型和分类
+  const tagIds = new Set(records.flatMap(record => record.tags || []));
+  const modelIds = new Set(records.map(record => record.model).filter(Boolean));
+  // 分类连同上级一起导出，查看器中显示完整路径
+  const categories = data.categories || [];
+  const categoryIds = new Set();
+  records.map(record => record.category).filter(Boolean).forEach(id => {
+    categoryIds.add(id);
+    CategoryTree.getAncestors(categories, id).forEach(ancestor => categoryIds.add(ancestor.id));
+  });
+
+  const payload = {
+    version: 1,
+    title,
+    exportedAt: new Date().toISOString(),
+    format,
+    files: records,
+    preset_tags: (data.preset_tags || []).filter(tag => tagIds.has(tag.id)),
+    preset_models: (data.preset_models || []).filter(model => modelIds.has(model.id)),
+    categories: categories.filter(category => categoryIds.has(category.id))
+  };
+
+  const replacements = {
+    TITLE: escapeHTML(title),
+    STYLE: fs.readFileSync(path.join(VIEWER_DIR, 'viewer.css'), 'utf8'),
+    DATA: serializeData(payload),
+    QUERY_LANGUAGE: escapeScript(fs.readFileSync(QUERY_LANGUAGE_PATH, 'utf8')),
+    SCRIPT: escapeScript(fs.readFileSync(path.join(VIEWER_DIR, 'viewer.js'), 'utf8'))
+  };
+  const viewer = fs.readFileSync(path.join(VIEWER_DIR, 'viewer.html'), 'utf8')
+    .replace(/\{\{([A-Z_]+)\}\}/g, (match, key) => (key in replacements ? replacements[key] : match));
+
+  const date = payload.exportedAt.slice(0, 10).replace(/-/g, '');
+  const result = format === 'html'
+    ? { fileName: `openonehtml-${date}.html`, contentType: 'text/html; charset=utf-8', body: Buffer.from(viewer, 'utf8') }
+    : { fileName: `openonehtml-${date}.zip`, contentType: 'application/zip', body: createZip([{ name: 'index.html', data: viewer }, ...pages]) };
+
+  return { format, ...result, exported: records.length, missing };
+}
+
+// CLI 接口：按与主程序相同的筛选条件导出
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.length < 1 || args[0].startsWith('--')) {
+    console.log('用法:');
+    console.log('  node utils/library-export.js <输出文件> [选项]');
+    console.log('');
+    console.log('选项:');
+    console.log('  --format <html|zip>  导出格式，默认按输出文件扩展名判断');
+    console.log('  --query <查询语句>   与搜索框相同的查询语言');
+    console.log('  --category <分类>    只导出该分类及其下级分类（分类ID或名称）');
+    console.log('  --tag <标签ID>       只导出带该标签的文件');
+    console.log('  --model <模型ID>     只导出该模型的文件');
+    console.log('  --title <标题>       查看器标题');
+    console.log('');
+    console.log('示例:');
+    console.log('  node utils/library-export.js ./library.html --query "model:kimik2 天气"');
+    process.exit(1);
+  }
+
+  const { createStorage } = require('../storage');
+  const rootDir = path.join(__dirname, '..');
+  const outputPath = path.resolve(args[0]);
+  const store = createStorage();
+
+  try {
+    const data = store.snapshot();
+    const category = readOption('--category');
+    const tag = readOption('--tag');
+    const model = readOption('--model');
+    const htmlDir = path.join(rootDir, 'html-files');
+
+    let files = (data.files || []).filter(file => file.status !== 'deleted');
+    if (category) {
+      // 按分类ID或名称指定，包含下级分类
+      const match = (data.categories || []).find(item => item.id === category || item.name === category);
+      const categoryIds = match ? CategoryTree.getDescendantIds(data.categories, match.id) : new Set([category]);
+      files = files.filter(file => categoryIds.has(file.category));
+    }
+    if (tag) files = files.filter(file => (file.tags || []).includes(tag));
+    if (model) files = files.filter(file => file.model === model);
+
+    const query = readOption('--query');
+    if (query) {
+      const ast = QueryLanguage.parse(query);
+      const context = QueryLanguage.createContext(data, {
+        getText: file => {
+          const filePath = path.join(htmlDir, path.basename(file.encryptedName || ''));
+          const page = file.encryptedName && fs.existsSync(filePath) ? extractPage(fs.readFileSync(filePath, 'utf8')) : {};
+          return [file.title, file.description, file.originalName, file.background, file.prompt, page.title, page.content, page.identifiers]
+            .map(QueryLanguage.normalize);
+        }
+      });
+      files = files.filter(file => QueryLanguage.evaluate(ast, file, context));
+    }
+
+    const result = createLibraryExport(data, files, {
+      htmlDir,
+      thumbnailDir: path.join(rootDir, 'thumbnails'),
+      format: readOption('--format') || (path.extname(outputPath).toLowerCase() === '.zip' ? 'zip' : 'html'),
+      title: readOption('--title')
+    });
+
+    fs.outputFileSync(outputPath, result.body);
+    console.log(`已导出 ${result.exported} 个页面到: ${outputPath}`);
+    if (result.missing.length > 0) {
+      console.log(`页面文件不存在，已跳过: ${result.missing.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('导出失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = {
+  ExportError,
+  FORMATS,
+  createLibraryExport
+};
@@ -0,0 +1,285 @@
+// 离线查看器 - 导出文件中内嵌的页面库浏览、搜索和预览
+// 搜索使用与主程序相同的查询语言，无字段关键词同时匹配元数据和导出时提取的页面文本
+class LibraryViewer {
+  constructor(data) {
+    this.data = data;
+    this.files = data.files || [];
+    this.tags = new Map((data.preset_tags || []).map(tag => [tag.id, tag]));
+    this.models = new Map((data.preset_models || []).map(model => [model.id, model]));
+    this.categories = new Map((data.categories || []).map(category => [category.id, category]));
+    this.filters = {};
+    this.query = null;
+    this.currentFile = null;
+
+    // 预先规范化可搜索的文本
+    this.texts = new Map(this.files.map(file => [
+      file.id,
+      [file.title, file.description, file.originalName, file.background, file.prompt, file.text].map(QueryLanguage.normalize)
+    ]));
+    this.context = QueryLanguage.createContext(data, { getText: file => this.texts.get(file.id) });
+  }
+
+  init() {
+    const exportedAt = this.data.exportedAt ? new Date(this.data.exportedAt).toLocaleString() : '';
+    document.getElementById('viewerSummary').textContent =
+      `共 ${this.files.length} 个页面${exportedAt ? `，导出于 ${exportedAt}` : ''}`;
+
+    this.fillOptions('categoryFilter', this.getCategories().map(id => ({ value: id, label: this.getCategoryPath(id) })));
+    this.fillOptions('tagsFilter', [...this.tags.values()].map(tag => ({ value: tag.id, label: tag.name })));
+    this.fillOptions('modelFilter', [...this.models.values()].map(model => ({ value: model.id, label: model.name })));
+
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.performSearch();
+    });
+    ['categoryFilter', 'tagsFilter', 'modelFilter'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.performSearch());
+    });
+    document.getElementById('clearSearchBtn').addEventListener('click', () => this.clearFilters());
+
+    document.getElementById('closePreviewBtn').addEventListener('click', () => this.closePreview());
+    document.getElementById('openWindowBtn').addEventListener('click', () => this.openInWindow());
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.closePreview();
+    });
+
+    this.render();
+  }
+
+  // 文件使用的分类ID，按显示名称排列
+  getCategories() {
+    return [...new Set(this.files.map(file => file.category).filter(Boolean))]
+      .sort((a, b) => this.getCategoryPath(a).localeCompare(this.getCategoryPath(b)));
+  }
+
+  // 带上级的分类名称，如"工具 > 图片"；旧版本导出的数据中分类为名称，原样显示
+  getCategoryPath(id) {
+    const names = [];
+    const visited = new Set();
+    for (let current = this.categories.get(id); current && !visited.has(current.id); current = this.categories.get(current.parentId)) {
+      visited.add(current.id);
+      names.unshift(current.name);
+    }
+    return names.length > 0 ? names.join(' > ') : id;
+  }
+
+  fillOptions(id, options) {
+    const select = document.getElementById(id);
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  performSearch() {
+    const search = document.getElementById('searchInput').value.trim();
+
+    try {
+      this.query = QueryLanguage.parse(search);
+      this.showQueryError(null);
+    } catch (error) {
+      if (!(error instanceof QueryLanguage.QuerySyntaxError)) throw error;
+      this.showQueryError(error, search);
+      return;
+    }
+
+    this.filters = {
+      category: document.getElementById('categoryFilter').value,
+      tag: document.getElementById('tagsFilter').value,
+      model: document.getElementById('modelFilter').value
+    };
+    this.render();
+  }
+
+  clearFilters() {
+    ['searchInput', 'categoryFilter', 'tagsFilter', 'modelFilter'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    this.showQueryError(null);
+    this.query = null;
+    this.filters = {};
+    this.render();
+  }
+
+  showQueryError(error, query = '') {
+    const searchInput = document.getElementById('searchInput');
+    const errorBox = document.getElementById('searchError');
+
+    searchInput.classList.toggle('invalid', !!error);
+    errorBox.hidden = !error;
+    errorBox.textContent = error
+      ? `查询语法错误：${error.message}（第 ${error.position + 1} 个字符） ${query.slice(Math.max(0, error.position - 10), error.position + 10)}`
+      : '';
+  }
+
+  // 与主程序 FileList 相同的筛选顺序：查询语句、分类、标签、模型
+  applyFilters() {
+    let files = this.files.filter(file => QueryLanguage.evaluate(this.query, file, this.context));
+    const { category, tag, model } = this.filters;
+
+    if (category) files = files.filter(file => file.category === category);
+    if (tag) files = files.filter(file => (file.tags || []).includes(tag));
+    if (model) files = files.filter(file => file.model === model);
+
+    // 有关键词时按出现次数排序，标题中的命中权重更高
+    const keywords = QueryLanguage.getKeywords(this.query).map(QueryLanguage.normalize);
+    if (keywords.length > 0) {
+      const scores = new Map(files.map(file => [file.id, this.score(file, keywords)]));
+      files = files.slice().sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    }
+    return files;
+  }
+
+  score(file, keywords) {
+    const title = QueryLanguage.normalize(file.title);
+    const text = this.texts.get(file.id).join(' ');
+    const count = (haystack, needle) => (needle ? haystack.split(needle).length - 1 : 0);
+    return keywords.reduce((sum, keyword) => sum + count(title, keyword) * 3 + count(text, keyword), 0);
+  }
+
+  render() {
+    const grid = document.getElementById('filesGrid');
+    const files = this.applyFilters();
+
+    grid.innerHTML = '';
+    document.getElementById('resultCount').textContent =
+      files.length === this.files.length ? '' : `找到 ${files.length} 个页面`;
+
+    if (files.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'viewer-empty';
+      empty.textContent = '没有符合条件的页面';
+      grid.appendChild(empty);
+      return;
+    }
+
+    files.forEach(file => grid.appendChild(this.createCard(file)));
+  }
+
+  createCard(file) {
+    const card = document.createElement('article');
+    card.className = 'viewer-card';
+    card.onclick = () => this.openPreview(file);
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'viewer-card-thumbnail';
+    if (file.thumbnail) {
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.alt = file.title || file.originalName || '';
+      img.src = file.thumbnail;
+      thumbnail.appendChild(img);
+    } else {
+      thumbnail.textContent = '暂无缩略图';
+    }
+    card.appendChild(thumbnail);
+
+    const body = document.createElement('div');
+    body.className = 'viewer-card-body';
+
+    const title = document.createElement('h3');
+    title.className = 'viewer-card-title';
+    title.textContent = this.getTitle(file);
+    body.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'viewer-card-meta';
+    if (file.model) {
+      meta.appendChild(this.createLabel(this.getModelName(file.model), 'viewer-label-model'));
+    }
+    if (file.category) {
+      meta.appendChild(this.createLabel(this.getCategoryPath(file.category), 'viewer-label-category'));
+    }
+    (file.tags || []).forEach(id => {
+      const tag = this.tags.get(id);
+      const label = this.createLabel(tag ? tag.name : id);
+      if (tag && tag.color) {
+        label.style.background = tag.color;
+        label.style.color = '#fff';
+      }
+      meta.appendChild(label);
+    });
+    body.appendChild(meta);
+
+    if (file.description) {
+      const description = document.createElement('p');
+      description.className = 'viewer-card-description';
+      description.textContent = file.description;
+      body.appendChild(description);
+    }
+
+    card.appendChild(body);
+    return card;
+  }
+
+  createLabel(text, className = '') {
+    const label = document.createElement('span');
+    label.className = `viewer-label ${className}`.trim();
+    label.textContent = text;
+    return label;
+  }
+
+  getTitle(file) {
+    return (file.title || file.originalName || '未命名文件').replace(/\.html?$/i, '');
+  }
+
+  getModelName(id) {
+    const model = this.models.get(id);
+    return model ? model.name : id;
+  }
+
+  openPreview(file) {
+    this.currentFile = file;
+    document.getElementById('previewTitle').textContent = this.getTitle(file);
+    document.getElementById('previewMeta').textContent = [
+      file.background && `背景需求：${file.background}`,
+      file.prompt && `提示词：${file.prompt}`
+    ].filter(Boolean).join('\n');
+
+    // 单文件导出时页面内容内嵌在数据中，压缩包导出时引用 pages 目录中的文件
+    const frame = document.getElementById('previewFrame');
+    if (typeof file.content === 'string') {
+      frame.removeAttribute('src');
+      frame.srcdoc = file.content;
+    } else {
+      frame.removeAttribute('srcdoc');
+      frame.src = file.path;
+    }
+
+    document.getElementById('previewPanel').hidden = false;
+    document.body.style.overflow = 'hidden';
+  }
+
+  closePreview() {
+    const panel = document.getElementById('previewPanel');
+    if (panel.hidden) return;
+
+    const frame = document.getElementById('previewFrame');
+    frame.removeAttribute('srcdoc');
+    frame.removeAttribute('src');
+    panel.hidden = true;
+    document.body.style.overflow = '';
+    this.currentFile = null;
+  }
+
+  openInWindow() {
+    const file = this.currentFile;
+    if (!file) return;
+
+    if (typeof file.content === 'string') {
+      const url = URL.createObjectURL(new Blob([file.content], { type: 'text/html' }));
+      window.open(url, '_blank', 'noopener');
+      // 新窗口加载完成前不能释放地址
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } else {
+      window.open(file.path, '_blank', 'noopener');
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const data = JSON.parse(document.getElementById('libraryData').textContent);
+  new LibraryViewer(data).init();
+});
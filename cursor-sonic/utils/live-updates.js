@@ -0,0 +1,107 @@
+// 保留最近的事件，断线重连时补发
+const HISTORY_SIZE = 200;
+
+// 心跳间隔，避免代理关闭空闲连接
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * 实时更新（Server-Sent Events）
+ * 把存储层的记录变化推送给所有打开页面的用户。每批变化是一个 changes 事件，
+ * data 为 { changes: [{ type, collection, id, record }] }，type 为 insert、update 或 remove。
+ * 浏览器断线后自动重连并带上 Last-Event-ID，错过的事件仍在历史中时补发，
+ * 否则（服务器重启或断线太久）发送 reload 事件，由页面重新加载全部数据
+ */
+class LiveUpdates {
+  /**
+   * @param {Object} options 配置选项
+   * @param {number} options.historySize 保留的事件数量
+   * @param {number} options.heartbeatInterval 心跳间隔（毫秒）
+   */
+  constructor(options = {}) {
+    const { historySize = HISTORY_SIZE, heartbeatInterval = HEARTBEAT_INTERVAL } = options;
+
+    this.historySize = historySize;
+    this.clients = new Set();
+    this.history = [];
+    // 事件ID从启动时间开始递增，服务器重启后不会与重启前的ID重叠
+    this.lastId = Date.now();
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(res => res.write(': ping\n\n'));
+    }, heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * 推送一批记录变化
+   * @param {Array<Object>} changes 存储层通知的变化，type 为 reload 时要求页面重新加载
+   */
+  publish(changes) {
+    if (changes.some(change => change.type === 'reload')) {
+      this.history = [];
+      this.lastId++;
+      this.clients.forEach(res => this.send(res, { id: this.lastId, event: 'reload', data: {} }));
+      return;
+    }
+
+    const event = { id: ++this.lastId, event: 'changes', data: { changes } };
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.clients.forEach(res => this.send(res, event));
+  }
+
+  /**
+   * 处理 GET /api/events 请求，连接保持打开直到浏览器关闭
+   * @param {Object} req 请求
+   * @param {Object} res 响应
+   */
+  handle(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // 禁止 nginx 等反向代理缓冲事件
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    this.replay(res, req.get('Last-Event-ID'));
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  // 补发重连前错过的事件，无法补全时要求重新加载
+  replay(res, lastEventId) {
+    if (lastEventId === undefined) {
+      // 首次连接，页面刚加载过数据
+      res.write(`id: ${this.lastId}\n\n`);
+      return;
+    }
+
+    const since = Number(lastEventId);
+    if (since === this.lastId) return;
+
+    const oldest = this.history.length > 0 ? this.history[0].id : this.lastId + 1;
+    if (!Number.isInteger(since) || since > this.lastId || since < oldest - 1) {
+      this.send(res, { id: this.lastId, event: 'reload', data: {} });
+      return;
+    }
+    this.history.filter(event => event.id > since).forEach(event => this.send(res, event));
+  }
+
+  send(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  // 关闭所有连接
+  close() {
+    clearInterval(this.heartbeat);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = LiveUpdates;
@@ -1,14 +1,255 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { tokenize, getAttribute, serializeTag, escapeAttribute, applyEdits } = require('./html-parser');
+const { ModuleSyntaxError, bundleModules } = require('./module-bundler');
+const minifier = require('./minifier');
+
+// 可以转换为 data URI 内联的资源类型
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.vtt': 'text/vtt'
+};
+
+// 图片、字体、音视频超过该大小时保留原引用
+const DEFAULT_INLINE_LIMIT = 1024 * 1024;
+
+// 按 JavaScript 执行的 <script type>，其余类型（模板、JSON 数据等）保持原样
+const CLASSIC_SCRIPT_TYPES = new Set([
+  '', 'text/javascript', 'application/javascript', 'text/ecmascript',
+  'application/ecmascript', 'application/x-javascript'
+]);
+
+// 元素上引用资源的属性；srcset 为逗号分隔的候选列表
+const ASSET_ATTRIBUTES = {
+  img: [{ name: 'src', kind: 'image' }, { name: 'srcset', kind: 'image', list: true }],
+  source: [{ name: 'src', kind: 'media' }, { name: 'srcset', kind: 'image', list: true }],
+  video: [{ name: 'src', kind: 'media' }, { name: 'poster', kind: 'image' }],
+  audio: [{ name: 'src', kind: 'media' }],
+  track: [{ name: 'src', kind: 'media' }],
+  input: [{ name: 'src', kind: 'image' }],
+  image: [{ name: 'href', kind: 'image' }, { name: 'xlink:href', kind: 'image' }]
+};
+
+const ICON_RELS = ['icon', 'apple-touch-icon', 'mask-icon'];
+
+// 内联后不再有意义的属性
+const LINK_ATTRIBUTES_TO_DROP = ['rel', 'href', 'type', 'integrity', 'crossorigin', 'referrerpolicy', 'as', 'fetchpriority'];
+const SCRIPT_ATTRIBUTES_TO_DROP = ['src', 'async', 'defer', 'integrity', 'crossorigin', 'referrerpolicy', 'fetchpriority', 'charset'];
+
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function skipCSSString(css, index) {
+  const quote = css[index];
+  let i = index + 1;
+  while (i < css.length && css[i] !== quote && css[i] !== '\n') {
+    if (css[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+}
+
+function unquoteCSS(value) {
+  const text = value.trim();
+  if ((text[0] === '"' || text[0] === "'") && text[text.length - 1] === text[0]) {
+    return text.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return text;
+}
+
+// 读取 url(...)，返回地址和结束位置
+function readCSSUrl(css, index) {
+  let i = index + 4;
+  while (/\s/.test(css[i] || '')) i++;
+  if (css[i] === '"' || css[i] === "'") {
+    const end = skipCSSString(css, i);
+    const value = unquoteCSS(css.slice(i, end));
+    i = end;
+    while (/\s/.test(css[i] || '')) i++;
+    return css[i] === ')' ? { value, end: i + 1 } : null;
+  }
+  const close = css.indexOf(')', i);
+  return close === -1 ? null : { value: css.slice(i, close).trim(), end: close + 1 };
+}
+
+/**
+ * 遍历CSS中的 @import 和 url()，跳过注释和字符串
+ * @param {string} css CSS内容
+ * @param {Object} handlers { onImport(prelude), onUrl(value) }，返回替换文本，返回 null 时保持原样
+ * @returns {string} 处理后的CSS
+ */
+function rewriteCSS(css, handlers) {
+  let result = '';
+  let cursor = 0;
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === '/' && css[i + 1] === '*') {
+      const close = css.indexOf('*/', i + 2);
+      i = close === -1 ? css.length : close + 2;
+    } else if (char === '"' || char === "'") {
+      i = skipCSSString(css, i);
+    } else if (char === '@' && /^@import[\s"'u]/i.test(css.slice(i, i + 8))) {
+      let end = i + 7;
+      while (end < css.length && css[end] !== ';') {
+        end = css[end] === '"' || css[end] === "'" ? skipCSSString(css, end) : end + 1;
+      }
+      const replacement = handlers.onImport(css.slice(i + 7, end).trim());
+      end = Math.min(end + 1, css.length);
+      if (replacement !== null) {
+        result += css.slice(cursor, i) + replacement;
+        cursor = end;
+      }
+      i = end;
+    } else if ((char === 'u' || char === 'U') && /^url\(/i.test(css.slice(i, i + 4)) && !/[\w-]/.test(css[i - 1] || '')) {
+      const url = readCSSUrl(css, i);
+      if (!url) {
+        i += 4;
+        continue;
+      }
+      const replacement = handlers.onUrl(url.value);
+      if (replacement !== null) {
+        result += css.slice(cursor, i) + replacement;
+        cursor = url.end;
+      }
+      i = url.end;
+    } else {
+      i++;
+    }
+  }
+
+  return result + css.slice(cursor);
+}
+
+// 拆分 @import 的地址和条件（layer、supports、媒体查询）
+function parseImportPrelude(prelude) {
+  let url = null;
+  let rest = prelude;
+
+  if (prelude[0] === '"' || prelude[0] === "'") {
+    const end = skipCSSString(prelude, 0);
+    url = unquoteCSS(prelude.slice(0, end));
+    rest = prelude.slice(end);
+  } else if (/^url\(/i.test(prelude)) {
+    const parsed = readCSSUrl(prelude, 0);
+    if (parsed) {
+      url = parsed.value;
+      rest = prelude.slice(parsed.end);
+    }
+  }
+
+  rest = rest.trim();
+  const conditions = { layer: null, supports: null, media: '' };
+
+  const layer = rest.match(/^layer(?:\(([^)]*)\))?/i);
+  if (layer) {
+    conditions.layer = (layer[1] || '').trim();
+    rest = rest.slice(layer[0].length).trim();
+  }
+
+  if (/^supports\(/i.test(rest)) {
+    let depth = 0;
+    let end = 8;
+    for (; end < rest.length; end++) {
+      if (rest[end] === '(') depth++;
+      if (rest[end] === ')' && --depth === 0) break;
+    }
+    conditions.supports = rest.slice(9, end).trim();
+    rest = rest.slice(end + 1).trim();
+  }
+
+  conditions.media = rest;
+  return { url, conditions };
+}
+
+// 按 @import 的条件包裹被导入的样式
+function wrapImportConditions(css, conditions) {
+  let wrapped = css;
+  if (conditions.layer !== null) {
+    wrapped = `@layer${conditions.layer ? ' ' + conditions.layer : ''} {\n${wrapped}\n}`;
+  }
+  if (conditions.supports) {
+    wrapped = `@supports (${conditions.supports}) {\n${wrapped}\n}`;
+  }
+  if (conditions.media && conditions.media.toLowerCase() !== 'all') {
+    wrapped = `@media ${conditions.media} {\n${wrapped}\n}`;
+  }
+  return wrapped;
+}
+
+/**
+ * 解析 srcset 候选列表
+ * @param {string} value srcset 属性值
+ * @returns {Array<{url: string, descriptor: string}>}
+ */
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function parseSrcset(value) {
+  const candidates = [];
+  let i = 0;
+  while (i < value.length) {
+    while (i < value.length && /[\s,]/.test(value[i])) i++;
+    if (i >= value.length) break;
+
+    let end = i;
+    while (end < value.length && !/\s/.test(value[end])) end++;
+    let url = value.slice(i, end);
+    let descriptor = '';
+
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+      i = end;
+    } else {
+      const comma = value.indexOf(',', end);
+      const descriptorEnd = comma === -1 ? value.length : comma;
+      descriptor = value.slice(end, descriptorEnd).trim();
+      i = descriptorEnd + 1;
+    }
+    candidates.push({ url, descriptor });
+  }
+  return candidates;
+}
 
 /**
  * HTML文件合并工具
- * 将外部CSS和JS文件合并到HTML文件中
+ * 基于 HTML 分词结果定位引用，把外部CSS（含 @import）、JS（含 ES 模块依赖）、图片和字体
+ * 合并到HTML文件中，只替换被改写的片段，并记录每一个引用的处理结果
  */
 class HTMLMerger {
-  constructor() {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.rootDir 资源根目录，设置后不会读取该目录之外的文件
+   * @param {boolean} options.matchBasename 按路径找不到时，使用 rootDir 下的同名文件
+   * @param {number} options.inlineLimit 图片、字体、音视频内联的大小上限（字节），默认 1MB
+   */
+  constructor(options = {}) {
     this.processedFiles = new Set();
+    this.rootDir = options.rootDir ? path.resolve(options.rootDir) : null;
+    this.matchBasename = !!(this.rootDir && options.matchBasename);
+    this.inlineLimit = options.inlineLimit === undefined ? DEFAULT_INLINE_LIMIT : options.inlineLimit;
   }
 
   /**
@@ -22,32 +263,50 @@ class HTMLMerger {
       const {
         backupOriginal = true,  // 是否备份原文件
         removeExternalRefs = true,  // 是否删除外部引用
-        minify = false  // 是否压缩代码
+        minify = false,  // 是否压缩代码
+        collapseWhitespace = false,  // 是否折叠HTML空白
+        verify = false  // 写入前检查输出能否解析
       } = options;
 
       console.log(`正在处理文件: ${filePath}`);
 
-      // 读取HTML文件
-      let htmlContent = fs.readFileSync(filePath, 'utf8');
-
       // 备份原文件
       if (backupOriginal) {
         const backupPath = `${filePath}.backup.${Date.now()}`;
-        fs.writeFileSync(backupPath, htmlContent);
+        fs.copyFileSync(filePath, backupPath);
         console.log(`原文件已备份到: ${backupPath}`);
       }
 
-      // 查找并处理CSS链接
-      htmlContent = await this.processCSSLinks(htmlContent, path.dirname(filePath), minify);
+      // 合并CSS、JS和资源文件
+      const result = await this.bundle(filePath, { minify, collapseWhitespace });
+      let htmlContent = result.html;
 
-      // 查找并处理JS脚本
-      htmlContent = await this.processJSScripts(htmlContent, path.dirname(filePath), minify);
+      result.references.forEach(reference => {
+        const detail = reference.reason ? `（${reference.reason}）` : '';
+        console.log(`  [${reference.status}] ${reference.kind} ${reference.ref}${detail}`);
+      });
 
       // 删除外部引用（如果需要）
       if (removeExternalRefs) {
         htmlContent = this.removeExternalReferences(htmlContent);
       }
 
+      // 检查失败时不写入，原文件保持不变
+      if (verify) {
+        this.verifyOutput(htmlContent);
+      }
+
+      const stats = {
+        originalSize: fs.statSync(filePath).size,
+        outputSize: Buffer.byteLength(htmlContent),
+        minified: result.minified
+      };
+      console.log(`  大小: ${formatSize(stats.originalSize)} → ${formatSize(stats.outputSize)}`);
+      if (minify && stats.minified.before > 0) {
+        const saved = (1 - stats.minified.after / stats.minified.before) * 100;
+        console.log(`  代码压缩: ${formatSize(stats.minified.before)} → ${formatSize(stats.minified.after)}（减少 ${saved.toFixed(1)}%）`);
+      }
+
       // 写入处理后的文件
       fs.writeFileSync(filePath, htmlContent);
 
@@ -55,7 +314,9 @@ class HTMLMerger {
       return {
         success: true,
         file: filePath,
-        message: '文件合并完成'
+        message: '文件合并完成',
+        references: result.references,
+        stats
       };
 
     } catch (error) {
@@ -69,98 +330,473 @@ class HTMLMerger {
   }
 
   /**
-   * 处理CSS链接
-   * @param {string} htmlContent HTML内容
+   * 将页面及其引用的本地资源打包为单个HTML，不修改磁盘上的文件
+   * 设置了 rootDir 时，所有资源只从 rootDir 中读取
+   * @param {string} filePath HTML文件路径
+   * @param {Object} options 配置选项
+   * @param {boolean} options.minify 是否压缩页面中的CSS和JS
+   * @param {boolean} options.collapseWhitespace 是否折叠HTML文本中的空白并删除注释
+   * @returns {Promise<Object>} { html, references, inlined, unresolved, skipped, minified }
+   *   references 为每个引用的处理记录 { kind, from, ref, status, path, reason }，
+   *   status 取值 inlined、external、unresolved、skipped；inlined 等三项为去重后的资源路径；
+   *   minified 为被压缩代码压缩前后的字节数 { before, after }
+   */
+  async bundle(filePath, options = {}) {
+    const context = {
+      minify: !!options.minify,
+      minified: { before: 0, after: 0 },
+      baseDir: this.rootDir || path.dirname(path.resolve(filePath)),
+      references: []
+    };
+
+    const htmlContent = stripBOM(fs.readFileSync(filePath, 'utf8'));
+    let html = this.bundleHTML(htmlContent, path.resolve(filePath), context);
+    if (options.collapseWhitespace) {
+      html = minifier.minifyHTML(html);
+    }
+
+    const collect = status => [...new Set(context.references
+      .filter(reference => reference.status === status)
+      .map(reference => reference.path || reference.ref))];
+
+    return {
+      html,
+      references: context.references,
+      inlined: collect('inlined'),
+      unresolved: collect('unresolved'),
+      skipped: collect('skipped'),
+      minified: context.minified
+    };
+  }
+
+  // 相对基础目录的显示路径
+  displayPath(fullPath, context) {
+    return path.relative(context.baseDir, fullPath).split(path.sep).join('/');
+  }
+
+  addReference(context, reference) {
+    context.references.push(reference);
+  }
+
+  /**
+   * 解析资源引用
+   * 设置了 rootDir 时，以 / 开头的路径相对 rootDir 解析，且不允许指向 rootDir 之外
+   * @param {string} ref 引用地址
    * @param {string} baseDir 基础目录
-   * @param {boolean} minify 是否压缩
-   * @returns {Promise<string>} 处理后的HTML内容
+   * @returns {Object|null} { status: 'found', path } | { status: 'external' } |
+   *   { status: 'unresolved', reason }，data URI、锚点等不需要处理的引用返回 null
    */
-  async processCSSLinks(htmlContent, baseDir, minify = false) {
-    const cssLinkRegex = /<link[^>]*rel=["']stylesheet["'][^>]*href=["']([^"']+)["'][^>]*>/gi;
+  resolveAsset(ref, baseDir) {
+    const value = ref.trim();
+    if (!value || value[0] === '#' || /^(data|blob|javascript|about|mailto|tel):/i.test(value)) {
+      return null;
+    }
+    if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) {
+      return { status: 'external' };
+    }
 
-    let match;
-    while ((match = cssLinkRegex.exec(htmlContent)) !== null) {
-      const linkTag = match[0];
-      const cssPath = match[1];
+    let assetPath = value.replace(/[?#].*$/, '');
+    try {
+      assetPath = decodeURIComponent(assetPath);
+    } catch (error) {
+      // 保留无法解码的原始路径
+    }
 
-      // 跳过外部链接
-      if (cssPath.startsWith('http://') || cssPath.startsWith('https://')) {
-        continue;
+    let fullPath;
+    if (this.rootDir) {
+      fullPath = assetPath.startsWith('/')
+        ? path.join(this.rootDir, assetPath)
+        : path.resolve(baseDir, assetPath);
+      const relative = path.relative(this.rootDir, fullPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        return { status: 'unresolved', reason: '指向资源目录之外' };
       }
+    } else {
+      fullPath = path.resolve(baseDir, assetPath);
+    }
 
-      try {
-        const fullCssPath = path.resolve(baseDir, cssPath);
+    const isFile = candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+    if (isFile(fullPath)) {
+      return { status: 'found', path: fullPath };
+    }
+
+    // 从文件选择框多选上传时没有目录结构，css/style.css 只能对应到 style.css
+    if (this.matchBasename) {
+      const sameName = path.join(this.rootDir, path.basename(fullPath));
+      if (isFile(sameName)) return { status: 'found', path: sameName };
+    }
+
+    return { status: 'unresolved', reason: '文件不存在' };
+  }
+
+  /**
+   * 将图片、字体等资源转换为 data URI
+   * @returns {string|null} data URI，未内联时返回 null（已记录原因）
+   */
+  inlineAsset(ref, baseDir, kind, from, context) {
+    const resolved = this.resolveAsset(ref, baseDir);
+    if (!resolved) return null;
+
+    const reference = { kind, from, ref };
+    if (resolved.status !== 'found') {
+      this.addReference(context, { ...reference, status: resolved.status, reason: resolved.reason });
+      return null;
+    }
+
+    reference.path = this.displayPath(resolved.path, context);
+    const mimeType = MIME_TYPES[path.extname(resolved.path).toLowerCase()];
+    const size = fs.statSync(resolved.path).size;
 
-        if (fs.existsSync(fullCssPath)) {
-          let cssContent = fs.readFileSync(fullCssPath, 'utf8');
+    if (!mimeType) {
+      this.addReference(context, { ...reference, status: 'skipped', reason: '不支持内联的文件类型' });
+      return null;
+    }
+    if (size > this.inlineLimit) {
+      this.addReference(context, { ...reference, status: 'skipped', reason: `超过内联大小上限（${Math.round(this.inlineLimit / 1024)}KB）` });
+      return null;
+    }
+
+    this.addReference(context, { ...reference, status: 'inlined' });
+    return `data:${mimeType};base64,${fs.readFileSync(resolved.path).toString('base64')}`;
+  }
 
-          // 压缩CSS（简单版本）
-          if (minify) {
-            cssContent = this.minifyCSS(cssContent);
+  /**
+   * 处理CSS：递归展开 @import，url() 中的资源转换为 data URI
+   * 无法展开的 @import 提升到样式表开头，保证仍然有效
+   * @param {string} cssContent CSS内容
+   * @param {string} baseDir CSS文件所在目录，url() 相对它解析
+   * @param {string} from 引用来源（用于报告）
+   * @param {Object} context 处理上下文
+   * @param {Array<string>} stack 正在展开的CSS文件，用于发现循环引用
+   * @param {Array<string>} hoisted 需要提升的 @import 语句
+   * @returns {string} 处理后的CSS
+   */
+  processCSS(cssContent, baseDir, from, context, stack = [], hoisted = null) {
+    const isRoot = hoisted === null;
+    const imports = isRoot ? [] : hoisted;
+
+    let css = rewriteCSS(stripBOM(cssContent).replace(/^\s*@charset\s+["'][^"']*["']\s*;/i, ''), {
+      onImport: prelude => {
+        const { url, conditions } = parseImportPrelude(prelude);
+        if (url === null) return null;
+
+        const resolved = this.resolveAsset(url, baseDir);
+        const reference = { kind: 'import', from, ref: url };
+
+        if (!resolved || resolved.status !== 'found') {
+          if (resolved) {
+            this.addReference(context, { ...reference, status: resolved.status, reason: resolved.reason });
           }
+          imports.push(`@import ${prelude};`);
+          return '';
+        }
+
+        reference.path = this.displayPath(resolved.path, context);
+        if (stack.includes(resolved.path)) {
+          this.addReference(context, { ...reference, status: 'skipped', reason: '循环引用' });
+          return '';
+        }
 
-          // 转换为内联样式
-          const styleTag = `<style>\n${cssContent}\n</style>`;
+        const imported = this.processCSS(
+          fs.readFileSync(resolved.path, 'utf8'),
+          path.dirname(resolved.path),
+          reference.path,
+          context,
+          [...stack, resolved.path],
+          imports
+        );
+        this.addReference(context, { ...reference, status: 'inlined' });
+        return wrapImportConditions(imported, conditions);
+      },
+      onUrl: value => {
+        const dataURI = this.inlineAsset(value, baseDir, 'url', from, context);
+        return dataURI ? `url("${dataURI}")` : null;
+      }
+    });
 
-          // 替换链接标签
-          htmlContent = htmlContent.replace(linkTag, styleTag);
+    if (isRoot && imports.length > 0) {
+      css = imports.join('\n') + '\n' + css;
+    }
+    return css;
+  }
 
-          console.log(`已合并CSS文件: ${cssPath}`);
+  /**
+   * 打包ES模块依赖图
+   * @param {string} source 入口模块源代码
+   * @param {string} filePath 入口模块文件（内联模块为所在HTML文件），相对导入据此解析
+   * @param {string} entryId 入口模块ID
+   * @param {Object} context 处理上下文
+   * @returns {string} 可内联的模块代码
+   * @throws {ModuleSyntaxError} 模块无法解析
+   */
+  bundleModuleGraph(source, filePath, entryId, context) {
+    const files = new Map([[entryId, filePath]]);
+
+    const result = bundleModules({ id: entryId, source }, {
+      resolve: (specifier, fromId, statement) => {
+        const reference = { kind: 'module', from: fromId, ref: specifier };
+
+        if (!/^(\.{0,2}\/)/.test(specifier)) {
+          const isURL = /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(specifier);
+          const mapped = context.importMap.some(key => key === specifier || (key.endsWith('/') && specifier.startsWith(key)));
+          this.addReference(context, isURL || mapped
+            ? { ...reference, status: 'external' }
+            : { ...reference, status: 'unresolved', reason: '模块名需要 import map 才能解析' });
+          return null;
         }
-      } catch (error) {
-        console.warn(`处理CSS文件失败 ${cssPath}:`, error.message);
+
+        const resolved = this.resolveAsset(specifier, path.dirname(files.get(fromId)));
+        if (!resolved || resolved.status !== 'found') {
+          this.addReference(context, { ...reference, status: resolved ? resolved.status : 'unresolved', reason: resolved && resolved.reason });
+          return null;
+        }
+
+        const extension = path.extname(resolved.path).toLowerCase();
+        const isJSON = extension === '.json' && statement.attributes && statement.attributes.type === 'json';
+        if (!isJSON && !['.js', '.mjs'].includes(extension)) {
+          this.addReference(context, { ...reference, status: 'skipped', path: this.displayPath(resolved.path, context), reason: '不支持的模块类型' });
+          return null;
+        }
+
+        const id = this.displayPath(resolved.path, context);
+        files.set(id, resolved.path);
+        this.addReference(context, { ...reference, status: 'inlined', path: id });
+        return id;
+      },
+      load: id => {
+        const content = stripBOM(fs.readFileSync(files.get(id), 'utf8'));
+        return { source: content, json: path.extname(id).toLowerCase() === '.json' };
       }
+    });
+
+    return result.code === null ? source : result.code;
+  }
+
+  // 修改属性值，保持原来的引号
+  attributeEdit(html, attr, value) {
+    const quote = html[attr.valueStart - 1];
+    if (quote === "'") {
+      return { start: attr.valueStart, end: attr.valueEnd, text: value.replace(/&/g, '&amp;').replace(/'/g, '&#39;') };
+    }
+    if (quote === '"') {
+      return { start: attr.valueStart, end: attr.valueEnd, text: escapeAttribute(value) };
     }
+    return { start: attr.valueStart, end: attr.valueEnd, text: `"${escapeAttribute(value)}"` };
+  }
 
-    return htmlContent;
+  // 复制需要保留的属性
+  keepAttributes(token, dropped) {
+    return token.attrs
+      .filter(attr => !dropped.includes(attr.name))
+      .map(attr => ({ name: attr.name, value: attr.value }));
   }
 
   /**
-   * 处理JS脚本
-   * @param {string} htmlContent HTML内容
-   * @param {string} baseDir 基础目录
-   * @param {boolean} minify 是否压缩
-   * @returns {Promise<string>} 处理后的HTML内容
+   * 处理HTML文档
+   * @param {string} html HTML内容
+   * @param {string} filePath HTML文件路径
+   * @param {Object} context 处理上下文
+   * @returns {string} 处理后的HTML
    */
-  async processJSScripts(htmlContent, baseDir, minify = false) {
-    const jsScriptRegex = /<script[^>]*src=["']([^"']+)["'][^>]*><\/script>/gi;
+  bundleHTML(html, filePath, context) {
+    const tokens = tokenize(html);
+    const edits = [];
+    const deferredScripts = [];
+    const from = this.displayPath(filePath, context);
+    let baseDir = path.dirname(filePath);
+    let bodyEnd = null;
+    let inlineModuleCount = 0;
+
+    // 页面中的 import map 让裸模块名可以在运行时解析
+    context.importMap = [];
+    tokens.forEach((token, index) => {
+      if (token.type !== 'tag' || token.name !== 'script' || (getAttribute(token, 'type') || '').trim().toLowerCase() !== 'importmap') return;
+      const content = tokens[index + 1];
+      if (!content || !content.raw) return;
+      try {
+        const map = JSON.parse(html.slice(content.start, content.end));
+        context.importMap.push(...Object.keys(map.imports || {}));
+      } catch (error) {
+        // 无效的 import map 由浏览器忽略
+      }
+    });
+
+    // 找到元素的内容和结束标签
+    const elementEnd = index => {
+      const content = tokens[index + 1] && tokens[index + 1].raw ? tokens[index + 1] : null;
+      const closeIndex = content ? index + 2 : index + 1;
+      const close = tokens[closeIndex] && tokens[closeIndex].type === 'endTag' && tokens[closeIndex].name === tokens[index].name
+        ? tokens[closeIndex]
+        : null;
+      return { content, end: close ? close.end : (content ? content.end : tokens[index].end) };
+    };
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+
+      if (token.type === 'endTag' && token.name === 'body') {
+        bodyEnd = token.start;
+      }
+      if (token.type !== 'tag') continue;
+
+      if (token.name === 'base') {
+        const href = getAttribute(token, 'href');
+        const resolved = href ? this.resolveAsset(href.endsWith('/') ? href + 'index.html' : href, baseDir) : null;
+        if (resolved && resolved.path) baseDir = path.dirname(resolved.path);
+        continue;
+      }
+
+      if (token.name === 'link') {
+        const rels = (getAttribute(token, 'rel') || '').toLowerCase().split(/\s+/);
+        const href = getAttribute(token, 'href');
+        if (!href) continue;
 
-    let match;
-    while ((match = jsScriptRegex.exec(htmlContent)) !== null) {
-      const scriptTag = match[0];
-      const jsPath = match[1];
+        if (rels.includes('stylesheet') && !rels.includes('alternate')) {
+          const resolved = this.resolveAsset(href, baseDir);
+          if (!resolved) continue;
 
-      // 跳过外部链接和内联脚本
-      if (jsPath.startsWith('http://') || jsPath.startsWith('https://') ||
-          jsPath.startsWith('data:')) {
+          const reference = { kind: 'stylesheet', from, ref: href };
+          if (resolved.status !== 'found') {
+            this.addReference(context, { ...reference, status: resolved.status, reason: resolved.reason });
+            continue;
+          }
+
+          reference.path = this.displayPath(resolved.path, context);
+          let css = this.processCSS(fs.readFileSync(resolved.path, 'utf8'), path.dirname(resolved.path), reference.path, context, [resolved.path]);
+          if (context.minify) css = this.minifyCode(css, 'css', context);
+
+          edits.push({
+            start: token.start,
+            end: token.end,
+            text: `${serializeTag('style', this.keepAttributes(token, LINK_ATTRIBUTES_TO_DROP))}\n${css.replace(/<\/style/gi, '<\\/style')}\n</style>`
+          });
+          this.addReference(context, { ...reference, status: 'inlined' });
+        } else if (rels.some(rel => ICON_RELS.includes(rel))) {
+          const dataURI = this.inlineAsset(href, baseDir, 'icon', from, context);
+          if (dataURI) edits.push(this.attributeEdit(html, token.attrs.find(attr => attr.name === 'href'), dataURI));
+        }
         continue;
       }
 
-      try {
-        const fullJsPath = path.resolve(baseDir, jsPath);
+      if (token.name === 'script') {
+        const type = (getAttribute(token, 'type') || '').trim().toLowerCase();
+        const isModule = type === 'module';
+        if (!isModule && !CLASSIC_SCRIPT_TYPES.has(type)) continue;
+
+        const { content, end } = elementEnd(index);
+        const src = getAttribute(token, 'src');
 
-        if (fs.existsSync(fullJsPath)) {
-          let jsContent = fs.readFileSync(fullJsPath, 'utf8');
+        if (src === null) {
+          if (!content) continue;
+          const source = html.slice(content.start, content.end);
 
-          // 压缩JS（简单版本）
-          if (minify) {
-            jsContent = this.minifyJS(jsContent);
+          if (!isModule) {
+            if (context.minify) {
+              const code = this.minifyCode(source, 'js', context);
+              if (code !== source) edits.push({ start: content.start, end: content.end, text: code });
+            }
+            continue;
           }
 
-          // 转换为内联脚本
-          const inlineScript = `<script>\n${jsContent}\n</script>`;
+          // 内联模块中的导入同样需要打包
+          const entryId = `${from}#module${++inlineModuleCount}`;
+          try {
+            let code = this.bundleModuleGraph(source, filePath, entryId, context);
+            if (context.minify) code = this.minifyCode(code, 'js', context);
+            if (code !== source) {
+              edits.push({ start: content.start, end: content.end, text: `\n${code.replace(/<\/script/gi, '<\\/script')}\n` });
+            }
+          } catch (error) {
+            if (!(error instanceof ModuleSyntaxError)) throw error;
+            this.addReference(context, { kind: 'module', from, ref: entryId, status: 'unresolved', reason: `${error.moduleId || entryId}: ${error.message}` });
+          }
+          continue;
+        }
 
-          // 替换脚本标签
-          htmlContent = htmlContent.replace(scriptTag, inlineScript);
+        const resolved = this.resolveAsset(src, baseDir);
+        if (!resolved) continue;
 
-          console.log(`已合并JS文件: ${jsPath}`);
+        const reference = { kind: isModule ? 'module' : 'script', from, ref: src };
+        if (resolved.status !== 'found') {
+          this.addReference(context, { ...reference, status: resolved.status, reason: resolved.reason });
+          continue;
         }
-      } catch (error) {
-        console.warn(`处理JS文件失败 ${jsPath}:`, error.message);
+        reference.path = this.displayPath(resolved.path, context);
+
+        let code = stripBOM(fs.readFileSync(resolved.path, 'utf8'));
+        if (isModule) {
+          try {
+            code = this.bundleModuleGraph(code, resolved.path, reference.path, context);
+          } catch (error) {
+            if (!(error instanceof ModuleSyntaxError)) throw error;
+            this.addReference(context, { ...reference, status: 'unresolved', reason: `${error.moduleId || reference.path}: ${error.message}` });
+            continue;
+          }
+        }
+        if (context.minify) code = this.minifyCode(code, 'js', context);
+
+        const scriptTag = `${serializeTag('script', this.keepAttributes(token, SCRIPT_ATTRIBUTES_TO_DROP))}\n${code.replace(/<\/script/gi, '<\\/script')}\n</script>`;
+
+        // 内联脚本忽略 defer，移到 body 末尾以保持在文档解析完成后按顺序执行
+        if (!isModule && getAttribute(token, 'defer') !== null && getAttribute(token, 'async') === null) {
+          edits.push({ start: token.start, end, text: '' });
+          deferredScripts.push(scriptTag);
+        } else {
+          edits.push({ start: token.start, end, text: scriptTag });
+        }
+        this.addReference(context, { ...reference, status: 'inlined' });
+        continue;
+      }
+
+      if (token.name === 'style') {
+        const { content } = elementEnd(index);
+        if (content) {
+          const css = html.slice(content.start, content.end);
+          let processed = this.processCSS(css, baseDir, from, context);
+          if (context.minify) processed = this.minifyCode(processed, 'css', context);
+          if (processed !== css) edits.push({ start: content.start, end: content.end, text: processed.replace(/<\/style/gi, '<\\/style') });
+        }
+        continue;
+      }
+
+      (ASSET_ATTRIBUTES[token.name] || []).forEach(({ name, kind, list }) => {
+        const attr = token.attrs.find(item => item.name === name);
+        if (!attr || !attr.value) return;
+
+        if (list) {
+          let changed = false;
+          const value = parseSrcset(attr.value).map(candidate => {
+            const dataURI = this.inlineAsset(candidate.url, baseDir, kind, from, context);
+            if (dataURI) changed = true;
+            return [dataURI || candidate.url, candidate.descriptor].filter(Boolean).join(' ');
+          }).join(', ');
+          if (changed) edits.push(this.attributeEdit(html, attr, value));
+        } else {
+          const dataURI = this.inlineAsset(attr.value, baseDir, kind, from, context);
+          if (dataURI) edits.push(this.attributeEdit(html, attr, dataURI));
+        }
+      });
+
+      // style 属性中的 url()
+      const styleAttr = token.attrs.find(attr => attr.name === 'style');
+      if (styleAttr && styleAttr.value && /url\(/i.test(styleAttr.value)) {
+        const css = rewriteCSS(styleAttr.value, {
+          onImport: () => null,
+          onUrl: value => {
+            const dataURI = this.inlineAsset(value, baseDir, 'url', from, context);
+            return dataURI ? `url("${dataURI}")` : null;
+          }
+        });
+        if (css !== styleAttr.value) edits.push(this.attributeEdit(html, styleAttr, css));
       }
     }
 
-    return htmlContent;
+    if (deferredScripts.length > 0) {
+      const position = bodyEnd === null ? html.length : bodyEnd;
+      edits.push({ start: position, end: position, text: deferredScripts.join('\n') + '\n' });
+    }
+
+    return applyEdits(html, edits);
   }
 
   /**
@@ -169,13 +805,25 @@ class HTMLMerger {
    * @returns {string} 处理后的HTML内容
    */
   removeExternalReferences(htmlContent) {
-    // 删除CSS链接
-    htmlContent = htmlContent.replace(/<link[^>]*rel=["']stylesheet["'][^>]*>/gi, '');
+    const tokens = tokenize(htmlContent);
+    const edits = [];
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'tag') return;
+
+      // 删除CSS链接
+      if (token.name === 'link' && (getAttribute(token, 'rel') || '').toLowerCase().split(/\s+/).includes('stylesheet')) {
+        edits.push({ start: token.start, end: token.end, text: '' });
+      }
 
-    // 删除JS脚本引用（保留内联脚本）
-    htmlContent = htmlContent.replace(/<script[^>]*src=["'][^"']+["'][^>]*><\/script>/gi, '');
+      // 删除JS脚本引用（保留内联脚本）
+      if (token.name === 'script' && getAttribute(token, 'src') !== null) {
+        const close = tokens.slice(index + 1).find(item => item.type === 'endTag' && item.name === 'script');
+        edits.push({ start: token.start, end: close ? close.end : token.end, text: '' });
+      }
+    });
 
-    return htmlContent;
+    return applyEdits(htmlContent, edits);
   }
 
   /**
@@ -184,15 +832,7 @@ class HTMLMerger {
    * @returns {string} 压缩后的CSS
    */
   minifyCSS(css) {
-    return css
-      .replace(/\s+/g, ' ')           // 多个空白字符替换为单个空格
-      .replace(/\s*{\s*/g, '{')       // 移除{前的空格
-      .replace(/\s*}\s*/g, '}')       // 移除}后的空格
-      .replace(/\s*:\s*/g, ':')       // 移除:后的空格
-      .replace(/\s*;\s*/g, ';')       // 移除;后的空格
-      .replace(/,\s*/g, ',')          // 移除,后的空格
-      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除注释
-      .trim();
+    return minifier.minifyCSS(css);
   }
 
   /**
@@ -201,17 +841,48 @@ class HTMLMerger {
    * @returns {string} 压缩后的JS
    */
   minifyJS(js) {
-    return js
-      .replace(/\s+/g, ' ')           // 多个空白字符替换为单个空格
-      .replace(/\s*{\s*/g, '{')       // 移除{前的空格
-      .replace(/\s*}\s*/g, '}')       // 移除}后的空格
-      .replace(/\s*\(\s*/g, '(')      // 移除(前的空格
-      .replace(/\s*\)\s*/g, ')')      // 移除)后的空格
-      .replace(/\s*;\s*/g, ';')       // 移除;后的空格
-      .replace(/,\s*/g, ',')          // 移除,后的空格
-      .replace(/\/\/.*$/gm, '')       // 移除单行注释
-      .replace(/\/\*[\s\S]*?\*\//g, '') // 移除多行注释
-      .trim();
+    return minifier.minifyJS(js);
+  }
+
+  // 压缩代码并累计压缩前后的字节数
+  minifyCode(code, language, context) {
+    const minified = language === 'css' ? this.minifyCSS(code) : this.minifyJS(code);
+    context.minified.before += Buffer.byteLength(code);
+    context.minified.after += Buffer.byteLength(minified);
+    return minified;
+  }
+
+  /**
+   * 检查页面中的脚本、样式和 JSON 数据能否解析
+   * @param {string} html HTML内容
+   * @throws {MinifyError} 任一段代码无法解析
+   */
+  verifyOutput(html) {
+    const tokens = tokenize(html);
+
+    tokens.forEach((token, index) => {
+      const content = tokens[index + 1];
+      if (token.type !== 'tag' || !content || !content.raw) return;
+
+      const code = html.slice(content.start, content.end);
+      const label = `<${token.name}>（第 ${html.slice(0, token.start).split('\n').length} 行）`;
+      try {
+        if (token.name === 'style') {
+          minifier.verifyCSS(code);
+        } else if (token.name === 'script') {
+          const type = (getAttribute(token, 'type') || '').trim().toLowerCase();
+          if (CLASSIC_SCRIPT_TYPES.has(type)) {
+            minifier.verifyJS(code);
+          } else if (type === 'module') {
+            minifier.verifyJS(code, { module: true });
+          } else if (type === 'importmap' || /^application\/(.+\+)?json$/.test(type)) {
+            JSON.parse(code);
+          }
+        }
+      } catch (error) {
+        throw new minifier.MinifyError(`${label} 无法解析: ${error.message}`);
+      }
+    });
   }
 
   /**
@@ -262,10 +933,12 @@ if (require.main === module) {
     console.log('  --no-backup     不备份原文件');
     console.log('  --keep-external 保留外部引用');
     console.log('  --minify        压缩代码');
+    console.log('  --collapse-whitespace 折叠HTML空白并删除注释');
+    console.log('  --verify        写入前检查脚本和样式能否解析，失败时不修改文件');
     console.log('');
     console.log('示例:');
     console.log('  node merge-css-js.js ./test.html');
-    console.log('  node merge-css-js.js ./html-files --minify');
+    console.log('  node merge-css-js.js ./html-files --minify --verify');
     process.exit(1);
   }
 
@@ -273,7 +946,9 @@ if (require.main === module) {
   const options = {
     backupOriginal: !args.includes('--no-backup'),
     removeExternalRefs: !args.includes('--keep-external'),
-    minify: args.includes('--minify')
+    minify: args.includes('--minify'),
+    collapseWhitespace: args.includes('--collapse-whitespace'),
+    verify: args.includes('--verify')
   };
 
   const merger = new HTMLMerger();
@@ -295,6 +970,13 @@ if (require.main === module) {
         console.log(`\n处理完成!`);
         console.log(`成功: ${successCount} 个文件`);
         console.log(`失败: ${failCount} 个文件`);
+
+        const succeeded = results.filter(r => r.success);
+        if (succeeded.length > 0) {
+          const originalSize = succeeded.reduce((sum, r) => sum + r.stats.originalSize, 0);
+          const outputSize = succeeded.reduce((sum, r) => sum + r.stats.outputSize, 0);
+          console.log(`总大小: ${formatSize(originalSize)} → ${formatSize(outputSize)}`);
+        }
       } else {
         console.log(`开始处理文件: ${targetPath}`);
         const result = await merger.processFile(targetPath, options);
@@ -312,4 +994,8 @@ if (require.main === module) {
   });
 }
 
+HTMLMerger.MIME_TYPES = MIME_TYPES;
+HTMLMerger.DEFAULT_INLINE_LIMIT = DEFAULT_INLINE_LIMIT;
+HTMLMerger.MinifyError = minifier.MinifyError;
+
 module.exports = HTMLMerger;
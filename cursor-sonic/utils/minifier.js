@@ -0,0 +1,334 @@
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { tokenize } = require('./html-parser');
+const { ModuleSyntaxError, lex } = require('./module-bundler');
+
+/**
+ * 代码压缩工具
+ * 基于词法分析压缩 JS、CSS，可选折叠 HTML 空白。字符串、模板字符串、正则表达式、
+ * url() 等内容原样保留；无法确定安全的位置保留换行和空格，宁可少压缩也不改变语义。
+ * verify* 函数检查代码能否解析，用于写入前确认压缩结果可用
+ */
+
+class MinifyError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'MinifyError';
+    this.position = position;
+  }
+}
+
+// 两个片段直接相连会合并成别的运算符或注释
+const FUSING_PAIRS = new Set(['++', '--', '//', '/*', '<!', '->', '?.']);
+
+// 前一个片段是这些符号时，后面的换行不会触发自动插入分号
+const JOINABLE_AFTER = new Set(['{', '(', '[', ',', ';', ':', '=']);
+
+// 后一个片段是这些符号时，前面的换行可以去掉
+const JOINABLE_BEFORE = new Set([')', ']', '}', ',', ';', '.', '?', ':', '=']);
+
+const WORD_CHAR = /[A-Za-z0-9_$\u0080-\uffff\\#]/;
+
+function needsSpace(prev, text) {
+  const last = prev.text[prev.text.length - 1];
+  const first = text[0];
+  if (WORD_CHAR.test(last) && WORD_CHAR.test(first)) return true;
+  if (prev.type === 'number' && first === '.') return true;
+  return FUSING_PAIRS.has(last + first);
+}
+
+function sameTokens(a, b) {
+  return a.length === b.length && a.every((token, i) => token.type === b[i].type && token.value === b[i].value);
+}
+
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+
+// 从第 index 个片段开始是否为普通脚本中的 HTML 式注释：<!-- 或位于行首的 -->，注释到行末结束
+function isHTMLComment(tokens, index) {
+  const sequence = (values) => values.every((value, offset) => {
+    const token = tokens[index + offset];
+    return token && token.type === 'punct' && token.value === value &&
+      (offset === 0 || token.start === tokens[index + offset - 1].end);
+  });
+  if (sequence(['<', '!', '-', '-'])) return true;
+  return (index === 0 || tokens[index].newlineBefore) && sequence(['-', '-', '>']);
+}
+
+/**
+ * 压缩 JavaScript
+ * 删除注释和多余空白；换行只在确定不影响自动插入分号时删除。
+ * <!-- 和行首的 --> 在普通脚本中是注释、在模块中是运算符，这一行从该处起原样保留，换行也保留。
+ * 无法完成词法分析或压缩前后片段不一致时返回原代码
+ * @param {string} code 源代码
+ * @returns {string} 压缩后的代码
+ */
+function minifyJS(code) {
+  let tokens;
+  try {
+    tokens = lex(code).tokens;
+  } catch (error) {
+    if (error instanceof ModuleSyntaxError) return code;
+    throw error;
+  }
+
+  let output = '';
+  let prev = null;
+  let lineEnd = -1;
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    if (token.start < lineEnd) continue;
+
+    const htmlComment = isHTMLComment(tokens, index);
+    const text = code.slice(token.start, token.end);
+    if (prev) {
+      const joinable = !prev.lineComment && !(htmlComment && token.newlineBefore) &&
+        ((prev.type === 'punct' && JOINABLE_AFTER.has(prev.text)) ||
+          (token.type === 'punct' && JOINABLE_BEFORE.has(text)));
+      if (token.newlineBefore && !joinable) {
+        output += '\n';
+      } else if (token.start > prev.end && needsSpace(prev, text)) {
+        output += ' ';
+      }
+    }
+
+    if (htmlComment) {
+      const match = LINE_TERMINATOR.exec(code.slice(token.start));
+      lineEnd = match ? token.start + match.index : code.length;
+      const line = code.slice(token.start, lineEnd);
+      // 这一行的内容被当作代码分析过，跨行的片段或 /* 注释无法确定边界，不压缩
+      if (line.includes('/*') || tokens.some(other => other.start < lineEnd && other.end > lineEnd)) return code;
+      output += line;
+      prev = { type: 'comment', text: line, end: lineEnd, lineComment: true };
+      continue;
+    }
+
+    output += text;
+    prev = { type: token.type, text, end: token.end };
+  }
+
+  try {
+    if (!sameTokens(tokens, lex(output).tokens)) return code;
+  } catch (error) {
+    return code;
+  }
+  return output;
+}
+
+// CSS 词法分析：空白、注释、字符串、url()、符号和其余文字
+function lexCSS(css) {
+  const tokens = [];
+  const length = css.length;
+  let index = 0;
+
+  while (index < length) {
+    const start = index;
+    const char = css[index];
+
+    if (/\s/.test(char)) {
+      while (index < length && /\s/.test(css[index])) index++;
+      tokens.push({ type: 'space', start, end: index });
+    } else if (char === '/' && css[index + 1] === '*') {
+      const close = css.indexOf('*/', index + 2);
+      if (close === -1) throw new MinifyError('注释未结束', start);
+      index = close + 2;
+      tokens.push({ type: 'comment', start, end: index });
+    } else if (char === '"' || char === "'") {
+      index++;
+      while (index < length && css[index] !== char) {
+        if (css[index] === '\n') throw new MinifyError('字符串未结束', start);
+        index += css[index] === '\\' ? 2 : 1;
+      }
+      if (index >= length) throw new MinifyError('字符串未结束', start);
+      index++;
+      tokens.push({ type: 'string', start, end: index });
+    } else if ('{}()[];:,>'.includes(char)) {
+      index++;
+      tokens.push({ type: 'punct', start, end: index });
+    } else {
+      while (index < length && !/[\s"'{}()[\];:,>]/.test(css[index]) && !(css[index] === '/' && css[index + 1] === '*')) {
+        index += css[index] === '\\' ? 2 : 1;
+      }
+      index = Math.min(index, length);
+
+      // 不带引号的 url(...) 整体作为一个片段
+      if (/^url$/i.test(css.slice(start, index)) && css[index] === '(') {
+        let inner = index + 1;
+        while (inner < length && /\s/.test(css[inner])) inner++;
+        if (css[inner] !== '"' && css[inner] !== "'") {
+          const close = css.indexOf(')', inner);
+          if (close === -1) throw new MinifyError('url() 未结束', start);
+          index = close + 1;
+        }
+      }
+      tokens.push({ type: 'word', start, end: index });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 压缩 CSS
+ * 删除注释，合并空白，去掉 { } ; , > 两侧和冒号后的空格以及 } 前多余的分号。
+ * 冒号前的空格会影响选择器含义（a :hover），保持不变
+ * @param {string} css 样式代码
+ * @returns {string} 压缩后的代码
+ */
+function minifyCSS(css) {
+  let tokens;
+  try {
+    tokens = lexCSS(css);
+  } catch (error) {
+    if (error instanceof MinifyError) return css;
+    throw error;
+  }
+
+  const text = token => css.slice(token.start, token.end);
+  const isSpaceless = value => value === '{' || value === '}' || value === ';' || value === ',' || value === '>';
+  let output = '';
+  let pendingSpace = false;
+  let pendingComment = false;
+  let prevType = null;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'space') {
+      pendingSpace = true;
+      return;
+    }
+    // 注释不等于空白（a/**/b 不是 a b），直接删除；两侧是文字时删除后会连成一个词，保留一个空注释
+    if (token.type === 'comment') {
+      pendingComment = pendingComment || prevType === 'word';
+      return;
+    }
+
+    const value = text(token);
+    if (value === ';') {
+      let next = index + 1;
+      while (next < tokens.length && (tokens[next].type === 'space' || tokens[next].type === 'comment')) next++;
+      if (next < tokens.length && text(tokens[next]) === '}') return;
+    }
+
+    const last = output[output.length - 1];
+    if (pendingSpace && output && !isSpaceless(last) && last !== '(' && last !== ':' &&
+        !(token.type === 'punct' && (isSpaceless(value) || value === ')'))) {
+      output += ' ';
+    } else if (pendingComment && !pendingSpace && token.type === 'word') {
+      output += '/**/';
+    }
+    pendingSpace = false;
+    pendingComment = false;
+    prevType = token.type;
+    output += value;
+  });
+
+  return output;
+}
+
+/**
+ * 折叠 HTML 文本中的空白并删除注释（条件注释除外）
+ * pre、textarea、script、style 等元素的内容保持不变
+ * @param {string} html HTML内容
+ * @returns {string} 处理后的HTML
+ */
+function minifyHTML(html) {
+  let output = '';
+  let preDepth = 0;
+
+  tokenize(html).forEach(token => {
+    let value = html.slice(token.start, token.end);
+
+    if (token.type === 'tag' && (token.name === 'pre' || token.name === 'listing')) preDepth++;
+    if (token.type === 'endTag' && (token.name === 'pre' || token.name === 'listing')) preDepth = Math.max(0, preDepth - 1);
+
+    if (token.type === 'comment' && value.startsWith('<!--') && !/^<!--\[if|<!\[endif\]/i.test(value)) {
+      return;
+    }
+    if (token.type === 'text' && !token.raw && preDepth === 0) {
+      value = value.replace(/[ \t\n\r\f]+/g, space => (space.includes('\n') ? '\n' : ' '));
+    }
+    output += value;
+  });
+
+  return output;
+}
+
+function lineOf(source, position) {
+  return source.slice(0, position).split('\n').length;
+}
+
+/**
+ * 检查 JavaScript 能否解析（只编译不执行）
+ * @param {string} code 代码
+ * @param {Object} options 选项
+ * @param {boolean} options.module 是否按 ES 模块解析
+ * @throws {MinifyError} 语法错误
+ */
+function verifyJS(code, options = {}) {
+  if (!options.module) {
+    try {
+      new vm.Script(code, { filename: 'script' });
+    } catch (error) {
+      const line = (String(error.stack).match(/^script:(\d+)/) || [])[1];
+      throw new MinifyError(`${error.name}: ${error.message}${line ? `（第 ${line} 行）` : ''}`);
+    }
+    return;
+  }
+
+  // vm 模块接口需要实验参数，模块代码交给 node --check 检查
+  try {
+    execFileSync(process.execPath, ['--check', '--input-type=module', '-'], {
+      input: code,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      timeout: 10000
+    });
+  } catch (error) {
+    const stderr = String(error.stderr || '');
+    const message = (stderr.match(/^SyntaxError: .*$/m) || [])[0];
+    const line = (stderr.match(/^\[stdin\]:(\d+)/m) || [])[1];
+    throw new MinifyError(message ? `${message}${line ? `（第 ${line} 行）` : ''}` : '语法检查失败');
+  }
+}
+
+/**
+ * 检查 CSS 能否解析：注释、字符串闭合，括号配对
+ * @param {string} css 样式代码
+ * @throws {MinifyError} 语法错误
+ */
+function verifyCSS(css) {
+  const pairs = { '}': '{', ')': '(', ']': '[' };
+  const stack = [];
+
+  try {
+    lexCSS(css).forEach(token => {
+      if (token.type !== 'punct') return;
+      const char = css[token.start];
+      if (char === '{' || char === '(' || char === '[') {
+        stack.push(token);
+      } else if (pairs[char]) {
+        const open = stack.pop();
+        if (!open || css[open.start] !== pairs[char]) {
+          throw new MinifyError(`多余的 ${char}`, token.start);
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof MinifyError) {
+      throw new MinifyError(`${error.message}（第 ${lineOf(css, error.position)} 行）`, error.position);
+    }
+    throw error;
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    throw new MinifyError(`${css[open.start]} 未闭合（第 ${lineOf(css, open.start)} 行）`, open.start);
+  }
+}
+
+module.exports = {
+  MinifyError,
+  minifyJS,
+  minifyCSS,
+  minifyHTML,
+  verifyJS,
+  verifyCSS
+};
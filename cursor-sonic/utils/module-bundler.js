@@ -0,0 +1,669 @@
+/**
+ * ES 模块打包工具
+ * 扫描模块顶层的 import/export 语句，把整个模块依赖图合并为一段可以内联在
+ * <script type="module"> 中的代码。每个模块包装为一个异步函数，导出通过 getter 暴露，
+ * 导入在模块开头按原顺序求值。与原生模块的差异：具名导入是求值时的快照，不是实时绑定
+ */
+
+class ModuleSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'ModuleSyntaxError';
+    this.position = position;
+  }
+}
+
+// 这些关键字之后的 / 是正则表达式的开始
+const KEYWORDS_BEFORE_EXPRESSION = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+
+const BUNDLE_PREFIX = '__bundle';
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_$\u0080-\uffff\\]/.test(char);
+}
+
+function isIdentifierPart(char) {
+  return /[A-Za-z0-9_$\u0080-\uffff\\\u200c\u200d]/.test(char);
+}
+
+/**
+ * 词法分析，模板字符串整体作为一个片段
+ * @param {string} source 源代码
+ * @param {number} start 起始位置
+ * @param {boolean} untilBrace 遇到未匹配的 } 时停止（用于模板字符串中的 ${}）
+ * @returns {{tokens: Array, end: number}}
+ */
+function lex(source, start = 0, untilBrace = false) {
+  const tokens = [];
+  const length = source.length;
+  let index = start;
+  let newline = false;
+  let depth = 0;
+
+  const regexAllowed = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'name') return KEYWORDS_BEFORE_EXPRESSION.has(prev.value);
+    if (prev.type === 'punct') return prev.value !== ')' && prev.value !== ']';
+    return false;
+  };
+
+  const push = (type, value, tokenStart) => {
+    tokens.push({ type, value, start: tokenStart, end: index, newlineBefore: newline });
+    newline = false;
+  };
+
+  const skipString = (quote, from) => {
+    let i = from + 1;
+    while (i < length && source[i] !== quote) {
+      if (source[i] === '\\') i++;
+      else if (source[i] === '\n') throw new ModuleSyntaxError('字符串未结束', from);
+      i++;
+    }
+    if (i >= length) throw new ModuleSyntaxError('字符串未结束', from);
+    return i + 1;
+  };
+
+  const skipTemplate = from => {
+    let i = from + 1;
+    while (i < length && source[i] !== '`') {
+      if (source[i] === '\\') {
+        i += 2;
+      } else if (source[i] === '$' && source[i + 1] === '{') {
+        i = lex(source, i + 2, true).end + 1;
+      } else {
+        i++;
+      }
+    }
+    if (i >= length) throw new ModuleSyntaxError('模板字符串未结束', from);
+    return i + 1;
+  };
+
+  const skipRegex = from => {
+    let i = from + 1;
+    let inClass = false;
+    while (i < length) {
+      const char = source[i];
+      if (char === '\\') {
+        i += 2;
+        continue;
+      }
+      if (char === '\n') throw new ModuleSyntaxError('正则表达式未结束', from);
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+      i++;
+    }
+    if (i >= length) throw new ModuleSyntaxError('正则表达式未结束', from);
+    i++;
+    while (i < length && isIdentifierPart(source[i])) i++;
+    return i;
+  };
+
+  while (index < length) {
+    const char = source[index];
+
+    if (char === '\n' || char === '\r' || char === '\u2028' || char === '\u2029') {
+      newline = true;
+      index++;
+    } else if (/\s/.test(char)) {
+      index++;
+    } else if (char === '/' && source[index + 1] === '/') {
+      while (index < length && source[index] !== '\n') index++;
+    } else if (char === '/' && source[index + 1] === '*') {
+      const close = source.indexOf('*/', index + 2);
+      if (close === -1) throw new ModuleSyntaxError('注释未结束', index);
+      if (source.slice(index, close).includes('\n')) newline = true;
+      index = close + 2;
+    } else if (char === '"' || char === "'") {
+      const tokenStart = index;
+      index = skipString(char, index);
+      push('string', source.slice(tokenStart, index), tokenStart);
+    } else if (char === '`') {
+      const tokenStart = index;
+      index = skipTemplate(index);
+      push('template', source.slice(tokenStart, index), tokenStart);
+    } else if (char === '/' && regexAllowed()) {
+      const tokenStart = index;
+      index = skipRegex(index);
+      push('regex', source.slice(tokenStart, index), tokenStart);
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1]))) {
+      const tokenStart = index;
+      index++;
+      while (index < length && /[0-9A-Za-z_.]/.test(source[index])) index++;
+      push('number', source.slice(tokenStart, index), tokenStart);
+    } else if (char === '#' || isIdentifierStart(char)) {
+      const tokenStart = index;
+      index++;
+      while (index < length && isIdentifierPart(source[index])) index++;
+      push('name', source.slice(tokenStart, index), tokenStart);
+    } else {
+      if (char === '{' || char === '(' || char === '[') depth++;
+      if (char === '}' || char === ')' || char === ']') {
+        if (untilBrace && depth === 0 && char === '}') {
+          return { tokens, end: index };
+        }
+        depth--;
+      }
+      const tokenStart = index;
+      index++;
+      push('punct', char, tokenStart);
+    }
+  }
+
+  if (untilBrace) throw new ModuleSyntaxError('模板字符串未结束', start);
+  return { tokens, end: index };
+}
+
+// 解析字符串字面量的值
+function stringValue(token) {
+  try {
+    return JSON.parse(token.value[0] === "'"
+      ? '"' + token.value.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"') + '"'
+      : token.value);
+  } catch (error) {
+    return token.value.slice(1, -1);
+  }
+}
+
+/**
+ * 模块语句解析器，只关心顶层的 import/export 和带字符串参数的 import()
+ */
+class ModuleScanner {
+  constructor(source) {
+    this.source = source;
+    this.tokens = lex(source).tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  is(token, type, value) {
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (!this.is(token, type, value)) {
+      throw new ModuleSyntaxError(`模块语法错误：需要 ${value || type}`, token ? token.start : this.source.length);
+    }
+    return token;
+  }
+
+  // 语句结束位置：包含可选的分号
+  statementEnd(token) {
+    const next = this.peek();
+    if (this.is(next, 'punct', ';')) {
+      this.index++;
+      return next.end;
+    }
+    return token.end;
+  }
+
+  // 跳过 import 属性：with { type: 'json' }
+  readAttributes() {
+    const attributes = {};
+    const keyword = this.peek();
+    if (!this.is(keyword, 'name', 'with') && !this.is(keyword, 'name', 'assert')) return { attributes, last: null };
+
+    this.index++;
+    this.expect('punct', '{');
+    let last;
+    while (!this.is(this.peek(), 'punct', '}')) {
+      const key = this.next();
+      this.expect('punct', ':');
+      const value = this.expect('string');
+      attributes[key.type === 'string' ? stringValue(key) : key.value] = stringValue(value);
+      if (this.is(this.peek(), 'punct', ',')) this.index++;
+    }
+    last = this.expect('punct', '}');
+    return { attributes, last };
+  }
+
+  readModuleSpecifier() {
+    const token = this.expect('string');
+    const { attributes, last } = this.readAttributes();
+    return { specifier: stringValue(token), attributes, last: last || token };
+  }
+
+  // { a, b as c, "d-e" as f, default as g }
+  readNamedList() {
+    const items = [];
+    this.expect('punct', '{');
+    while (!this.is(this.peek(), 'punct', '}')) {
+      const first = this.next();
+      if (!first || (first.type !== 'name' && first.type !== 'string')) {
+        throw new ModuleSyntaxError('模块语法错误：导入导出列表无效', first ? first.start : this.source.length);
+      }
+      const name = first.type === 'string' ? stringValue(first) : first.value;
+      let alias = name;
+      if (this.is(this.peek(), 'name', 'as')) {
+        this.index++;
+        const aliasToken = this.next();
+        alias = aliasToken.type === 'string' ? stringValue(aliasToken) : aliasToken.value;
+      }
+      items.push({ name, alias });
+      if (this.is(this.peek(), 'punct', ',')) this.index++;
+    }
+    this.expect('punct', '}');
+    return items;
+  }
+
+  readImport(keyword) {
+    const statement = { kind: 'import', start: keyword.start, defaultName: null, namespace: null, named: [] };
+
+    if (!this.is(this.peek(), 'string')) {
+      if (this.is(this.peek(), 'name') && !this.is(this.peek(), 'name', 'from')) {
+        statement.defaultName = this.next().value;
+        if (this.is(this.peek(), 'punct', ',')) this.index++;
+      }
+      if (this.is(this.peek(), 'punct', '*')) {
+        this.index++;
+        this.expect('name', 'as');
+        statement.namespace = this.expect('name').value;
+      } else if (this.is(this.peek(), 'punct', '{')) {
+        statement.named = this.readNamedList().map(item => ({ imported: item.name, local: item.alias }));
+      }
+      this.expect('name', 'from');
+    }
+
+    const { specifier, attributes, last } = this.readModuleSpecifier();
+    statement.specifier = specifier;
+    statement.attributes = attributes;
+    statement.end = this.statementEnd(last);
+    return statement;
+  }
+
+  // 读取绑定模式中声明的名称：a、{ a, b: c, ...d }、[e, , f = 1]
+  readBindingNames(names) {
+    const token = this.next();
+    if (this.is(token, 'name')) {
+      names.push(token.value);
+    } else if (this.is(token, 'punct', '{')) {
+      while (!this.is(this.peek(), 'punct', '}')) {
+        if (this.is(this.peek(), 'punct', '.')) {
+          this.index += 3;
+          this.readBindingNames(names);
+        } else {
+          const key = this.next();
+          if (this.is(key, 'punct', '[')) {
+            this.skipUntil([']'], true);
+            this.index++;
+          }
+          if (this.is(this.peek(), 'punct', ':')) {
+            this.index++;
+            this.readBindingNames(names);
+          } else {
+            names.push(key.value);
+          }
+          if (this.is(this.peek(), 'punct', '=')) {
+            this.index++;
+            this.skipUntil([',', '}']);
+          }
+        }
+        if (this.is(this.peek(), 'punct', ',')) this.index++;
+      }
+      this.index++;
+    } else if (this.is(token, 'punct', '[')) {
+      while (!this.is(this.peek(), 'punct', ']')) {
+        if (this.is(this.peek(), 'punct', ',')) {
+          this.index++;
+          continue;
+        }
+        if (this.is(this.peek(), 'punct', '.')) this.index += 3;
+        this.readBindingNames(names);
+        if (this.is(this.peek(), 'punct', '=')) {
+          this.index++;
+          this.skipUntil([',', ']']);
+        }
+        if (this.is(this.peek(), 'punct', ',')) this.index++;
+      }
+      this.index++;
+    } else {
+      throw new ModuleSyntaxError('模块语法错误：无法识别导出的变量', token ? token.start : this.source.length);
+    }
+  }
+
+  // 跳到当前层级的某个标点之前；statementEnd 为 true 时也在换行处的语句边界停止
+  skipUntil(stops, nested = false, statementEnd = false) {
+    let depth = 0;
+    while (this.index < this.tokens.length) {
+      const token = this.peek();
+      if (token.type === 'punct') {
+        if (depth === 0 && stops.includes(token.value)) return;
+        if ('([{'.includes(token.value)) depth++;
+        if (')]}'.includes(token.value)) {
+          if (depth === 0) return;
+          depth--;
+        }
+      } else if (statementEnd && depth === 0 && token.newlineBefore && this.index > 0) {
+        // 自动分号插入：上一行以表达式结尾、本行以标识符或字面量开头
+        const prev = this.tokens[this.index - 1];
+        const prevEnds = prev.type !== 'punct' || ')]}'.includes(prev.value);
+        const operatorName = token.type === 'name' && ['in', 'of', 'instanceof'].includes(token.value);
+        if (prevEnds && !operatorName) return;
+      }
+      this.index++;
+    }
+    if (nested) throw new ModuleSyntaxError('模块语法错误：括号不匹配', this.source.length);
+  }
+
+  readExport(keyword) {
+    const statement = { kind: 'export', start: keyword.start, names: [], bodyStart: null };
+    const next = this.peek();
+
+    if (this.is(next, 'punct', '*')) {
+      this.index++;
+      let namespace = null;
+      if (this.is(this.peek(), 'name', 'as')) {
+        this.index++;
+        const nameToken = this.next();
+        namespace = nameToken.type === 'string' ? stringValue(nameToken) : nameToken.value;
+      }
+      this.expect('name', 'from');
+      const { specifier, attributes, last } = this.readModuleSpecifier();
+      Object.assign(statement, { kind: 'reexport', specifier, attributes, star: !namespace, namespace, named: [] });
+      statement.end = this.statementEnd(last);
+      return statement;
+    }
+
+    if (this.is(next, 'punct', '{')) {
+      const items = this.readNamedList();
+      if (this.is(this.peek(), 'name', 'from')) {
+        this.index++;
+        const { specifier, attributes, last } = this.readModuleSpecifier();
+        Object.assign(statement, { kind: 'reexport', specifier, attributes, star: false, namespace: null, named: items });
+        statement.end = this.statementEnd(last);
+      } else {
+        statement.names = items.map(item => ({ exported: item.alias, local: item.name }));
+        statement.end = this.statementEnd(this.tokens[this.index - 1]);
+      }
+      return statement;
+    }
+
+    if (this.is(next, 'name', 'default')) {
+      this.index++;
+      const declaration = this.peek();
+      const isAsyncFunction = this.is(declaration, 'name', 'async') && this.is(this.peek(1), 'name', 'function');
+      const isFunction = isAsyncFunction || this.is(declaration, 'name', 'function');
+      if (isFunction || this.is(declaration, 'name', 'class')) {
+        let nameIndex = isAsyncFunction ? 2 : 1;
+        if (this.is(this.peek(nameIndex), 'punct', '*')) nameIndex++;
+        const nameToken = this.peek(nameIndex);
+        if (this.is(nameToken, 'name') && nameToken.value !== 'extends') {
+          // 具名的函数和类保持声明形式
+          statement.bodyStart = declaration.start;
+          statement.names = [{ exported: 'default', local: nameToken.value }];
+          statement.end = declaration.start;
+          return statement;
+        }
+      }
+      statement.defaultExpression = true;
+      statement.bodyStart = declaration ? declaration.start : this.source.length;
+      statement.names = [{ exported: 'default', local: `${BUNDLE_PREFIX}_default` }];
+      statement.end = statement.bodyStart;
+      return statement;
+    }
+
+    if (this.is(next, 'name', 'function') || this.is(next, 'name', 'class') || this.is(next, 'name', 'async')) {
+      let nameIndex = this.is(next, 'name', 'async') ? 2 : 1;
+      if (this.is(this.peek(nameIndex), 'punct', '*')) nameIndex++;
+      const nameToken = this.peek(nameIndex);
+      if (!this.is(nameToken, 'name')) {
+        throw new ModuleSyntaxError('模块语法错误：导出的函数或类缺少名称', next.start);
+      }
+      statement.bodyStart = next.start;
+      statement.names = [{ exported: nameToken.value, local: nameToken.value }];
+      statement.end = next.start;
+      return statement;
+    }
+
+    if (this.is(next, 'name', 'const') || this.is(next, 'name', 'let') || this.is(next, 'name', 'var')) {
+      this.index++;
+      const names = [];
+      for (;;) {
+        this.readBindingNames(names);
+        if (this.is(this.peek(), 'punct', '=')) {
+          this.index++;
+          this.skipUntil([',', ';'], false, true);
+        }
+        if (this.is(this.peek(), 'punct', ',')) {
+          this.index++;
+          continue;
+        }
+        break;
+      }
+      statement.bodyStart = next.start;
+      statement.names = names.map(name => ({ exported: name, local: name }));
+      statement.end = next.start;
+      return statement;
+    }
+
+    throw new ModuleSyntaxError('模块语法错误：无法识别的导出语句', keyword.start);
+  }
+
+  /**
+   * @returns {Array<Object>} 语句列表：import、export、reexport、dynamicImport
+   */
+  scan() {
+    const statements = [];
+    let depth = 0;
+
+    while (this.index < this.tokens.length) {
+      const token = this.next();
+      const prev = this.tokens[this.index - 2];
+      const afterDot = this.is(prev, 'punct', '.');
+
+      if (token.type === 'punct') {
+        if ('([{'.includes(token.value)) depth++;
+        if (')]}'.includes(token.value)) depth--;
+        continue;
+      }
+      if (token.type !== 'name' || afterDot) continue;
+
+      if (token.value === 'import') {
+        const following = this.peek();
+        if (this.is(following, 'punct', '(')) {
+          // 只处理参数为字符串字面量的动态导入
+          const argument = this.peek(1);
+          const close = this.peek(2);
+          if (this.is(argument, 'string') && this.is(close, 'punct', ')')) {
+            statements.push({ kind: 'dynamicImport', start: token.start, end: close.end, specifier: stringValue(argument) });
+          }
+        } else if (!this.is(following, 'punct', '.') && depth === 0) {
+          statements.push(this.readImport(token));
+        }
+      } else if (token.value === 'export' && depth === 0) {
+        statements.push(this.readExport(token));
+      }
+    }
+
+    return statements;
+  }
+}
+
+/**
+ * 扫描模块的导入导出语句
+ * @param {string} source 模块源代码
+ * @returns {Array<Object>} 语句列表
+ * @throws {ModuleSyntaxError} 无法解析
+ */
+function scanModule(source) {
+  return new ModuleScanner(source).scan();
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// 保留被删除语句中的换行，使报错行号与源文件一致
+function blankLines(text) {
+  return text.replace(/[^\n]/g, '');
+}
+
+// 生成获取导入模块的表达式
+function loadExpression(target, specifier) {
+  return target ? `${BUNDLE_PREFIX}_load(${JSON.stringify(target)})` : `import(${JSON.stringify(specifier)})`;
+}
+
+// 模块函数体：导出的 getter、提升的导入语句、去掉 import/export 的源代码
+function compileModule(source, statements, resolveTarget) {
+  const getters = [];
+  const header = [];
+  const edits = [];
+  let reexportIndex = 0;
+
+  statements.forEach(statement => {
+    switch (statement.kind) {
+      case 'import': {
+        const load = `await ${loadExpression(resolveTarget(statement.specifier, statement), statement.specifier)}`;
+        const bindings = statement.named.map(item => `${propertyKey(item.imported)}: ${item.local}`);
+        if (statement.defaultName) bindings.unshift(`default: ${statement.defaultName}`);
+
+        if (statement.namespace) {
+          header.push(`const ${statement.namespace} = ${load};`);
+          if (bindings.length > 0) header.push(`const { ${bindings.join(', ')} } = ${statement.namespace};`);
+        } else if (bindings.length > 0) {
+          header.push(`const { ${bindings.join(', ')} } = ${load};`);
+        } else {
+          header.push(`${load};`);
+        }
+        edits.push({ start: statement.start, end: statement.end, text: blankLines(source.slice(statement.start, statement.end)) });
+        break;
+      }
+      case 'reexport': {
+        const local = `${BUNDLE_PREFIX}_reexport${reexportIndex++}`;
+        header.push(`const ${local} = await ${loadExpression(resolveTarget(statement.specifier, statement), statement.specifier)};`);
+        if (statement.star) {
+          header.push(`${BUNDLE_PREFIX}_exportStar(${BUNDLE_PREFIX}_exports, ${local});`);
+        } else if (statement.namespace) {
+          getters.push(`${propertyKey(statement.namespace)}: () => ${local}`);
+        } else {
+          statement.named.forEach(item => {
+            getters.push(`${propertyKey(item.alias)}: () => ${local}[${JSON.stringify(item.name)}]`);
+          });
+        }
+        edits.push({ start: statement.start, end: statement.end, text: blankLines(source.slice(statement.start, statement.end)) });
+        break;
+      }
+      case 'export': {
+        statement.names.forEach(item => {
+          getters.push(`${propertyKey(item.exported)}: () => ${item.local}`);
+        });
+        const replacement = statement.defaultExpression ? `var ${BUNDLE_PREFIX}_default = ` : '';
+        const end = statement.bodyStart !== null ? statement.bodyStart : statement.end;
+        edits.push({ start: statement.start, end, text: replacement + blankLines(source.slice(statement.start, end)) });
+        break;
+      }
+      case 'dynamicImport': {
+        const target = resolveTarget(statement.specifier, statement);
+        if (target) {
+          edits.push({ start: statement.start, end: statement.end, text: loadExpression(target) });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  let body = '';
+  let cursor = 0;
+  edits.sort((a, b) => a.start - b.start).forEach(edit => {
+    body += source.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+  });
+  body += source.slice(cursor);
+
+  const lines = [];
+  if (getters.length > 0) lines.push(`${BUNDLE_PREFIX}_define(${BUNDLE_PREFIX}_exports, { ${getters.join(', ')} });`);
+  return [...lines, ...header, body].join('\n');
+}
+
+/**
+ * 打包模块依赖图
+ * @param {Object} entry 入口模块 { id, source }
+ * @param {Object} host 宿主接口
+ * @param {Function} host.resolve (specifier, fromId, statement) => 模块ID，无法打包时返回 null
+ * @param {Function} host.load (id) => { source, json }，json 为 true 时 source 是 JSON 文本
+ * @returns {Object} { code, modules }，入口没有任何导入导出时 code 为 null
+ * @throws {ModuleSyntaxError} 入口或依赖模块无法解析
+ */
+function bundleModules(entry, host) {
+  const modules = new Map();
+  const queue = [{ id: entry.id, source: entry.source, json: false }];
+
+  while (queue.length > 0) {
+    const module = queue.shift();
+    if (modules.has(module.id)) continue;
+
+    if (module.json) {
+      modules.set(module.id, `const ${BUNDLE_PREFIX}_json = ${module.source.trim()};\n${BUNDLE_PREFIX}_define(${BUNDLE_PREFIX}_exports, { default: () => ${BUNDLE_PREFIX}_json });`);
+      continue;
+    }
+
+    let statements;
+    try {
+      statements = scanModule(module.source);
+    } catch (error) {
+      error.moduleId = module.id;
+      throw error;
+    }
+
+    if (module.id === entry.id && statements.length === 0) {
+      return { code: null, modules: [] };
+    }
+
+    const resolved = new Map();
+    const resolveTarget = (specifier, statement) => {
+      if (!resolved.has(statement)) {
+        const target = host.resolve(specifier, module.id, statement);
+        resolved.set(statement, target);
+        if (target && !modules.has(target)) {
+          queue.push({ id: target, ...host.load(target) });
+        }
+      }
+      return resolved.get(statement);
+    };
+
+    modules.set(module.id, compileModule(module.source, statements, resolveTarget));
+  }
+
+  const definitions = [...modules.entries()].map(([id, body]) =>
+    `${JSON.stringify(id)}: async (${BUNDLE_PREFIX}_exports) => {\n${body}\n}`
+  );
+
+  const code = [
+    `const ${BUNDLE_PREFIX}_modules = {`,
+    definitions.join(',\n'),
+    '};',
+    `const ${BUNDLE_PREFIX}_cache = {};`,
+    `const ${BUNDLE_PREFIX}_define = (target, getters) => Object.keys(getters).forEach(name => Object.defineProperty(target, name, { enumerable: true, get: getters[name] }));`,
+    `const ${BUNDLE_PREFIX}_exportStar = (target, source) => Object.keys(source).forEach(name => { if (name !== 'default' && !(name in target)) Object.defineProperty(target, name, { enumerable: true, get: () => source[name] }); });`,
+    `const ${BUNDLE_PREFIX}_load = async id => {`,
+    `  if (id in ${BUNDLE_PREFIX}_cache) return ${BUNDLE_PREFIX}_cache[id];`,
+    `  const exports = ${BUNDLE_PREFIX}_cache[id] = Object.create(null);`,
+    `  await ${BUNDLE_PREFIX}_modules[id](exports);`,
+    '  return exports;',
+    '};',
+    `await ${BUNDLE_PREFIX}_load(${JSON.stringify(entry.id)});`
+  ].join('\n');
+
+  return { code, modules: [...modules.keys()] };
+}
+
+module.exports = {
+  ModuleSyntaxError,
+  lex,
+  scanModule,
+  bundleModules
+};
@@ -0,0 +1,213 @@
+/**
+ * 模型评分工具
+ * 评审人按评分标准（rubric）逐项为文件打分，同一文件可以有多位评审人，
+ * 汇总时先求每个文件的得分，再按模型取各文件得分的平均值，避免评审次数多的文件占比过大
+ */
+
+const CategoryTree = require('../js/category-tree');
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 5;
+
+// 首次启动时创建的默认评分标准
+const DEFAULT_CRITERIA = [
+  { id: 'works', name: '功能符合要求', description: '页面能正常运行并实现提示词中的需求', weight: 2 },
+  { id: 'visual', name: '视觉效果', description: '布局、配色和交互细节', weight: 1 },
+  { id: 'code', name: '代码质量', description: '结构清晰、无明显冗余或错误', weight: 1 },
+  { id: 'responsive', name: '响应式', description: '在不同屏幕尺寸下的表现', weight: 1 }
+];
+
+const GROUP_FIELDS = {
+  category: file => file.category || '',
+  prompt: file => (file.prompt || '').trim()
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * 校验并规范化评分标准
+ * @param {Array} criteria 评分标准
+ * @returns {Array} 规范化后的评分标准
+ * @throws {Error} 数据无效
+ */
+function normalizeCriteria(criteria) {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    throw new Error('至少需要一项评分标准');
+  }
+
+  const ids = new Set();
+  return criteria.map((criterion, index) => {
+    const name = String(criterion.name || '').trim();
+    if (!name) {
+      throw new Error(`第 ${index + 1} 项评分标准缺少名称`);
+    }
+
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`评分标准 "${name}" 的权重必须大于0`);
+    }
+
+    const id = String(criterion.id || 'criterion_' + Date.now() + '_' + index);
+    if (ids.has(id)) {
+      throw new Error(`评分标准ID重复: ${id}`);
+    }
+    ids.add(id);
+
+    return {
+      id,
+      name,
+      description: String(criterion.description || '').trim(),
+      weight
+    };
+  });
+}
+
+/**
+ * 校验评审人提交的分数
+ * @param {Array} criteria 评分标准
+ * @param {Object} scores 评分标准ID -> 分数
+ * @returns {Object} 只包含有效评分标准的分数
+ * @throws {Error} 分数无效
+ */
+function normalizeScores(criteria, scores) {
+  const result = {};
+  criteria.forEach(criterion => {
+    const value = scores ? scores[criterion.id] : undefined;
+    if (value === undefined || value === null || value === '') return;
+
+    const score = Number(value);
+    if (!Number.isInteger(score) || score < SCORE_MIN || score > SCORE_MAX) {
+      throw new Error(`"${criterion.name}" 的分数必须是 ${SCORE_MIN}~${SCORE_MAX} 的整数`);
+    }
+    result[criterion.id] = score;
+  });
+
+  if (Object.keys(result).length === 0) {
+    throw new Error('请至少为一项评分标准打分');
+  }
+  return result;
+}
+
+// 单次评审的加权平均分；已删除的评分标准不参与计算
+function reviewScore(criteria, review) {
+  let total = 0;
+  let weights = 0;
+  criteria.forEach(criterion => {
+    const score = review.scores[criterion.id];
+    if (typeof score === 'number') {
+      total += score * criterion.weight;
+      weights += criterion.weight;
+    }
+  });
+  return weights > 0 ? total / weights : null;
+}
+
+/**
+ * 汇总单个文件的评分
+ * @param {Array} criteria 评分标准
+ * @param {Array} reviews 该文件的评审记录
+ * @returns {Object|null} { score, reviews, criteria: {评分标准ID: 平均分} }，没有有效评审时返回 null
+ */
+function summarizeFile(criteria, reviews) {
+  const scores = reviews.map(review => reviewScore(criteria, review)).filter(score => score !== null);
+  if (scores.length === 0) return null;
+
+  const byCriterion = {};
+  criteria.forEach(criterion => {
+    const value = average(reviews.map(review => review.scores[criterion.id]).filter(score => typeof score === 'number'));
+    if (value !== null) byCriterion[criterion.id] = round(value);
+  });
+
+  return { score: round(average(scores)), reviews: scores.length, criteria: byCriterion };
+}
+
+// 按模型汇总一组文件的得分，按综合得分降序排列
+function rankModels(criteria, entries, modelNames) {
+  const byModel = new Map();
+  entries.forEach(entry => {
+    const key = entry.file.model || '';
+    if (!byModel.has(key)) byModel.set(key, []);
+    byModel.get(key).push(entry.summary);
+  });
+
+  return [...byModel.entries()]
+    .map(([modelId, summaries]) => {
+      const byCriterion = {};
+      criteria.forEach(criterion => {
+        const value = average(summaries.map(s => s.criteria[criterion.id]).filter(score => typeof score === 'number'));
+        if (value !== null) byCriterion[criterion.id] = round(value);
+      });
+
+      return {
+        modelId,
+        modelName: modelNames.get(modelId) || modelId || '未指定模型',
+        score: round(average(summaries.map(s => s.score))),
+        files: summaries.length,
+        reviews: summaries.reduce((sum, s) => sum + s.reviews, 0),
+        criteria: byCriterion
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.reviews - a.reviews);
+}
+
+/**
+ * 生成模型排行榜
+ * @param {Object} options 选项
+ * @param {Array} options.files 文件列表（已排除删除的文件）
+ * @param {Array} options.reviews 全部评审记录
+ * @param {Array} options.criteria 评分标准
+ * @param {Array} options.models 预置模型，用于显示模型名称
+ * @param {Array} options.categories 分类，按分类分组时用于显示分类名称
+ * @param {string} options.groupBy 分组方式：category 或 prompt，不传时只返回总榜
+ * @returns {Object} { criteria, overall, groups: [{key, label, models}] }
+ */
+function buildLeaderboard({ files, reviews, criteria, models = [], categories = [], groupBy }) {
+  const modelNames = new Map(models.map(model => [model.id, model.name]));
+  // 按分类分组时 key 为分类ID，显示带上级的分类名称
+  const getLabel = groupBy === 'category' ? key => CategoryTree.getLabel(categories, key) : key => key;
+
+  const reviewsByFile = new Map();
+  reviews.forEach(review => {
+    if (!reviewsByFile.has(review.fileId)) reviewsByFile.set(review.fileId, []);
+    reviewsByFile.get(review.fileId).push(review);
+  });
+
+  const entries = files
+    .map(file => ({ file, summary: summarizeFile(criteria, reviewsByFile.get(file.id) || []) }))
+    .filter(entry => entry.summary);
+
+  const result = { criteria, overall: rankModels(criteria, entries, modelNames), groups: [] };
+
+  const getKey = GROUP_FIELDS[groupBy];
+  if (getKey) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = getKey(entry.file);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+
+    result.groups = [...groups.entries()]
+      .map(([key, groupEntries]) => ({ key, label: getLabel(key), models: rankModels(criteria, groupEntries, modelNames) }))
+      // 参与比较的模型多的分组排在前面，未分组的排在最后
+      .sort((a, b) => (a.key === '') - (b.key === '') || b.models.length - a.models.length || a.label.localeCompare(b.label));
+  }
+
+  return result;
+}
+
+module.exports = {
+  SCORE_MIN,
+  SCORE_MAX,
+  DEFAULT_CRITERIA,
+  normalizeCriteria,
+  normalizeScores,
+  summarizeFile,
+  buildLeaderboard
+};
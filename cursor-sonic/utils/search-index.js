@@ -0,0 +1,304 @@
+/**
+ * 全文搜索索引
+ * 对文件元数据和HTML页面内容（可见文本、<title>、脚本标识符）建立倒排索引，
+ * 中日韩文字按二元组（bigram）切分，英文按单词切分，使用 BM25 计算相关度
+ */
+
+// 中日韩文字范围
+const CJK_RANGE = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const TOKEN_PATTERN = new RegExp(`[${CJK_RANGE}]+|[a-z0-9_]+`, 'g');
+const CJK_PATTERN = new RegExp(`^[${CJK_RANGE}]`);
+
+// 各字段的权重
+const FIELD_WEIGHTS = {
+  title: 5,
+  meta: 3,
+  identifiers: 2,
+  content: 1
+};
+
+// BM25 参数
+const K1 = 1.2;
+const B = 0.75;
+
+// 单个页面参与索引的最大文本长度
+const MAX_CONTENT_LENGTH = 200000;
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+
+/**
+ * 分词：英文数字按单词，中日韩文字按相邻两字切分
+ * @param {string} text 文本
+ * @returns {Array<string>} 词项列表
+ */
+function tokenize(text) {
+  const tokens = [];
+  const runs = (text || '').normalize('NFKC').toLowerCase().match(TOKEN_PATTERN) || [];
+
+  runs.forEach(run => {
+    if (CJK_PATTERN.test(run)) {
+      if (run.length === 1) {
+        tokens.push(run);
+      } else {
+        for (let i = 0; i < run.length - 1; i++) {
+          tokens.push(run.slice(i, i + 2));
+        }
+      }
+    } else if (run.length > 1) {
+      tokens.push(run);
+    }
+  });
+
+  return tokens;
+}
+
+function decodeEntities(text) {
+  const named = { nbsp: ' ', lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (error) {
+        return ' ';
+      }
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+// 驼峰和下划线命名拆成单词，如 handleClick -> handleClick handle Click
+function splitIdentifier(name) {
+  const parts = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_$]+/).filter(Boolean);
+  return parts.length > 1 ? [name, ...parts].join(' ') : name;
+}
+
+/**
+ * 从HTML中提取可索引的内容
+ * @param {string} html HTML文本
+ * @returns {Object} { title, content, identifiers }
+ */
+function extractPage(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  // 脚本中声明的函数、类和变量名
+  const identifiers = new Set();
+  const scriptPattern = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
+  const declarationPattern = /\b(?:function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/g;
+  let script;
+  while ((script = scriptPattern.exec(html))) {
+    let declaration;
+    while ((declaration = declarationPattern.exec(script[1]))) {
+      identifiers.add(declaration[1]);
+    }
+  }
+
+  // 可见文本：去掉注释、脚本、样式和标签，保留 alt、placeholder 等可见属性
+  const content = decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<(script|style|noscript|template|title)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*?\b(?:alt|placeholder|aria-label|title)\s*=\s*["']([^"']*)["'][^>]*>/gi, ' $1 ')
+      .replace(/<[^>]+>/g, ' ')
+  ).replace(/\s+/g, ' ').trim().slice(0, MAX_CONTENT_LENGTH);
+
+  return {
+    title,
+    content,
+    identifiers: [...identifiers].map(splitIdentifier).join(' ')
+  };
+}
+
+class SearchIndex {
+  constructor() {
+    // 文档：id -> { fields, text, terms: Map<词项, 加权词频>, length, page }
+    this.docs = new Map();
+    // 倒排表：词项 -> Set<id>
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * 添加或更新文档
+   * @param {Object} file 文件记录
+   * @param {Object} page extractPage 的结果
+   */
+  add(file, page = { title: '', content: '', identifiers: '' }) {
+    this.remove(file.id);
+
+    const fields = {
+      title: [file.title, page.title].filter(Boolean).join(' '),
+      meta: [file.description, file.background, file.prompt, file.category, file.originalName].filter(Boolean).join(' '),
+      identifiers: page.identifiers,
+      content: page.content
+    };
+
+    const terms = new Map();
+    let length = 0;
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      tokenize(fields[field]).forEach(token => {
+        terms.set(token, (terms.get(token) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      });
+    });
+
+    terms.forEach((tf, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(file.id);
+    });
+
+    const text = Object.values(fields).map(value => (value || '').normalize('NFKC').toLowerCase());
+    this.docs.set(file.id, { fields, text, terms, length, page });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    doc.terms.forEach((tf, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    });
+
+    this.docs.delete(id);
+    this.totalLength -= doc.length;
+  }
+
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * 获取已提取的页面内容，只修改元数据时无需重新读取HTML
+   * @param {string} id 文件ID
+   * @returns {Object|null} 页面内容
+   */
+  getPage(id) {
+    const doc = this.docs.get(id);
+    return doc ? doc.page : null;
+  }
+
+  /**
+   * 获取文档各字段规范化后的文本，供查询语言匹配无字段关键词
+   * @param {string} id 文件ID
+   * @returns {Array<string>|null} 文本数组
+   */
+  getText(id) {
+    const doc = this.docs.get(id);
+    return doc ? doc.text : null;
+  }
+
+  // 关键词展开为词项；以 * 结尾的英文关键词按前缀匹配
+  expandKeyword(keyword) {
+    const prefix = keyword.endsWith('*');
+    const tokens = tokenize(prefix ? keyword.slice(0, -1) : keyword);
+
+    return tokens.map((token, index) => {
+      if (prefix && index === tokens.length - 1 && !CJK_PATTERN.test(token)) {
+        return [...this.postings.keys()].filter(term => term.startsWith(token));
+      }
+      return [token];
+    }).flat();
+  }
+
+  /**
+   * 对已筛选出的文档按 BM25 相关度排序
+   * 是否匹配由查询语言决定，这里只负责打分和生成摘要
+   * @param {Array<string>} ids 文件ID
+   * @param {Array<string>} keywords 参与打分的关键词
+   * @returns {Array<{id, score, snippet}>} 按相关度降序排列的结果
+   */
+  rank(ids, keywords) {
+    const queryTerms = new Set(keywords.flatMap(keyword => this.expandKeyword(keyword)));
+    const avgLength = this.docs.size > 0 ? this.totalLength / this.docs.size : 1;
+
+    const results = ids.filter(id => this.docs.has(id)).map(id => {
+      const doc = this.docs.get(id);
+      let score = 0;
+      queryTerms.forEach(term => {
+        const tf = doc.terms.get(term);
+        if (!tf) return;
+        const df = this.postings.get(term).size;
+        const idf = Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+      });
+      return { id, score: Math.round(score * 1000) / 1000, snippet: this.createSnippet(doc, keywords) };
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return results;
+  }
+
+  /**
+   * 生成结果摘要，高亮位置以 [开始, 结束) 的形式返回，由客户端负责转义和渲染
+   * @param {Object} doc 文档
+   * @param {Array<string>} keywords 关键词
+   * @returns {Object|null} { field, text, highlights }
+   */
+  createSnippet(doc, keywords) {
+    // 通配符关键词取其中最长的一段字面文本
+    const needles = keywords
+      .map(keyword => keyword.split(/[*?]/).sort((a, b) => b.length - a.length)[0])
+      .map(keyword => keyword.normalize('NFKC').toLowerCase())
+      .filter(Boolean);
+
+    for (const field of ['content', 'meta', 'title', 'identifiers']) {
+      const text = doc.fields[field] || '';
+      const lower = text.normalize('NFKC').toLowerCase();
+      // NFKC 可能改变长度，此时无法对应原文位置，直接使用规范化后的文本
+      const source = lower.length === text.length ? text : lower;
+
+      const first = needles
+        .map(needle => lower.indexOf(needle))
+        .filter(index => index > -1)
+        .sort((a, b) => a - b)[0];
+      if (first === undefined) continue;
+
+      const start = Math.max(0, first - SNIPPET_BEFORE);
+      const end = Math.min(source.length, start + SNIPPET_LENGTH);
+      const prefix = start > 0 ? '…' : '';
+      const suffix = end < source.length ? '…' : '';
+
+      const highlights = [];
+      needles.forEach(needle => {
+        let index = lower.indexOf(needle, start);
+        while (index > -1 && index + needle.length <= end) {
+          highlights.push([index - start + prefix.length, index - start + prefix.length + needle.length]);
+          index = lower.indexOf(needle, index + needle.length);
+        }
+      });
+      highlights.sort((a, b) => a[0] - b[0]);
+
+      // 合并重叠的高亮区间
+      const merged = [];
+      highlights.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          merged.push([...range]);
+        }
+      });
+
+      return { field, text: prefix + source.slice(start, end) + suffix, highlights: merged };
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  extractPage,
+  tokenize
+};
@@ -0,0 +1,502 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { computeStats } = require('../storage');
+const { migrateData } = require('../storage/migrations');
+
+/**
+ * 静态版本同步工具
+ * docs/static-pages 把数据保存在浏览器本地存储中，与服务器的数据各自修改，需要定期同步：
+ *   publish  用服务器的数据和页面文件生成静态版本的 database/data.json 和 html-files/，
+ *            复制共用的前端（index.html、css/、js/）并写入静态版本的 js/config.js，
+ *            同时把这次发布的数据保存在服务器的 database/static-publish/ 中作为之后合并的基准
+ *   import   静态版本导出的本地数据与发布基准、服务器当前数据逐条三方比较：
+ *            只在静态版本修改的记录直接应用，两边修改了同一字段且结果不同的记录作为冲突，
+ *            由管理员选择保留服务器的版本还是使用静态版本的修改
+ */
+
+// 参与同步的集合，用户、评分等内部数据不发布
+const SYNC_COLLECTIONS = ['files', 'preset_tags', 'preset_models', 'categories'];
+
+// 只在服务器使用的字段，文件发布时去掉，导入时忽略（修订号由服务器维护）
+const SERVER_ONLY_FIELDS = ['revisions', 'security', 'bundle', 'thumbnails', 'thumbnailTime', 'rev'];
+
+// 浏览时自动更新的字段，不算作修改
+const VOLATILE_FIELDS = ['accessCount', 'lastAccess', 'usageCount'];
+
+const EXPORT_FORMAT = 'openonehtml-static-export';
+const PAGE_NAME = /^[a-f0-9]{32}\.html$/;
+
+// 保留最近几次发布的基准数据
+const MAX_BASES = 10;
+
+// 静态版本复制的前端目录及其运行配置
+const FRONTEND_DIRS = ['css', 'js'];
+const STATIC_CONFIG = { transport: 'indexeddb' };
+
+const COLLECTION_NAMES = {
+  files: '文件',
+  preset_tags: '标签',
+  preset_models: '模型',
+  categories: '分类'
+};
+
+class SyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncError';
+  }
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// 空字符串、空数组和缺少的字段视为相同
+function sameValue(a, b) {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isComparable(field) {
+  return field !== 'id' && !SERVER_ONLY_FIELDS.includes(field) && !VOLATILE_FIELDS.includes(field);
+}
+
+// 两条记录中值不同的字段
+function diffFields(from, to) {
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...fields].filter(field => isComparable(field) && !sameValue(from[field], to[field]));
+}
+
+function pick(record, fields) {
+  const result = {};
+  fields.forEach(field => {
+    result[field] = record[field] === undefined ? null : record[field];
+  });
+  return result;
+}
+
+function omitServerFields(record) {
+  const result = { ...record };
+  SERVER_ONLY_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+function getLabel(record) {
+  return record.title || record.originalName || record.name || record.id;
+}
+
+function indexById(records) {
+  return new Map((Array.isArray(records) ? records : []).filter(record => record && record.id).map(record => [record.id, record]));
+}
+
+/**
+ * 生成发布到静态版本的数据
+ * @param {Object} snapshot 服务器完整数据
+ * @param {Object} sync 发布信息 { publishId, publishedAt }
+ * @returns {Object} 与静态版本 data.json 格式相同的数据
+ */
+function createPublishData(snapshot, sync) {
+  const data = {
+    version: snapshot.version || '1.0.0',
+    lastUpdate: sync.publishedAt,
+    sync
+  };
+
+  SYNC_COLLECTIONS.forEach(collection => {
+    data[collection] = (snapshot[collection] || []).map(record => ({ ...record }));
+  });
+  data.files = data.files.filter(file => file.status !== 'deleted').map(omitServerFields);
+  data.settings = computeStats(data);
+  return data;
+}
+
+/**
+ * 复制前端到静态版本目录
+ * 静态版本与服务器使用同一套页面和脚本，只有 js/config.js 不同：数据保存在浏览器本地存储中
+ * @param {string} appDir 前端所在目录（index.html、css/、js/）
+ * @param {string} outputDir 静态版本目录
+ */
+function publishFrontend(appDir, outputDir) {
+  fs.copySync(path.join(appDir, 'index.html'), path.join(outputDir, 'index.html'));
+  FRONTEND_DIRS.forEach(dir => {
+    fs.removeSync(path.join(outputDir, dir));
+    fs.copySync(path.join(appDir, dir), path.join(outputDir, dir));
+  });
+  fs.outputFileSync(
+    path.join(outputDir, 'js', 'config.js'),
+    '// 由 utils/static-sync.js publish 生成，不要手动修改\n' +
+    `window.OPENONEHTML_CONFIG = ${JSON.stringify(STATIC_CONFIG, null, 2)};\n`
+  );
+}
+
+/**
+ * 发布静态版本
+ * @param {Object} snapshot 服务器完整数据
+ * @param {Object} options 配置选项
+ * @param {string} options.htmlDir 服务器页面文件目录
+ * @param {string} options.outputDir 静态版本目录（docs/static-pages）
+ * @param {string} options.baseDir 保存发布基准的目录
+ * @param {string} [options.appDir] 前端目录，提供时同时更新静态版本的页面和脚本
+ * @returns {Object} { publishId, publishedAt, files, copied, removed, missing }
+ */
+function publish(snapshot, options = {}) {
+  const { htmlDir, outputDir, baseDir, appDir } = options;
+  if (appDir) {
+    publishFrontend(appDir, outputDir);
+  }
+
+  const sync = {
+    publishId: crypto.randomBytes(8).toString('hex'),
+    publishedAt: new Date().toISOString()
+  };
+  const data = createPublishData(snapshot, sync);
+
+  // 复制页面文件，内容相同的跳过
+  const pagesDir = path.join(outputDir, 'html-files');
+  fs.ensureDirSync(pagesDir);
+  const published = new Set();
+  const missing = [];
+  let copied = 0;
+
+  data.files.forEach(file => {
+    if (!file.encryptedName) return;
+    const name = path.basename(file.encryptedName);
+    const source = path.join(htmlDir, name);
+    if (!fs.existsSync(source)) {
+      missing.push(file.id);
+      return;
+    }
+
+    const target = path.join(pagesDir, name);
+    published.add(name);
+    if (fs.existsSync(target) && fs.readFileSync(target).equals(fs.readFileSync(source))) return;
+    fs.copySync(source, target);
+    copied++;
+  });
+
+  // 删除已不再发布的页面
+  const removed = fs.readdirSync(pagesDir).filter(name => PAGE_NAME.test(name) && !published.has(name));
+  removed.forEach(name => fs.removeSync(path.join(pagesDir, name)));
+
+  fs.outputFileSync(path.join(outputDir, 'database', 'data.json'), JSON.stringify(data, null, 2));
+
+  fs.outputFileSync(path.join(baseDir, `${sync.publishId}.json`), JSON.stringify(data));
+  const bases = fs.readdirSync(baseDir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => ({ name, time: fs.statSync(path.join(baseDir, name)).mtimeMs }))
+    .sort((a, b) => b.time - a.time);
+  bases.slice(MAX_BASES).forEach(base => fs.removeSync(path.join(baseDir, base.name)));
+
+  return { ...sync, files: data.files.length, copied, removed: removed.length, missing };
+}
+
+/**
+ * 读取发布基准
+ * @param {string} baseDir 保存发布基准的目录
+ * @param {string} publishId 发布ID
+ * @returns {Object|null} 发布时的数据，找不到时返回 null
+ */
+function loadBase(baseDir, publishId) {
+  if (typeof publishId !== 'string' || !/^[a-f0-9]+$/.test(publishId)) return null;
+  const basePath = path.join(baseDir, `${publishId}.json`);
+  // 与导出的数据一样迁移到当前版本，避免版本差异被当作修改
+  return fs.existsSync(basePath) ? migrateData(fs.readJsonSync(basePath)).data : null;
+}
+
+/**
+ * 解析静态版本导出的数据
+ * 支持"同步"中导出的文件，也接受直接导出的本地存储数据（openonehtml_data）
+ * @param {Object|string} input 导出内容
+ * @returns {Object} { publishId, data, pages }
+ * @throws {SyncError} 格式无效
+ */
+function parseExport(input) {
+  let exported;
+  try {
+    exported = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    throw new SyncError('导出文件不是有效的 JSON');
+  }
+
+  if (!exported || typeof exported !== 'object') {
+    throw new SyncError('无效的导出文件');
+  }
+
+  const exportedData = exported.format === EXPORT_FORMAT ? exported.data : exported;
+  if (!exportedData || typeof exportedData !== 'object' || !Array.isArray(exportedData.files)) {
+    throw new SyncError('导出文件中没有静态版本的数据');
+  }
+
+  // 旧版本发布的静态页面导出的数据先迁移到当前版本
+  let data;
+  try {
+    data = migrateData(exportedData).data;
+  } catch (error) {
+    throw new SyncError(error.message);
+  }
+
+  const pages = {};
+  Object.entries(exported.format === EXPORT_FORMAT ? exported.pages || {} : {}).forEach(([name, content]) => {
+    if (PAGE_NAME.test(name) && typeof content === 'string') pages[name] = content;
+  });
+
+  return { publishId: data.sync ? data.sync.publishId : null, data, pages };
+}
+
+/**
+ * 比较静态版本的数据与服务器数据，生成合并计划
+ * 每条记录得到一个变更（新增、修改、删除）、一个冲突或不变。没有发布基准时
+ * （数据来自本功能之前的发布，或基准已被清理）无法判断哪一边做了修改，
+ * 两边不同的记录都作为冲突，静态版本中缺少的记录不视为删除
+ * @param {Object} local 静态版本的数据
+ * @param {Object} server 服务器当前数据
+ * @param {Object|null} base 发布基准
+ * @returns {Object} { changes, conflicts, unchanged }
+ *   change: { key, collection, id, label, type: insert/update/remove, record|patch }
+ *   conflict: { key, collection, id, label, reason, fields, local, server, change }，
+ *     change 为选择静态版本时执行的变更
+ */
+function planImport(local, server, base) {
+  const changes = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  SYNC_COLLECTIONS.forEach(collection => {
+    const localRecords = indexById(local[collection]);
+    const serverRecords = indexById(server[collection]);
+    const baseRecords = base ? indexById(base[collection]) : new Map();
+    const ids = new Set([...localRecords.keys(), ...baseRecords.keys()]);
+
+    ids.forEach(id => {
+      const l = localRecords.get(id);
+      const s = serverRecords.get(id);
+      const b = baseRecords.get(id);
+      const key = `${collection}:${id}`;
+      const label = getLabel(l || s || b);
+      const entry = { key, collection, id, label };
+
+      const conflict = (reason, fields, change) => {
+        conflicts.push({
+          ...entry,
+          reason,
+          fields,
+          local: l ? pick(l, fields) : null,
+          server: s ? pick(s, fields) : null,
+          change
+        });
+      };
+
+      // 静态版本新增（或没有基准时无法区分）的记录
+      if (!b) {
+        if (!s) {
+          changes.push({ ...entry, type: 'insert', record: omitServerFields(l) });
+          return;
+        }
+        const fields = diffFields(s, l);
+        if (fields.length === 0) {
+          unchanged++;
+        } else {
+          conflict(base ? '两边新增了相同ID的记录' : '没有发布基准，无法判断哪一边做了修改', fields,
+            { type: 'update', patch: pick(l, fields) });
+        }
+        return;
+      }
+
+      // 静态版本中删除的记录
+      if (!l) {
+        if (!s) {
+          unchanged++;
+        } else if (diffFields(b, s).length === 0) {
+          changes.push({ ...entry, type: 'remove' });
+        } else {
+          conflict('静态版本删除了服务器上已修改的记录', diffFields(b, s), { type: 'remove' });
+        }
+        return;
+      }
+
+      const localFields = diffFields(b, l);
+      if (localFields.length === 0) {
+        unchanged++;
+        return;
+      }
+
+      if (!s || (collection === 'files' && s.status === 'deleted' && b.status !== 'deleted')) {
+        conflict('服务器上已删除静态版本修改的记录', localFields, { type: 'insert', record: omitServerFields(l) });
+        return;
+      }
+
+      // 只有两边改成不同值的字段才是冲突，其余字段可以直接合并
+      const serverFields = new Set(diffFields(b, s));
+      const conflicting = localFields.filter(field => serverFields.has(field) && !sameValue(l[field], s[field]));
+      const patchFields = localFields.filter(field => !sameValue(l[field], s[field]));
+
+      if (conflicting.length > 0) {
+        conflict('两边修改了相同的字段', conflicting, { type: 'update', patch: pick(l, patchFields) });
+      } else if (patchFields.length > 0) {
+        changes.push({ ...entry, type: 'update', patch: pick(l, patchFields) });
+      } else {
+        unchanged++;
+      }
+    });
+  });
+
+  return { changes, conflicts, unchanged };
+}
+
+/**
+ * 按合并计划写入服务器
+ * @param {Object} store 存储适配器
+ * @param {Object} plan planImport 的结果
+ * @param {Object} options 选项
+ * @param {Object} options.pages 静态版本导出的页面内容 { 文件名: 内容 }
+ * @param {string} options.htmlDir 服务器页面文件目录
+ * @param {Object} options.resolutions 冲突处理方式 { key: 'local' | 'server' }，未指定的冲突跳过
+ * @returns {Object} { applied, skipped, files, pages, missingPages }
+ *   files 为内容有变化的文件ID，pages 为新写入的页面文件名
+ */
+function applyImport(store, plan, options = {}) {
+  const { pages = {}, htmlDir, resolutions = {} } = options;
+  const selected = [
+    ...plan.changes,
+    ...plan.conflicts.filter(conflict => resolutions[conflict.key] === 'local').map(conflict => ({ ...conflict, ...conflict.change }))
+  ];
+  const skipped = plan.conflicts.filter(conflict => resolutions[conflict.key] !== 'local').map(conflict => conflict.key);
+
+  const files = [];
+  const written = [];
+  const missingPages = [];
+
+  store.transaction(() => {
+    selected.forEach(change => {
+      const { collection, id } = change;
+      // 静态版本删除文件只是标记状态，其余集合直接删除记录
+      if (change.type === 'remove') {
+        if (collection === 'files') {
+          store.update('files', id, { status: 'deleted' });
+        } else {
+          store.remove(collection, id);
+        }
+      } else if (change.type === 'insert') {
+        if (store.get(collection, id)) {
+          store.update(collection, id, change.record);
+        } else {
+          store.insert(collection, change.record);
+        }
+      } else {
+        store.update(collection, id, change.patch);
+      }
+      if (collection === 'files') files.push(id);
+    });
+  });
+
+  // 静态版本上传的页面保存在浏览器中，随导出文件一起带回
+  files.forEach(id => {
+    const file = store.get('files', id);
+    if (!file || !file.encryptedName || file.status === 'deleted') return;
+    const name = path.basename(file.encryptedName);
+    const target = path.join(htmlDir, name);
+    if (fs.existsSync(target)) return;
+    if (pages[name] !== undefined) {
+      fs.outputFileSync(target, pages[name]);
+      written.push(name);
+    } else {
+      missingPages.push(id);
+    }
+  });
+
+  return { applied: selected.length, skipped, files, pages: written, missingPages };
+}
+
+// 命令行输出的变更摘要
+function describePlan(plan) {
+  const typeNames = { insert: '新增', update: '修改', remove: '删除' };
+  const lines = plan.changes.map(change =>
+    `  ${typeNames[change.type]}${COLLECTION_NAMES[change.collection]}: ${change.label}` +
+    (change.patch ? ` (${Object.keys(change.patch).join(', ')})` : ''));
+  plan.conflicts.forEach(conflict => {
+    lines.push(`  冲突 ${conflict.key} ${conflict.label}: ${conflict.reason} (${conflict.fields.join(', ')})`);
+  });
+  return lines;
+}
+
+// CLI 接口
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (command !== 'publish' && !(command === 'import' && args[1])) {
+    console.log('用法:');
+    console.log('  node utils/static-sync.js publish [--out <目录>]');
+    console.log('  node utils/static-sync.js import <导出文件> [--dry-run] [--prefer local|server]');
+    console.log('');
+    console.log('选项:');
+    console.log('  --out <目录>              静态版本目录，默认 ../docs/static-pages');
+    console.log('  --dry-run                 只显示合并结果，不写入');
+    console.log('  --prefer <local|server>   冲突时使用静态版本的修改或保留服务器数据，默认跳过冲突');
+    process.exit(1);
+  }
+
+  const { createStorage } = require('../storage');
+  const rootDir = path.join(__dirname, '..');
+  const htmlDir = path.join(rootDir, 'html-files');
+  const baseDir = path.join(process.env.DATABASE_DIR || path.join(rootDir, 'database'), 'static-publish');
+  const store = createStorage();
+
+  try {
+    if (command === 'publish') {
+      const outputDir = path.resolve(readOption('--out') || path.join(rootDir, '..', 'docs', 'static-pages'));
+      const result = publish(store.snapshot(), { htmlDir, outputDir, baseDir, appDir: rootDir });
+      console.log(`已发布 ${result.files} 个文件到: ${outputDir}`);
+      console.log(`发布ID: ${result.publishId}，复制页面 ${result.copied} 个，删除旧页面 ${result.removed} 个`);
+      if (result.missing.length > 0) {
+        console.log(`页面文件不存在，未复制: ${result.missing.join(', ')}`);
+      }
+    } else {
+      const { publishId, data, pages } = parseExport(fs.readFileSync(path.resolve(args[1]), 'utf8'));
+      const base = loadBase(baseDir, publishId);
+      if (!base) {
+        console.log('找不到对应的发布基准，两边不同的记录都将作为冲突');
+      }
+
+      const plan = planImport(data, store.snapshot(), base);
+      console.log(`变更 ${plan.changes.length} 条，冲突 ${plan.conflicts.length} 条，未变化 ${plan.unchanged} 条`);
+      describePlan(plan).forEach(line => console.log(line));
+
+      if (!args.includes('--dry-run')) {
+        const prefer = readOption('--prefer');
+        const resolutions = {};
+        plan.conflicts.forEach(conflict => {
+          if (prefer === 'local' || prefer === 'server') resolutions[conflict.key] = prefer;
+        });
+        const result = applyImport(store, plan, { pages, htmlDir, resolutions });
+        console.log(`已应用 ${result.applied} 条，跳过冲突 ${result.skipped.length} 条，写入页面 ${result.pages.length} 个`);
+        if (result.missingPages.length > 0) {
+          console.log(`导出文件中没有这些文件的页面: ${result.missingPages.join(', ')}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(command === 'publish' ? '发布失败:' : '导入失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    store.close();
+  }
+}
+
+module.exports = {
+  SyncError,
+  SYNC_COLLECTIONS,
+  EXPORT_FORMAT,
+  createPublishData,
+  publishFrontend,
+  publish,
+  loadBase,
+  parseExport,
+  planImport,
+  applyImport
+};
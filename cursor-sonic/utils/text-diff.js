@@ -0,0 +1,99 @@
+/**
+ * 文本行级差异工具
+ * 基于最长公共子序列（LCS）计算两段文本之间的逐行差异
+ */
+
+// LCS 矩阵的最大单元数，超过时退化为整段替换，避免大文件占用过多内存
+const MAX_MATRIX_CELLS = 4000000;
+
+/**
+ * 计算两段文本的逐行差异
+ * @param {string} oldText 旧文本
+ * @param {string} newText 新文本
+ * @returns {Object} { lines: [{type, text, oldLine, newLine}], added, removed }
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split(/\r?\n/);
+  const b = newText.split(/\r?\n/);
+
+  // 去掉相同的前缀和后缀，缩小需要比较的范围
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const lines = [];
+  for (let i = 0; i < start; i++) {
+    lines.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  diffMiddle(a, b, start, endA, start, endB).forEach(line => lines.push(line));
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) {
+    lines.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  }
+
+  return {
+    lines,
+    added: lines.filter(line => line.type === 'add').length,
+    removed: lines.filter(line => line.type === 'remove').length
+  };
+}
+
+function diffMiddle(a, b, startA, endA, startB, endB) {
+  const n = endA - startA;
+  const m = endB - startB;
+  const result = [];
+
+  if ((n + 1) * (m + 1) > MAX_MATRIX_CELLS) {
+    for (let i = startA; i < endA; i++) {
+      result.push({ type: 'remove', text: a[i], oldLine: i + 1 });
+    }
+    for (let j = startB; j < endB; j++) {
+      result.push({ type: 'add', text: b[j], newLine: j + 1 });
+    }
+    return result;
+  }
+
+  // lcs[i][j] 表示 a[startA+i..] 与 b[startB+j..] 的最长公共子序列长度
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[startA + i] === b[startB + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[startA + i] === b[startB + j]) {
+      result.push({ type: 'equal', text: a[startA + i], oldLine: startA + i + 1, newLine: startB + j + 1 });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'remove', text: a[startA + i], oldLine: startA + i + 1 });
+      i++;
+    } else {
+      result.push({ type: 'add', text: b[startB + j], newLine: startB + j + 1 });
+      j++;
+    }
+  }
+  for (; i < n; i++) {
+    result.push({ type: 'remove', text: a[startA + i], oldLine: startA + i + 1 });
+  }
+  for (; j < m; j++) {
+    result.push({ type: 'add', text: b[startB + j], newLine: startB + j + 1 });
+  }
+
+  return result;
+}
+
+module.exports = { diffLines };
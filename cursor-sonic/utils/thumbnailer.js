@@ -0,0 +1,172 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { pathToFileURL } = require('url');
+
+// 未指定 CHROMIUM_PATH 时在 PATH 中查找的可执行文件名
+const BROWSER_CANDIDATES = ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable', 'chrome'];
+
+/**
+ * 缩略图生成工具
+ * 使用本机安装的 Chromium 无头模式截取HTML页面，渲染时禁止一切网络访问
+ * 任务串行执行，同一时间只启动一个浏览器进程
+ */
+class Thumbnailer {
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.outputDir 缩略图目录
+   * @param {string} options.executablePath 浏览器路径，默认读取 CHROMIUM_PATH 或在 PATH 中查找
+   * @param {Array<string>} options.sizes 视口尺寸，如 ['1280x800']，默认读取 THUMBNAIL_SIZES
+   * @param {number} options.timeout 单次渲染超时（毫秒）
+   */
+  constructor(options = {}) {
+    const {
+      outputDir,
+      executablePath = process.env.CHROMIUM_PATH || Thumbnailer.findBrowser(),
+      sizes = (process.env.THUMBNAIL_SIZES || '1280x800').split(','),
+      timeout = 20000
+    } = options;
+
+    this.outputDir = outputDir;
+    this.executablePath = executablePath;
+    this.sizes = sizes.map(size => size.trim()).filter(size => /^\d+x\d+$/.test(size));
+    this.timeout = timeout;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 在 PATH 中查找浏览器
+   * @returns {string|null} 可执行文件路径
+   */
+  static findBrowser() {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const name of BROWSER_CANDIDATES) {
+      for (const dir of dirs) {
+        const candidate = path.join(dir, name);
+        if (fs.existsSync(candidate)) return candidate;
+      }
+    }
+    return null;
+  }
+
+  get enabled() {
+    return !!this.executablePath && this.sizes.length > 0;
+  }
+
+  get defaultSize() {
+    return this.sizes[0];
+  }
+
+  getFileName(encryptedName, size) {
+    return `${path.basename(encryptedName, path.extname(encryptedName))}-${size}.png`;
+  }
+
+  getPath(fileName) {
+    return path.join(this.outputDir, path.basename(fileName));
+  }
+
+  /**
+   * 加入生成队列
+   * @param {string} sourcePath HTML文件路径
+   * @param {string} encryptedName 加密文件名，用于命名缩略图
+   * @returns {Promise<Object>} 尺寸到缩略图文件名的映射
+   */
+  enqueue(sourcePath, encryptedName) {
+    const task = this.queue.then(() => this.generate(sourcePath, encryptedName));
+    // 单个任务失败不影响后续任务
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async generate(sourcePath, encryptedName) {
+    if (!this.enabled) {
+      throw new Error('未找到 Chromium，缩略图功能不可用');
+    }
+
+    fs.ensureDirSync(this.outputDir);
+
+    const thumbnails = {};
+    for (const size of this.sizes) {
+      const fileName = this.getFileName(encryptedName, size);
+      await this.render(sourcePath, this.getPath(fileName), size);
+      thumbnails[size] = fileName;
+    }
+    return thumbnails;
+  }
+
+  /**
+   * 渲染单个尺寸的截图
+   * @param {string} sourcePath HTML文件路径
+   * @param {string} outputPath PNG输出路径
+   * @param {string} size 视口尺寸，如 1280x800
+   */
+  async render(sourcePath, outputPath, size) {
+    const [width, height] = size.split('x');
+    // 每次使用独立的临时用户目录，避免与其他浏览器实例冲突
+    const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openonehtml-chromium-'));
+    const tmpOutput = `${outputPath}.${process.pid}.tmp.png`;
+
+    const args = [
+      '--headless',
+      '--disable-gpu',
+      '--hide-scrollbars',
+      '--mute-audio',
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--disable-extensions',
+      '--disable-background-networking',
+      '--disable-sync',
+      // 禁止网络访问：域名解析全部失败，并将请求指向不可用的代理
+      '--host-resolver-rules=MAP * ~NOTFOUND',
+      '--proxy-server=127.0.0.1:9',
+      '--virtual-time-budget=3000',
+      `--user-data-dir=${profileDir}`,
+      `--window-size=${width},${height}`,
+      `--screenshot=${tmpOutput}`,
+      pathToFileURL(path.resolve(sourcePath)).href
+    ];
+
+    // 以 root 身份运行时 Chromium 要求关闭自身沙箱
+    if (typeof process.getuid === 'function' && process.getuid() === 0) {
+      args.unshift('--no-sandbox');
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(this.executablePath, args, { timeout: this.timeout, killSignal: 'SIGKILL' }, (error) => {
+          if (error) {
+            reject(new Error(`截图失败: ${error.killed ? '渲染超时' : error.message}`));
+          } else {
+            resolve();
+          }
+        });
+      });
+
+      if (!fs.existsSync(tmpOutput)) {
+        throw new Error('截图失败: 浏览器未生成图片');
+      }
+      fs.moveSync(tmpOutput, outputPath, { overwrite: true });
+    } finally {
+      fs.removeSync(tmpOutput);
+      fs.removeSync(profileDir);
+    }
+  }
+
+  /**
+   * 获取已存在的缩略图（例如回滚到旧版本时）
+   * @param {string} encryptedName 加密文件名
+   * @returns {Object|null} 全部尺寸都存在时返回映射，否则返回 null
+   */
+  findExisting(encryptedName) {
+    const thumbnails = {};
+    for (const size of this.sizes) {
+      const fileName = this.getFileName(encryptedName, size);
+      if (!fs.existsSync(this.getPath(fileName))) return null;
+      thumbnails[size] = fileName;
+    }
+    return this.sizes.length > 0 ? thumbnails : null;
+  }
+}
+
+module.exports = Thumbnailer;
@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+const HTMLMerger = require('./merge-css-js');
+const { ZipError, readZip, normalizeEntryName } = require('./zip-reader');
+
+/**
+ * 上传打包工具
+ * 把上传的 ZIP 压缩包或一组文件（HTML + CSS/JS/图片）还原成目录，
+ * 找到入口页面后用 HTMLMerger 合并为单个自包含的HTML
+ */
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// 上传时允许的资源文件类型（HTML、ZIP 之外）
+const ASSET_EXTENSIONS = ['.css', '.js', '.mjs', ...Object.keys(HTMLMerger.MIME_TYPES)];
+
+class BundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BundleError';
+  }
+}
+
+function isHTML(name) {
+  return HTML_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function isZip(name) {
+  return path.extname(name).toLowerCase() === '.zip';
+}
+
+/**
+ * 是否允许上传该文件
+ * @param {string} name 文件名
+ * @returns {boolean}
+ */
+function isAllowedUpload(name) {
+  const extension = path.extname(name).toLowerCase();
+  return isHTML(name) || isZip(name) || ASSET_EXTENSIONS.includes(extension);
+}
+
+/**
+ * 选择入口页面：取层级最浅的HTML，同一层有多个时使用 index.html
+ * @param {Array<string>} names 包内文件的相对路径
+ * @returns {string} 入口页面路径
+ * @throws {BundleError} 没有HTML或无法确定入口
+ */
+function findEntry(names) {
+  const htmlFiles = names.filter(isHTML);
+  if (htmlFiles.length === 0) {
+    throw new BundleError('没有找到HTML文件');
+  }
+
+  const depth = name => name.split('/').length;
+  const minDepth = Math.min(...htmlFiles.map(depth));
+  const candidates = htmlFiles.filter(name => depth(name) === minDepth);
+
+  const entry = candidates.find(name => /^index\.html?$/i.test(path.posix.basename(name))) ||
+    (candidates.length === 1 ? candidates[0] : null);
+  if (!entry) {
+    throw new BundleError(`无法确定入口页面（${candidates.join('、')}），请将入口页面命名为 index.html`);
+  }
+  return entry;
+}
+
+/**
+ * 合并上传的文件
+ * @param {Array<Object>} files multer 保存的文件（originalname、path）
+ * @param {string} workDir 临时工作目录，由调用方负责清理
+ * @returns {Promise<Object>} { html, source, entry, references, inlined, unresolved, skipped }
+ * @throws {BundleError|ZipError} 上传内容无效
+ */
+async function createBundle(files, workDir) {
+  const rootDir = path.join(workDir, 'package');
+  const names = [];
+
+  const addFile = (name, write) => {
+    let relativePath;
+    try {
+      relativePath = normalizeEntryName(name);
+    } catch (error) {
+      throw new BundleError(error.message);
+    }
+    if (names.includes(relativePath)) {
+      throw new BundleError(`文件重名: ${relativePath}`);
+    }
+
+    names.push(relativePath);
+    write(path.join(rootDir, relativePath));
+  };
+
+  let source;
+  if (files.length === 1 && isZip(files[0].originalname)) {
+    source = 'zip';
+    readZip(fs.readFileSync(files[0].path)).forEach(entry => {
+      addFile(entry.name, target => fs.outputFileSync(target, entry.data));
+    });
+  } else {
+    if (files.some(file => isZip(file.originalname))) {
+      throw new BundleError('压缩包需要单独上传');
+    }
+    source = 'files';
+    files.forEach(file => {
+      addFile(file.originalname, target => fs.moveSync(file.path, target));
+    });
+  }
+
+  // 入口页面所在目录视为站点根目录，资源路径也相对它记录
+  const entry = findEntry(names);
+  const merger = new HTMLMerger({
+    rootDir: path.dirname(path.join(rootDir, entry)),
+    matchBasename: source === 'files'
+  });
+  const result = await merger.bundle(path.join(rootDir, entry));
+
+  return { source, entry, ...result };
+}
+
+module.exports = {
+  BundleError,
+  ZipError,
+  isHTML,
+  isZip,
+  isAllowedUpload,
+  findEntry,
+  createBundle
+};
@@ -0,0 +1,123 @@
+/**
+ * 盲评投票工具
+ * 从相同提示词、不同模型的文件中抽取两两组合供评审人盲评，
+ * 按投票时间依次回放所有投票，计算每个模型的 Elo 评分
+ */
+
+const INITIAL_RATING = 1500;
+const K_FACTOR = 32;
+
+const WINNERS = ['a', 'b', 'tie'];
+
+// 与顺序无关的组合标识
+function pairKey(idA, idB) {
+  return [idA, idB].sort().join(':');
+}
+
+/**
+ * 找出所有可盲评的组合：提示词相同且模型不同的两个文件
+ * @param {Array} files 文件列表（已排除删除的文件）
+ * @returns {Array<[Object, Object]>} 文件组合
+ */
+function findPairs(files) {
+  const groups = new Map();
+  files.forEach(file => {
+    const prompt = (file.prompt || '').trim();
+    if (!prompt || !file.model) return;
+    if (!groups.has(prompt)) groups.set(prompt, []);
+    groups.get(prompt).push(file);
+  });
+
+  const pairs = [];
+  groups.forEach(groupFiles => {
+    for (let i = 0; i < groupFiles.length; i++) {
+      for (let j = i + 1; j < groupFiles.length; j++) {
+        if (groupFiles[i].model !== groupFiles[j].model) {
+          pairs.push([groupFiles[i], groupFiles[j]]);
+        }
+      }
+    }
+  });
+  return pairs;
+}
+
+/**
+ * 随机抽取一组，优先选择该评审人还没有投过票的组合，左右顺序也随机
+ * @param {Array} pairs findPairs 的结果
+ * @param {Array} votes 有效投票
+ * @param {string} userId 当前评审人
+ * @param {Function} random 随机数函数
+ * @returns {Object|null} { a, b, fresh }，fresh 表示该评审人尚未对这组投票
+ */
+function pickPair(pairs, votes, userId, random = Math.random) {
+  if (pairs.length === 0) return null;
+
+  const voted = new Set(votes.filter(vote => vote.userId === userId).map(vote => pairKey(vote.fileA, vote.fileB)));
+  const fresh = pairs.filter(([a, b]) => !voted.has(pairKey(a.id, b.id)));
+  const pool = fresh.length > 0 ? fresh : pairs;
+
+  const [first, second] = pool[Math.floor(random() * pool.length)];
+  const swap = random() < 0.5;
+  return {
+    a: swap ? second : first,
+    b: swap ? first : second,
+    fresh: fresh.length > 0
+  };
+}
+
+/**
+ * 按投票时间回放，计算各模型的 Elo 评分
+ * @param {Array} votes 投票记录（modelA、modelB、winner、createTime）
+ * @param {Object} options 选项
+ * @param {number} options.initial 初始评分
+ * @param {number} options.k K 系数
+ * @returns {Array<{modelId, rating, games, wins, losses, ties}>} 按评分降序排列
+ */
+function computeRatings(votes, options = {}) {
+  const { initial = INITIAL_RATING, k = K_FACTOR } = options;
+  const models = new Map();
+
+  const entry = modelId => {
+    if (!models.has(modelId)) {
+      models.set(modelId, { modelId, rating: initial, games: 0, wins: 0, losses: 0, ties: 0 });
+    }
+    return models.get(modelId);
+  };
+
+  [...votes]
+    .sort((a, b) => new Date(a.createTime) - new Date(b.createTime))
+    .forEach(vote => {
+      const a = entry(vote.modelA);
+      const b = entry(vote.modelB);
+
+      const expectedA = 1 / (1 + Math.pow(10, (b.rating - a.rating) / 400));
+      const scoreA = vote.winner === 'a' ? 1 : vote.winner === 'b' ? 0 : 0.5;
+
+      a.rating += k * (scoreA - expectedA);
+      b.rating += k * ((1 - scoreA) - (1 - expectedA));
+      a.games++;
+      b.games++;
+
+      if (vote.winner === 'tie') {
+        a.ties++;
+        b.ties++;
+      } else {
+        const [winner, loser] = vote.winner === 'a' ? [a, b] : [b, a];
+        winner.wins++;
+        loser.losses++;
+      }
+    });
+
+  return [...models.values()]
+    .map(model => ({ ...model, rating: Math.round(model.rating) }))
+    .sort((a, b) => b.rating - a.rating || b.games - a.games);
+}
+
+module.exports = {
+  INITIAL_RATING,
+  K_FACTOR,
+  WINNERS,
+  findPairs,
+  pickPair,
+  computeRatings
+};
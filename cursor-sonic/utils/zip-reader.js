@@ -0,0 +1,159 @@
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * ZIP 解压工具
+ * 只依赖 Node 内置的 zlib，支持存储（0）和 Deflate（8）两种压缩方式，
+ * 不支持加密和 ZIP64。条目路径会被规范化，拒绝指向压缩包外部的路径
+ */
+
+const SIGNATURE_EOCD = 0x06054b50;
+const SIGNATURE_CENTRAL = 0x02014b50;
+const SIGNATURE_LOCAL = 0x04034b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// macOS 压缩时附带的元数据，不属于页面内容
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+// 未标记 UTF-8 的文件名多为 Windows 中文系统打包的 GBK 编码
+function decodeName(bytes, utf8) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    if (utf8) throw new ZipError('文件名编码无效');
+  }
+  try {
+    return new TextDecoder('gbk').decode(bytes);
+  } catch (error) {
+    return bytes.toString('latin1');
+  }
+}
+
+/**
+ * 规范化条目路径
+ * @param {string} name 原始路径
+ * @returns {string} 相对路径
+ * @throws {ZipError} 路径指向压缩包外部
+ */
+function normalizeEntryName(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || /^[a-z]:/i.test(normalized) ||
+      normalized === '..' || normalized.startsWith('../')) {
+    throw new ZipError(`非法的文件路径: ${name}`);
+  }
+  return normalized;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // 目录结束记录 22 字节，其后最多跟 65535 字节的注释
+  const min = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= min; offset--) {
+    if (buffer.readUInt32LE(offset) === SIGNATURE_EOCD) return offset;
+  }
+  throw new ZipError('不是有效的 ZIP 文件');
+}
+
+/**
+ * 读取 ZIP 文件中的全部文件条目
+ * @param {Buffer} buffer ZIP 文件内容
+ * @param {Object} options 限制选项
+ * @param {number} options.maxEntries 最多文件数
+ * @param {number} options.maxTotalSize 解压后的总大小上限（字节）
+ * @returns {Array<{name: string, data: Buffer}>} 文件条目（不含目录）
+ * @throws {ZipError} 文件损坏、格式不支持或超出限制
+ */
+function readZip(buffer, options = {}) {
+  const { maxEntries = 1000, maxTotalSize = 50 * 1024 * 1024 } = options;
+
+  if (buffer.length < 22) {
+    throw new ZipError('不是有效的 ZIP 文件');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new ZipError('不支持 ZIP64 格式的压缩包');
+  }
+
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== SIGNATURE_CENTRAL) {
+      throw new ZipError('ZIP 文件目录已损坏');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const rawName = decodeName(buffer.subarray(offset + 46, offset + 46 + nameLength), flags & FLAG_UTF8);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (rawName.endsWith('/') || IGNORED_ENTRIES.test(rawName)) continue;
+
+    const name = normalizeEntryName(rawName);
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new ZipError(`不支持加密的压缩包: ${name}`);
+    }
+    if (entries.length >= maxEntries) {
+      throw new ZipError(`压缩包中的文件超过 ${maxEntries} 个`);
+    }
+
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new ZipError(`压缩包解压后超过 ${Math.round(maxTotalSize / 1024 / 1024)}MB`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== SIGNATURE_LOCAL) {
+      throw new ZipError(`ZIP 文件条目已损坏: ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      try {
+        // 按目录中记录的大小限制输出，防止压缩炸弹
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new ZipError(`解压失败: ${name}`);
+      }
+    } else {
+      throw new ZipError(`不支持的压缩方式 (${method}): ${name}`);
+    }
+
+    if (data.length !== size) {
+      throw new ZipError(`ZIP 文件条目已损坏: ${name}`);
+    }
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  ZipError,
+  readZip,
+  normalizeEntryName
+};
@@ -12,13 +12,15 @@ class App {
     try {
       console.log('正在初始化OpenOneHTML应用...');
 
-      // 初始化数据管理器
-      this.dataManager = new DataManager();
+      // 初始化数据管理器，传输方式由 js/config.js 决定（服务器、浏览器本地存储或只读静态数据）
+      this.dataManager = new DataManager(createTransport(window.OPENONEHTML_CONFIG));
       await this.dataManager.init();
 
-      // 初始化预置选项管理器
+      // 初始化预置选项管理器（无查看权限时等待登录后再加载）
       this.presetManager = new PresetManager(this.dataManager);
-      await this.presetManager.init();
+      if (this.dataManager.role) {
+        await this.presetManager.init();
+      }
 
       // 初始化UI管理器
       this.uiManager = new UIManager(this.dataManager, this.presetManager);
@@ -31,12 +33,22 @@ class App {
       // 设置全局事件监听
       this.setupGlobalEvents();
 
+      // 实时显示其他用户的修改（服务器版本）
+      if (this.dataManager.role) {
+        this.dataManager.startLiveUpdates();
+      }
+
       this.isInitialized = true;
       console.log('OpenOneHTML应用初始化完成');
 
       // 显示成功消息
       this.showMessage('应用初始化成功！', 'success');
 
+      // 静态版本：本地有修改时不会自动载入新的发布
+      if (this.dataManager.getSyncStatus()?.newPublish) {
+        this.showMessage('服务器有新的发布，请先在"同步"中导出本地修改，再载入最新发布', 'info');
+      }
+
     } catch (error) {
       console.error('应用初始化失败:', error);
       this.showMessage('应用初始化失败，请刷新页面重试', 'error');
@@ -0,0 +1,286 @@
+// 盲评视图 - 随机抽取提示词相同、模型不同的两个实现并排展示，隐藏模型、文件名和标题后投票
+class BlindVoteView {
+  constructor(dataManager, presetManager) {
+    this.dataManager = dataManager;
+    this.presetManager = presetManager;
+    this.pair = null;
+    this.voted = false;
+  }
+
+  init() {
+    this.createView();
+  }
+
+  createView() {
+    if (document.getElementById('blindVoteView')) return;
+
+    const view = document.createElement('div');
+    view.id = 'blindVoteView';
+    view.className = 'compare-view blind-vote-view';
+    view.style.display = 'none';
+
+    view.innerHTML = `
+      <div class="compare-toolbar">
+        <h3>盲评投票</h3>
+        <div class="filter-group">
+          <label for="blindTagFilter">标签:</label>
+          <select id="blindTagFilter"></select>
+        </div>
+        <div class="filter-group">
+          <label for="blindCategoryFilter">分类:</label>
+          <select id="blindCategoryFilter"></select>
+        </div>
+        <button type="button" id="blindSkipBtn" class="btn btn-secondary">换一组</button>
+        <button type="button" id="blindCloseBtn" class="btn btn-secondary">退出盲评</button>
+      </div>
+      <div class="blind-vote-body">
+        <div class="blind-vote-main">
+          <div class="blind-prompt" id="blindPrompt"></div>
+          <div class="compare-grid" id="blindGrid"></div>
+          <div class="blind-vote-actions" id="blindVoteActions">
+            <button type="button" class="btn btn-primary" data-winner="a">A 更好</button>
+            <button type="button" class="btn btn-secondary" data-winner="tie">差不多</button>
+            <button type="button" class="btn btn-primary" data-winner="b">B 更好</button>
+            <button type="button" class="btn btn-primary" id="blindNextBtn" hidden>下一组</button>
+          </div>
+        </div>
+        <aside class="blind-ratings">
+          <h4>Elo 评分</h4>
+          <div id="blindRatings"></div>
+          <button type="button" id="blindResetBtn" class="btn btn-small btn-danger" hidden>重置评分</button>
+        </aside>
+      </div>
+    `;
+
+    document.body.appendChild(view);
+
+    // 标签、分类同时限定抽题范围和评分统计范围
+    ['#blindTagFilter', '#blindCategoryFilter'].forEach(selector => {
+      view.querySelector(selector).addEventListener('change', () => {
+        this.loadPair();
+        this.loadRatings();
+      });
+    });
+
+    view.querySelectorAll('[data-winner]').forEach(button => {
+      button.addEventListener('click', () => this.vote(button.dataset.winner));
+    });
+
+    view.querySelector('#blindSkipBtn').addEventListener('click', () => this.loadPair());
+    view.querySelector('#blindNextBtn').addEventListener('click', () => this.loadPair());
+    view.querySelector('#blindCloseBtn').addEventListener('click', () => this.close());
+    view.querySelector('#blindResetBtn').addEventListener('click', () => this.resetRatings());
+  }
+
+  isOpen() {
+    const view = document.getElementById('blindVoteView');
+    return !!view && view.style.display !== 'none';
+  }
+
+  open() {
+    const view = document.getElementById('blindVoteView');
+    if (!view) return;
+
+    this.renderFilterOptions();
+    view.querySelector('#blindResetBtn').hidden = !this.dataManager.hasRole('admin');
+    view.style.display = 'flex';
+    document.body.classList.add('compare-open');
+
+    this.loadPair();
+    this.loadRatings();
+  }
+
+  close() {
+    const view = document.getElementById('blindVoteView');
+    if (!view) return;
+
+    view.style.display = 'none';
+    document.body.classList.remove('compare-open');
+    view.querySelector('#blindGrid').innerHTML = '';
+    this.pair = null;
+  }
+
+  renderFilterOptions() {
+    const fill = (select, placeholder, items) => {
+      const current = select.value;
+      select.innerHTML = '';
+      [{ value: '', label: placeholder }, ...items].forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = items.some(item => item.value === current) ? current : '';
+    };
+
+    fill(document.getElementById('blindTagFilter'), '全部',
+      this.presetManager.getTags().map(tag => ({ value: tag.id, label: tag.name })));
+    fill(document.getElementById('blindCategoryFilter'), '全部',
+      this.presetManager.getCategoryTree().map(({ category, depth }) => ({ value: category.id, label: `${'\u3000'.repeat(depth)}${category.name}` })));
+  }
+
+  getFilters() {
+    const filters = {};
+    const tag = document.getElementById('blindTagFilter')?.value;
+    const category = document.getElementById('blindCategoryFilter')?.value;
+    if (tag) filters.tag = tag;
+    if (category) filters.category = category;
+    return filters;
+  }
+
+  async loadPair() {
+    const grid = document.getElementById('blindGrid');
+    const prompt = document.getElementById('blindPrompt');
+    if (!grid) return;
+
+    this.voted = false;
+    this.updateActions();
+
+    try {
+      this.pair = await this.dataManager.getVotePair(this.getFilters());
+    } catch (error) {
+      this.pair = null;
+      prompt.textContent = '';
+      grid.style.gridTemplateColumns = '';
+      grid.innerHTML = '';
+      const empty = document.createElement('div');
+      empty.className = 'empty-state';
+      empty.innerHTML = '<h3></h3>';
+      empty.querySelector('h3').textContent = error.message || '加载失败';
+      grid.appendChild(empty);
+      this.updateActions();
+      return;
+    }
+
+    prompt.textContent = `提示词：${this.pair.prompt}`;
+    if (!this.pair.fresh) {
+      prompt.textContent += '（这个范围内的组合你都已投过票）';
+    }
+
+    grid.innerHTML = '';
+    grid.style.gridTemplateColumns = 'repeat(2, minmax(0, 1fr))';
+    ['a', 'b'].forEach(side => {
+      const column = document.createElement('div');
+      column.className = 'compare-column';
+      column.dataset.side = side;
+
+      const header = document.createElement('div');
+      header.className = 'compare-column-header';
+      const name = document.createElement('div');
+      name.className = 'compare-model-name';
+      name.textContent = side.toUpperCase();
+      header.appendChild(name);
+      column.appendChild(header);
+
+      // 页面由服务端以 CSP sandbox 下发，无法读取管理端数据
+      const iframe = document.createElement('iframe');
+      iframe.className = 'compare-frame';
+      iframe.setAttribute('sandbox', 'allow-scripts allow-modals');
+      iframe.title = side.toUpperCase();
+      iframe.src = this.pair[side].url;
+      column.appendChild(iframe);
+
+      grid.appendChild(column);
+    });
+  }
+
+  updateActions() {
+    const actions = document.getElementById('blindVoteActions');
+    if (!actions) return;
+
+    actions.querySelectorAll('[data-winner]').forEach(button => {
+      button.hidden = this.voted;
+      button.disabled = !this.pair;
+    });
+    actions.querySelector('#blindNextBtn').hidden = !this.voted;
+  }
+
+  async vote(winner) {
+    if (!this.pair || this.voted) return;
+
+    try {
+      const result = await this.dataManager.submitVote(this.pair.a.id, this.pair.b.id, winner);
+      this.voted = true;
+      this.updateActions();
+      this.reveal(result.reveal, winner);
+      this.loadRatings();
+    } catch (error) {
+      window.OpenOneHTML.showMessage(error.message || '投票失败', 'error');
+    }
+  }
+
+  // 投票后揭晓双方的模型和文件
+  reveal(reveal, winner) {
+    ['a', 'b'].forEach(side => {
+      const column = document.querySelector(`#blindGrid .compare-column[data-side="${side}"]`);
+      if (!column) return;
+
+      const info = reveal[side];
+      column.classList.toggle('blind-winner', winner === side);
+      column.querySelector('.compare-model-name').textContent = `${side.toUpperCase()} · ${info.modelName || '未知模型'}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'compare-meta';
+      meta.textContent = info.title && info.title !== info.originalName
+        ? `${info.title} · ${info.originalName}`
+        : info.originalName;
+      column.querySelector('.compare-column-header').appendChild(meta);
+    });
+  }
+
+  async loadRatings() {
+    const container = document.getElementById('blindRatings');
+    if (!container) return;
+
+    let data;
+    try {
+      data = await this.dataManager.getRatings(this.getFilters());
+    } catch (error) {
+      container.textContent = '加载评分失败';
+      return;
+    }
+
+    container.innerHTML = '';
+    if (data.ratings.length === 0) {
+      container.textContent = '当前范围内还没有投票';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+    const headRow = table.createTHead().insertRow();
+    ['#', '模型', '评分', '胜/平/负'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    data.ratings.forEach((rating, index) => {
+      const row = tbody.insertRow();
+      [index + 1, rating.modelName, rating.rating, `${rating.wins}/${rating.ties}/${rating.losses}`].forEach((value, cellIndex) => {
+        const cell = row.insertCell();
+        cell.textContent = value;
+        if (cellIndex === 2) cell.className = 'leaderboard-score';
+      });
+    });
+    container.appendChild(table);
+
+    const summary = document.createElement('p');
+    summary.className = 'blind-ratings-summary';
+    summary.textContent = `共 ${data.votes} 票，初始 ${data.initial} 分，K=${data.k}`;
+    container.appendChild(summary);
+  }
+
+  async resetRatings() {
+    if (!confirm('确定要重置 Elo 评分吗？现有投票将归档，不再参与计算。')) return;
+
+    try {
+      const result = await this.dataManager.resetRatings();
+      window.OpenOneHTML.showMessage(`已归档 ${result.archived} 条投票`, 'success');
+      this.loadRatings();
+    } catch (error) {
+      window.OpenOneHTML.showMessage(error.message || '重置评分失败', 'error');
+    }
+  }
+}
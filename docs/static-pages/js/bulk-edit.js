@@ -0,0 +1,248 @@
+/**
+ * 批量编辑
+ * 浏览器与服务端共用：对选中的多个文件一次修改标签、模型、分类、背景需求、提示词，或批量删除、恢复。
+ * 服务端在一个事务中按计划写入，浏览器本地存储版本直接修改数据，批量编辑面板先用同一份计划预览。
+ * 修改内容格式，只包含要修改的字段：
+ *   { tags: { mode, values: [标签ID] }, model: { mode, value }, category: { mode, value },
+ *     background: { mode, value }, prompt: { mode, value } }
+ * mode 为 add（添加）、remove（移除）或 replace（替换）：
+ *   标签：添加、移除所列标签，或替换为所列标签
+ *   模型、分类：添加只设置尚未设置的文件，移除清除等于 value 的值（value 为空时全部清除），替换为 value
+ *   背景需求、提示词：添加追加到原文之后（换行分隔），移除删除原文中的 value，替换为 value
+ * 计划格式：
+ *   {
+ *     action: 'update' | 'delete' | 'restore', summary,
+ *     files: [{ id, title, before, after }]      发生变化的文件，before、after 只包含变化的字段
+ *     results: [{ id, title, status, error }]    每个选中文件的结果，status 为 changed、unchanged 或 skipped
+ *   }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BulkEdit = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIELDS = {
+    tags: { label: '标签', kind: 'list', collection: 'preset_tags' },
+    model: { label: '模型', kind: 'reference', collection: 'preset_models' },
+    category: { label: '分类', kind: 'reference', collection: 'categories' },
+    background: { label: '背景需求', kind: 'text' },
+    prompt: { label: '提示词', kind: 'text' }
+  };
+
+  const MODES = {
+    add: '添加',
+    remove: '移除',
+    replace: '替换'
+  };
+
+  const ACTIONS = {
+    update: '修改',
+    delete: '删除',
+    restore: '恢复'
+  };
+
+  class BulkEditError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'BulkEditError';
+    }
+  }
+
+  function findRecord(data, collection, id) {
+    return (data[collection] || []).find(record => record.id === id) || null;
+  }
+
+  /**
+   * 整理并检查修改内容：字段和方式有效，引用的标签、模型、分类存在
+   * @param {Object} changes 修改内容
+   * @param {Object} data { preset_tags, preset_models, categories }
+   * @returns {Object} 整理后的修改内容，标签去重，文本去掉首尾空白
+   * @throws {BulkEditError}
+   */
+  function checkChanges(changes, data) {
+    if (!changes || typeof changes !== 'object') {
+      throw new BulkEditError('请提供要修改的内容');
+    }
+
+    const checked = {};
+    Object.entries(changes).forEach(([field, change]) => {
+      const definition = FIELDS[field];
+      if (!definition) {
+        throw new BulkEditError(`不支持批量修改的字段: ${field}`);
+      }
+      if (!change || !MODES[change.mode]) {
+        throw new BulkEditError(`${definition.label}的修改方式无效: ${change && change.mode}`);
+      }
+
+      if (definition.kind === 'list') {
+        const values = [...new Set(Array.isArray(change.values) ? change.values.filter(Boolean) : [])];
+        if (values.length === 0 && change.mode !== 'replace') {
+          throw new BulkEditError(`请选择要${MODES[change.mode]}的${definition.label}`);
+        }
+        values.forEach(id => {
+          if (!findRecord(data, definition.collection, id)) {
+            throw new BulkEditError(`${definition.label}不存在: ${id}`);
+          }
+        });
+        checked[field] = { mode: change.mode, values };
+        return;
+      }
+
+      const value = definition.kind === 'text' ? String(change.value || '').trim() : change.value || '';
+      if (definition.kind === 'reference' && value && !findRecord(data, definition.collection, value)) {
+        throw new BulkEditError(`${definition.label}不存在: ${value}`);
+      }
+      if (!value && (change.mode === 'add' || (definition.kind === 'text' && change.mode === 'remove'))) {
+        throw new BulkEditError(`请${definition.kind === 'text' ? '填写' : '选择'}要${MODES[change.mode]}的${definition.label}`);
+      }
+      checked[field] = { mode: change.mode, value };
+    });
+
+    if (Object.keys(checked).length === 0) {
+      throw new BulkEditError('请至少修改一个字段');
+    }
+    return checked;
+  }
+
+  // 按修改方式计算一个字段修改后的值
+  function applyChange(field, change, current) {
+    const { kind } = FIELDS[field];
+    if (kind === 'list') {
+      const tags = current || [];
+      if (change.mode === 'add') return [...tags, ...change.values.filter(id => !tags.includes(id))];
+      if (change.mode === 'remove') return tags.filter(id => !change.values.includes(id));
+      // 标签相同时保留原来的顺序，不算修改
+      const same = tags.length === change.values.length && tags.every(id => change.values.includes(id));
+      return same ? tags : [...change.values];
+    }
+
+    const text = current || '';
+    if (change.mode === 'replace') return change.value;
+    if (kind === 'reference') {
+      if (change.mode === 'add') return text || change.value;
+      return !change.value || text === change.value ? '' : text;
+    }
+    if (change.mode === 'add') return text ? `${text}\n${change.value}` : change.value;
+    return text.split(change.value).join('').trim();
+  }
+
+  function isSame(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * 生成批量编辑计划。不存在的文件以及修改已删除的文件跳过，不影响其余文件
+   * @param {Object} data 与 data.json 格式相同的数据
+   * @param {Object} request { ids: [文件ID], action, changes }，action 默认为 update
+   * @returns {Object} 计划
+   * @throws {BulkEditError} 没有选择文件、动作无效或修改内容无效
+   */
+  function planBulkEdit(data, request = {}) {
+    const { action = 'update' } = request;
+    const ids = [...new Set(Array.isArray(request.ids) ? request.ids : [])];
+    if (ids.length === 0) {
+      throw new BulkEditError('请选择要批量处理的文件');
+    }
+    if (!ACTIONS[action]) {
+      throw new BulkEditError(`无效的批量操作: ${action}`);
+    }
+    const changes = action === 'update' ? checkChanges(request.changes, data) : null;
+
+    const files = [];
+    const results = ids.map(id => {
+      const file = findRecord(data, 'files', id);
+      if (!file) {
+        return { id, title: id, status: 'skipped', error: '文件不存在' };
+      }
+
+      const title = file.title || file.originalName || file.id;
+      const deleted = file.status === 'deleted';
+      if (action === 'update' && deleted) {
+        return { id, title, status: 'skipped', error: '文件已删除，请先恢复' };
+      }
+
+      let after;
+      if (action === 'delete') {
+        after = deleted ? {} : { status: 'deleted' };
+      } else if (action === 'restore') {
+        after = deleted ? { status: 'active' } : {};
+      } else {
+        after = {};
+        Object.entries(changes).forEach(([field, change]) => {
+          const value = applyChange(field, change, file[field]);
+          if (!isSame(value, file[field] || (FIELDS[field].kind === 'list' ? [] : ''))) after[field] = value;
+        });
+      }
+
+      if (Object.keys(after).length === 0) {
+        return { id, title, status: 'unchanged', error: null };
+      }
+      const before = {};
+      Object.keys(after).forEach(field => {
+        before[field] = file[field] !== undefined ? file[field] : (FIELDS[field] && FIELDS[field].kind === 'list' ? [] : '');
+      });
+      files.push({ id, title, before, after });
+      return { id, title, status: 'changed', error: null };
+    });
+
+    const count = status => results.filter(result => result.status === status).length;
+    const summary = [
+      files.length === 0 ? `没有文件需要${ACTIONS[action]}` : `${ACTIONS[action]} ${files.length} 个文件`,
+      count('unchanged') > 0 ? `${count('unchanged')} 个无需${ACTIONS[action]}` : '',
+      count('skipped') > 0 ? `跳过 ${count('skipped')} 个` : ''
+    ].filter(Boolean).join('，');
+
+    return { action, summary, files, results };
+  }
+
+  /**
+   * 计划中一个文件的变化说明，如：标签 +画布 -草稿；模型 未设置 → GLM-4.5；提示词 追加 "使用暗色主题"
+   * @param {Object} entry 计划中的文件 { before, after }
+   * @param {Object} data { preset_tags, preset_models, categories }
+   * @returns {string}
+   */
+  function describeEntry(entry, data) {
+    const nameOf = (collection, id) => {
+      if (!id) return '未设置';
+      const record = findRecord(data, collection, id);
+      return record ? record.name : id;
+    };
+    const shorten = text => {
+      if (!text) return '空';
+      return text.length > 20 ? `"${text.slice(0, 20)}…"` : `"${text}"`;
+    };
+
+    return Object.keys(entry.after).map(field => {
+      const before = entry.before[field];
+      const after = entry.after[field];
+      if (field === 'status') return after === 'deleted' ? '删除' : '恢复';
+
+      const definition = FIELDS[field];
+      if (definition.kind === 'list') {
+        const added = after.filter(id => !before.includes(id)).map(id => `+${nameOf(definition.collection, id)}`);
+        const removed = before.filter(id => !after.includes(id)).map(id => `-${nameOf(definition.collection, id)}`);
+        return `${definition.label} ${[...added, ...removed].join(' ')}`;
+      }
+      if (definition.kind === 'reference') {
+        return `${definition.label} ${nameOf(definition.collection, before)} → ${nameOf(definition.collection, after)}`;
+      }
+      // 追加的文字单独显示，否则截断后前后看起来相同
+      if (before && after.startsWith(before)) {
+        return `${definition.label} 追加 ${shorten(after.slice(before.length).trim())}`;
+      }
+      return `${definition.label} ${shorten(before)} → ${shorten(after)}`;
+    }).join('；');
+  }
+
+  return {
+    FIELDS,
+    MODES,
+    ACTIONS,
+    BulkEditError,
+    checkChanges,
+    planBulkEdit,
+    describeEntry
+  };
+});
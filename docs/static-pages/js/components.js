@@ -27,19 +27,36 @@ class FileList {
     this.files = [];
     this.currentFilters = {};
     this.removeListener = null;
+    this.compareGroupCounts = new Map();
     this.displaySettings = this.loadDisplaySettings();
+    this.layout = localStorage.getItem('fileListLayout') || 'cards';
+    // 查询语句的语法树
+    this.query = null;
+    // 服务端全文搜索结果：id -> { score, snippet }
+    this.searchResults = null;
+    this.searchRequestId = 0;
+    // 多选模式：选中的文件ID，按住 Shift 点击时从上次点击的文件开始连续选择
+    this.selecting = false;
+    this.selectedIds = new Set();
+    this.lastSelectedId = null;
+    // 回收站：只显示已删除的文件，用于恢复
+    this.showDeleted = false;
   }
 
   init() {
     // 监听数据变化
-    this.removeListener = this.dataManager.addListener((data) => {
+    this.removeListener = this.dataManager.addListener(async (data) => {
       this.files = data.files || [];
+      this.pruneSelection();
+      // 文件内容可能已变化，重新获取搜索结果
+      await this.updateSearchResults();
       this.render();
     });
 
     // 监听搜索筛选变化
-    document.addEventListener('searchFiltersChanged', (e) => {
+    document.addEventListener('searchFiltersChanged', async (e) => {
       this.currentFilters = e.detail.filters;
+      await this.updateSearchResults();
       this.render();
     });
 
@@ -51,11 +68,212 @@ class FileList {
       this.render();
     });
 
+    this.setupLayoutToggle();
+    this.setupExport();
+    this.setupSelection();
+
     // 初始化文件列表
     this.files = this.dataManager.data?.files || [];
     this.render();
   }
 
+  // 卡片 / 画廊布局切换
+  setupLayoutToggle() {
+    const toggle = document.getElementById('layoutToggle');
+    if (!toggle) return;
+
+    toggle.querySelectorAll('[data-layout]').forEach(button => {
+      button.addEventListener('click', () => this.setLayout(button.dataset.layout));
+    });
+    this.updateLayoutToggle();
+  }
+
+  // 导出当前筛选出的文件
+  setupExport() {
+    const exportBtn = document.getElementById('exportBtn');
+    if (!exportBtn) return;
+
+    exportBtn.addEventListener('click', () => {
+      const files = this.applyFilters();
+      if (files.length === 0) {
+        window.OpenOneHTML.showMessage('当前没有可导出的文件', 'error');
+        return;
+      }
+      window.OpenOneHTML.uiManager.modalManager.showExportModal(files);
+    });
+  }
+
+  // 多选、回收站和选中文件的批量操作
+  setupSelection() {
+    const handlers = {
+      selectModeBtn: () => this.setSelecting(!this.selecting),
+      trashBtn: () => this.setShowDeleted(!this.showDeleted),
+      selectAllBtn: () => this.selectAll(),
+      clearSelectionBtn: () => this.clearSelection(),
+      bulkEditBtn: () => window.OpenOneHTML.uiManager.modalManager.showBulkEditModal([...this.selectedIds]),
+      bulkDeleteBtn: () => this.runBulkAction('delete'),
+      bulkRestoreBtn: () => this.runBulkAction('restore')
+    };
+    Object.entries(handlers).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+    this.updateSelectionBar();
+  }
+
+  setSelecting(selecting) {
+    this.selecting = selecting;
+    if (!selecting) {
+      this.selectedIds.clear();
+      this.lastSelectedId = null;
+    }
+    this.render();
+  }
+
+  // 切换回收站时清空选择，避免对看不到的文件执行操作
+  setShowDeleted(showDeleted) {
+    this.showDeleted = showDeleted;
+    this.selectedIds.clear();
+    this.lastSelectedId = null;
+    this.render();
+  }
+
+  // 选中当前筛选出的全部文件
+  selectAll() {
+    this.applyFilters().forEach(file => this.selectedIds.add(file.id));
+    this.updateSelectionView();
+  }
+
+  clearSelection() {
+    this.selectedIds.clear();
+    this.lastSelectedId = null;
+    this.updateSelectionView();
+  }
+
+  // 数据更新后去掉已不在当前视图中的文件（被删除、恢复或移除）
+  pruneSelection() {
+    const visible = new Set(this.files
+      .filter(file => (file.status === 'deleted') === this.showDeleted)
+      .map(file => file.id));
+    this.selectedIds.forEach(id => {
+      if (!visible.has(id)) this.selectedIds.delete(id);
+    });
+  }
+
+  /**
+   * 切换文件的选中状态
+   * @param {string} id 文件ID
+   * @param {boolean} range 是否从上次点击的文件连续选择到此文件
+   * @param {Array<Object>} files 当前显示的文件，决定连续选择的范围
+   */
+  toggleSelection(id, range, files) {
+    const ids = files.map(file => file.id);
+    const anchor = ids.indexOf(this.lastSelectedId);
+
+    if (range && anchor !== -1) {
+      // 连续选择的文件与上次点击的文件状态相同
+      const select = this.selectedIds.has(this.lastSelectedId);
+      const index = ids.indexOf(id);
+      ids.slice(Math.min(anchor, index), Math.max(anchor, index) + 1).forEach(item => {
+        if (select) {
+          this.selectedIds.add(item);
+        } else {
+          this.selectedIds.delete(item);
+        }
+      });
+    } else if (this.selectedIds.has(id)) {
+      this.selectedIds.delete(id);
+    } else {
+      this.selectedIds.add(id);
+    }
+
+    this.lastSelectedId = id;
+    this.updateSelectionView();
+  }
+
+  // 只更新卡片的选中状态，不重新渲染
+  updateSelectionView() {
+    document.querySelectorAll('#filesGrid .file-card').forEach(card => {
+      const selected = this.selectedIds.has(card.dataset.id);
+      card.classList.toggle('selected', selected);
+      const checkbox = card.querySelector('.file-card-select');
+      if (checkbox) checkbox.checked = selected;
+    });
+    this.updateSelectionBar();
+  }
+
+  updateSelectionBar() {
+    const selectModeBtn = document.getElementById('selectModeBtn');
+    if (selectModeBtn) selectModeBtn.classList.toggle('active', this.selecting);
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn) trashBtn.classList.toggle('active', this.showDeleted);
+
+    const bar = document.getElementById('selectionBar');
+    if (!bar) return;
+    bar.style.display = this.selecting ? '' : 'none';
+
+    const count = this.selectedIds.size;
+    document.getElementById('selectionCount').textContent = `已选择 ${count} 个文件`;
+    document.getElementById('bulkEditBtn').style.display = this.showDeleted ? 'none' : '';
+    document.getElementById('bulkDeleteBtn').style.display = this.showDeleted ? 'none' : '';
+    document.getElementById('bulkRestoreBtn').style.display = this.showDeleted ? '' : 'none';
+    ['bulkEditBtn', 'bulkDeleteBtn', 'bulkRestoreBtn', 'clearSelectionBtn'].forEach(id => {
+      document.getElementById(id).disabled = count === 0;
+    });
+  }
+
+  // 删除或恢复选中的文件
+  async runBulkAction(action) {
+    const ids = [...this.selectedIds];
+    if (action === 'delete' && !confirm(`确定要删除选中的 ${ids.length} 个文件吗？删除后可以在回收站中恢复。`)) return;
+
+    try {
+      const { plan } = await this.dataManager.bulkEditFiles(ids, action);
+      window.OpenOneHTML.showMessage(plan.summary, 'success');
+      this.clearSelection();
+    } catch (error) {
+      window.OpenOneHTML.showMessage(error.message || (action === 'delete' ? '删除失败' : '恢复失败'), 'error');
+    }
+  }
+
+  // 多选模式下点击卡片切换选中，不打开预览；卡片上的按钮照常使用
+  addSelectionControl(card, file, files) {
+    const selected = this.selectedIds.has(file.id);
+    card.classList.add('selectable');
+    card.classList.toggle('selected', selected);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'file-card-select';
+    checkbox.tabIndex = -1;
+    checkbox.checked = selected;
+    card.prepend(checkbox);
+
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('button')) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.toggleSelection(file.id, e.shiftKey, files);
+    }, true);
+  }
+
+  setLayout(layout) {
+    this.layout = layout;
+    try {
+      localStorage.setItem('fileListLayout', layout);
+    } catch (error) {
+      console.error('保存布局设置失败:', error);
+    }
+    this.updateLayoutToggle();
+    this.render();
+  }
+
+  updateLayoutToggle() {
+    document.querySelectorAll('#layoutToggle [data-layout]').forEach(button => {
+      button.classList.toggle('active', button.dataset.layout === this.layout);
+    });
+  }
+
   loadDisplaySettings() {
     const defaultSettings = {
       title: { show: true, format: 'label' },
@@ -94,42 +312,83 @@ class FileList {
 
     if (filteredFiles.length === 0) {
       this.renderEmptyState();
+      this.updateSelectionBar();
       return;
     }
 
     container.innerHTML = '';
+    container.classList.toggle('gallery', this.layout === 'gallery');
+    this.compareGroupCounts = this.countCompareGroups();
 
     filteredFiles.forEach(file => {
-      const fileCard = this.createFileCard(file);
+      const fileCard = this.layout === 'gallery' ? this.createGalleryCard(file) : this.createFileCard(file);
+      if (this.selecting) this.addSelectionControl(fileCard, file, filteredFiles);
       container.appendChild(fileCard);
     });
+    this.updateSelectionBar();
   }
 
-  applyFilters() {
-    let files = this.files.filter(f => f.status !== 'deleted');
+  // 解析搜索框中的查询语句；语法错误由 SearchPanel 提示，这里按无条件处理
+  parseQuery(search) {
+    try {
+      return QueryLanguage.parse(search);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 查询包含无字段关键词时向服务端请求全文搜索结果（服务端用同一套查询语言求值并匹配页面内容），
+  // 只保留最后一次请求的结果
+  async updateSearchResults() {
+    const { search } = this.currentFilters;
+    const requestId = ++this.searchRequestId;
+    this.query = this.parseQuery(search);
+
+    if (!QueryLanguage.hasTextTerms(this.query) || !this.dataManager.supports('search')) {
+      this.searchResults = null;
+      return;
+    }
 
-    const { search, category, tags, model } = this.currentFilters;
+    try {
+      const { results } = await this.dataManager.searchFiles(search);
+      if (requestId !== this.searchRequestId) return;
+      this.searchResults = new Map(results.map(result => [result.file.id, result]));
+    } catch (error) {
+      // 搜索接口不可用时退回到本地求值
+      if (requestId === this.searchRequestId) {
+        this.searchResults = null;
+      }
+    }
+  }
 
-    // 搜索过滤
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      files = files.filter(f =>
-        f.title.toLowerCase().includes(searchTerm) ||
-        f.description.toLowerCase().includes(searchTerm) ||
-        f.originalName.toLowerCase().includes(searchTerm) ||
-        f.background.toLowerCase().includes(searchTerm) ||
-        f.prompt.toLowerCase().includes(searchTerm)
-      );
+  applyFilters() {
+    let files = this.files.filter(f => (f.status === 'deleted') === this.showDeleted);
+
+    const { category, tags, model } = this.currentFilters;
+
+    // 搜索索引不包含已删除的文件，回收站中在本地求值
+    if (this.query && this.searchResults && !this.showDeleted) {
+      // 服务端结果已包含页面内容匹配，按相关度排序
+      files = files
+        .filter(f => this.searchResults.has(f.id))
+        .sort((a, b) => this.searchResults.get(b.id).score - this.searchResults.get(a.id).score);
+    } else if (this.query) {
+      // 只有字段条件或搜索接口不可用时在本地求值，关键词只匹配元数据
+      const context = QueryLanguage.createContext(this.dataManager.data || {});
+      files = files.filter(f => QueryLanguage.evaluate(this.query, f, context));
     }
 
-    // 分类过滤
+    // 分类过滤，包含所选分类的所有下级分类
     if (category) {
-      files = files.filter(f => f.category === category);
+      const categoryIds = CategoryTree.getDescendantIds(this.presetManager.getCategories(), category);
+      files = files.filter(f => categoryIds.has(f.category));
     }
 
-    // 标签过滤
+    // 标签过滤，包含所选标签的所有下级标签
     if (tags && tags.length > 0) {
-      files = files.filter(f => tags.some(tag => f.tags.includes(tag)));
+      const presetTags = this.presetManager.getTags();
+      const tagIds = new Set(tags.flatMap(tag => [...TagTaxonomy.getDescendantIds(presetTags, tag)]));
+      files = files.filter(f => f.tags.some(tag => tagIds.has(tag)));
     }
 
     // 模型过滤
@@ -145,6 +404,9 @@ class FileList {
     card.className = 'file-card';
     card.dataset.id = file.id;
 
+    // 缩略图
+    card.appendChild(this.createCardThumbnail(file));
+
     // 卡片头部
     const header = this.createCardHeader(file);
     card.appendChild(header);
@@ -160,6 +422,62 @@ class FileList {
     return card;
   }
 
+  // 画廊布局：以缩略图为主，只显示标题和模型
+  createGalleryCard(file) {
+    const card = document.createElement('div');
+    card.className = 'file-card gallery-card';
+    card.dataset.id = file.id;
+    card.onclick = () => this.viewFile(file);
+
+    card.appendChild(this.createCardThumbnail(file));
+
+    const caption = document.createElement('div');
+    caption.className = 'gallery-caption';
+
+    const title = document.createElement('span');
+    title.className = 'gallery-title';
+    title.textContent = (file.title || file.originalName || '未命名文件').replace(/\.html?$/i, '');
+    const badge = this.createSecurityBadge(file);
+    if (badge) title.appendChild(badge);
+    caption.appendChild(title);
+
+    if (file.model) {
+      const model = this.presetManager.getModelById(file.model);
+      const modelEl = document.createElement('span');
+      modelEl.className = 'gallery-model';
+      modelEl.textContent = model ? model.name : file.model;
+      caption.appendChild(modelEl);
+    }
+
+    card.appendChild(caption);
+    return card;
+  }
+
+  createCardThumbnail(file) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'file-card-thumbnail';
+    wrapper.onclick = () => this.viewFile(file);
+
+    const showPlaceholder = () => {
+      wrapper.innerHTML = '<span class="thumbnail-placeholder">暂无缩略图</span>';
+    };
+
+    const src = file.thumbnails ? this.dataManager.getThumbnailUrl(file) : null;
+    if (!src) {
+      showPlaceholder();
+      return wrapper;
+    }
+
+    const img = document.createElement('img');
+    img.loading = 'lazy';
+    img.alt = file.title || file.originalName;
+    img.src = src;
+    img.onerror = showPlaceholder;
+    wrapper.appendChild(img);
+
+    return wrapper;
+  }
+
   createCardHeader(file) {
     const header = document.createElement('div');
     header.className = 'file-card-header';
@@ -170,6 +488,11 @@ class FileList {
     const displayName = file.title || file.originalName || '未命名文件';
     const cleanName = displayName.replace(/\.html?$/i, '').replace(/[-_]/g, ' ');
     title.textContent = cleanName;
+
+    // 安全扫描提示
+    const badge = this.createSecurityBadge(file);
+    if (badge) title.appendChild(badge);
+
     header.appendChild(title);
 
     const meta = document.createElement('div');
@@ -177,7 +500,7 @@ class FileList {
 
     // 根据显示设置添加元数据
     if (this.displaySettings.category.show && file.category) {
-      meta.appendChild(this.createMetaItem('分类', file.category, this.displaySettings.category.format));
+      meta.appendChild(this.createMetaItem('分类', this.presetManager.getCategoryPath(file.category), this.displaySettings.category.format));
     }
 
     if (this.displaySettings.model.show && file.model) {
@@ -198,6 +521,12 @@ class FileList {
     const content = document.createElement('div');
     content.className = 'file-card-content';
 
+    // 搜索摘要
+    const result = this.currentFilters.search && this.searchResults?.get(file.id);
+    if (result && result.snippet) {
+      content.appendChild(this.createSearchSnippet(result.snippet));
+    }
+
     // 描述
     if (this.displaySettings.description.show && file.description) {
       const description = document.createElement('div');
@@ -225,6 +554,30 @@ class FileList {
     return content;
   }
 
+  // 按高亮区间拆分摘要文本，使用文本节点避免注入
+  createSearchSnippet(snippet) {
+    const element = document.createElement('div');
+    element.className = 'file-card-snippet';
+
+    const fieldNames = { content: '页面内容', meta: '描述', title: '标题', identifiers: '脚本' };
+    const label = document.createElement('span');
+    label.className = 'snippet-field';
+    label.textContent = fieldNames[snippet.field] || snippet.field;
+    element.appendChild(label);
+
+    let position = 0;
+    snippet.highlights.forEach(([start, end]) => {
+      element.appendChild(document.createTextNode(snippet.text.slice(position, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = snippet.text.slice(start, end);
+      element.appendChild(mark);
+      position = end;
+    });
+    element.appendChild(document.createTextNode(snippet.text.slice(position)));
+
+    return element;
+  }
+
   createCardActions(file) {
     const actions = document.createElement('div');
     actions.className = 'file-card-actions';
@@ -236,16 +589,57 @@ class FileList {
     viewBtn.onclick = () => this.viewFile(file);
     actions.appendChild(viewBtn);
 
-    // 编辑按钮
-    const editBtn = document.createElement('button');
-    editBtn.className = 'btn btn-secondary';
-    editBtn.textContent = '编辑';
-    editBtn.onclick = () => this.editFile(file);
-    actions.appendChild(editBtn);
+    // 回收站中的文件只能查看，恢复后再编辑
+    if (file.status === 'deleted') return actions;
+
+    // 编辑按钮（需要编辑权限）
+    if (this.dataManager.hasRole('editor')) {
+      const editBtn = document.createElement('button');
+      editBtn.className = 'btn btn-secondary';
+      editBtn.textContent = '编辑';
+      editBtn.onclick = () => this.editFile(file);
+      actions.appendChild(editBtn);
+    }
+
+    // 评分按钮
+    if (this.dataManager.supports('reviews')) {
+      const reviewBtn = document.createElement('button');
+      reviewBtn.className = 'btn btn-secondary';
+      reviewBtn.textContent = '评分';
+      reviewBtn.onclick = () => this.reviewFile(file);
+      actions.appendChild(reviewBtn);
+    }
+
+    // 对比按钮（存在相同提示词或背景需求的其他文件时显示）
+    if (this.hasComparableFiles(file)) {
+      const compareBtn = document.createElement('button');
+      compareBtn.className = 'btn btn-secondary';
+      compareBtn.textContent = '对比';
+      compareBtn.onclick = () => this.compareFile(file);
+      actions.appendChild(compareBtn);
+    }
 
     return actions;
   }
 
+  createSecurityBadge(file) {
+    const level = file.security?.level;
+    if (level !== 'warning' && level !== 'danger') return null;
+
+    const badge = document.createElement('span');
+    badge.className = `security-badge security-${level}`;
+    badge.textContent = level === 'danger' ? '⚠ 高风险' : '⚠ 注意';
+    badge.title = file.security.findings
+      .filter(finding => finding.severity !== 'info')
+      .map(finding => finding.message)
+      .join('\n');
+    badge.onclick = (e) => {
+      e.stopPropagation();
+      this.viewFile(file);
+    };
+    return badge;
+  }
+
   createMetaItem(label, value, format = 'label') {
     const item = document.createElement('div');
     item.className = 'file-card-meta-item';
@@ -271,7 +665,11 @@ class FileList {
 
     const emptyState = document.createElement('div');
     emptyState.className = 'empty-state';
-    emptyState.innerHTML = `
+    emptyState.innerHTML = this.showDeleted ? `
+      <div class="empty-icon">🗑️</div>
+      <h3>回收站是空的</h3>
+      <p>删除的文件会显示在这里，可以选中后恢复</p>
+    ` : `
       <div class="empty-icon">📁</div>
       <h3>暂无文件</h3>
       <p>点击"添加文件"按钮开始上传你的HTML创意实现</p>
@@ -281,7 +679,9 @@ class FileList {
   }
 
   viewFile(file) {
-    window.open(`/openonehtml/static-pages/html-files/${file.encryptedName}`, '_blank');
+    if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.modalManager) {
+      window.OpenOneHTML.uiManager.modalManager.showPreviewModal(file);
+    }
   }
 
   editFile(file) {
@@ -290,6 +690,39 @@ class FileList {
     }
   }
 
+  reviewFile(file) {
+    if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.modalManager) {
+      window.OpenOneHTML.uiManager.modalManager.showReviewModal(file);
+    }
+  }
+
+  // 统计相同提示词/背景需求的文件数量，用于判断是否可对比
+  countCompareGroups() {
+    const counts = new Map();
+    this.files.filter(f => f.status !== 'deleted').forEach(file => {
+      ['prompt', 'background'].forEach(field => {
+        const value = (file[field] || '').trim();
+        if (!value) return;
+        const key = `${field}:${value}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+    });
+    return counts;
+  }
+
+  hasComparableFiles(file) {
+    return ['prompt', 'background'].some(field => {
+      const value = (file[field] || '').trim();
+      return value && (this.compareGroupCounts.get(`${field}:${value}`) || 0) >= 2;
+    });
+  }
+
+  compareFile(file) {
+    if (window.OpenOneHTML && window.OpenOneHTML.uiManager && window.OpenOneHTML.uiManager.compareView) {
+      window.OpenOneHTML.uiManager.compareView.open(file);
+    }
+  }
+
   updateDisplaySettings(newSettings) {
     this.displaySettings = { ...this.displaySettings, ...newSettings };
     this.saveDisplaySettings();
@@ -514,6 +947,169 @@ class ModalManager {
     }
   }
 
+  // 并发修改冲突
+
+  /**
+   * 保存修改，记录已被其他人修改时显示冲突对话框，合并后按最新的修订号重新保存
+   * @param {Object} options
+   * @param {string} options.title 冲突对话框标题
+   * @param {Array<Object>} options.fields 对比的字段，见 getConflictFields
+   * @param {Object} options.base 开始编辑时的记录
+   * @param {Object} options.changes 要保存的字段
+   * @param {Function} options.save (changes, rev) => Promise，执行保存
+   * @returns {Promise<*>} save 的结果，用户放弃自己的修改时为 null
+   */
+  async saveWithConflictCheck({ title, fields, base, changes, save }) {
+    let current = base;
+    let data = changes;
+
+    for (;;) {
+      try {
+        return await save(data, current.rev || 0);
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+
+        const conflict = error.conflicts[0] || {};
+        if (!conflict.current) {
+          throw new Error('该记录已被其他人删除');
+        }
+
+        data = await this.showConflictDialog({ title, fields, base: current, mine: data, theirs: conflict.current });
+        if (!data) {
+          // 放弃自己的修改，重新载入最新内容
+          await this.dataManager.refreshData();
+          await this.presetManager.refresh();
+          return null;
+        }
+        current = conflict.current;
+      }
+    }
+  }
+
+  /**
+   * 冲突对话框：逐个字段对比自己的修改和当前内容，由用户选择保留哪一边
+   * 只有自己改过的字段默认保留自己的修改，其余字段默认使用当前内容，两边都改过的字段突出显示
+   * @returns {Promise<Object|null>} 合并后要保存的字段，放弃时为 null
+   */
+  showConflictDialog({ title, fields, base, mine, theirs }) {
+    const same = (a, b) => JSON.stringify(a == null ? '' : a) === JSON.stringify(b == null ? '' : b);
+    const rows = fields.filter(field => field.key in mine && !same(mine[field.key], theirs[field.key]));
+
+    // 两边没有不同的字段，直接按最新的修订号保存
+    if (rows.length === 0) {
+      return Promise.resolve(mine);
+    }
+
+    return new Promise(resolve => {
+      const dialog = document.createElement('div');
+      dialog.className = 'conflict-dialog';
+      dialog.innerHTML = `
+        <div class="conflict-overlay"></div>
+        <div class="conflict-content">
+          <div class="conflict-header">
+            <h3></h3>
+          </div>
+          <div class="conflict-body">
+            <p class="conflict-hint">保存前这条记录已被其他人修改。请为每个不同的字段选择保留哪一边，再保存合并结果。</p>
+            <div class="conflict-fields"></div>
+            <div class="form-actions">
+              <button type="button" class="btn btn-primary" data-action="merge">保存合并结果</button>
+              <button type="button" class="btn btn-secondary" data-action="discard">放弃我的修改</button>
+            </div>
+          </div>
+        </div>
+      `;
+      dialog.querySelector('h3').textContent = title;
+
+      const list = dialog.querySelector('.conflict-fields');
+      rows.forEach(field => {
+        const changedByMe = !same(mine[field.key], base[field.key]);
+        const changedByOthers = !same(theirs[field.key], base[field.key]);
+        const format = value => {
+          const text = field.format ? field.format(value) : value;
+          return text == null || text === '' ? '（空）' : String(text);
+        };
+
+        const row = document.createElement('div');
+        row.className = `conflict-field${changedByMe && changedByOthers ? ' conflict-both' : ''}`;
+
+        const label = document.createElement('div');
+        label.className = 'conflict-field-label';
+        label.textContent = changedByMe && changedByOthers ? `${field.label}（两边都修改了）` : field.label;
+        row.appendChild(label);
+
+        [['mine', '我的修改', mine[field.key]], ['theirs', '当前内容', theirs[field.key]]].forEach(([value, name, fieldValue]) => {
+          const option = document.createElement('label');
+          option.className = 'conflict-choice';
+          const input = document.createElement('input');
+          input.type = 'radio';
+          input.name = `conflict-${field.key}`;
+          input.value = value;
+          input.checked = value === (changedByMe ? 'mine' : 'theirs');
+          option.appendChild(input);
+          option.appendChild(document.createTextNode(` ${name}：${format(fieldValue)}`));
+          row.appendChild(option);
+        });
+
+        list.appendChild(row);
+      });
+
+      const close = result => {
+        document.body.removeChild(dialog);
+        resolve(result);
+      };
+
+      dialog.querySelector('[data-action="merge"]').addEventListener('click', () => {
+        const merged = { ...mine };
+        rows.forEach(field => {
+          const choice = dialog.querySelector(`input[name="conflict-${field.key}"]:checked`);
+          if (choice && choice.value === 'theirs') {
+            merged[field.key] = theirs[field.key];
+          }
+        });
+        close(merged);
+      });
+      dialog.querySelector('[data-action="discard"]').addEventListener('click', () => close(null));
+
+      document.body.appendChild(dialog);
+    });
+  }
+
+  // 冲突对话框中对比的字段，标签和模型显示名称而不是ID
+  getConflictFields(collection) {
+    const tagName = id => (this.presetManager.getTagById(id) || {}).name || id;
+    const modelName = id => (this.presetManager.getModelById(id) || {}).name || id;
+
+    const fields = {
+      files: [
+        { key: 'title', label: '文件标题' },
+        { key: 'category', label: '分类', format: id => this.presetManager.getCategoryPath(id) },
+        { key: 'background', label: '背景需求' },
+        { key: 'prompt', label: '提示词' },
+        { key: 'model', label: '开发模型', format: modelName },
+        { key: 'description', label: '描述' },
+        { key: 'tags', label: '标签', format: tags => (tags || []).map(tagName).join('、') }
+      ],
+      preset_tags: [
+        { key: 'name', label: '标签名称' },
+        { key: 'color', label: '标签颜色' },
+        { key: 'description', label: '标签描述' },
+        { key: 'parentId', label: '上级标签', format: id => (id ? this.presetManager.getTagPath(id) : '') },
+        { key: 'aliases', label: '别名', format: aliases => (aliases || []).join('、') }
+      ],
+      preset_models: [
+        { key: 'name', label: '模型名称' },
+        { key: 'description', label: '模型描述' }
+      ],
+      categories: [
+        { key: 'name', label: '分类名称' },
+        { key: 'description', label: '分类描述' },
+        { key: 'parentId', label: '上级分类', format: id => this.presetManager.getCategoryPath(id) }
+      ]
+    };
+    return fields[collection];
+  }
+
   showAddFileModal() {
     const content = this.createFileForm();
     this.showModal('添加文件', content, { type: 'add' });
@@ -549,120 +1145,1773 @@ class ModalManager {
     this.showModal('分类管理', content, { type: 'categoryManager' });
   }
 
-  createFileForm(file = null) {
+  showPreviewModal(file) {
+    const content = this.createPreviewPanel(file);
+    this.showModal(file.title || file.originalName, content, { type: 'preview', file });
+  }
+
+  showLoginModal() {
+    const content = this.createLoginForm();
+    this.showModal('登录', content, { type: 'login' });
+  }
+
+  showUserManagerModal() {
+    const content = this.createUserManagerForm();
+    this.showModal('用户管理', content, { type: 'userManager' });
+  }
+
+  showReviewModal(file) {
+    const content = this.createReviewPanel(file);
+    this.showModal(`评分 - ${file.title || file.originalName}`, content, { type: 'review', file });
+  }
+
+  showRubricModal() {
+    const content = this.createRubricForm();
+    this.showModal('评分标准', content, { type: 'rubric' });
+  }
+
+  showRuleManagerModal() {
+    const content = this.createRuleManagerForm();
+    this.showModal('自动规则', content, { type: 'rules' });
+  }
+
+  showBulkEditModal(ids) {
+    const content = this.createBulkEditForm(ids);
+    this.showModal(`批量编辑 ${ids.length} 个文件`, content, { type: 'bulkEdit' });
+  }
+
+  showExportModal(files) {
+    const content = this.createExportForm(files);
+    this.showModal('导出离线查看器', content, { type: 'export' });
+  }
+
+  showSyncModal() {
+    const content = this.createSyncPanel();
+    this.showModal('同步', content, { type: 'sync' });
+  }
+
+  // 同步面板（静态版本）：导出本地数据交给管理员合并回服务器或在其他浏览器中导入，或载入最新发布的数据
+  createSyncPanel() {
+    const { sync, modified, newPublish } = this.dataManager.getSyncStatus();
+    const panel = document.createElement('div');
+    panel.className = 'modal-form sync-panel';
+    panel.innerHTML = `
+      <p class="sync-status"></p>
+      <p class="sync-storage" hidden></p>
+      <p class="sync-hint">这里的修改只保存在当前浏览器中。导出的文件包含本地数据和添加的页面：交给管理员导入服务器，下次发布时所有人都能看到；也可以在其他浏览器中导入，继续编辑。</p>
+      <input type="file" accept=".json,application/json" hidden>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" data-action="reset">载入最新发布</button>
+        <button type="button" class="btn btn-secondary" data-action="import">导入</button>
+        <button type="button" class="btn btn-primary" data-action="export">导出</button>
+      </div>
+    `;
+
+    const status = [
+      sync ? `当前数据发布于 ${new Date(sync.publishedAt).toLocaleString()}` : '当前数据不是由服务器发布的',
+      modified ? '本地有未导出的修改' : '本地没有修改'
+    ];
+    if (newPublish) {
+      status.push(`有新的发布（${new Date(newPublish.publishedAt).toLocaleString()}）`);
+    }
+    panel.querySelector('.sync-status').textContent = status.join('，');
+
+    if (this.dataManager.supports('quota')) {
+      this.renderStorageInfo(panel.querySelector('.sync-storage'));
+    }
+
+    panel.querySelector('[data-action="export"]').addEventListener('click', async () => {
+      try {
+        const blob = new Blob([await this.dataManager.exportLocalChanges()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `openonehtml-static-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        window.OpenOneHTML.showMessage('已导出本地数据', 'success');
+      } catch (error) {
+        window.OpenOneHTML.showMessage('导出失败', 'error');
+      }
+    });
+
+    const fileInput = panel.querySelector('input[type="file"]');
+    panel.querySelector('[data-action="import"]').addEventListener('click', () => {
+      if (modified && !confirm('导入会替换本地的所有数据和页面，确定已经导出了吗？')) {
+        return;
+      }
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        const result = await this.dataManager.importLocalArchive(await file.text());
+        window.OpenOneHTML.showMessage(`已导入 ${result.files} 个文件、${result.pages} 个页面`, 'success');
+        this.closeModal();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '导入失败', 'error');
+      } finally {
+        fileInput.value = '';
+      }
+    });
+
+    panel.querySelector('[data-action="reset"]').addEventListener('click', async () => {
+      if (modified && !confirm('载入最新发布会丢弃本地的所有修改，确定已经导出了吗？')) {
+        return;
+      }
+      try {
+        await this.dataManager.resetToPublished();
+        window.OpenOneHTML.showMessage('已载入最新发布的数据', 'success');
+        this.closeModal();
+      } catch (error) {
+        window.OpenOneHTML.showMessage('载入发布数据失败', 'error');
+      }
+    });
+
+    return panel;
+  }
+
+  // 显示浏览器存储空间：本地页面占用、本站已用和可用空间
+  async renderStorageInfo(container) {
+    const formatBytes = bytes => {
+      if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+      if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+      return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    };
+
+    try {
+      const info = await this.dataManager.getStorageInfo();
+      const parts = [`本地页面 ${info.pages} 个，共 ${formatBytes(info.pageBytes)}`];
+      if (info.quota) {
+        const percent = info.usage / info.quota * 100;
+        parts.push(`本站已用 ${formatBytes(info.usage)} / ${formatBytes(info.quota)}（${percent.toFixed(1)}%）`);
+        container.classList.toggle('sync-storage-warning', percent >= 80);
+      }
+      if (!info.persisted) {
+        parts.push('浏览器空间不足时可能清除本站数据，请定期导出');
+      }
+      container.textContent = parts.join('，');
+      container.hidden = false;
+    } catch (error) {
+      container.hidden = true;
+    }
+  }
+
+  showStaticImportModal() {
+    const content = this.createStaticImportForm();
+    this.showModal('合并静态版本的修改', content, { type: 'staticImport' });
+  }
+
+  // 静态版本导入：先检查合并结果，冲突逐条选择保留服务器数据或使用静态版本的修改，再应用
+  createStaticImportForm() {
     const form = document.createElement('form');
-    form.className = 'modal-form';
+    form.className = 'modal-form static-import-form';
     form.innerHTML = `
+      <p class="form-hint">选择静态版本"同步"中导出的文件。只在静态版本修改的记录会直接合并，两边修改了同一字段的记录需要逐条选择。合并后请重新发布静态版本（<code>node utils/static-sync.js publish</code>）。</p>
       <div class="form-group">
-        <label for="fileTitle">文件标题 *</label>
-        <input type="text" id="fileTitle" name="title" required value="${file?.title || ''}">
+        <label for="staticExportFile">导出文件</label>
+        <input type="file" id="staticExportFile" name="file" accept=".json,application/json" required>
       </div>
-
-      <div class="form-group">
-        <label for="fileCategory">分类</label>
-        <select id="fileCategory" name="category">
-          <option value="">选择分类</option>
-          ${(this.presetManager && this.presetManager.getCategories ? this.presetManager.getCategories() : []).map(category =>
-            `<option value="${category.name}" ${file?.category === category.name ? 'selected' : ''}>${category.name}</option>`
-          ).join('')}
-        </select>
+      <div class="static-import-plan"></div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" data-action="check">检查</button>
+        <button type="submit" class="btn btn-primary" disabled>应用</button>
       </div>
+    `;
 
-      <div class="form-group">
-        <label for="fileBackground">背景需求</label>
-        <textarea id="fileBackground" name="background" rows="3">${file?.background || ''}</textarea>
-      </div>
+    const fileInput = form.querySelector('#staticExportFile');
+    const planContainer = form.querySelector('.static-import-plan');
+    const checkBtn = form.querySelector('[data-action="check"]');
+    const submitBtn = form.querySelector('button[type="submit"]');
 
-      <div class="form-group">
-        <label for="filePrompt">提示词</label>
-        <textarea id="filePrompt" name="prompt" rows="3">${file?.prompt || ''}</textarea>
-      </div>
+    fileInput.addEventListener('change', () => {
+      planContainer.innerHTML = '';
+      submitBtn.disabled = true;
+    });
 
-      <div class="form-group">
-        <label for="fileModel">开发模型</label>
-        <select id="fileModel" name="model">
-          <option value="">选择模型</option>
-          ${this.presetManager.getModels().map(model =>
-            `<option value="${model.id}" ${file?.model === model.id ? 'selected' : ''}>${model.name}</option>`
-          ).join('')}
-        </select>
-      </div>
+    checkBtn.addEventListener('click', async () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        window.OpenOneHTML.showMessage('请选择导出文件', 'error');
+        return;
+      }
+
+      checkBtn.disabled = true;
+      try {
+        const plan = await this.dataManager.importStaticExport(file, { dryRun: true });
+        this.renderStaticImportPlan(planContainer, plan);
+        submitBtn.disabled = plan.changes.length === 0 && plan.conflicts.length === 0;
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '检查失败', 'error');
+      } finally {
+        checkBtn.disabled = false;
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const resolutions = {};
+      planContainer.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+        resolutions[input.dataset.key] = input.value;
+      });
+
+      submitBtn.disabled = true;
+      submitBtn.textContent = '应用中...';
+      try {
+        const { result } = await this.dataManager.importStaticExport(fileInput.files[0], { resolutions });
+        const missing = result.missingPages.length > 0 ? `，${result.missingPages.length} 个文件缺少页面` : '';
+        window.OpenOneHTML.showMessage(`已合并 ${result.applied} 条记录，跳过 ${result.skipped.length} 条冲突${missing}`, 'success');
+        this.closeModal();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '导入失败', 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = '应用';
+      }
+    });
+
+    return form;
+  }
+
+  renderStaticImportPlan(container, plan) {
+    const collectionNames = { files: '文件', preset_tags: '标签', preset_models: '模型', categories: '分类' };
+    const typeNames = { insert: '新增', update: '修改', remove: '删除' };
+    const formatValue = value => (value == null || value === '' ? '（空）' : typeof value === 'string' ? value : JSON.stringify(value));
+
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'static-import-summary';
+    summary.textContent = `可直接合并 ${plan.changes.length} 条，冲突 ${plan.conflicts.length} 条，未变化 ${plan.unchanged} 条` +
+      (plan.baseFound ? '' : '。找不到对应的发布记录，两边不同的记录都作为冲突');
+    container.appendChild(summary);
+
+    if (plan.changes.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'static-import-changes';
+      plan.changes.forEach(change => {
+        const item = document.createElement('li');
+        const fields = change.patch ? `（${Object.keys(change.patch).join('、')}）` : '';
+        item.textContent = `${typeNames[change.type]}${collectionNames[change.collection]}：${change.label}${fields}`;
+        list.appendChild(item);
+      });
+      container.appendChild(list);
+    }
+
+    plan.conflicts.forEach(conflict => {
+      const item = document.createElement('div');
+      item.className = 'static-import-conflict';
+
+      const title = document.createElement('div');
+      title.className = 'static-import-conflict-title';
+      title.textContent = `${collectionNames[conflict.collection]}：${conflict.label} - ${conflict.reason}`;
+      item.appendChild(title);
+
+      conflict.fields.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'static-import-field';
+        row.textContent = `${field}：服务器 ${conflict.server ? formatValue(conflict.server[field]) : '（已删除）'}` +
+          ` / 静态版 ${conflict.local ? formatValue(conflict.local[field]) : '（已删除）'}`;
+        item.appendChild(row);
+      });
+
+      [['server', '保留服务器数据'], ['local', '使用静态版本的修改']].forEach(([value, label]) => {
+        const option = document.createElement('label');
+        option.className = 'static-import-choice';
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = `resolution-${conflict.key}`;
+        input.value = value;
+        input.dataset.key = conflict.key;
+        input.checked = value === 'server';
+        option.appendChild(input);
+        option.appendChild(document.createTextNode(` ${label}`));
+        item.appendChild(option);
+      });
+
+      container.appendChild(item);
+    });
+  }
+
+  // 导出表单：选中的文件打包为可以直接双击打开的查看器，支持与主程序相同的搜索和筛选
+  createExportForm(files) {
+    const form = document.createElement('form');
+    form.className = 'modal-form export-form';
+    form.innerHTML = `
+      <p class="form-hint">将导出当前筛选出的 <strong>${files.length}</strong> 个文件及其标签、模型和分类，导出的文件无需服务器即可打开。</p>
+      <div class="form-group">
+        <label for="exportTitle">标题</label>
+        <input type="text" id="exportTitle" name="title" maxlength="100" value="OpenOneHTML 页面库">
+      </div>
+      <div class="form-group">
+        <label>格式</label>
+        <label class="export-format"><input type="radio" name="format" value="html" checked> 单个HTML文件（页面内嵌，便于发送）</label>
+        <label class="export-format"><input type="radio" name="format" value="zip"> ZIP 压缩包（页面单独存放，适合数量较多时，解压后打开 index.html）</label>
+      </div>
+      <div class="form-actions">
+        <button type="submit" class="btn btn-primary">导出</button>
+      </div>
+    `;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const submitBtn = form.querySelector('button[type="submit"]');
+      submitBtn.disabled = true;
+      submitBtn.textContent = '导出中...';
+
+      try {
+        const result = await this.dataManager.exportLibrary(files.map(file => file.id), {
+          format: form.querySelector('[name="format"]:checked').value,
+          title: form.querySelector('[name="title"]').value.trim()
+        });
+
+        const url = URL.createObjectURL(result.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const missing = result.missing > 0 ? `，${result.missing} 个文件的页面已丢失未导出` : '';
+        window.OpenOneHTML.showMessage(`已导出 ${result.exported} 个文件${missing}`, 'success');
+        this.closeModal();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '导出失败', 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = '导出';
+      }
+    });
+
+    return form;
+  }
+
+  // 站内预览：页面运行在沙箱 iframe 中，服务端同时下发 CSP sandbox 响应头
+  createPreviewPanel(file) {
+    const panel = document.createElement('div');
+    panel.className = 'preview-panel';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'preview-toolbar';
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'btn btn-small btn-secondary';
+    openBtn.textContent = '新窗口打开';
+    openBtn.onclick = () => window.open(this.dataManager.getPageWindowUrl(file.encryptedName), '_blank', 'noopener');
+    toolbar.appendChild(openBtn);
+
+    if (this.dataManager.hasRole('editor') && this.dataManager.supports('security')) {
+      const scanBtn = document.createElement('button');
+      scanBtn.type = 'button';
+      scanBtn.className = 'btn btn-small btn-secondary';
+      scanBtn.textContent = '重新扫描';
+      scanBtn.onclick = async () => {
+        try {
+          const result = await this.dataManager.scanFile(file.id);
+          this.renderSecurityFindings(findings, result.file.security);
+          window.OpenOneHTML.showMessage('扫描完成', 'success');
+        } catch (error) {
+          window.OpenOneHTML.showMessage('扫描失败，请重试', 'error');
+        }
+      };
+      toolbar.appendChild(scanBtn);
+    }
+
+    if (this.dataManager.hasRole('editor') && this.dataManager.supports('thumbnails')) {
+      const thumbnailBtn = document.createElement('button');
+      thumbnailBtn.type = 'button';
+      thumbnailBtn.className = 'btn btn-small btn-secondary';
+      thumbnailBtn.textContent = '重新生成缩略图';
+      thumbnailBtn.onclick = async () => {
+        thumbnailBtn.disabled = true;
+        try {
+          await this.dataManager.regenerateThumbnail(file.id);
+          window.OpenOneHTML.showMessage('缩略图已更新', 'success');
+        } catch (error) {
+          window.OpenOneHTML.showMessage(error.message || '生成缩略图失败', 'error');
+        } finally {
+          thumbnailBtn.disabled = false;
+        }
+      };
+      toolbar.appendChild(thumbnailBtn);
+    }
+
+    panel.appendChild(toolbar);
+
+    // 静态版本没有安全扫描结果
+    const findings = document.createElement('div');
+    findings.className = 'security-findings';
+    if (this.dataManager.supports('security')) {
+      this.renderSecurityFindings(findings, file.security);
+      panel.appendChild(findings);
+    }
+
+    if (file.bundle) {
+      panel.appendChild(this.createBundleInfo(file.bundle));
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.className = 'preview-frame';
+    iframe.setAttribute('sandbox', 'allow-scripts allow-modals allow-popups');
+    iframe.title = file.title || file.originalName;
+    iframe.src = this.dataManager.getPageUrl(file.encryptedName);
+    panel.appendChild(iframe);
+
+    return panel;
+  }
+
+  renderSecurityFindings(container, security) {
+    container.innerHTML = '';
+
+    if (!security) {
+      container.className = 'security-findings';
+      container.textContent = '尚未进行安全扫描';
+      return;
+    }
+
+    container.className = `security-findings security-${security.level}`;
+
+    const summary = document.createElement('div');
+    summary.className = 'security-summary';
+    const labels = { safe: '未发现风险', info: '仅有提示信息', warning: '存在需要注意的行为', danger: '存在高风险行为' };
+    summary.textContent = `安全扫描：${labels[security.level] || security.level}`;
+    container.appendChild(summary);
+
+    if (security.findings.length === 0) return;
+
+    const list = document.createElement('ul');
+    security.findings.forEach(finding => {
+      const item = document.createElement('li');
+      item.className = `security-finding security-${finding.severity}`;
+      item.textContent = `第 ${finding.line} 行 · ${finding.message}`;
+      item.title = finding.snippet;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  // 合并上传的文件：显示入口页面、已内联和未找到的资源
+  createBundleInfo(bundle) {
+    const container = document.createElement('div');
+    container.className = 'bundle-info' + (bundle.unresolved.length > 0 ? ' bundle-incomplete' : '');
+
+    const summary = document.createElement('div');
+    summary.className = 'bundle-summary';
+    const source = bundle.source === 'zip' ? '压缩包' : '多文件上传';
+    summary.textContent = `由${source}合并 · 入口 ${bundle.entry} · 内联 ${bundle.inlined.length} 个资源`;
+    container.appendChild(summary);
+
+    [
+      { label: '已内联', items: bundle.inlined },
+      { label: '未内联', items: bundle.skipped || [] },
+      { label: '未找到', items: bundle.unresolved, className: 'bundle-unresolved' }
+    ].forEach(({ label, items, className }) => {
+      if (items.length === 0) return;
+
+      const line = document.createElement('div');
+      if (className) line.className = className;
+      line.textContent = `${label}：${items.join('、')}`;
+      container.appendChild(line);
+    });
+
+    // 逐条列出每个引用的处理结果
+    const references = bundle.references || [];
+    if (references.length > 0) {
+      const details = document.createElement('details');
+      const summaryEl = document.createElement('summary');
+      summaryEl.textContent = `全部引用（${references.length}）`;
+      details.appendChild(summaryEl);
+
+      const statusLabels = { inlined: '已内联', external: '外部', unresolved: '未找到', skipped: '未内联' };
+      const list = document.createElement('ul');
+      references.forEach(reference => {
+        const item = document.createElement('li');
+        item.className = `bundle-reference bundle-${reference.status}`;
+        item.textContent = `[${statusLabels[reference.status] || reference.status}] ${reference.from} → ${reference.ref}` +
+          (reference.reason ? `（${reference.reason}）` : '');
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+      container.appendChild(details);
+    }
+
+    return container;
+  }
+
+  createLoginForm() {
+    const form = document.createElement('form');
+    form.className = 'modal-form';
+    form.innerHTML = `
+      <div class="form-group">
+        <label for="loginUsername">用户名</label>
+        <input type="text" id="loginUsername" name="username" required autocomplete="username">
+      </div>
+
+      <div class="form-group">
+        <label for="loginPassword">密码</label>
+        <input type="password" id="loginPassword" name="password" required autocomplete="current-password">
+      </div>
+
+      <div class="form-actions">
+        <button type="submit" class="btn btn-primary">登录</button>
+      </div>
+    `;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const formData = new FormData(form);
+      try {
+        await this.dataManager.login(formData.get('username'), formData.get('password'));
+        // 重新加载页面，按新角色初始化所有组件
+        window.location.reload();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '登录失败', 'error');
+      }
+    });
+
+    return form;
+  }
+
+  createUserManagerForm() {
+    const form = document.createElement('form');
+    form.className = 'modal-form';
+    form.innerHTML = `
+      <div class="form-group">
+        <label for="newUsername">用户名</label>
+        <input type="text" id="newUsername" name="username" autocomplete="off">
+      </div>
+
+      <div class="form-group">
+        <label for="newUserPassword">密码</label>
+        <input type="password" id="newUserPassword" name="password" autocomplete="new-password">
+      </div>
+
+      <div class="form-group">
+        <label for="newUserRole">角色</label>
+        <select id="newUserRole" name="role">
+          <option value="viewer">查看者（只读）</option>
+          <option value="editor">编辑者（上传、编辑、删除）</option>
+          <option value="admin">管理员（含用户管理、目录扫描）</option>
+        </select>
+      </div>
+
+      <div class="form-group">
+        <button type="button" id="addNewUser" class="btn btn-primary">添加用户</button>
+      </div>
+
+      <div class="existing-users">
+        <h4>现有用户</h4>
+        <div id="existingUsersList"></div>
+      </div>
+    `;
+
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    form.querySelector('#addNewUser').addEventListener('click', async () => {
+      const username = form.querySelector('#newUsername').value.trim();
+      const password = form.querySelector('#newUserPassword').value;
+      const role = form.querySelector('#newUserRole').value;
+
+      if (!username || !password) {
+        window.OpenOneHTML.showMessage('请输入用户名和密码', 'error');
+        return;
+      }
+
+      try {
+        await this.dataManager.saveUser(null, { username, password, role });
+        form.querySelector('#newUsername').value = '';
+        form.querySelector('#newUserPassword').value = '';
+        this.updateExistingUsers(form);
+        window.OpenOneHTML.showMessage('用户添加成功', 'success');
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '添加用户失败', 'error');
+      }
+    });
+
+    this.updateExistingUsers(form);
+
+    return form;
+  }
+
+  async updateExistingUsers(form) {
+    const usersList = form.querySelector('#existingUsersList');
+    if (!usersList) return;
+
+    let users;
+    try {
+      users = await this.dataManager.getUsers();
+    } catch (error) {
+      usersList.textContent = '加载用户列表失败';
+      return;
+    }
+
+    const roleOptions = [
+      { value: 'viewer', label: '查看者' },
+      { value: 'editor', label: '编辑者' },
+      { value: 'admin', label: '管理员' }
+    ];
+
+    usersList.innerHTML = '';
+    users.forEach(user => {
+      const item = document.createElement('div');
+      item.className = 'tag-item';
+
+      const info = document.createElement('div');
+      info.className = 'tag-info';
+      info.innerHTML = '<span class="tag-name"></span><span class="tag-count"></span>';
+      info.querySelector('.tag-name').textContent = user.username;
+      info.querySelector('.tag-count').textContent = `创建于 ${new Date(user.createTime).toLocaleString()}`;
+      item.appendChild(info);
+
+      const actions = document.createElement('div');
+      actions.className = 'tag-actions';
+
+      const roleSelect = document.createElement('select');
+      roleOptions.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        roleSelect.appendChild(option);
+      });
+      roleSelect.value = user.role;
+      roleSelect.addEventListener('change', async () => {
+        try {
+          await this.dataManager.saveUser(user.id, { role: roleSelect.value });
+          window.OpenOneHTML.showMessage('角色已更新', 'success');
+        } catch (error) {
+          roleSelect.value = user.role;
+          window.OpenOneHTML.showMessage(error.message || '更新角色失败', 'error');
+        }
+      });
+      actions.appendChild(roleSelect);
+
+      const passwordBtn = document.createElement('button');
+      passwordBtn.type = 'button';
+      passwordBtn.className = 'btn btn-small btn-secondary';
+      passwordBtn.textContent = '重置密码';
+      passwordBtn.addEventListener('click', async () => {
+        const password = prompt(`请输入 ${user.username} 的新密码`);
+        if (!password) return;
+
+        try {
+          await this.dataManager.saveUser(user.id, { password });
+          window.OpenOneHTML.showMessage('密码已重置', 'success');
+        } catch (error) {
+          window.OpenOneHTML.showMessage(error.message || '重置密码失败', 'error');
+        }
+      });
+      actions.appendChild(passwordBtn);
+
+      if (user.id !== this.dataManager.currentUser?.id) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn btn-small btn-danger';
+        deleteBtn.textContent = '删除';
+        deleteBtn.addEventListener('click', async () => {
+          if (!confirm(`确定要删除用户 "${user.username}" 吗？`)) return;
+
+          try {
+            await this.dataManager.deleteUser(user.id);
+            this.updateExistingUsers(form);
+            window.OpenOneHTML.showMessage('用户删除成功', 'success');
+          } catch (error) {
+            window.OpenOneHTML.showMessage(error.message || '删除用户失败', 'error');
+          }
+        });
+        actions.appendChild(deleteBtn);
+      }
+
+      item.appendChild(actions);
+      usersList.appendChild(item);
+    });
+  }
+
+  // 评分面板：汇总、各评审人的评分，以及当前用户的评分表单（需要编辑权限）
+  createReviewPanel(file) {
+    const panel = document.createElement('div');
+    panel.className = 'review-panel';
+    panel.textContent = '加载中...';
+    this.updateReviewPanel(panel, file);
+    return panel;
+  }
+
+  async updateReviewPanel(panel, file) {
+    let data;
+    try {
+      data = await this.dataManager.getReviews(file.id);
+    } catch (error) {
+      panel.textContent = '加载评分失败';
+      return;
+    }
+
+    const { criteria, reviews, summary } = data;
+    const currentUserId = this.dataManager.currentUser?.id;
+    const ownReview = reviews.find(review => review.userId === currentUserId);
+
+    panel.innerHTML = '';
+
+    // 汇总
+    const summaryBox = document.createElement('div');
+    summaryBox.className = 'review-summary';
+    if (summary) {
+      const score = document.createElement('span');
+      score.className = 'review-score';
+      score.textContent = summary.score.toFixed(2);
+      summaryBox.append(score, ` / 5 · ${summary.reviews} 位评审`);
+
+      const details = document.createElement('div');
+      details.className = 'review-criteria';
+      details.textContent = criteria
+        .filter(c => typeof summary.criteria[c.id] === 'number')
+        .map(c => `${c.name} ${summary.criteria[c.id].toFixed(1)}`)
+        .join(' · ');
+      summaryBox.appendChild(details);
+    } else {
+      summaryBox.textContent = '暂无评分';
+    }
+    panel.appendChild(summaryBox);
+
+    // 当前用户的评分表单
+    if (this.dataManager.hasRole('editor')) {
+      panel.appendChild(this.createReviewForm(panel, file, criteria, ownReview));
+    }
+
+    // 其他评审人
+    const others = reviews.filter(review => review !== ownReview);
+    if (others.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'review-list';
+
+      const heading = document.createElement('h4');
+      heading.textContent = '其他评审';
+      list.appendChild(heading);
+
+      others.forEach(review => {
+        const item = document.createElement('div');
+        item.className = 'review-item';
+
+        const header = document.createElement('div');
+        header.className = 'review-item-header';
+        header.textContent = `${review.username} · ${new Date(review.updateTime).toLocaleString()}`;
+        item.appendChild(header);
+
+        const scores = document.createElement('div');
+        scores.className = 'review-criteria';
+        scores.textContent = criteria
+          .filter(c => typeof review.scores[c.id] === 'number')
+          .map(c => `${c.name} ${review.scores[c.id]}`)
+          .join(' · ');
+        item.appendChild(scores);
+
+        if (review.comment) {
+          const comment = document.createElement('p');
+          comment.className = 'review-comment';
+          comment.textContent = review.comment;
+          item.appendChild(comment);
+        }
+
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+    }
+  }
+
+  createReviewForm(panel, file, criteria, ownReview) {
+    const form = document.createElement('form');
+    form.className = 'modal-form review-form';
+
+    criteria.forEach(criterion => {
+      const group = document.createElement('div');
+      group.className = 'form-group review-criterion';
+
+      const label = document.createElement('label');
+      label.textContent = `${criterion.name}${criterion.weight !== 1 ? `（×${criterion.weight}）` : ''}`;
+      label.title = criterion.description || '';
+      group.appendChild(label);
+
+      const select = document.createElement('select');
+      select.name = criterion.id;
+      ['', 1, 2, 3, 4, 5].forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value === '' ? '不评' : value;
+        select.appendChild(option);
+      });
+      select.value = ownReview?.scores[criterion.id] ?? '';
+      group.appendChild(select);
+
+      form.appendChild(group);
+    });
+
+    const commentGroup = document.createElement('div');
+    commentGroup.className = 'form-group';
+    commentGroup.innerHTML = '<label>评语</label><textarea name="comment" rows="2" placeholder="可选"></textarea>';
+    commentGroup.querySelector('textarea').value = ownReview?.comment || '';
+    form.appendChild(commentGroup);
+
+    const actions = document.createElement('div');
+    actions.className = 'form-actions';
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn btn-primary';
+    submitBtn.textContent = ownReview ? '更新评分' : '提交评分';
+    actions.appendChild(submitBtn);
+
+    if (ownReview) {
+      const withdrawBtn = document.createElement('button');
+      withdrawBtn.type = 'button';
+      withdrawBtn.className = 'btn btn-secondary';
+      withdrawBtn.textContent = '撤回评分';
+      withdrawBtn.addEventListener('click', async () => {
+        if (!confirm('确定要撤回你的评分吗？')) return;
+        try {
+          await this.dataManager.deleteReview(file.id);
+          window.OpenOneHTML.showMessage('评分已撤回', 'success');
+          this.updateReviewPanel(panel, file);
+        } catch (error) {
+          window.OpenOneHTML.showMessage(error.message || '撤回评分失败', 'error');
+        }
+      });
+      actions.appendChild(withdrawBtn);
+    }
+    form.appendChild(actions);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const formData = new FormData(form);
+      const scores = {};
+      criteria.forEach(criterion => {
+        const value = formData.get(criterion.id);
+        if (value) scores[criterion.id] = Number(value);
+      });
+
+      try {
+        await this.dataManager.saveReview(file.id, scores, formData.get('comment'));
+        window.OpenOneHTML.showMessage('评分已保存', 'success');
+        this.updateReviewPanel(panel, file);
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '保存评分失败', 'error');
+      }
+    });
+
+    return form;
+  }
+
+  // 评分标准编辑（管理员）
+  createRubricForm() {
+    const form = document.createElement('form');
+    form.className = 'modal-form rubric-form';
+    form.innerHTML = `
+      <p class="form-hint">每项按 1~5 分评审，综合得分为各项的加权平均。删除的标准不再参与排行，已有分数会保留。</p>
+      <div id="rubricCriteria" class="rubric-criteria">加载中...</div>
+      <div class="form-group">
+        <button type="button" id="addCriterion" class="btn btn-secondary">添加标准</button>
+      </div>
+      <div class="form-actions">
+        <button type="submit" class="btn btn-primary">保存</button>
+      </div>
+    `;
+
+    const list = form.querySelector('#rubricCriteria');
+
+    const addRow = (criterion = {}) => {
+      const row = document.createElement('div');
+      row.className = 'rubric-row';
+      row.dataset.id = criterion.id || '';
+      row.innerHTML = `
+        <input type="text" name="name" placeholder="名称" required>
+        <input type="text" name="description" placeholder="评分说明">
+        <input type="number" name="weight" min="0.1" step="0.1" title="权重">
+        <button type="button" class="btn btn-small btn-danger">删除</button>
+      `;
+      row.querySelector('[name="name"]').value = criterion.name || '';
+      row.querySelector('[name="description"]').value = criterion.description || '';
+      row.querySelector('[name="weight"]').value = criterion.weight ?? 1;
+      row.querySelector('button').addEventListener('click', () => row.remove());
+      list.appendChild(row);
+    };
+
+    this.dataManager.getRubric()
+      .then(({ criteria }) => {
+        list.innerHTML = '';
+        criteria.forEach(addRow);
+      })
+      .catch(() => {
+        list.textContent = '加载评分标准失败';
+      });
+
+    form.querySelector('#addCriterion').addEventListener('click', () => addRow());
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const criteria = [...list.querySelectorAll('.rubric-row')].map(row => ({
+        id: row.dataset.id || undefined,
+        name: row.querySelector('[name="name"]').value.trim(),
+        description: row.querySelector('[name="description"]').value.trim(),
+        weight: Number(row.querySelector('[name="weight"]').value) || 1
+      }));
+
+      try {
+        await this.dataManager.saveRubric(criteria);
+        window.OpenOneHTML.showMessage('评分标准已保存', 'success');
+        this.closeModal();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '保存评分标准失败', 'error');
+      }
+    });
+
+    return form;
+  }
+
+  // 规则目标所在的集合，用于生成规则和计划的说明
+  getRulePresets() {
+    return {
+      preset_tags: this.presetManager.getTags(),
+      preset_models: this.presetManager.getModels(),
+      categories: this.presetManager.getCategories()
+    };
+  }
+
+  createRuleManagerForm() {
+    const form = document.createElement('form');
+    form.className = 'modal-form rule-manager';
+    const optionList = labels => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}">${typeof label === 'string' ? label : label.label}</option>`)
+      .join('');
+
+    form.innerHTML = `
+      <p class="form-hint">上传文件和批量导入时按顺序执行启用的规则，多条规则设置同一字段时后面的生效。匹配不区分大小写。</p>
+      <div id="ruleList" class="rule-list">加载中...</div>
+
+      <h4 id="ruleFormTitle">添加规则</h4>
+      <div class="form-group">
+        <label for="ruleName">规则名称 *</label>
+        <input type="text" id="ruleName" placeholder="例如：GLM 文件名前缀">
+      </div>
+      <div class="form-group">
+        <label for="ruleValue">条件</label>
+        <div class="rule-fields">
+          <select id="ruleField">${optionList(AutoRules.FIELDS)}</select>
+          <select id="ruleOperator">${optionList(AutoRules.OPERATORS)}</select>
+          <input type="text" id="ruleValue" placeholder="例如：^glm45- 或 &lt;canvas">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="ruleTarget">动作</label>
+        <div class="rule-fields">
+          <select id="ruleAction">${optionList(AutoRules.ACTIONS)}</select>
+          <select id="ruleTarget"></select>
+        </div>
+      </div>
+      <div class="form-actions">
+        <button type="button" id="previewRuleBtn" class="btn btn-secondary">试运行</button>
+        <button type="submit" class="btn btn-primary">保存规则</button>
+        <button type="button" id="cancelRuleEdit" class="btn btn-secondary" hidden>取消编辑</button>
+      </div>
+      <div id="rulePreview" class="tag-impact" hidden></div>
+
+      <h4>已有文件</h4>
+      <p class="form-hint">对已有的全部文件重新执行启用的规则，先预览会被修改的文件。</p>
+      <div class="form-actions">
+        <button type="button" id="previewApplyRules" class="btn btn-secondary">预览重新执行</button>
+        <button type="button" id="applyRulesBtn" class="btn btn-primary" disabled>确认修改</button>
+      </div>
+      <div id="applyRulesPreview" class="tag-impact" hidden></div>
+    `;
+
+    const list = form.querySelector('#ruleList');
+    const actionSelect = form.querySelector('#ruleAction');
+    const targetSelect = form.querySelector('#ruleTarget');
+    const cancelBtn = form.querySelector('#cancelRuleEdit');
+    const rulePreview = form.querySelector('#rulePreview');
+    const applyPreview = form.querySelector('#applyRulesPreview');
+    const applyBtn = form.querySelector('#applyRulesBtn');
+    let rules = [];
+    let editingId = '';
+
+    const updateTargets = (selectedId = '') => {
+      switch (actionSelect.value) {
+        case 'addTag':
+          targetSelect.innerHTML = this.presetManager.getTagTree()
+            .map(({ tag, depth }) => `<option value="${tag.id}">${'\u3000'.repeat(depth)}${this.escapeHtml(tag.name)}</option>`)
+            .join('');
+          break;
+        case 'setCategory':
+          targetSelect.innerHTML = this.createCategoryOptions();
+          break;
+        default:
+          targetSelect.innerHTML = this.presetManager.getModels()
+            .map(model => `<option value="${model.id}">${this.escapeHtml(model.name)}</option>`)
+            .join('');
+      }
+      if (selectedId) targetSelect.value = selectedId;
+    };
+
+    const readForm = () => ({
+      name: form.querySelector('#ruleName').value.trim(),
+      field: form.querySelector('#ruleField').value,
+      operator: form.querySelector('#ruleOperator').value,
+      value: form.querySelector('#ruleValue').value,
+      action: actionSelect.value,
+      target: targetSelect.value
+    });
+
+    const fillForm = (rule = null) => {
+      editingId = rule ? rule.id : '';
+      form.querySelector('#ruleFormTitle').textContent = rule ? `编辑规则"${rule.name}"` : '添加规则';
+      form.querySelector('#ruleName').value = rule ? rule.name : '';
+      form.querySelector('#ruleField').value = rule ? rule.field : 'originalName';
+      form.querySelector('#ruleOperator').value = rule ? rule.operator : 'contains';
+      form.querySelector('#ruleValue').value = rule ? rule.value : '';
+      actionSelect.value = rule ? rule.action : 'addTag';
+      updateTargets(rule ? rule.target : '');
+      cancelBtn.hidden = !rule;
+      rulePreview.hidden = true;
+    };
+
+    const renderList = () => {
+      const presets = this.getRulePresets();
+      if (rules.length === 0) {
+        list.innerHTML = '<p class="form-hint">还没有规则</p>';
+        return;
+      }
+      list.innerHTML = rules.map(rule => `
+        <div class="rule-item${rule.enabled === false ? ' disabled' : ''}" data-rule-id="${rule.id}">
+          <label class="rule-toggle" title="启用">
+            <input type="checkbox" data-action="toggle" ${rule.enabled !== false ? 'checked' : ''}>
+          </label>
+          <div class="rule-info">
+            <span class="rule-name">${this.escapeHtml(rule.name)}</span>
+            <span class="rule-description">${this.escapeHtml(AutoRules.describeRule(rule, presets))}</span>
+          </div>
+          <button type="button" class="btn btn-small btn-secondary" data-action="edit">编辑</button>
+          <button type="button" class="btn btn-small btn-danger" data-action="delete">删除</button>
+        </div>
+      `).join('');
+    };
+
+    const loadRules = async () => {
+      try {
+        ({ rules } = await this.dataManager.getRules());
+        renderList();
+      } catch (error) {
+        list.textContent = '加载规则失败';
+      }
+    };
+
+    list.addEventListener('click', async (e) => {
+      const item = e.target.closest('.rule-item');
+      const action = e.target.dataset.action;
+      if (!item || !action || action === 'toggle') return;
+      const rule = rules.find(r => r.id === item.dataset.ruleId);
+
+      if (action === 'edit') {
+        fillForm(rule);
+        return;
+      }
+      if (!confirm(`确定要删除规则"${rule.name}"吗？已被规则修改的文件保持不变。`)) return;
+      try {
+        await this.dataManager.deleteRule(rule.id);
+        if (editingId === rule.id) fillForm();
+        await loadRules();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '删除规则失败', 'error');
+      }
+    });
+
+    list.addEventListener('change', async (e) => {
+      if (e.target.dataset.action !== 'toggle') return;
+      const rule = rules.find(r => r.id === e.target.closest('.rule-item').dataset.ruleId);
+      try {
+        await this.dataManager.saveRule(rule.id, { ...rule, enabled: e.target.checked });
+        await loadRules();
+      } catch (error) {
+        e.target.checked = !e.target.checked;
+        window.OpenOneHTML.showMessage(error.message || '保存规则失败', 'error');
+      }
+    });
+
+    actionSelect.addEventListener('change', () => updateTargets());
+    cancelBtn.addEventListener('click', () => fillForm());
+
+    form.querySelector('#previewRuleBtn').addEventListener('click', async () => {
+      try {
+        const rule = readForm();
+        const { plan } = await this.dataManager.previewRule({ ...rule, name: rule.name || '试运行' });
+        this.renderRulePlan(rulePreview, plan);
+        rulePreview.hidden = false;
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '试运行失败', 'error');
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const current = rules.find(r => r.id === editingId);
+      try {
+        await this.dataManager.saveRule(editingId, { ...readForm(), enabled: current ? current.enabled !== false : true });
+        window.OpenOneHTML.showMessage('规则已保存，之后上传的文件会执行此规则', 'success');
+        fillForm();
+        await loadRules();
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '保存规则失败', 'error');
+      }
+    });
+
+    form.querySelector('#previewApplyRules').addEventListener('click', async () => {
+      try {
+        const { plan } = await this.dataManager.applyRules({ dryRun: true });
+        this.renderRulePlan(applyPreview, plan);
+        applyPreview.hidden = false;
+        applyBtn.disabled = plan.files.length === 0;
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '预览失败', 'error');
+      }
+    });
+
+    applyBtn.addEventListener('click', async () => {
+      try {
+        const { plan } = await this.dataManager.applyRules();
+        window.OpenOneHTML.showMessage(`已修改 ${plan.files.length} 个文件`, 'success');
+        applyPreview.hidden = true;
+        applyBtn.disabled = true;
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '执行规则失败', 'error');
+      }
+    });
+
+    fillForm();
+    loadRules();
+    return form;
+  }
+
+  // 批量编辑选中的文件：勾选要修改的字段并选择添加、移除或替换，预览后在一次请求中全部写入
+  createBulkEditForm(ids) {
+    const form = document.createElement('form');
+    form.className = 'modal-form bulk-edit';
+    // 各类字段的修改方式说明，含义见 js/bulk-edit.js
+    const modeLabels = {
+      list: { add: '添加', remove: '移除', replace: '替换为' },
+      reference: { add: '设置（只改未设置的文件）', remove: '清除（未选择时全部清除）', replace: '替换为' },
+      text: { add: '追加到末尾', remove: '删除文字', replace: '替换为' }
+    };
+    const modeSelect = field => `
+      <select data-mode="${field}">
+        ${Object.entries(modeLabels[BulkEdit.FIELDS[field].kind])
+          .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('')}
+      </select>
+    `;
+    const fieldRow = (field, input) => `
+      <div class="form-group bulk-field" data-field="${field}">
+        <label class="bulk-field-toggle">
+          <input type="checkbox" data-enable="${field}"> ${BulkEdit.FIELDS[field].label}
+        </label>
+        <div class="bulk-field-body" hidden>
+          ${modeSelect(field)}
+          ${input}
+        </div>
+      </div>
+    `;
+
+    form.innerHTML = `
+      <p class="form-hint">只修改勾选的字段，全部文件在一次保存中修改，任一文件已被其他人修改时不会保存。</p>
+      ${fieldRow('tags', '<div id="bulkTagSelector"></div>')}
+      ${fieldRow('model', `
+        <select data-value="model">
+          <option value="">未设置</option>
+          ${this.presetManager.getModels().map(model => `<option value="${model.id}">${this.escapeHtml(model.name)}</option>`).join('')}
+        </select>
+      `)}
+      ${fieldRow('category', `<select data-value="category">${this.createCategoryOptions({ emptyLabel: '未分类' })}</select>`)}
+      ${fieldRow('background', '<textarea data-value="background" rows="3"></textarea>')}
+      ${fieldRow('prompt', '<textarea data-value="prompt" rows="3"></textarea>')}
+
+      <div class="form-actions">
+        <button type="button" id="previewBulkEdit" class="btn btn-secondary">预览</button>
+        <button type="submit" id="applyBulkEdit" class="btn btn-primary" disabled>确认修改</button>
+        <button type="button" id="cancelBulkEdit" class="btn btn-secondary">取消</button>
+      </div>
+      <div id="bulkEditPreview" class="tag-impact" hidden></div>
+    `;
+
+    const tagSelector = this.presetManager.createTagSelector([]);
+    form.querySelector('#bulkTagSelector').appendChild(tagSelector);
+    const preview = form.querySelector('#bulkEditPreview');
+    const applyBtn = form.querySelector('#applyBulkEdit');
+
+    const readChanges = () => {
+      const changes = {};
+      form.querySelectorAll('[data-enable]:checked').forEach(checkbox => {
+        const field = checkbox.dataset.enable;
+        const mode = form.querySelector(`[data-mode="${field}"]`).value;
+        changes[field] = field === 'tags'
+          ? { mode, values: [...tagSelector.getSelectedIds()] }
+          : { mode, value: form.querySelector(`[data-value="${field}"]`).value };
+      });
+      return changes;
+    };
+
+    // 修改内容变化后需要重新预览
+    const invalidate = () => {
+      applyBtn.disabled = true;
+      preview.hidden = true;
+    };
+    form.addEventListener('input', invalidate);
+    form.addEventListener('change', (e) => {
+      if (e.target.dataset.enable) {
+        e.target.closest('.bulk-field').querySelector('.bulk-field-body').hidden = !e.target.checked;
+      }
+      invalidate();
+    });
+    tagSelector.addEventListener('click', invalidate);
+
+    form.querySelector('#previewBulkEdit').addEventListener('click', async () => {
+      try {
+        const { plan } = await this.dataManager.bulkEditFiles(ids, 'update', readChanges(), { dryRun: true });
+        this.renderBulkPlan(preview, plan);
+        preview.hidden = false;
+        applyBtn.disabled = plan.files.length === 0;
+      } catch (error) {
+        window.OpenOneHTML.showMessage(error.message || '预览失败', 'error');
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const { plan } = await this.dataManager.bulkEditFiles(ids, 'update', readChanges());
+        window.OpenOneHTML.showMessage(plan.summary, 'success');
+        window.OpenOneHTML.uiManager.fileList.clearSelection();
+        this.closeModal();
+      } catch (error) {
+        invalidate();
+        window.OpenOneHTML.showMessage(error.message || '批量编辑失败', 'error');
+      }
+    });
+
+    form.querySelector('#cancelBulkEdit').addEventListener('click', () => this.closeModal());
+    return form;
+  }
+
+  // 显示批量编辑计划：发生变化的文件及变化内容，以及跳过的文件和原因
+  renderBulkPlan(container, plan) {
+    const presets = this.getRulePresets();
+    const skipped = plan.results.filter(result => result.status === 'skipped');
+    container.innerHTML = `
+      <p class="tag-impact-summary">${this.escapeHtml(plan.summary)}</p>
+      <ul class="tag-impact-files">
+        ${plan.files.map(file => `
+          <li>
+            <span class="split-file-title">${this.escapeHtml(file.title)}</span>
+            <span class="tag-impact-change">${this.escapeHtml(BulkEdit.describeEntry(file, presets))}</span>
+          </li>
+        `).join('')}
+        ${skipped.map(result => `
+          <li class="bulk-skipped">
+            <span class="split-file-title">${this.escapeHtml(result.title)}</span>
+            <span class="tag-impact-change">跳过：${this.escapeHtml(result.error)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  // 显示规则执行计划：每个文件的变化和生效的规则
+  renderRulePlan(container, plan) {
+    const presets = this.getRulePresets();
+    container.innerHTML = `
+      <p class="tag-impact-summary">${this.escapeHtml(plan.summary)}</p>
+      <ul class="tag-impact-files">
+        ${plan.files.map(file => `
+          <li>
+            <span class="split-file-title">${this.escapeHtml(file.title)}</span>
+            <span class="tag-impact-change">${this.escapeHtml(AutoRules.describeChanges(file, presets))}（${this.escapeHtml(file.rules.join('、'))}）</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  createFileForm(file = null) {
+    const form = document.createElement('form');
+    form.className = 'modal-form';
+    form.innerHTML = `
+      <div class="form-group">
+        <label for="fileTitle">文件标题 *</label>
+        <input type="text" id="fileTitle" name="title" required value="${file?.title || ''}">
+      </div>
+
+      <div class="form-group">
+        <label for="fileCategory">分类</label>
+        <select id="fileCategory" name="category">
+          ${this.createCategoryOptions({ emptyLabel: '选择分类', selectedId: file?.category || '' })}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="fileBackground">背景需求</label>
+        <textarea id="fileBackground" name="background" rows="3">${file?.background || ''}</textarea>
+      </div>
+
+      <div class="form-group">
+        <label for="filePrompt">提示词</label>
+        <textarea id="filePrompt" name="prompt" rows="3">${file?.prompt || ''}</textarea>
+      </div>
+
+      <div class="form-group">
+        <label for="fileModel">开发模型</label>
+        <select id="fileModel" name="model">
+          <option value="">选择模型</option>
+          ${this.presetManager.getModels().map(model =>
+            `<option value="${model.id}" ${file?.model === model.id ? 'selected' : ''}>${model.name}</option>`
+          ).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label>标签</label>
+        <div id="tagSelectorContainer"></div>
+      </div>
+
+      <div class="form-group">
+        <label for="fileDescription">描述</label>
+        <textarea id="fileDescription" name="description" rows="3">${file?.description || ''}</textarea>
+      </div>
+
+      ${!file ? (this.dataManager.supports('bundle') ? `
+        <div class="form-group">
+          <label for="fileInput">HTML文件 *</label>
+          <input type="file" id="fileInput" name="file" multiple required
+                 accept=".html,.htm,.zip,.css,.js,.mjs,image/*,.woff,.woff2,.ttf,.otf,audio/*,video/*">
+          <small class="form-hint">可上传单个HTML、ZIP 压缩包，或同时选择 HTML 及其 CSS/JS/图片文件，将自动合并为一个HTML</small>
+        </div>
+      ` : `
+        <div class="form-group">
+          <label for="fileInput">HTML文件 *</label>
+          <input type="file" id="fileInput" name="file" required accept=".html,.htm">
+        </div>
+      `) + `
+        <div class="form-group" id="fileSuggestionGroup" style="display: none;">
+          <label>建议</label>
+          <div id="fileSuggestions" class="suggestion-chips"></div>
+          <small class="form-hint">根据页面内容、提示词和文件名生成，鼠标悬停查看依据</small>
+        </div>
+      ` : this.dataManager.supports('revisions') ? `
+        <div class="form-group">
+          <label>版本历史</label>
+          <div id="revisionPanel" class="revision-panel"></div>
+        </div>
+      ` : ''}
+
+      <div class="form-actions">
+        ${file ? '<button type="button" class="btn btn-danger" id="deleteFileBtn">删除文件</button>' : ''}
+        <button type="submit" class="btn btn-primary">保存</button>
+        <button type="button" class="btn btn-secondary" id="cancelEditFile">取消</button>
+      </div>
+    `;
+
+    // 创建标签选择器
+    const tagSelectorContainer = form.querySelector('#tagSelectorContainer');
+    const selectedTags = file?.tags || [];
+    const tagSelector = this.presetManager.createTagSelector(selectedTags);
+    tagSelectorContainer.appendChild(tagSelector);
+
+    // 版本历史面板
+    if (file) {
+      this.renderRevisionPanel(form.querySelector('#revisionPanel'), file);
+    } else {
+      this.setupUploadSuggestions(form, tagSelector);
+    }
+
+    // 删除按钮处理
+    const deleteBtn = form.querySelector('#deleteFileBtn');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`确定要删除文件 "${file.title || file.originalName}" 吗？`)) return;
+
+        try {
+          await this.dataManager.deleteFile(file.id);
+          window.OpenOneHTML.showMessage('文件删除成功', 'success');
+          this.closeModal();
+        } catch (error) {
+          console.error('删除文件失败:', error);
+          window.OpenOneHTML.showMessage('删除失败，请重试', 'error');
+        }
+      });
+    }
+
+    // 添加取消按钮处理
+    const cancelBtn = form.querySelector('#cancelEditFile');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        this.closeModal();
+      });
+    }
+
+    // 添加表单提交处理
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const formData = new FormData(form);
+      const fileData = {
+        title: formData.get('title'),
+        category: formData.get('category'),
+        background: formData.get('background'),
+        prompt: formData.get('prompt'),
+        model: formData.get('model'),
+        description: formData.get('description'),
+        tags: tagSelector.getSelectedIds()
+      };
+
+      if (!file) {
+        const fileInput = form.querySelector('#fileInput');
+        fileData.files = Array.from(fileInput.files);
+      }
+
+      try {
+        if (file) {
+          const result = await this.saveWithConflictCheck({
+            title: '文件已被其他人修改',
+            fields: this.getConflictFields('files'),
+            base: file,
+            changes: fileData,
+            save: (changes, rev) => this.dataManager.updateFile(file.id, changes, { rev })
+          });
+          window.OpenOneHTML.showMessage(result ? '文件更新成功' : '已放弃修改，显示最新内容', result ? 'success' : 'info');
+        } else {
+          const result = await this.dataManager.addFile(fileData);
+          const unresolved = result.file?.bundle?.unresolved || [];
+          const rules = result.rules || [];
+          if (unresolved.length > 0) {
+            window.OpenOneHTML.showMessage(`文件已添加，${unresolved.length} 个引用的资源未找到：${unresolved.join('、')}`, 'error');
+          } else if (rules.length > 0) {
+            window.OpenOneHTML.showMessage(`文件添加成功，已执行规则：${rules.join('、')}`, 'success');
+          } else {
+            window.OpenOneHTML.showMessage('文件添加成功', 'success');
+          }
+        }
+        this.closeModal();
+      } catch (error) {
+        console.error('保存文件失败:', error);
+        window.OpenOneHTML.showMessage(error.message || '保存失败，请重试', 'error');
+      }
+    });
+
+    return form;
+  }
+
+  /**
+   * 新建文件时根据选择的文件、提示词等生成标签、分类和模型建议，接受后填入表单
+   * @param {HTMLFormElement} form 文件表单
+   * @param {HTMLElement} tagSelector 标签选择器
+   */
+  setupUploadSuggestions(form, tagSelector) {
+    const group = form.querySelector('#fileSuggestionGroup');
+    const container = form.querySelector('#fileSuggestions');
+    const fileInput = form.querySelector('#fileInput');
+    const categorySelect = form.querySelector('#fileCategory');
+    const modelSelect = form.querySelector('#fileModel');
+    const rejected = new Set();
+    let fileName = '';
+    let page = null;
+
+    const update = () => {
+      const suggestions = this.getUploadSuggestions({
+        fileName,
+        page,
+        title: form.querySelector('#fileTitle').value,
+        background: form.querySelector('#fileBackground').value,
+        prompt: form.querySelector('#filePrompt').value,
+        description: form.querySelector('#fileDescription').value
+      });
+      const count = this.renderSuggestionChips(container, suggestions, {
+        rejected,
+        isAccepted: (kind, id) => kind === 'tag'
+          ? tagSelector.getSelectedIds().includes(id)
+          : (kind === 'category' ? categorySelect : modelSelect).value === id,
+        accept: (kind, id) => {
+          if (kind === 'tag') tagSelector.setSelected(id, true);
+          else (kind === 'category' ? categorySelect : modelSelect).value = id;
+        },
+        undo: (kind, id) => {
+          if (kind === 'tag') tagSelector.setSelected(id, false);
+          else (kind === 'category' ? categorySelect : modelSelect).value = '';
+        },
+        onChange: update
+      });
+      group.style.display = count > 0 ? 'block' : 'none';
+    };
+
+    fileInput.addEventListener('change', async () => {
+      const files = Array.from(fileInput.files);
+      const entry = files.find(item => /\.html?$/i.test(item.name)) || files[0];
+      fileName = entry ? entry.name : '';
+      try {
+        page = UploadSuggestions.analyzePage(await this.readSuggestionSource(files));
+      } catch (error) {
+        console.error('分析页面失败:', error);
+        page = null;
+      }
+      update();
+    });
+
+    ['#fileTitle', '#fileBackground', '#filePrompt', '#fileDescription'].forEach(selector => {
+      form.querySelector(selector).addEventListener('change', update);
+    });
+    categorySelect.addEventListener('change', update);
+    modelSelect.addEventListener('change', update);
+  }
+
+  // 读取选择的 HTML、CSS、JS 文件内容用于分析，压缩包和其他资源不读取
+  async readSuggestionSource(files) {
+    const maxSize = 10 * 1024 * 1024;
+    const texts = await Promise.all(files
+      .filter(item => /\.(html?|css|m?js)$/i.test(item.name) && item.size <= maxSize)
+      .map(item => item.text()));
+    return texts.join('\n');
+  }
+
+  // 按当前已有的标签、分类、模型和文件生成建议（见 js/upload-suggestions.js）
+  getUploadSuggestions(input) {
+    return UploadSuggestions.suggest(input, {
+      tags: this.presetManager.getTags(),
+      categories: this.presetManager.getCategories(),
+      models: this.presetManager.getModels(),
+      files: (this.dataManager.data && this.dataManager.data.files) || []
+    });
+  }
+
+  /**
+   * 显示建议：未接受的建议可以接受或拒绝，已接受的可以撤销；拒绝后不再显示
+   * @param {HTMLElement} container 容器
+   * @param {Object} suggestions UploadSuggestions.suggest 的结果
+   * @param {Object} options { rejected: Set, isAccepted(kind, id), accept(kind, id), undo(kind, id), onChange() }，
+   *   kind 为 tag、category 或 model
+   * @returns {number} 显示的建议数量
+   */
+  renderSuggestionChips(container, suggestions, options) {
+    const { rejected, isAccepted, accept, undo, onChange } = options;
+    const kindLabels = { tag: '标签', category: '分类', model: '模型' };
+    const items = [
+      ...suggestions.tags.map(item => ({ kind: 'tag', ...item })),
+      ...(suggestions.category ? [{ kind: 'category', ...suggestions.category, name: this.presetManager.getCategoryPath(suggestions.category.id) }] : []),
+      ...(suggestions.model ? [{ kind: 'model', ...suggestions.model }] : [])
+    ].filter(item => !rejected.has(`${item.kind}:${item.id}`));
+
+    container.innerHTML = '';
+    items.forEach(item => {
+      const accepted = isAccepted(item.kind, item.id);
+      const chip = document.createElement('span');
+      chip.className = `suggestion-chip${accepted ? ' accepted' : ''}`;
+      chip.title = item.reasons.join('\n');
+
+      const label = document.createElement('span');
+      label.textContent = `${kindLabels[item.kind]}：${item.name}`;
+      chip.appendChild(label);
+
+      if (!accepted) {
+        const acceptBtn = document.createElement('button');
+        acceptBtn.type = 'button';
+        acceptBtn.className = 'suggestion-accept';
+        acceptBtn.title = '接受';
+        acceptBtn.textContent = '✓';
+        acceptBtn.onclick = () => {
+          accept(item.kind, item.id);
+          onChange();
+        };
+        chip.appendChild(acceptBtn);
+      }
+
+      const rejectBtn = document.createElement('button');
+      rejectBtn.type = 'button';
+      rejectBtn.className = 'suggestion-reject';
+      rejectBtn.title = accepted ? '撤销' : '拒绝';
+      rejectBtn.textContent = '×';
+      rejectBtn.onclick = () => {
+        if (accepted) undo(item.kind, item.id);
+        rejected.add(`${item.kind}:${item.id}`);
+        onChange();
+      };
+      chip.appendChild(rejectBtn);
+
+      container.appendChild(chip);
+    });
+
+    const pending = items.filter(item => !isAccepted(item.kind, item.id));
+    if (pending.length > 1) {
+      const acceptAllBtn = document.createElement('button');
+      acceptAllBtn.type = 'button';
+      acceptAllBtn.className = 'btn btn-small btn-secondary';
+      acceptAllBtn.textContent = '全部接受';
+      acceptAllBtn.onclick = () => {
+        pending.forEach(item => accept(item.kind, item.id));
+        onChange();
+      };
+      container.appendChild(acceptAllBtn);
+    }
+
+    return items.length;
+  }
+
+  async renderRevisionPanel(panel, file) {
+    if (!panel) return;
+
+    panel.innerHTML = '<div class="revision-loading">加载版本历史...</div>';
+
+    let history;
+    try {
+      history = await this.dataManager.getRevisions(file.id);
+    } catch (error) {
+      panel.innerHTML = '<div class="revision-error">加载版本历史失败</div>';
+      return;
+    }
 
-      <div class="form-group">
-        <label>标签</label>
-        <div id="tagSelectorContainer"></div>
+    const { currentVersion, revisions } = history;
+    const versionOptions = (selected) => revisions.map(r =>
+      `<option value="${r.version}" ${r.version === selected ? 'selected' : ''}>v${r.version}</option>`
+    ).join('');
+    const previous = revisions.length > 1 ? revisions[revisions.length - 2].version : currentVersion;
+
+    panel.innerHTML = `
+      <div class="revision-list">
+        ${revisions.slice().reverse().map(r => `
+          <div class="revision-item ${r.version === currentVersion ? 'current' : ''}">
+            <div class="revision-info">
+              <strong>v${r.version}</strong>${r.version === currentVersion ? ' <span class="revision-current">当前</span>' : ''}
+              <span class="revision-meta">${(r.fileSize / 1024).toFixed(1)}KB · ${new Date(r.uploadTime).toLocaleString()}</span>
+              ${r.note ? `<div class="revision-note" data-version="${r.version}"></div>` : ''}
+            </div>
+            <div class="revision-actions">
+              <button type="button" class="btn btn-small btn-secondary" data-action="preview" data-version="${r.version}">预览</button>
+              ${r.version !== currentVersion ? `<button type="button" class="btn btn-small btn-primary" data-action="rollback" data-version="${r.version}">回滚</button>` : ''}
+            </div>
+          </div>
+        `).join('')}
       </div>
 
-      <div class="form-group">
-        <label for="fileDescription">描述</label>
-        <textarea id="fileDescription" name="description" rows="3">${file?.description || ''}</textarea>
+      <div class="revision-upload">
+        <input type="file" class="revision-file" multiple title="单个HTML、ZIP 压缩包，或 HTML 及其 CSS/JS/图片文件"
+               accept=".html,.htm,.zip,.css,.js,.mjs,image/*,.woff,.woff2,.ttf,.otf,audio/*,video/*">
+        <input type="text" class="revision-note-input" placeholder="版本说明（可选）">
+        <button type="button" class="btn btn-small btn-primary" data-action="upload">上传新版本</button>
       </div>
 
-      ${!file ? `
-        <div class="form-group">
-          <label for="fileInput">HTML文件 *</label>
-          <input type="file" id="fileInput" name="file" accept=".html,.htm" required>
+      ${revisions.length > 1 ? `
+        <div class="revision-diff-controls">
+          <select class="revision-from">${versionOptions(previous)}</select>
+          <span>→</span>
+          <select class="revision-to">${versionOptions(currentVersion)}</select>
+          <button type="button" class="btn btn-small btn-secondary" data-action="diff">查看差异</button>
         </div>
+        <div class="revision-diff" style="display: none;"></div>
       ` : ''}
-
-      <div class="form-actions">
-        <button type="submit" class="btn btn-primary">保存</button>
-        <button type="button" class="btn btn-secondary" id="cancelEditFile">取消</button>
-      </div>
     `;
 
-    // 创建标签选择器
-    const tagSelectorContainer = form.querySelector('#tagSelectorContainer');
-    const selectedTags = file?.tags || [];
-    const tagSelector = this.presetManager.createTagSelector(selectedTags);
-    tagSelectorContainer.appendChild(tagSelector);
+    // 版本说明使用 textContent 填充，避免注入
+    panel.querySelectorAll('.revision-note').forEach(noteEl => {
+      noteEl.textContent = revisions.find(r => r.version === Number(noteEl.dataset.version)).note;
+    });
 
-    // 添加取消按钮处理
-    const cancelBtn = form.querySelector('#cancelEditFile');
-    if (cancelBtn) {
-      cancelBtn.addEventListener('click', () => {
-        this.closeModal();
+    panel.querySelectorAll('button[data-action]').forEach(button => {
+      button.addEventListener('click', async () => {
+        const version = Number(button.dataset.version);
+        const revision = revisions.find(r => r.version === version);
+
+        try {
+          switch (button.dataset.action) {
+            case 'preview':
+              window.open(this.dataManager.getPageUrl(revision.encryptedName), '_blank');
+              break;
+            case 'rollback':
+              if (!confirm(`确定要回滚到 v${version} 吗？`)) return;
+              await this.dataManager.rollbackRevision(file.id, version);
+              window.OpenOneHTML.showMessage(`已回滚到 v${version}`, 'success');
+              this.renderRevisionPanel(panel, file);
+              break;
+            case 'upload': {
+              const input = panel.querySelector('.revision-file');
+              if (input.files.length === 0) {
+                window.OpenOneHTML.showMessage('请选择新版本的HTML文件', 'error');
+                return;
+              }
+              const note = panel.querySelector('.revision-note-input').value.trim();
+              const result = await this.dataManager.uploadRevision(file.id, Array.from(input.files), note);
+              window.OpenOneHTML.showMessage(`已上传 v${result.revision.version}`, 'success');
+              this.renderRevisionPanel(panel, file);
+              break;
+            }
+            case 'diff': {
+              const from = panel.querySelector('.revision-from').value;
+              const to = panel.querySelector('.revision-to').value;
+              const diff = await this.dataManager.getRevisionDiff(file.id, from, to);
+              this.renderRevisionDiff(panel.querySelector('.revision-diff'), diff);
+              break;
+            }
+          }
+        } catch (error) {
+          console.error('版本操作失败:', error);
+          window.OpenOneHTML.showMessage('操作失败，请重试', 'error');
+        }
       });
-    }
+    });
+  }
 
-    // 添加表单提交处理
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
+  renderRevisionDiff(container, diff) {
+    const context = 3;
+    container.innerHTML = '';
+    container.style.display = 'block';
 
-      const formData = new FormData(form);
-      const fileData = {
-        title: formData.get('title'),
-        category: formData.get('category'),
-        background: formData.get('background'),
-        prompt: formData.get('prompt'),
-        model: formData.get('model'),
-        description: formData.get('description'),
-        tags: tagSelector.getSelectedIds()
-      };
+    const summary = document.createElement('div');
+    summary.className = 'revision-diff-summary';
+    summary.textContent = `v${diff.from} → v${diff.to}：+${diff.added} 行，-${diff.removed} 行`;
+    container.appendChild(summary);
 
-      if (!file) {
-        const fileInput = form.querySelector('#fileInput');
-        if (fileInput.files[0]) {
-          fileData.file = fileInput.files[0];
-        }
+    if (diff.added === 0 && diff.removed === 0) return;
+
+    // 只显示变更行及其上下文，其余相同的行折叠
+    const keep = diff.lines.map(() => false);
+    diff.lines.forEach((line, index) => {
+      if (line.type === 'equal') return;
+      for (let i = Math.max(0, index - context); i <= Math.min(diff.lines.length - 1, index + context); i++) {
+        keep[i] = true;
       }
+    });
 
-      try {
-        if (file) {
-          await this.dataManager.updateFile(file.id, fileData);
-          window.OpenOneHTML.showMessage('文件更新成功', 'success');
-        } else {
-          await this.dataManager.addFile(fileData);
-          window.OpenOneHTML.showMessage('文件添加成功', 'success');
+    const pre = document.createElement('pre');
+    pre.className = 'revision-diff-body';
+    let skipped = false;
+
+    diff.lines.forEach((line, index) => {
+      if (!keep[index]) {
+        if (!skipped) {
+          const gap = document.createElement('div');
+          gap.className = 'diff-line diff-gap';
+          gap.textContent = '…';
+          pre.appendChild(gap);
+          skipped = true;
         }
-        this.closeModal();
-      } catch (error) {
-        console.error('保存文件失败:', error);
-        window.OpenOneHTML.showMessage('保存失败，请重试', 'error');
+        return;
       }
+      skipped = false;
+
+      const row = document.createElement('div');
+      row.className = `diff-line diff-${line.type}`;
+      const prefix = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+      row.textContent = `${prefix} ${line.text}`;
+      pre.appendChild(row);
     });
 
-    return form;
+    container.appendChild(pre);
   }
 
   createBatchManageForm() {
@@ -772,6 +3021,7 @@ class ModalManager {
 
       <div class="scan-results" id="scanResults" style="display: none;">
         <h4>扫描结果</h4>
+        <button type="button" id="acceptAllSuggestions" class="btn btn-small btn-secondary">接受全部建议</button>
         <div id="scanResultsList"></div>
         <button type="button" id="uploadScannedFiles" class="btn btn-primary">上传选中文件</button>
       </div>
@@ -827,28 +3077,85 @@ class ModalManager {
     const resultsContainer = document.getElementById('scanResults');
     const resultsList = document.getElementById('scanResultsList');
     const uploadBtn = document.getElementById('uploadScannedFiles');
+    const acceptAllBtn = document.getElementById('acceptAllSuggestions');
 
     if (resultsContainer && resultsList && uploadBtn) {
-      resultsList.innerHTML = results.files.map(file =>
-        `<div class="file-item">
+      // 每个文件接受的建议，上传时与共同的设置合并
+      this.scanSelections = new Map();
+
+      resultsList.innerHTML = results.files.map((file, index) =>
+        `<div class="file-item" data-index="${index}">
           <label>
             <input type="checkbox" name="selectedFiles" value="${file.path}" checked>
             ${file.name} (${(file.size / 1024).toFixed(1)}KB)
           </label>
+          ${(file.rules || []).length > 0 ? `<div class="scan-rules">将执行规则：${this.escapeHtml(file.rules.join('、'))}</div>` : ''}
+          <div class="suggestion-chips"></div>
         </div>`
       ).join('');
 
+      const renderers = results.files.map((file, index) => {
+        const selection = { name: file.name, tags: [], category: '', model: '', rejected: new Set() };
+        this.scanSelections.set(file.path, selection);
+        const container = resultsList.querySelector(`.file-item[data-index="${index}"] .suggestion-chips`);
+        const suggestions = this.getUploadSuggestions({
+          fileName: file.name,
+          page: file.page,
+          background: scanData.background,
+          prompt: scanData.prompt
+        });
+        const options = {
+          rejected: selection.rejected,
+          isAccepted: (kind, id) => {
+            if (kind === 'tag') return scanData.tags.includes(id) || selection.tags.includes(id);
+            if (kind === 'category') return selection.category === id;
+            return (selection.model || scanData.model) === id;
+          },
+          accept: (kind, id) => {
+            if (kind === 'tag') selection.tags.push(id);
+            else selection[kind] = id;
+          },
+          undo: (kind, id) => {
+            if (kind === 'tag') selection.tags = selection.tags.filter(tagId => tagId !== id);
+            else if (selection[kind] === id) selection[kind] = '';
+          },
+          onChange: () => render()
+        };
+        const render = () => this.renderSuggestionChips(container, suggestions, options);
+        render();
+        return { suggestions, options, render };
+      });
+
+      if (acceptAllBtn) {
+        acceptAllBtn.onclick = () => renderers.forEach(({ suggestions, options, render }) => {
+          [
+            ...suggestions.tags.map(item => ['tag', item.id]),
+            ...(suggestions.category ? [['category', suggestions.category.id]] : []),
+            ...(suggestions.model ? [['model', suggestions.model.id]] : [])
+          ]
+            .filter(([kind, id]) => !options.rejected.has(`${kind}:${id}`) && !options.isAccepted(kind, id))
+            .forEach(([kind, id]) => options.accept(kind, id));
+          render();
+        });
+      }
+
       uploadBtn.onclick = () => this.uploadSelectedFiles(scanData);
       resultsContainer.style.display = 'block';
     }
   }
 
   async uploadSelectedFiles(scanData) {
+    const selections = this.scanSelections;
     const selectedFiles = Array.from(document.querySelectorAll('input[name="selectedFiles"]:checked'))
       .map(checkbox => {
-        const file = checkbox.value;
-        const fileName = checkbox.closest('.file-item').textContent.trim().split(' ')[0];
-        return { path: file, name: fileName };
+        const selection = selections.get(checkbox.value);
+        return {
+          path: checkbox.value,
+          name: selection.name,
+          tags: selection.tags,
+          category: selection.category,
+          model: selection.model
+        };
       });
 
     if (selectedFiles.length === 0) {
@@ -857,7 +3164,7 @@ class ModalManager {
     }
 
     try {
-      const results = await this.dataManager.batchUpload(selectedFiles, {
+      const { results } = await this.dataManager.batchUpload(selectedFiles, {
         background: scanData.background,
         prompt: scanData.prompt,
         model: scanData.model,
@@ -886,6 +3193,11 @@ class ModalManager {
         <input type="color" id="newTagColor" name="tagColor" value="#3498db">
       </div>
 
+      <div class="form-group">
+        <label for="newTagParent">上级标签</label>
+        <select id="newTagParent" name="tagParent"></select>
+      </div>
+
       <div class="form-group">
         <button type="button" id="addNewTag" class="btn btn-primary">添加标签</button>
       </div>
@@ -900,10 +3212,12 @@ class ModalManager {
     const addBtn = form.querySelector('#addNewTag');
     const nameInput = form.querySelector('#newTagName');
     const colorInput = form.querySelector('#newTagColor');
+    const parentSelect = form.querySelector('#newTagParent');
 
     addBtn.addEventListener('click', async () => {
       const name = nameInput.value.trim();
       const color = colorInput.value;
+      const parentId = parentSelect.value;
 
       if (!name) {
         window.OpenOneHTML.showMessage('请输入标签名称', 'error');
@@ -911,14 +3225,14 @@ class ModalManager {
       }
 
       try {
-        console.log('添加标签:', { name, color });
-        await this.presetManager.addTag({ name, color });
+        console.log('添加标签:', { name, color, parentId });
+        await this.presetManager.addTag({ name, color, parentId });
         nameInput.value = '';
         this.updateExistingTags(form);
         window.OpenOneHTML.showMessage('标签添加成功', 'success');
       } catch (error) {
         console.error('添加标签失败:', error);
-        window.OpenOneHTML.showMessage('添加标签失败', 'error');
+        window.OpenOneHTML.showMessage(error.message || '添加标签失败', 'error');
       }
     });
 
@@ -931,45 +3245,80 @@ class ModalManager {
     const tagsList = form.querySelector('#existingTagsList');
     if (!tagsList) return;
 
-    const tags = this.presetManager.getTags();
-    tagsList.innerHTML = tags.map(tag => `
-      <div class="tag-item">
+    const parentSelect = form.querySelector('#newTagParent');
+    if (parentSelect) {
+      parentSelect.innerHTML = this.createTagOptions({ emptyLabel: '无（顶层标签）', selectedId: parentSelect.value });
+    }
+
+    // 按层级显示，使用次数按当前文件统计
+    const usage = this.countTagUsage();
+    tagsList.innerHTML = this.presetManager.getTagTree().map(({ tag, depth }) => `
+      <div class="tag-item" style="margin-left: ${depth * 24}px">
         <div class="tag-info">
-          <span class="tag-name">${tag.name}</span>
-          <span class="tag-count">使用 ${tag.usageCount} 次</span>
+          <span class="tag-name">${this.escapeHtml(tag.name)}</span>
+          ${(tag.aliases || []).length > 0 ? `<span class="tag-aliases">别名：${this.escapeHtml(tag.aliases.join('、'))}</span>` : ''}
+          <span class="tag-count">${usage.get(tag.id) || 0} 个文件使用</span>
         </div>
         <div class="tag-actions">
           <button type="button" class="btn btn-small btn-secondary" data-action="edit" data-tag-id="${tag.id}">编辑</button>
+          <button type="button" class="btn btn-small btn-secondary" data-action="merge" data-tag-id="${tag.id}">合并</button>
+          <button type="button" class="btn btn-small btn-secondary" data-action="split" data-tag-id="${tag.id}">拆分</button>
           <button type="button" class="btn btn-small btn-danger" data-action="delete" data-tag-id="${tag.id}">删除</button>
         </div>
       </div>
     `).join('');
 
-    // 添加编辑和删除事件监听
+    // 添加编辑、整理和删除事件监听
     const buttons = tagsList.querySelectorAll('button[data-tag-id]');
     buttons.forEach(button => {
       const tagId = button.dataset.tagId;
       const action = button.dataset.action;
 
-      button.addEventListener('click', async () => {
-        if (action === 'delete') {
-          if (confirm('确定要删除这个标签吗？')) {
-            try {
-              await this.deleteTag(tagId);
-              this.updateExistingTags(form);
-              window.OpenOneHTML.showMessage('标签删除成功', 'success');
-            } catch (error) {
-              console.error('删除标签失败:', error);
-              window.OpenOneHTML.showMessage('删除标签失败', 'error');
-            }
-          }
-        } else if (action === 'edit') {
+      button.addEventListener('click', () => {
+        if (action === 'edit') {
           this.showEditTagDialog(tagId, form);
+        } else {
+          this.showOrganizeTagDialog(action, tagId, form);
         }
       });
     });
   }
 
+  // 各标签被多少个文件使用（不含已删除的文件）
+  countTagUsage() {
+    const usage = new Map();
+    (this.dataManager.data?.files || [])
+      .filter(file => file.status !== 'deleted')
+      .forEach(file => (file.tags || []).forEach(id => usage.set(id, (usage.get(id) || 0) + 1)));
+    return usage;
+  }
+
+  /**
+   * 按层级排列的标签选项
+   * @param {Object} options
+   * @param {string} options.emptyLabel 空选项的文字，不提供时没有空选项
+   * @param {string} options.selectedId 选中的标签
+   * @param {string} options.excludeId 排除的标签及其下级标签
+   * @returns {string} option 元素的 HTML
+   */
+  createTagOptions({ emptyLabel, selectedId = '', excludeId = '' } = {}) {
+    const tags = this.presetManager.getTags();
+    const excluded = excludeId ? TagTaxonomy.getDescendantIds(tags, excludeId) : new Set();
+    const options = this.presetManager.getTagTree()
+      .filter(({ tag }) => !excluded.has(tag.id))
+      .map(({ tag, depth }) => `<option value="${tag.id}"${tag.id === selectedId ? ' selected' : ''}>${'\u3000'.repeat(depth)}${this.escapeHtml(tag.name)}</option>`);
+    if (emptyLabel !== undefined) {
+      options.unshift(`<option value="">${this.escapeHtml(emptyLabel)}</option>`);
+    }
+    return options.join('');
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   showEditTagDialog(tagId, form) {
     const tag = this.presetManager.getTagById(tagId);
     if (!tag) return;
@@ -989,6 +3338,20 @@ class ModalManager {
           <label for="editTagDescription">标签描述</label>
           <textarea id="editTagDescription" rows="2">${tag.description || ''}</textarea>
         </div>
+        <div class="form-group">
+          <label for="editTagParent">上级标签</label>
+          <select id="editTagParent">${this.createTagOptions({ emptyLabel: '无（顶层标签）', selectedId: tag.parentId || '', excludeId: tag.id })}</select>
+        </div>
+        <div class="form-group">
+          <label for="editTagAliases">别名</label>
+          <input type="text" id="editTagAliases" placeholder="多个别名用逗号分隔">
+        </div>
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" id="editTagKeepOldName" checked>
+            改名后保留原名称作为别名，按原名称搜索仍能找到
+          </label>
+        </div>
         <div class="form-actions">
           <button type="button" class="btn btn-primary" id="saveEditTag">保存</button>
           <button type="button" class="btn btn-secondary" id="cancelEditTag">取消</button>
@@ -1011,6 +3374,7 @@ class ModalManager {
     `;
 
     dialog.querySelector('.edit-tag-body').appendChild(editForm);
+    dialog.querySelector('#editTagAliases').value = (tag.aliases || []).join('，');
     document.body.appendChild(dialog);
 
     // 绑定事件
@@ -1027,6 +3391,11 @@ class ModalManager {
       const newName = dialog.querySelector('#editTagName').value.trim();
       const newColor = dialog.querySelector('#editTagColor').value;
       const newDescription = dialog.querySelector('#editTagDescription').value.trim();
+      const parentId = dialog.querySelector('#editTagParent').value;
+      const aliases = dialog.querySelector('#editTagAliases').value.split(/[,，]/).map(alias => alias.trim()).filter(Boolean);
+      if (newName !== tag.name && dialog.querySelector('#editTagKeepOldName').checked) {
+        aliases.push(tag.name);
+      }
 
       if (!newName) {
         window.OpenOneHTML.showMessage('请输入标签名称', 'error');
@@ -1034,13 +3403,13 @@ class ModalManager {
       }
 
       try {
-        await this.updateTag(tagId, { name: newName, color: newColor, description: newDescription });
+        const saved = await this.updateTag(tagId, { name: newName, color: newColor, description: newDescription, parentId, aliases }, tag);
         this.updateExistingTags(form);
-        window.OpenOneHTML.showMessage('标签更新成功', 'success');
+        window.OpenOneHTML.showMessage(saved ? '标签更新成功' : '已放弃修改，显示最新内容', saved ? 'success' : 'info');
         closeDialog();
       } catch (error) {
         console.error('更新标签失败:', error);
-        window.OpenOneHTML.showMessage('更新标签失败', 'error');
+        window.OpenOneHTML.showMessage(error.message || '更新标签失败', 'error');
       }
     });
 
@@ -1058,27 +3427,197 @@ class ModalManager {
     document.addEventListener('keydown', escHandler);
   }
 
-  async updateTag(tagId, tagData) {
-    try {
-      // 更新标签信息
-      const data = this.dataManager.data;
-      if (data.preset_tags) {
-        const tagIndex = data.preset_tags.findIndex(tag => tag.id === tagId);
-        if (tagIndex > -1) {
-          data.preset_tags[tagIndex] = {
-            ...data.preset_tags[tagIndex],
-            ...tagData
-          };
-          await this.dataManager.saveData();
-          await this.presetManager.refresh();
+  /**
+   * 标签整理对话框：合并、拆分或删除标签
+   * 先按填写的内容预览影响范围（哪些文件的标签会怎样变化），确认后再执行
+   * @param {string} action merge、split 或 delete
+   * @param {string} tagId 标签ID
+   * @param {HTMLElement} form 标签管理表单，执行后刷新其中的列表
+   */
+  showOrganizeTagDialog(action, tagId, form) {
+    const tag = this.presetManager.getTagById(tagId);
+    if (!tag) return;
+
+    const titles = { merge: '合并标签', split: '拆分标签', delete: '删除标签' };
+    const path = this.presetManager.getTagPath(tagId);
+    const usingFiles = (this.dataManager.data?.files || [])
+      .filter(file => file.status !== 'deleted' && (file.tags || []).includes(tagId));
+
+    const dialog = document.createElement('div');
+    dialog.className = 'edit-tag-dialog';
+    dialog.innerHTML = `
+      <div class="edit-tag-overlay"></div>
+      <div class="edit-tag-content">
+        <div class="edit-tag-header">
+          <h3>${titles[action]}：${this.escapeHtml(path)}</h3>
+          <button type="button" class="close-edit-tag">×</button>
+        </div>
+        <div class="edit-tag-body">
+          <div class="edit-tag-form organize-tag-form"></div>
+          <div class="tag-impact" hidden></div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary" data-action="preview">预览影响</button>
+            <button type="button" class="btn btn-primary" data-action="apply" disabled>确认执行</button>
+            <button type="button" class="btn btn-secondary" data-action="cancel">取消</button>
+          </div>
+        </div>
+      </div>
+    `;
+    const fields = dialog.querySelector('.organize-tag-form');
+    const impact = dialog.querySelector('.tag-impact');
+    const applyBtn = dialog.querySelector('[data-action="apply"]');
+
+    if (action === 'merge') {
+      fields.innerHTML = `
+        <p class="tag-impact-hint">使用此标签的 ${usingFiles.length} 个文件改用目标标签，此标签的名称和别名成为目标标签的别名，下级标签移到目标标签下。</p>
+        <div class="form-group">
+          <label for="organizeTarget">合并到</label>
+          <select id="organizeTarget">${this.createTagOptions({ excludeId: tagId })}</select>
+        </div>
+      `;
+    } else if (action === 'delete') {
+      fields.innerHTML = `
+        <p class="tag-impact-hint">${usingFiles.length} 个文件使用此标签，下级标签移到它的上级标签下。</p>
+        <div class="form-group">
+          <label for="organizeTarget">使用此标签的文件</label>
+          <select id="organizeTarget">${this.createTagOptions({ emptyLabel: '从文件中移除此标签' })}</select>
+        </div>
+      `;
+      fields.querySelector(`#organizeTarget option[value="${tagId}"]`).remove();
+    } else {
+      fields.innerHTML = `
+        <p class="tag-impact-hint">此标签换成以下新标签（与它同级），在下表中勾选每个文件使用哪些新标签。</p>
+        <div class="split-parts"></div>
+        <button type="button" class="btn btn-small btn-secondary" data-action="add-part">添加新标签</button>
+        <div class="split-files"></div>
+      `;
+      const partsEl = fields.querySelector('.split-parts');
+      const filesEl = fields.querySelector('.split-files');
+      const renderFiles = () => {
+        const names = [...partsEl.querySelectorAll('input')].map((input, index) => input.value.trim() || `新标签 ${index + 1}`);
+        // 重新生成时保留已取消的勾选
+        const unchecked = new Set([...filesEl.querySelectorAll('input:not(:checked)')].map(input => `${input.dataset.file}:${input.dataset.part}`));
+        filesEl.innerHTML = usingFiles.map(file => `
+          <div class="split-file">
+            <span class="split-file-title">${this.escapeHtml(file.title || file.originalName)}</span>
+            ${names.map((name, index) => `
+              <label class="checkbox-label">
+                <input type="checkbox" data-file="${file.id}" data-part="${index}"${unchecked.has(`${file.id}:${index}`) ? '' : ' checked'}>
+                ${this.escapeHtml(name)}
+              </label>
+            `).join('')}
+          </div>
+        `).join('');
+      };
+      const addPart = () => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = `新标签 ${partsEl.children.length + 1} 的名称`;
+        input.addEventListener('change', renderFiles);
+        partsEl.appendChild(input);
+        renderFiles();
+      };
+      addPart();
+      addPart();
+      fields.querySelector('[data-action="add-part"]').addEventListener('click', addPart);
+    }
 
-          // 同步更新所有使用此标签的文件显示
-          this.syncTagUpdate(tagId, tagData);
-          return true;
+    // 修改选项后需要重新预览
+    fields.addEventListener('change', () => {
+      applyBtn.disabled = true;
+      impact.hidden = true;
+    });
+
+    const collectParts = () => [...fields.querySelectorAll('.split-parts input')].map((input, index) => ({
+      name: input.value.trim(),
+      fileIds: [...fields.querySelectorAll(`.split-files input[data-part="${index}"]:checked`)].map(item => item.dataset.file)
+    }));
+
+    // 预览和执行使用同一个修订号，期间标签被其他人修改时执行会失败
+    const rev = tag.rev || 0;
+    const run = options => {
+      const target = fields.querySelector('#organizeTarget');
+      if (action === 'merge') return this.presetManager.mergeTag(tagId, target.value, options);
+      if (action === 'delete') return this.presetManager.removeTag(tagId, target.value, options);
+      return this.presetManager.splitTag(tagId, collectParts(), options);
+    };
+
+    const closeDialog = () => {
+      if (dialog.parentNode) document.body.removeChild(dialog);
+    };
+
+    dialog.querySelector('[data-action="preview"]').addEventListener('click', async () => {
+      try {
+        const result = await run({ dryRun: true, rev });
+        this.renderTagImpact(impact, result.plan);
+        impact.hidden = false;
+        applyBtn.disabled = false;
+      } catch (error) {
+        console.error('预览标签整理失败:', error);
+        window.OpenOneHTML.showMessage(error.message || '预览失败', 'error');
+      }
+    });
+
+    applyBtn.addEventListener('click', async () => {
+      try {
+        const result = await run({ rev });
+        this.updateExistingTags(form);
+        window.OpenOneHTML.showMessage(result.plan.summary, 'success');
+        closeDialog();
+      } catch (error) {
+        console.error(`${titles[action]}失败:`, error);
+        window.OpenOneHTML.showMessage(error.message || `${titles[action]}失败`, 'error');
+        if (error instanceof ConflictError) {
+          await this.presetManager.refresh();
+          this.updateExistingTags(form);
+          closeDialog();
         }
       }
+    });
+
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', closeDialog);
+    dialog.querySelector('.close-edit-tag').addEventListener('click', closeDialog);
+    dialog.querySelector('.edit-tag-overlay').addEventListener('click', closeDialog);
+
+    document.body.appendChild(dialog);
+  }
+
+  // 显示标签整理计划：说明和每个文件的标签变化
+  renderTagImpact(container, plan) {
+    const names = new Map(this.presetManager.getTags().map(tag => [tag.id, tag.name]));
+    plan.tags.insert.forEach(tag => names.set(tag.id, tag.name));
+    const describe = ids => (ids.length > 0 ? ids.map(id => names.get(id) || id).join('、') : '（无标签）');
+
+    container.innerHTML = `
+      <p class="tag-impact-summary">${this.escapeHtml(plan.summary)}</p>
+      ${plan.tags.update.length > 0 ? `<p class="tag-impact-hint">同时修改 ${plan.tags.update.length} 个标签（别名或上级标签）</p>` : ''}
+      ${plan.rules && plan.rules.length > 0 ? `<p class="tag-impact-hint">自动规则 ${this.escapeHtml(plan.rules.map(rule => rule.name).join('、'))} 改为添加"${this.escapeHtml(names.get(plan.replacedBy) || plan.replacedBy)}"</p>` : ''}
+      <ul class="tag-impact-files">
+        ${plan.files.map(file => `
+          <li>
+            <span class="split-file-title">${this.escapeHtml(file.title)}${file.deleted ? '（已删除）' : ''}</span>
+            <span class="tag-impact-change">${this.escapeHtml(describe(file.before))} → ${this.escapeHtml(describe(file.after))}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  // base 为开始编辑时的标签，用于检测并合并其他人的修改；放弃修改时返回 false
+  async updateTag(tagId, tagData, base = this.presetManager.getTagById(tagId)) {
+    try {
+      const result = await this.saveWithConflictCheck({
+        title: '标签已被其他人修改',
+        fields: this.getConflictFields('preset_tags'),
+        base,
+        changes: tagData,
+        save: (changes, rev) => this.presetManager.updateTag(tagId, changes, { rev })
+      });
+      if (!result) return false;
 
-      throw new Error('标签不存在');
+      // 同步更新所有使用此标签的文件显示
+      this.syncTagUpdate(tagId, tagData);
+      return true;
     } catch (error) {
       console.error('更新标签失败:', error);
       throw error;
@@ -1096,35 +3635,6 @@ class ModalManager {
     }
   }
 
-  async deleteTag(tagId) {
-    try {
-      // 先检查是否有文件使用这个标签
-      const files = this.dataManager.data?.files || [];
-      const filesUsingTag = files.filter(file => file.tags && file.tags.includes(tagId));
-
-      if (filesUsingTag.length > 0) {
-        throw new Error(`无法删除标签：${filesUsingTag.length}个文件正在使用此标签`);
-      }
-
-      // 从预置选项中删除
-      const data = this.dataManager.data;
-      if (data.preset_tags) {
-        const tagIndex = data.preset_tags.findIndex(tag => tag.id === tagId);
-        if (tagIndex > -1) {
-          data.preset_tags.splice(tagIndex, 1);
-          await this.dataManager.saveData();
-          await this.presetManager.refresh();
-          return true;
-        }
-      }
-
-      throw new Error('标签不存在');
-    } catch (error) {
-      console.error('删除标签失败:', error);
-      throw error;
-    }
-  }
-
   createModelManagerForm() {
     const form = document.createElement('form');
     form.className = 'modal-form';
@@ -1216,7 +3726,7 @@ class ModalManager {
             window.OpenOneHTML.showMessage('模型删除成功', 'success');
           } catch (error) {
             console.error('删除模型失败:', error);
-            window.OpenOneHTML.showMessage('删除模型失败', 'error');
+            window.OpenOneHTML.showMessage(error.message || '删除模型失败', 'error');
           }
         }
       });
@@ -1225,27 +3735,8 @@ class ModalManager {
 
   async deleteModel(modelId) {
     try {
-      // 先检查是否有文件使用这个模型
-      const files = this.dataManager.data?.files || [];
-      const filesUsingModel = files.filter(file => file.model === modelId);
-
-      if (filesUsingModel.length > 0) {
-        throw new Error(`无法删除模型：${filesUsingModel.length}个文件正在使用此模型`);
-      }
-
-      // 从预置选项中删除
-      const data = this.dataManager.data;
-      if (data.preset_models) {
-        const modelIndex = data.preset_models.findIndex(model => model.id === modelId);
-        if (modelIndex > -1) {
-          data.preset_models.splice(modelIndex, 1);
-          await this.dataManager.saveData();
-          await this.presetManager.refresh();
-          return true;
-        }
-      }
-
-      throw new Error('模型不存在');
+      await this.presetManager.deleteModel(modelId);
+      return true;
     } catch (error) {
       console.error('删除模型失败:', error);
       throw error;
@@ -1296,13 +3787,19 @@ class ModalManager {
       }
 
       try {
-        await this.presetManager.updateModel(modelId, { name: newName, description: newDescription });
+        const result = await this.saveWithConflictCheck({
+          title: '模型已被其他人修改',
+          fields: this.getConflictFields('preset_models'),
+          base: model,
+          changes: { name: newName, description: newDescription },
+          save: (changes, rev) => this.presetManager.updateModel(modelId, changes, { rev })
+        });
         this.updateExistingModels(form);
-        window.OpenOneHTML.showMessage('模型更新成功', 'success');
+        window.OpenOneHTML.showMessage(result ? '模型更新成功' : '已放弃修改，显示最新内容', result ? 'success' : 'info');
         this.closeModal();
       } catch (error) {
         console.error('更新模型失败:', error);
-        window.OpenOneHTML.showMessage('更新模型失败', 'error');
+        window.OpenOneHTML.showMessage(error.message || '更新模型失败', 'error');
       }
     });
 
@@ -1315,9 +3812,6 @@ class ModalManager {
     const form = document.createElement('form');
     form.className = 'modal-form';
 
-    const files = this.dataManager.data?.files || [];
-    const categories = [...new Set(files.map(f => f.category).filter(Boolean))];
-
     form.innerHTML = `
       <div class="form-group">
         <label for="newCategoryName">新分类名称</label>
@@ -1329,6 +3823,11 @@ class ModalManager {
         <textarea id="newCategoryDescription" name="categoryDescription" placeholder="输入分类描述"></textarea>
       </div>
 
+      <div class="form-group">
+        <label for="newCategoryParent">上级分类</label>
+        <select id="newCategoryParent" name="categoryParent"></select>
+      </div>
+
       <div class="form-group">
         <button type="button" id="addNewCategory" class="btn btn-primary">添加分类</button>
       </div>
@@ -1337,16 +3836,27 @@ class ModalManager {
         <h4>现有分类</h4>
         <div id="existingCategoriesList"></div>
       </div>
+
+      ${this.dataManager.hasRole('editor') && this.dataManager.supports('integrity') ? `
+        <div class="integrity-check">
+          <h4>引用检查</h4>
+          <p class="tag-impact-hint">检查文件的分类、模型、标签以及标签和分类的上级是否指向存在的记录</p>
+          <button type="button" id="checkIntegrity" class="btn btn-secondary">开始检查</button>
+          <div id="integrityResult"></div>
+        </div>
+      ` : ''}
     `;
 
     // 添加新分类事件
     const addBtn = form.querySelector('#addNewCategory');
     const nameInput = form.querySelector('#newCategoryName');
     const descInput = form.querySelector('#newCategoryDescription');
+    const parentSelect = form.querySelector('#newCategoryParent');
 
     addBtn.addEventListener('click', async () => {
       const name = nameInput.value.trim();
       const description = descInput.value.trim();
+      const parentId = parentSelect.value;
 
       if (!name) {
         window.OpenOneHTML.showMessage('请输入分类名称', 'error');
@@ -1354,18 +3864,23 @@ class ModalManager {
       }
 
       try {
-        console.log('添加分类:', { name, description });
-        await this.addCategory({ name, description });
+        console.log('添加分类:', { name, description, parentId });
+        await this.addCategory({ name, description, parentId });
         nameInput.value = '';
         descInput.value = '';
         this.updateExistingCategories(form);
         window.OpenOneHTML.showMessage('分类添加成功', 'success');
       } catch (error) {
         console.error('添加分类失败:', error);
-        window.OpenOneHTML.showMessage('添加分类失败', 'error');
+        window.OpenOneHTML.showMessage(error.message || '添加分类失败', 'error');
       }
     });
 
+    const checkBtn = form.querySelector('#checkIntegrity');
+    if (checkBtn) {
+      checkBtn.addEventListener('click', () => this.checkIntegrity(form.querySelector('#integrityResult')));
+    }
+
     this.updateExistingCategories(form);
 
     return form;
@@ -1375,11 +3890,17 @@ class ModalManager {
     const categoriesList = form.querySelector('#existingCategoriesList');
     if (!categoriesList) return;
 
-    const categories = this.presetManager.getCategories();
-    categoriesList.innerHTML = categories.map(category => `
-      <div class="category-item">
-        <span class="category-name">${category.name}</span>
-        <span class="category-count">使用 ${category.usageCount} 次</span>
+    const parentSelect = form.querySelector('#newCategoryParent');
+    if (parentSelect) {
+      parentSelect.innerHTML = this.createCategoryOptions({ emptyLabel: '无（顶层分类）', selectedId: parentSelect.value });
+    }
+
+    // 按层级显示，使用次数按当前文件统计
+    const usage = this.countCategoryUsage();
+    categoriesList.innerHTML = this.presetManager.getCategoryTree().map(({ category, depth }) => `
+      <div class="category-item" style="margin-left: ${depth * 24}px">
+        <span class="category-name">${this.escapeHtml(category.name)}</span>
+        <span class="category-count">${usage.get(category.id) || 0} 个文件使用</span>
         <button type="button" class="btn btn-small btn-primary" data-category-id="${category.id}">编辑</button>
         <button type="button" class="btn btn-small btn-danger" data-category-id="${category.id}">删除</button>
       </div>
@@ -1394,23 +3915,45 @@ class ModalManager {
     });
 
     categoriesList.querySelectorAll('.btn-danger').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        const categoryId = e.target.dataset.categoryId;
-        const category = this.presetManager.getCategories().find(c => c.id === categoryId);
-        if (category && confirm(`确定要删除分类 "${category.name}" 吗？`)) {
-          try {
-            await this.presetManager.deleteCategory(categoryId);
-            this.updateExistingCategories(form);
-            window.OpenOneHTML.showMessage('分类删除成功', 'success');
-          } catch (error) {
-            console.error('删除分类失败:', error);
-            window.OpenOneHTML.showMessage('删除分类失败', 'error');
-          }
-        }
+      btn.addEventListener('click', (e) => {
+        this.showDeleteCategoryDialog(e.target.dataset.categoryId, form);
       });
     });
   }
 
+  // 各分类被多少个文件使用（不含已删除的文件）
+  countCategoryUsage() {
+    const usage = new Map();
+    (this.dataManager.data?.files || [])
+      .filter(file => file.status !== 'deleted' && file.category)
+      .forEach(file => usage.set(file.category, (usage.get(file.category) || 0) + 1));
+    return usage;
+  }
+
+  /**
+   * 按层级排列的分类选项
+   * @param {Object} options
+   * @param {string} options.emptyLabel 空选项的文字，不提供时没有空选项
+   * @param {string} options.selectedId 选中的分类
+   * @param {string} options.excludeId 排除的分类及其下级分类
+   * @returns {string} option 元素的 HTML
+   */
+  createCategoryOptions({ emptyLabel, selectedId = '', excludeId = '' } = {}) {
+    const categories = this.presetManager.getCategories();
+    const excluded = excludeId ? CategoryTree.getDescendantIds(categories, excludeId) : new Set();
+    const options = this.presetManager.getCategoryTree()
+      .filter(({ category }) => !excluded.has(category.id))
+      .map(({ category, depth }) => `<option value="${category.id}"${category.id === selectedId ? ' selected' : ''}>${'\u3000'.repeat(depth)}${this.escapeHtml(category.name)}</option>`);
+    // 选中的分类已不存在时保留原值，避免保存时被清空
+    if (selectedId && !categories.some(category => category.id === selectedId)) {
+      options.unshift(`<option value="${this.escapeHtml(selectedId)}" selected>${this.escapeHtml(selectedId)}（已不存在）</option>`);
+    }
+    if (emptyLabel !== undefined) {
+      options.unshift(`<option value="">${this.escapeHtml(emptyLabel)}</option>`);
+    }
+    return options.join('');
+  }
+
   async addCategory(categoryData) {
     try {
       return await this.presetManager.addCategory(categoryData);
@@ -1420,10 +3963,8 @@ class ModalManager {
     }
   }
 
-
-
   editCategory(categoryId, form) {
-    const category = this.presetManager.getCategories().find(c => c.id === categoryId);
+    const category = this.presetManager.getCategoryById(categoryId);
     if (!category) return;
 
     const dialog = document.createElement('div');
@@ -1437,11 +3978,15 @@ class ModalManager {
         <div class="modal-body">
           <div class="form-group">
             <label for="editCategoryName">分类名称</label>
-            <input type="text" id="editCategoryName" value="${category.name}">
+            <input type="text" id="editCategoryName">
           </div>
           <div class="form-group">
             <label for="editCategoryDescription">分类描述</label>
-            <textarea id="editCategoryDescription" rows="2">${category.description || ''}</textarea>
+            <textarea id="editCategoryDescription" rows="2"></textarea>
+          </div>
+          <div class="form-group">
+            <label for="editCategoryParent">上级分类</label>
+            <select id="editCategoryParent">${this.createCategoryOptions({ emptyLabel: '无（顶层分类）', selectedId: category.parentId || '', excludeId: category.id })}</select>
           </div>
           <div class="form-actions">
             <button type="button" class="btn btn-primary" id="saveEditCategory">保存</button>
@@ -1450,15 +3995,18 @@ class ModalManager {
         </div>
       </div>
     `;
+    dialog.querySelector('#editCategoryName').value = category.name;
+    dialog.querySelector('#editCategoryDescription').value = category.description || '';
 
     document.body.appendChild(dialog);
     this.showModal('编辑分类', dialog, { type: 'editCategory' });
 
-    // 保存事件
+    // 保存事件：文件按ID引用分类，改名后所有文件显示新名称
     const saveBtn = dialog.querySelector('#saveEditCategory');
     saveBtn.addEventListener('click', async () => {
       const newName = dialog.querySelector('#editCategoryName').value.trim();
       const newDescription = dialog.querySelector('#editCategoryDescription').value.trim();
+      const parentId = dialog.querySelector('#editCategoryParent').value;
 
       if (!newName) {
         window.OpenOneHTML.showMessage('请输入分类名称', 'error');
@@ -1466,13 +4014,19 @@ class ModalManager {
       }
 
       try {
-        await this.presetManager.updateCategory(categoryId, { name: newName, description: newDescription });
+        const result = await this.saveWithConflictCheck({
+          title: '分类已被其他人修改',
+          fields: this.getConflictFields('categories'),
+          base: category,
+          changes: { name: newName, description: newDescription, parentId },
+          save: (changes, rev) => this.presetManager.updateCategory(categoryId, changes, { rev })
+        });
         this.updateExistingCategories(form);
-        window.OpenOneHTML.showMessage('分类更新成功', 'success');
+        window.OpenOneHTML.showMessage(result ? '分类更新成功' : '已放弃修改，显示最新内容', result ? 'success' : 'info');
         this.closeModal();
       } catch (error) {
         console.error('更新分类失败:', error);
-        window.OpenOneHTML.showMessage('更新分类失败', 'error');
+        window.OpenOneHTML.showMessage(error.message || '更新分类失败', 'error');
       }
     });
 
@@ -1481,7 +4035,144 @@ class ModalManager {
     cancelBtn.addEventListener('click', () => this.closeModal());
   }
 
+  /**
+   * 删除分类对话框：选择使用此分类的文件改用哪个分类，预览影响范围后执行
+   * @param {string} categoryId 分类ID
+   * @param {HTMLElement} form 分类管理表单，执行后刷新其中的列表
+   */
+  showDeleteCategoryDialog(categoryId, form) {
+    const category = this.presetManager.getCategoryById(categoryId);
+    if (!category) return;
+
+    const usage = this.countCategoryUsage().get(categoryId) || 0;
+    const dialog = document.createElement('div');
+    dialog.className = 'edit-tag-dialog';
+    dialog.innerHTML = `
+      <div class="edit-tag-overlay"></div>
+      <div class="edit-tag-content">
+        <div class="edit-tag-header">
+          <h3>删除分类：${this.escapeHtml(this.presetManager.getCategoryPath(categoryId))}</h3>
+          <button type="button" class="close-edit-tag">×</button>
+        </div>
+        <div class="edit-tag-body">
+          <div class="edit-tag-form organize-tag-form">
+            <p class="tag-impact-hint">${usage} 个文件使用此分类，下级分类移到它的上级分类下。</p>
+            <div class="form-group">
+              <label for="categoryReassign">使用此分类的文件</label>
+              <select id="categoryReassign">${this.createCategoryOptions({ emptyLabel: '改为未分类' })}</select>
+            </div>
+          </div>
+          <div class="tag-impact" hidden></div>
+          <div class="form-actions">
+            <button type="button" class="btn btn-secondary" data-action="preview">预览影响</button>
+            <button type="button" class="btn btn-primary" data-action="apply" disabled>确认删除</button>
+            <button type="button" class="btn btn-secondary" data-action="cancel">取消</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // 下级分类也可以作为改用的分类
+    const reassign = dialog.querySelector('#categoryReassign');
+    reassign.querySelector(`option[value="${categoryId}"]`).remove();
+
+    const impact = dialog.querySelector('.tag-impact');
+    const applyBtn = dialog.querySelector('[data-action="apply"]');
+    reassign.addEventListener('change', () => {
+      applyBtn.disabled = true;
+      impact.hidden = true;
+    });
+
+    // 预览和执行使用同一个修订号，期间分类被其他人修改时执行会失败
+    const rev = category.rev || 0;
+    const closeDialog = () => {
+      if (dialog.parentNode) document.body.removeChild(dialog);
+    };
+
+    dialog.querySelector('[data-action="preview"]').addEventListener('click', async () => {
+      try {
+        const result = await this.presetManager.removeCategory(categoryId, reassign.value, { dryRun: true, rev });
+        const describe = id => (id ? this.presetManager.getCategoryPath(id) : '（未分类）');
+        impact.innerHTML = `
+          <p class="tag-impact-summary">${this.escapeHtml(result.plan.summary)}</p>
+          ${result.plan.categories.update.length > 0 ? `<p class="tag-impact-hint">${result.plan.categories.update.length} 个下级分类移到上级分类下</p>` : ''}
+          ${result.plan.rules && result.plan.rules.length > 0 ? `<p class="tag-impact-hint">自动规则 ${this.escapeHtml(result.plan.rules.map(rule => rule.name).join('、'))} 改为设置"${this.escapeHtml(describe(reassign.value))}"</p>` : ''}
+          <ul class="tag-impact-files">
+            ${result.plan.files.map(file => `
+              <li>
+                <span class="split-file-title">${this.escapeHtml(file.title)}${file.deleted ? '（已删除）' : ''}</span>
+                <span class="tag-impact-change">${this.escapeHtml(describe(file.before))} → ${this.escapeHtml(describe(file.after))}</span>
+              </li>
+            `).join('')}
+          </ul>
+        `;
+        impact.hidden = false;
+        applyBtn.disabled = false;
+      } catch (error) {
+        console.error('预览删除分类失败:', error);
+        window.OpenOneHTML.showMessage(error.message || '预览失败', 'error');
+      }
+    });
+
+    applyBtn.addEventListener('click', async () => {
+      try {
+        const result = await this.presetManager.removeCategory(categoryId, reassign.value, { rev });
+        this.updateExistingCategories(form);
+        window.OpenOneHTML.showMessage(result.plan.summary, 'success');
+        closeDialog();
+      } catch (error) {
+        console.error('删除分类失败:', error);
+        window.OpenOneHTML.showMessage(error.message || '删除分类失败', 'error');
+        if (error instanceof ConflictError) {
+          await this.presetManager.refresh();
+          this.updateExistingCategories(form);
+          closeDialog();
+        }
+      }
+    });
+
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', closeDialog);
+    dialog.querySelector('.close-edit-tag').addEventListener('click', closeDialog);
+    dialog.querySelector('.edit-tag-overlay').addEventListener('click', closeDialog);
+
+    document.body.appendChild(dialog);
+  }
 
+  // 检查失效的引用，管理员可以直接修复
+  async checkIntegrity(container) {
+    const labels = { files: '文件', preset_tags: '标签', preset_models: '模型', categories: '分类', auto_rules: '自动规则' };
+    try {
+      const result = await this.dataManager.checkIntegrity();
+      container.innerHTML = `
+        <p class="tag-impact-summary">${this.escapeHtml(result.summary)}</p>
+        <ul class="tag-impact-files">
+          ${result.issues.map(issue => `
+            <li>
+              <span class="split-file-title">${labels[issue.collection] || issue.collection}：${this.escapeHtml(issue.label)}${issue.deleted ? '（已删除）' : ''}</span>
+              <span class="tag-impact-change">${issue.field} = ${this.escapeHtml(issue.value)} → ${issue.replacement ? this.escapeHtml(issue.replacement) : issue.manual ? '需要手动修改' : '清除'}</span>
+            </li>
+          `).join('')}
+        </ul>
+        ${result.issues.some(issue => !issue.manual) && this.dataManager.hasRole('admin') ? '<button type="button" class="btn btn-primary" data-action="fix">修复</button>' : ''}
+      `;
+
+      const fixBtn = container.querySelector('[data-action="fix"]');
+      if (fixBtn) {
+        fixBtn.addEventListener('click', async () => {
+          try {
+            const fixed = await this.dataManager.fixIntegrity();
+            await this.presetManager.refresh();
+            window.OpenOneHTML.showMessage(`已修复 ${fixed.fixes.length} 条记录`, 'success');
+            await this.checkIntegrity(container);
+          } catch (error) {
+            window.OpenOneHTML.showMessage(error.message || '修复失败', 'error');
+          }
+        });
+      }
+    } catch (error) {
+      window.OpenOneHTML.showMessage(error.message || '检查失败', 'error');
+    }
+  }
 }
 
 // 设置面板组件
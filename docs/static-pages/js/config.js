@@ -0,0 +1,4 @@
+// 由 utils/static-sync.js publish 生成，不要手动修改
+window.OPENONEHTML_CONFIG = {
+  "transport": "indexeddb"
+};
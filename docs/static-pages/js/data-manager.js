@@ -1,16 +1,26 @@
-// 数据管理器 - 静态版本，使用本地存储
+// 数据管理器 - 统一管理所有数据操作
+// 各版本使用相同的接口，实际读写交给启动时选择的传输层（见 js/transports/）
 class DataManager {
-  constructor() {
+  constructor(transport) {
+    this.transport = transport;
     this.data = null;
     this.listeners = new Set();
     this.isInitialized = false;
-    this.storageKey = 'openonehtml_data';
+    this.currentUser = null;
+    this.role = null;
+    this.liveSubscription = null;
   }
 
   async init() {
     try {
-      console.log('初始化数据管理器...');
-      await this.loadData();
+      console.log(`初始化数据管理器（${this.transport.name}）...`);
+      await this.loadCurrentUser();
+      // 匿名访问被禁用且未登录时不加载数据，等待用户登录
+      if (this.role) {
+        await this.loadData();
+      } else {
+        this.data = this.getDefaultData();
+      }
       this.isInitialized = true;
       console.log('数据管理器初始化完成');
     } catch (error) {
@@ -19,85 +29,233 @@ class DataManager {
     }
   }
 
+  // 当前传输方式是否支持某项功能（如 reviews、votes、revisions、staticSync）
+  supports(feature) {
+    return !!this.transport.capabilities[feature];
+  }
+
+  // 调用传输层方法，当前版本不支持时报错
+  invoke(method, ...args) {
+    if (typeof this.transport[method] !== 'function') {
+      return Promise.reject(new Error('当前版本不支持此操作'));
+    }
+    return Promise.resolve(this.transport[method](...args));
+  }
+
   // 添加数据变化监听器
   addListener(callback) {
     this.listeners.add(callback);
     return () => this.listeners.delete(callback);
   }
 
-  // 通知所有监听器数据已更新
-  notifyListeners() {
+  // 通知所有监听器数据已更新，changes 为实时推送的记录变化，重新加载全部数据时为 undefined
+  notifyListeners(changes) {
     this.listeners.forEach(callback => {
       try {
-        callback(this.data);
+        callback(this.data, changes);
       } catch (error) {
         console.error('数据监听器执行失败:', error);
       }
     });
   }
 
-  // 从本地存储加载数据
-  async loadData() {
+  // 执行修改操作，成功后重新加载数据
+  async mutate(method, ...args) {
+    const result = await this.invoke(method, ...args);
+    if (result && result.success) {
+      await this.refreshData();
+    }
+    return result;
+  }
+
+  // 认证
+
+  // 获取当前用户及角色，未登录时 currentUser 为 null，role 为匿名角色
+  async loadCurrentUser() {
     try {
-      // 首先尝试从本地存储加载
-      const storedData = localStorage.getItem(this.storageKey);
-      if (storedData) {
-        this.data = JSON.parse(storedData);
-        this.notifyListeners();
-        return this.data;
-      }
+      const result = await this.invoke('getSession');
+      this.currentUser = result.user;
+      this.role = result.role;
+      return result;
+    } catch (error) {
+      console.error('获取当前用户失败:', error);
+      this.currentUser = null;
+      this.role = null;
+      throw error;
+    }
+  }
 
-      // 如果本地存储为空，尝试从database/data.json加载初始数据
-      const response = await fetch('./database/data.json');
-      if (response.ok) {
-        this.data = await response.json();
-        // 保存到本地存储
-        localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-      } else {
-        throw new Error('无法加载初始数据文件');
+  // 是否具备指定角色（viewer < editor < admin）
+  hasRole(minRole) {
+    const roles = ['viewer', 'editor', 'admin'];
+    return roles.indexOf(this.role) >= roles.indexOf(minRole);
+  }
+
+  async login(username, password) {
+    try {
+      const result = await this.invoke('login', username, password);
+      this.currentUser = result.user;
+      this.role = result.user.role;
+      return result;
+    } catch (error) {
+      console.error('登录失败:', error);
+      throw error;
+    }
+  }
+
+  async logout() {
+    try {
+      const result = await this.invoke('logout');
+      this.currentUser = null;
+      return result;
+    } catch (error) {
+      console.error('退出登录失败:', error);
+      throw error;
+    }
+  }
+
+  // 用户管理（仅管理员）
+
+  async getUsers() {
+    try {
+      return await this.invoke('getUsers');
+    } catch (error) {
+      console.error('获取用户列表失败:', error);
+      throw error;
+    }
+  }
+
+  async saveUser(id, userData) {
+    try {
+      return await this.invoke('saveUser', id, userData);
+    } catch (error) {
+      console.error('保存用户失败:', error);
+      throw error;
+    }
+  }
+
+  async deleteUser(id) {
+    try {
+      return await this.invoke('deleteUser', id);
+    } catch (error) {
+      console.error('删除用户失败:', error);
+      throw error;
+    }
+  }
+
+  getDefaultData() {
+    return {
+      version: "1.0.0",
+      files: [],
+      preset_tags: [],
+      preset_models: [],
+      settings: {
+        totalFiles: 0,
+        totalTags: 0,
+        totalModels: 0,
+        totalCategories: 0
       }
+    };
+  }
 
+  // 加载数据
+  async loadData() {
+    try {
+      this.data = await this.invoke('loadData');
       this.notifyListeners();
       return this.data;
     } catch (error) {
       console.error('加载数据失败:', error);
       // 使用默认数据
-      this.data = {
-        version: "1.0.0",
-        files: [],
-        preset_tags: [],
-        preset_models: [],
-        categories: [],
-        settings: {
-          totalFiles: 0,
-          totalTags: 0,
-          totalModels: 0,
-          totalCategories: 0
-        }
-      };
+      this.data = this.getDefaultData();
       this.notifyListeners();
       throw error;
     }
   }
 
-  // 保存数据到本地存储
-  async saveData() {
+  /**
+   * 按记录保存修改，全部变更在一个事务中执行
+   * 变更为 { op: 'insert', collection, record }、{ op: 'update', collection, id, rev, patch }
+   * 或 { op: 'remove', collection, id, rev }，rev 为读取记录时的修订号
+   * @param {Array<Object>} changes 变更列表
+   * @returns {Promise<Object>} { success, results }
+   * @throws {ConflictError} 记录已被其他人修改，conflicts 中带有当前记录
+   */
+  async applyChanges(changes) {
     try {
-      this.updateStats();
-      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
-      this.notifyListeners();
-      return true;
+      return await this.mutate('applyChanges', changes);
     } catch (error) {
       console.error('保存数据失败:', error);
       throw error;
     }
   }
 
+  // 已加载数据中记录的修订号，没有该记录时返回 undefined（不检查）
+  getRevision(collection, id) {
+    const record = ((this.data && this.data[collection]) || []).find(item => item.id === id);
+    return record ? record.rev || 0 : undefined;
+  }
+
   // 刷新数据
   async refreshData() {
+    if (!this.role) return;
     await this.loadData();
   }
 
+  // 实时更新
+
+  // 订阅其他用户的修改（当前传输方式支持时），收到后增量更新已加载的数据
+  startLiveUpdates() {
+    if (!this.supports('live') || this.liveSubscription) return;
+
+    this.liveSubscription = this.transport.subscribe({
+      onChanges: changes => this.applyRemoteChanges(changes),
+      onReload: () => this.refreshData().catch(error => console.error('重新加载数据失败:', error))
+    });
+  }
+
+  stopLiveUpdates() {
+    if (this.liveSubscription) {
+      this.liveSubscription.close();
+      this.liveSubscription = null;
+    }
+  }
+
+  /**
+   * 把服务器推送的记录变化应用到已加载的数据，并通知监听器
+   * 自己保存的修改已重新加载过，修订号不高于当前记录的变化直接跳过
+   * @param {Array<Object>} changes [{ type: 'insert' | 'update' | 'remove', collection, id, record }]
+   */
+  applyRemoteChanges(changes) {
+    if (!this.data) return;
+
+    const applied = changes.filter(change => {
+      if (!Array.isArray(this.data[change.collection])) {
+        this.data[change.collection] = [];
+      }
+      const records = this.data[change.collection];
+      const index = records.findIndex(record => record.id === change.id);
+
+      if (change.type === 'remove') {
+        if (index === -1) return false;
+        records.splice(index, 1);
+        return true;
+      }
+
+      if (index === -1) {
+        records.push(change.record);
+        return true;
+      }
+      if ((records[index].rev || 0) >= (change.record.rev || 0)) return false;
+      records[index] = change.record;
+      return true;
+    });
+
+    if (applied.length === 0) return;
+    this.updateStats();
+    this.notifyListeners(applied);
+  }
+
   // 更新统计信息
   updateStats() {
     if (!this.data) return;
@@ -136,462 +294,569 @@ class DataManager {
     };
   }
 
+  // 页面文件地址（服务器目录、发布目录或浏览器中保存的页面）
+  getPageUrl(encryptedName) {
+    return this.transport.getPageUrl(encryptedName);
+  }
+
+  // 在新窗口中打开页面的地址，浏览器中保存的页面会放进沙箱外壳页面
+  getPageWindowUrl(encryptedName) {
+    return this.transport.getPageWindowUrl(encryptedName);
+  }
+
+  // 缩略图地址，当前版本没有缩略图时返回 null
+  getThumbnailUrl(file) {
+    return this.supports('thumbnails') ? this.transport.getThumbnailUrl(file) : null;
+  }
+
   // 文件操作
 
   // 获取文件列表
   async getFiles(filters = {}) {
     try {
-      let files = this.data.files.filter(f => f.status !== 'deleted');
-
-      // 搜索过滤 - 支持多关键词和高级搜索
-      if (filters.search) {
-        const searchTerm = filters.search.trim();
-        if (searchTerm) {
-          // 支持多关键词搜索，用空格分隔
-          const keywords = searchTerm.toLowerCase().split(/\s+/).filter(k => k.length > 0);
-
-          files = files.filter(f => {
-            // 构建搜索文本
-            const searchText = [
-              f.title || '',
-              f.description || '',
-              f.originalName || '',
-              f.background || '',
-              f.prompt || '',
-              f.category || ''
-            ].join(' ').toLowerCase();
-
-            // 检查是否包含所有关键词（AND逻辑）
-            return keywords.every(keyword => {
-              // 支持通配符 * 和 ?
-              const regex = new RegExp(keyword.replace(/\*/g, '.*').replace(/\?/g, '.'), 'i');
-              return regex.test(searchText);
-            });
-          });
-        }
-      }
-
-      // 分类过滤
-      if (filters.category) {
-        files = files.filter(f => f.category === filters.category);
-      }
-
-      // 标签过滤
-      if (filters.tags) {
-        const tagList = Array.isArray(filters.tags) ? filters.tags : [filters.tags];
-        files = files.filter(f => tagList.some(tag => f.tags.includes(tag)));
-      }
-
-      // 模型过滤
-      if (filters.model) {
-        files = files.filter(f => f.model === filters.model);
-      }
-
-      return files;
+      return await this.invoke('listFiles', filters);
     } catch (error) {
       console.error('获取文件列表失败:', error);
       return [];
     }
   }
 
+  // 全文搜索，返回 { total, results: [{ file, score, snippet }] }
+  async searchFiles(query, filters = {}) {
+    try {
+      return await this.invoke('searchFiles', query, filters);
+    } catch (error) {
+      console.error('搜索失败:', error);
+      throw error;
+    }
+  }
+
   // 获取单个文件
   async getFile(id) {
     try {
-      const file = this.data.files.find(f => f.id === id && f.status !== 'deleted');
-
-      if (!file) {
-        throw new Error('文件不存在');
-      }
-
-      // 更新访问信息
-      file.lastAccess = new Date().toISOString();
-      file.accessCount = (file.accessCount || 0) + 1;
-      await this.saveData();
-
-      return file;
+      return await this.invoke('getFile', id);
     } catch (error) {
       console.error('获取文件失败:', error);
       throw error;
     }
   }
 
-  // 添加文件（静态版本：将文件复制到html-files目录并添加到数据中）
+  // 添加文件
   async addFile(fileData) {
     try {
-      const crypto = window.crypto || window.msCrypto;
-      const fileId = Array.from(crypto.getRandomValues(new Uint8Array(8)))
-        .map(b => b.toString(16).padStart(2, '0')).join('');
-
-      let fileInfo;
-
-      if (fileData.file) {
-        // 处理文件上传
-        const file = fileData.file;
-        const randomName = Array.from(crypto.getRandomValues(new Uint8Array(16)))
-          .map(b => b.toString(16).padStart(2, '0')).join('') + '.html';
-
-        // 在静态版本中，我们将文件内容存储为base64编码
-        const fileContent = await this.readFileAsText(file);
-        localStorage.setItem(`file_${randomName}`, fileContent);
-
-        fileInfo = {
-          id: fileId,
-          originalName: file.name,
-          encryptedName: randomName,
-          fileSize: file.size,
-          uploadTime: new Date().toISOString(),
-          accessCount: 0,
-          title: fileData.title || file.name,
-          description: fileData.description || '',
-          category: fileData.category || '',
-          background: fileData.background || '',
-          prompt: fileData.prompt || '',
-          model: fileData.model || '',
-          tags: fileData.tags ? (Array.isArray(fileData.tags) ? fileData.tags : [fileData.tags]) : [],
-          status: 'active'
-        };
-      } else {
-        // 处理URL或文本内容
-        fileInfo = {
-          id: fileId,
-          originalName: fileData.title || '未命名文件',
-          encryptedName: '',
-          fileSize: 0,
-          uploadTime: new Date().toISOString(),
-          accessCount: 0,
-          title: fileData.title || '未命名文件',
-          description: fileData.description || '',
-          category: fileData.category || '',
-          background: fileData.background || '',
-          prompt: fileData.prompt || '',
-          model: fileData.model || '',
-          tags: fileData.tags ? (Array.isArray(fileData.tags) ? fileData.tags : [fileData.tags]) : [],
-          status: 'active'
-        };
-      }
+      return await this.mutate('addFile', fileData);
+    } catch (error) {
+      console.error('添加文件失败:', error);
+      throw error;
+    }
+  }
 
-      if (!this.data.files) this.data.files = [];
-      this.data.files.push(fileInfo);
-      await this.saveData();
+  // 更新文件，options.rev 为编辑开始时的修订号，默认使用已加载数据中的修订号
+  async updateFile(id, fileData, options = {}) {
+    const rev = options.rev !== undefined ? options.rev : this.getRevision('files', id);
+    try {
+      return await this.mutate('updateFile', id, fileData, rev);
+    } catch (error) {
+      console.error('更新文件失败:', error);
+      throw error;
+    }
+  }
 
-      return { success: true, file: fileInfo };
+  // 删除文件
+  async deleteFile(id) {
+    try {
+      return await this.mutate('deleteFile', id, this.getRevision('files', id));
     } catch (error) {
-      console.error('添加文件失败:', error);
+      console.error('删除文件失败:', error);
       throw error;
     }
   }
 
-  // 读取文件为文本
-  async readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = (e) => reject(e);
-      reader.readAsText(file);
+  // 批量编辑选中的文件：action 为 update、delete 或 restore，changes 为 update 的修改内容，
+  // 格式见 js/bulk-edit.js。返回 { success, dryRun, plan }，plan.results 为每个文件的结果；
+  // options.dryRun 为 true 时只返回计划，各文件的修订号使用已加载数据中的修订号
+  async bulkEditFiles(ids, action, changes = null, options = {}) {
+    const revs = {};
+    ids.forEach(id => {
+      const rev = this.getRevision('files', id);
+      if (rev !== undefined) revs[id] = rev;
     });
+    try {
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('bulkEditFiles', ids, action, changes, { ...options, revs });
+    } catch (error) {
+      console.error('批量编辑失败:', error);
+      throw error;
+    }
   }
 
-  // 更新文件
-  async updateFile(id, fileData) {
+  // 重新进行安全扫描
+  async scanFile(id) {
     try {
-      const fileIndex = this.data.files.findIndex(f => f.id === id && f.status !== 'deleted');
+      return await this.mutate('scanFile', id);
+    } catch (error) {
+      console.error('扫描文件失败:', error);
+      throw error;
+    }
+  }
 
-      if (fileIndex === -1) {
-        throw new Error('文件不存在');
-      }
+  // 重新生成缩略图（等待生成完成后返回）
+  async regenerateThumbnail(id) {
+    try {
+      return await this.mutate('regenerateThumbnail', id);
+    } catch (error) {
+      console.error('生成缩略图失败:', error);
+      throw error;
+    }
+  }
 
-      const updateData = fileData;
-      this.data.files[fileIndex] = { ...this.data.files[fileIndex], ...updateData };
-      await this.saveData();
+  // 版本操作
 
-      return { success: true, file: this.data.files[fileIndex] };
+  // 获取文件版本列表
+  async getRevisions(id) {
+    try {
+      return await this.invoke('getRevisions', id);
     } catch (error) {
-      console.error('更新文件失败:', error);
+      console.error('获取版本列表失败:', error);
       throw error;
     }
   }
 
-  // 删除文件
-  async deleteFile(id, password) {
+  // 上传新版本，files 为单个文件或文件数组（压缩包、HTML 连同资源文件）
+  async uploadRevision(id, files, note = '') {
     try {
-      // 在静态版本中，我们简化删除逻辑，不需要密码验证
-      const fileIndex = this.data.files.findIndex(f => f.id === id);
-
-      if (fileIndex === -1) {
-        throw new Error('文件不存在');
-      }
+      return await this.mutate('uploadRevision', id, files, note);
+    } catch (error) {
+      console.error('上传新版本失败:', error);
+      throw error;
+    }
+  }
 
-      // 标记为已删除
-      this.data.files[fileIndex].status = 'deleted';
-      await this.saveData();
+  // 比较两个版本
+  async getRevisionDiff(id, from, to) {
+    try {
+      return await this.invoke('getRevisionDiff', id, from, to);
+    } catch (error) {
+      console.error('比较版本失败:', error);
+      throw error;
+    }
+  }
 
-      return { success: true };
+  // 回滚到指定版本
+  async rollbackRevision(id, version) {
+    try {
+      return await this.mutate('rollbackRevision', id, version);
     } catch (error) {
-      console.error('删除文件失败:', error);
+      console.error('回滚版本失败:', error);
       throw error;
     }
   }
 
-  // 标签操作
+  // 评分操作
 
-  // 获取预置标签
-  async getTags() {
+  // 获取评分标准
+  async getRubric() {
     try {
-      return this.data.preset_tags || [];
+      return await this.invoke('getRubric');
     } catch (error) {
-      console.error('获取标签失败:', error);
-      return [];
+      console.error('获取评分标准失败:', error);
+      throw error;
     }
   }
 
-  // 添加预置标签
-  async addTag(tagData) {
+  // 保存评分标准（管理员）
+  async saveRubric(criteria) {
     try {
-      if (!tagData.name) {
-        throw new Error('标签名称不能为空');
-      }
+      const result = await this.invoke('saveRubric', criteria);
+      this.notifyReviewsChanged();
+      return result;
+    } catch (error) {
+      console.error('保存评分标准失败:', error);
+      throw error;
+    }
+  }
 
-      const tagId = 'tag_' + Date.now();
-      const newTag = {
-        id: tagId,
-        name: tagData.name,
-        color: tagData.color || '#3498db',
-        description: tagData.description || '',
-        createTime: new Date().toISOString(),
-        usageCount: 0
-      };
+  // 获取文件的评审记录及汇总
+  async getReviews(id) {
+    try {
+      return await this.invoke('getReviews', id);
+    } catch (error) {
+      console.error('获取评分失败:', error);
+      throw error;
+    }
+  }
 
-      if (!this.data.preset_tags) this.data.preset_tags = [];
-      this.data.preset_tags.push(newTag);
-      await this.saveData();
+  // 提交当前用户的评分
+  async saveReview(id, scores, comment = '') {
+    try {
+      const result = await this.invoke('saveReview', id, scores, comment);
+      this.notifyReviewsChanged();
+      return result;
+    } catch (error) {
+      console.error('保存评分失败:', error);
+      throw error;
+    }
+  }
 
-      return { success: true, tag: newTag };
+  // 撤回当前用户的评分
+  async deleteReview(id) {
+    try {
+      const result = await this.invoke('deleteReview', id);
+      this.notifyReviewsChanged();
+      return result;
     } catch (error) {
-      console.error('添加标签失败:', error);
+      console.error('撤回评分失败:', error);
       throw error;
     }
   }
 
-  // 删除预置标签
-  async deleteTag(tagId) {
+  // 获取模型排行榜
+  async getLeaderboard(groupBy = '') {
     try {
-      if (!this.data.preset_tags) {
-        throw new Error('标签不存在');
-      }
+      return await this.invoke('getLeaderboard', groupBy);
+    } catch (error) {
+      console.error('获取排行榜失败:', error);
+      throw error;
+    }
+  }
 
-      const tagIndex = this.data.preset_tags.findIndex(tag => tag.id === tagId);
-      if (tagIndex === -1) {
-        throw new Error('标签不存在');
-      }
+  // 评分数据不在 /api/data 中，变化时单独通知排行榜刷新
+  notifyReviewsChanged() {
+    document.dispatchEvent(new CustomEvent('reviewsChanged'));
+  }
 
-      const deletedTag = this.data.preset_tags.splice(tagIndex, 1)[0];
-      await this.saveData();
+  // 盲评投票
 
-      return { success: true, tag: deletedTag };
+  // 抽取一组待评的文件
+  async getVotePair(filters = {}) {
+    try {
+      return await this.invoke('getVotePair', filters);
     } catch (error) {
-      console.error('删除标签失败:', error);
+      console.error('获取盲评组合失败:', error);
       throw error;
     }
   }
 
-  // 模型操作
+  // 提交投票，winner 为 a、b 或 tie
+  async submitVote(a, b, winner) {
+    try {
+      return await this.invoke('submitVote', a, b, winner);
+    } catch (error) {
+      console.error('投票失败:', error);
+      throw error;
+    }
+  }
 
-  // 获取预置模型
-  async getModels() {
+  // 获取 Elo 评分
+  async getRatings(filters = {}) {
     try {
-      return this.data.preset_models || [];
+      return await this.invoke('getRatings', filters);
     } catch (error) {
-      console.error('获取模型失败:', error);
-      return [];
+      console.error('获取评分失败:', error);
+      throw error;
     }
   }
 
-  // 添加预置模型
-  async addModel(modelData) {
+  // 重置 Elo 评分（管理员）
+  async resetRatings() {
     try {
-      if (!modelData.name) {
-        throw new Error('模型名称不能为空');
-      }
+      return await this.invoke('resetRatings');
+    } catch (error) {
+      console.error('重置评分失败:', error);
+      throw error;
+    }
+  }
 
-      const modelId = 'model_' + Date.now();
-      const newModel = {
-        id: modelId,
-        name: modelData.name,
-        description: modelData.description || '',
-        createTime: new Date().toISOString(),
-        usageCount: 0
-      };
+  // 预置选项操作，kind 为 tags、models 或 categories
 
-      if (!this.data.preset_models) this.data.preset_models = [];
-      this.data.preset_models.push(newModel);
-      await this.saveData();
+  // 获取预置选项
+  async getPresets(kind) {
+    try {
+      return await this.invoke('listPresets', kind);
+    } catch (error) {
+      console.error('获取预置选项失败:', error);
+      throw error;
+    }
+  }
 
-      return { success: true, model: newModel };
+  // 添加预置选项
+  async addPreset(kind, presetData) {
+    try {
+      return await this.mutate('addPreset', kind, presetData);
     } catch (error) {
-      console.error('添加模型失败:', error);
+      console.error('添加预置选项失败:', error);
       throw error;
     }
   }
 
-  // 目录扫描（静态版本：模拟扫描功能）
-  async scanDirectory(directory) {
+  // 更新预置选项，options.rev 同 updateFile
+  async updatePreset(kind, id, presetData, options = {}) {
+    const collection = StaticTransport.PRESET_TYPES[kind].collection;
+    const rev = options.rev !== undefined ? options.rev : this.getRevision(collection, id);
     try {
-      // 在静态版本中，我们返回一个提示信息，因为无法实际扫描文件系统
-      console.warn('静态版本不支持目录扫描功能');
-      return {
-        success: false,
-        error: '静态版本不支持目录扫描功能，请手动添加文件'
-      };
+      return await this.mutate('updatePreset', kind, id, presetData, rev);
     } catch (error) {
-      console.error('扫描目录失败:', error);
+      console.error('更新预置选项失败:', error);
       throw error;
     }
   }
 
-  // 批量上传（静态版本：批量添加文件信息）
-  async batchUpload(files, commonData) {
+  // 删除预置选项
+  async deletePreset(kind, id) {
     try {
-      const results = [];
-
-      for (const fileInfo of files) {
-        try {
-          const crypto = window.crypto || window.msCrypto;
-          const fileId = Array.from(crypto.getRandomValues(new Uint8Array(8)))
-            .map(b => b.toString(16).padStart(2, '0')).join('');
-
-          const newFile = {
-            id: fileId,
-            originalName: fileInfo.name,
-            encryptedName: '',
-            fileSize: fileInfo.size || 0,
-            uploadTime: new Date().toISOString(),
-            accessCount: 0,
-            title: fileInfo.name,
-            description: '',
-            category: commonData.category || '',
-            background: commonData.background || '',
-            prompt: commonData.prompt || '',
-            model: commonData.model || '',
-            tags: commonData.tags || [],
-            status: 'active'
-          };
-
-          if (!this.data.files) this.data.files = [];
-          this.data.files.push(newFile);
-          results.push({ name: fileInfo.name, success: true, file: newFile });
-
-        } catch (error) {
-          results.push({ name: fileInfo.name, success: false, error: error.message });
-        }
-      }
+      const collection = StaticTransport.PRESET_TYPES[kind].collection;
+      return await this.mutate('deletePreset', kind, id, this.getRevision(collection, id));
+    } catch (error) {
+      console.error('删除预置选项失败:', error);
+      throw error;
+    }
+  }
+
+  // 标签操作
 
-      await this.saveData();
+  async getTags() {
+    return this.getPresets('tags').catch(() => []);
+  }
 
-      return { success: true, results };
+  async addTag(tagData) {
+    return this.addPreset('tags', tagData);
+  }
+
+  async deleteTag(tagId) {
+    return this.deletePreset('tags', tagId);
+  }
+
+  // 标签整理：返回 { success, dryRun, plan }，计划格式见 js/tag-taxonomy.js；
+  // options.dryRun 为 true 时只生成计划用于预览，options.rev 默认使用已加载数据中的修订号
+
+  tagOptions(id, options) {
+    return { ...options, rev: options.rev !== undefined ? options.rev : this.getRevision('preset_tags', id) };
+  }
+
+  // 合并到另一个标签
+  async mergeTag(id, into, options = {}) {
+    try {
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('mergeTag', id, into, this.tagOptions(id, options));
     } catch (error) {
-      console.error('批量上传失败:', error);
+      console.error('合并标签失败:', error);
       throw error;
     }
   }
 
-  // 分类管理
+  // 拆分为多个新标签，parts 为 [{ name, color, description, fileIds }]
+  async splitTag(id, parts, options = {}) {
+    try {
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('splitTag', id, parts, this.tagOptions(id, options));
+    } catch (error) {
+      console.error('拆分标签失败:', error);
+      throw error;
+    }
+  }
 
-  // 获取分类列表
-  async getCategories() {
+  // 删除标签，使用它的文件改用 reassignTo，为空时从文件中移除
+  async removeTag(id, reassignTo = '', options = {}) {
     try {
-      return this.data.categories || [];
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('removeTag', id, this.tagOptions(id, { ...options, reassignTo }));
     } catch (error) {
-      console.error('获取分类失败:', error);
-      return [];
+      console.error('删除标签失败:', error);
+      throw error;
     }
   }
 
-  // 添加分类
-  async addCategory(categoryData) {
+  // 删除分类：使用它的文件改用 reassignTo，为空时改为未分类；下级分类移到上级分类下。
+  // 返回 { success, dryRun, plan }，计划格式见 js/category-tree.js，options 同标签整理
+  async removeCategory(id, reassignTo = '', options = {}) {
+    const rev = options.rev !== undefined ? options.rev : this.getRevision('categories', id);
     try {
-      if (!categoryData.name) {
-        throw new Error('分类名称不能为空');
-      }
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('removeCategory', id, { ...options, reassignTo, rev });
+    } catch (error) {
+      console.error('删除分类失败:', error);
+      throw error;
+    }
+  }
 
-      const categoryId = 'category_' + Date.now();
-      const newCategory = {
-        id: categoryId,
-        name: categoryData.name,
-        description: categoryData.description || '',
-        createTime: new Date().toISOString(),
-        usageCount: 0
-      };
+  // 模型操作
 
-      if (!this.data.categories) this.data.categories = [];
-      this.data.categories.push(newCategory);
-      await this.saveData();
+  async getModels() {
+    return this.getPresets('models').catch(() => []);
+  }
 
-      return { success: true, category: newCategory };
+  async addModel(modelData) {
+    return this.addPreset('models', modelData);
+  }
+
+  // 引用完整性：检查文件的分类、模型、标签等引用，返回 { issues, records, summary }
+  async checkIntegrity() {
+    try {
+      return await this.invoke('checkIntegrity');
     } catch (error) {
-      console.error('添加分类失败:', error);
+      console.error('检查引用失败:', error);
       throw error;
     }
   }
 
-  // 更新分类
-  async updateCategory(id, categoryData) {
+  // 修复失效的引用（管理员），options.dryRun 为 true 时只返回修复方案
+  async fixIntegrity(options = {}) {
     try {
-      if (!categoryData.name) {
-        throw new Error('分类名称不能为空');
-      }
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('fixIntegrity', options);
+    } catch (error) {
+      console.error('修复引用失败:', error);
+      throw error;
+    }
+  }
 
-      if (!this.data.categories) {
-        throw new Error('分类不存在');
-      }
+  // 自动规则：返回 { rules }，按执行顺序排列，格式见 js/auto-rules.js
+  async getRules() {
+    try {
+      return await this.invoke('getRules');
+    } catch (error) {
+      console.error('加载规则失败:', error);
+      throw error;
+    }
+  }
 
-      const categoryIndex = this.data.categories.findIndex(category => category.id === id);
-      if (categoryIndex === -1) {
-        throw new Error('分类不存在');
-      }
+  // 保存规则，id 为空时新建
+  async saveRule(id, rule) {
+    try {
+      return await this.invoke('saveRule', id, rule);
+    } catch (error) {
+      console.error('保存规则失败:', error);
+      throw error;
+    }
+  }
 
-      // 更新分类信息
-      this.data.categories[categoryIndex] = {
-        ...this.data.categories[categoryIndex],
-        name: categoryData.name,
-        description: categoryData.description || '',
-        updateTime: new Date().toISOString()
-      };
+  async deleteRule(id) {
+    try {
+      return await this.invoke('deleteRule', id);
+    } catch (error) {
+      console.error('删除规则失败:', error);
+      throw error;
+    }
+  }
 
-      await this.saveData();
+  // 试运行尚未保存的规则，返回 { success, dryRun, plan }，不修改文件
+  async previewRule(rule) {
+    try {
+      return await this.invoke('previewRule', rule);
+    } catch (error) {
+      console.error('试运行规则失败:', error);
+      throw error;
+    }
+  }
 
-      return { success: true, category: this.data.categories[categoryIndex] };
+  // 对已有文件重新执行全部启用的规则，options.dryRun 为 true 时只返回会被修改的文件
+  async applyRules(options = {}) {
+    try {
+      const method = options.dryRun ? 'invoke' : 'mutate';
+      return await this[method]('applyRules', options);
     } catch (error) {
-      console.error('更新分类失败:', error);
+      console.error('执行规则失败:', error);
       throw error;
     }
   }
 
-  // 删除分类
-  async deleteCategory(id) {
+  // 目录扫描
+  async scanDirectory(directory) {
     try {
-      if (!this.data.categories) {
-        throw new Error('分类不存在');
-      }
+      return await this.invoke('scanDirectory', directory);
+    } catch (error) {
+      console.error('扫描目录失败:', error);
+      throw error;
+    }
+  }
 
-      const categoryIndex = this.data.categories.findIndex(category => category.id === id);
-      if (categoryIndex === -1) {
-        throw new Error('分类不存在');
-      }
+  // 批量上传
+  async batchUpload(files, commonData) {
+    try {
+      return await this.mutate('batchUpload', files, commonData);
+    } catch (error) {
+      console.error('批量上传失败:', error);
+      throw error;
+    }
+  }
 
-      // 检查是否有文件使用此分类
-      const files = this.data.files || [];
-      const filesUsingCategory = files.filter(file => file.category === this.data.categories[categoryIndex].name);
+  // 导出离线查看器，返回 { blob, fileName, exported, missing }
+  async exportLibrary(ids, options = {}) {
+    try {
+      return await this.invoke('exportLibrary', ids, options);
+    } catch (error) {
+      console.error('导出失败:', error);
+      throw error;
+    }
+  }
 
-      if (filesUsingCategory.length > 0) {
-        throw new Error(`无法删除分类，有 ${filesUsingCategory.length} 个文件正在使用此分类`);
+  /**
+   * 合并静态版本导出的数据
+   * @param {File} file 静态版本"同步"中导出的文件
+   * @param {Object} options 选项
+   * @param {boolean} options.dryRun 只返回合并计划，不写入
+   * @param {Object} options.resolutions 冲突处理方式 { key: 'local' | 'server' }
+   * @returns {Promise<Object>} { baseFound, changes, conflicts, unchanged, result }
+   */
+  async importStaticExport(file, options = {}) {
+    try {
+      const result = await this.invoke('importStaticExport', file, options);
+      if (!options.dryRun) {
+        await this.refreshData();
       }
+      return result;
+    } catch (error) {
+      console.error('导入静态版本数据失败:', error);
+      throw error;
+    }
+  }
 
-      const deletedCategory = this.data.categories.splice(categoryIndex, 1)[0];
-      await this.saveData();
+  // 静态版本同步（本地存储）
 
-      return { success: true, category: deletedCategory };
+  // 返回 { sync, modified, newPublish }：当前数据来自哪次发布、本地是否有修改、是否有新发布
+  getSyncStatus() {
+    return this.supports('staticSync') ? this.transport.getSyncStatus() : null;
+  }
+
+  // 导出本地数据和页面，返回 JSON 字符串
+  async exportLocalChanges() {
+    try {
+      return await this.invoke('exportChanges');
     } catch (error) {
-      console.error('删除分类失败:', error);
+      console.error('导出本地数据失败:', error);
+      throw error;
+    }
+  }
+
+  // 导入 exportLocalChanges 导出的文件，替换本地的全部数据和页面
+  async importLocalArchive(content) {
+    try {
+      const result = await this.invoke('importArchive', content);
+      await this.refreshData();
+      return result;
+    } catch (error) {
+      console.error('导入本地数据失败:', error);
+      throw error;
+    }
+  }
+
+  // 浏览器存储空间使用情况 { usage, quota, persisted, pages, pageBytes }
+  async getStorageInfo() {
+    try {
+      return await this.invoke('getStorageInfo');
+    } catch (error) {
+      console.error('获取存储空间失败:', error);
+      throw error;
+    }
+  }
+
+  // 丢弃本地修改，载入最新发布
+  async resetToPublished() {
+    try {
+      await this.mutate('resetToPublished');
+      return true;
+    } catch (error) {
+      console.error('载入发布数据失败:', error);
       throw error;
     }
   }
@@ -611,10 +876,32 @@ class DataManager {
         throw new Error('无效的数据格式');
       }
 
-      // 更新数据
-      this.data = { ...this.data, ...data };
-      await this.saveData();
+      // 导入文件中的记录：已有的按当前修订号更新，其余新增。
+      // 文件大小、版本、扫描结果、使用次数等由服务器维护，不随导入提交
+      const serverFields = {
+        files: ['fileSize', 'currentVersion', 'revisions', 'bundle', 'legacy',
+          'lastAccess', 'accessCount', 'security', 'thumbnails', 'thumbnailTime'],
+        preset_tags: ['usageCount'],
+        preset_models: ['usageCount'],
+        categories: ['usageCount']
+      };
+      const changes = [];
+      ['files', 'preset_tags', 'preset_models', 'categories'].forEach(collection => {
+        (Array.isArray(data[collection]) ? data[collection] : []).forEach(record => {
+          if (!record || !record.id) return;
+          const rev = this.getRevision(collection, record.id);
+          const fields = { ...record };
+          ['rev', ...(serverFields[collection] || [])].forEach(key => delete fields[key]);
+          changes.push(rev === undefined
+            ? { op: 'insert', collection, record: fields }
+            : { op: 'update', collection, id: record.id, rev, patch: fields });
+        });
+      });
+      if (changes.length === 0) {
+        throw new Error('导入的数据中没有记录');
+      }
 
+      await this.applyChanges(changes);
       return true;
     } catch (error) {
       console.error('导入数据失败:', error);
@@ -0,0 +1,163 @@
+// IndexedDB 传输层 - 静态版本默认使用，数据和在浏览器中添加的页面保存在 IndexedDB 中
+// localStorage 只有几 MB，存不下页面内容；IndexedDB 可以直接保存 Blob，容量由浏览器按磁盘空间分配
+// 同步逻辑与 LocalTransport 相同，这里只替换存储读写，并在首次打开时迁移 localStorage 中的旧数据
+class IndexedDBTransport extends LocalTransport {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'indexeddb';
+    this.databaseName = options.databaseName || 'openonehtml';
+    this.db = null;
+    this.capabilities = {
+      ...this.capabilities,
+      quota: true
+    };
+  }
+
+  // 打开数据库：library 保存数据和修改标记，pages 以文件名为键保存页面 Blob
+  openDatabase() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('library');
+          request.result.createObjectStore('pages');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * 在一个事务中执行操作，事务完成后返回结果
+   * @param {string} storeName 对象仓库
+   * @param {string} mode readonly 或 readwrite
+   * @param {Function} operation 接收对象仓库，返回 IDBRequest（结果为其 result）或不返回
+   * @returns {Promise<*>}
+   */
+  async transaction(storeName, mode, operation) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onabort = tx.onerror = () => reject(this.storageError(tx.error || (request && request.error)));
+    });
+  }
+
+  storageError(error) {
+    if (error && error.name === 'QuotaExceededError') {
+      return new Error('浏览器存储空间不足，请导出数据后删除不需要的文件，或在浏览器设置中允许本站使用更多空间');
+    }
+    return error || new Error('浏览器存储读写失败');
+  }
+
+  // 存储
+
+  async readStored() {
+    const [data, modified] = await Promise.all([
+      this.transaction('library', 'readonly', store => store.get('data')),
+      this.transaction('library', 'readonly', store => store.get('modified'))
+    ]);
+    if (data) {
+      return { data, modified: !!modified };
+    }
+    return this.migrateLocalStorage();
+  }
+
+  // 之前的静态版本把数据保存在 localStorage 中，第一次打开时搬到 IndexedDB
+  async migrateLocalStorage() {
+    const stored = await super.readStored();
+    if (!stored) return null;
+
+    const pages = await super.readPages();
+    for (const [encryptedName, html] of Object.entries(pages)) {
+      await this.writePage(encryptedName, new Blob([html], { type: 'text/html' }));
+    }
+    this.data = stored.data;
+    this.modified = stored.modified;
+    await this.writeStored();
+
+    await super.clearPages();
+    localStorage.removeItem(this.storageKey);
+    localStorage.removeItem(this.modifiedKey);
+    console.log(`已将本地存储中的数据迁移到 IndexedDB（${Object.keys(pages).length} 个页面）`);
+    return stored;
+  }
+
+  async writeStored() {
+    await this.transaction('library', 'readwrite', store => {
+      store.put(this.data, 'data');
+      store.put(this.modified, 'modified');
+    });
+  }
+
+  async readPages() {
+    const pages = {};
+    await this.transaction('pages', 'readonly', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        pages[cursor.key] = cursor.value;
+        cursor.continue();
+      };
+    });
+    return pages;
+  }
+
+  async writePage(encryptedName, blob) {
+    await this.transaction('pages', 'readwrite', store => store.put(blob, encryptedName));
+  }
+
+  async clearPages() {
+    await this.transaction('pages', 'readwrite', store => store.clear());
+  }
+
+  // 空间
+
+  /**
+   * 存储空间使用情况
+   * @returns {Promise<Object>} { usage, quota, persisted, pages, pageBytes }，
+   *   浏览器不支持 StorageManager 时 usage、quota 为 null
+   */
+  async getStorageInfo() {
+    const pages = Object.values(await this.readPages());
+    const info = {
+      usage: null,
+      quota: null,
+      persisted: false,
+      pages: pages.length,
+      pageBytes: pages.reduce((total, blob) => total + blob.size, 0)
+    };
+
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      info.usage = usage;
+      info.quota = quota;
+    }
+    if (navigator.storage && navigator.storage.persisted) {
+      info.persisted = await navigator.storage.persisted();
+    }
+    return info;
+  }
+
+  // 添加页面前检查剩余空间，并申请持久存储，避免浏览器空间紧张时清除本站数据
+  async addFile(fileData) {
+    const files = fileData.files || (fileData.file ? [fileData.file] : []);
+    const size = files.reduce((total, file) => total + file.size, 0);
+
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      if (quota && usage + size > quota) {
+        throw this.storageError({ name: 'QuotaExceededError' });
+      }
+    }
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
+
+    return super.addFile(fileData);
+  }
+}
@@ -0,0 +1,573 @@
+// 本地存储传输层 - 数据保存在浏览器 localStorage 中，首次打开时从发布的 data.json 载入
+// 静态版本使用：修改只保存在当前浏览器，通过"同步"导出后由管理员合并回服务器
+// 读写集中在 readStored、writeStored 和页面相关的几个方法中，IndexedDBTransport 覆盖它们换用 IndexedDB
+class LocalTransport extends StaticTransport {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'local';
+    this.storageKey = options.storageKey || 'openonehtml_data';
+    // 本地数据自上次载入发布版本后是否有修改
+    this.modifiedKey = `${this.storageKey}_modified`;
+    // 在浏览器中添加的页面以 file_<文件名> 保存
+    this.pagePrefix = 'file_';
+    this.modified = false;
+    // 本地有修改时检测到的新发布 { publishId, publishedAt }
+    this.newPublish = null;
+    // 在浏览器中添加的页面的 Blob 地址，载入数据时创建，因为 getPageUrl 需要同步返回
+    this.pageUrls = new Map();
+    this.capabilities = {
+      ...this.capabilities,
+      write: true,
+      upload: true,
+      staticSync: true
+    };
+  }
+
+  // 本地版本没有登录，可以编辑但不能使用管理功能
+  async getSession() {
+    return { user: null, role: 'editor' };
+  }
+
+  // 存储
+
+  // 读取保存的数据 { data, modified }，没有时返回 null
+  async readStored() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) return null;
+    return {
+      data: JSON.parse(stored),
+      modified: localStorage.getItem(this.modifiedKey) === '1'
+    };
+  }
+
+  async writeStored() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    if (this.modified) {
+      localStorage.setItem(this.modifiedKey, '1');
+    } else {
+      localStorage.removeItem(this.modifiedKey);
+    }
+  }
+
+  // 在浏览器中添加的页面 { 文件名: 内容 }
+  async readPages() {
+    const pages = {};
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(this.pagePrefix))
+      .forEach(key => {
+        pages[key.slice(this.pagePrefix.length)] = localStorage.getItem(key);
+      });
+    return pages;
+  }
+
+  async writePage(encryptedName, blob) {
+    localStorage.setItem(this.pagePrefix + encryptedName, await blob.text());
+  }
+
+  async clearPages() {
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(this.pagePrefix))
+      .forEach(key => localStorage.removeItem(key));
+  }
+
+  // 数据
+
+  async loadData() {
+    const stored = await this.readStored();
+    if (stored) {
+      this.data = stored.data;
+      this.modified = stored.modified;
+      await this.checkPublished();
+    } else {
+      this.data = await this.fetchPublished();
+      await this.persist({ modified: false });
+    }
+    await this.loadPageUrls();
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  // 检查是否有新的发布：本地没有修改时直接使用新数据，否则保留本地数据，等导出修改后再载入
+  async checkPublished() {
+    try {
+      const published = await this.fetchPublished();
+      const publishId = published.sync && published.sync.publishId;
+      if (!publishId || publishId === this.getPublishId()) return;
+
+      if (this.hasLocalChanges()) {
+        this.newPublish = published.sync;
+      } else {
+        this.data = published;
+        await this.persist({ modified: false });
+      }
+    } catch (error) {
+      console.warn('检查发布版本失败:', error);
+    }
+  }
+
+  // 本地数据来自哪次发布
+  getPublishId() {
+    return this.data && this.data.sync ? this.data.sync.publishId : null;
+  }
+
+  hasLocalChanges() {
+    return this.modified;
+  }
+
+  // 保存数据（浏览时更新访问次数不算修改）
+  async persist(options = {}) {
+    const { modified = true } = options;
+    if (modified) {
+      this.modified = true;
+    }
+    await this.writeStored();
+  }
+
+  // 修订号
+
+  // 与服务器相同的检查：rev 为读取时的修订号，与当前不同说明已在其他地方修改过
+  checkRevision(collection, id, record, rev) {
+    if (rev === undefined) return;
+    const current = record ? record.rev || 0 : null;
+    if (current !== rev) {
+      throw new ConflictError(null, [{ collection, id, rev: current, current: record ? { ...record } : null }]);
+    }
+  }
+
+  touch(record) {
+    record.rev = (record.rev || 0) + 1;
+  }
+
+  // 按记录提交的修改，格式与服务器的 PATCH /api/data 相同，全部成功才保存
+  async applyChanges(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new Error('请提供要保存的修改');
+    }
+
+    const backup = JSON.stringify(this.data);
+    try {
+      const results = changes.map(change => this.applyChange(change));
+      await this.persist();
+      return { success: true, results };
+    } catch (error) {
+      this.data = JSON.parse(backup);
+      throw error;
+    }
+  }
+
+  applyChange(change) {
+    const { op, collection } = change;
+    const kind = Object.keys(StaticTransport.PRESET_TYPES)
+      .find(key => StaticTransport.PRESET_TYPES[key].collection === collection);
+    if (collection !== 'files' && !kind) {
+      throw new Error(`数据集合无效: ${collection}`);
+    }
+
+    if (!this.data[collection]) this.data[collection] = [];
+    const records = this.data[collection];
+
+    if (op === 'insert') {
+      if (records.some(record => record.id === change.record.id)) {
+        throw new Error(`记录已存在: ${change.record.id}`);
+      }
+      const record = { ...change.record, rev: 1 };
+      records.push(record);
+      return { op, collection, id: record.id, record: { ...record } };
+    }
+
+    const index = records.findIndex(record => record.id === change.id);
+    const record = records[index];
+    this.checkRevision(collection, change.id, record, change.rev);
+    if (!record) {
+      throw new Error(`记录不存在: ${change.id}`);
+    }
+
+    if (op === 'update') {
+      const { rev, ...patch } = change.patch || {};
+      Object.assign(record, patch);
+      this.touch(record);
+    } else if (op === 'remove' && collection === 'files') {
+      record.status = 'deleted';
+      this.touch(record);
+    } else if (op === 'remove') {
+      this.assertPresetUnused(kind, record);
+      records.splice(index, 1);
+    } else {
+      throw new Error(`操作无效: ${op}`);
+    }
+    return { op, collection, id: change.id, record: { ...record } };
+  }
+
+  // 为在浏览器中添加的页面创建 Blob 地址
+  async loadPageUrls() {
+    this.revokePageUrls();
+    const pages = await this.readPages();
+    Object.entries(pages).forEach(([encryptedName, content]) => {
+      this.pageUrls.set(encryptedName, URL.createObjectURL(new Blob([content], { type: 'text/html' })));
+    });
+  }
+
+  revokePageUrls() {
+    this.pageUrls.forEach(url => URL.revokeObjectURL(url));
+    this.pageUrls.clear();
+    this.windowUrls.forEach(url => URL.revokeObjectURL(url));
+    this.windowUrls.clear();
+  }
+
+  // 在浏览器中添加的页面通过 Blob 地址打开，其余页面来自发布目录
+  getPageUrl(encryptedName) {
+    return this.pageUrls.get(encryptedName) || super.getPageUrl(encryptedName);
+  }
+
+  // 文件
+
+  async getFile(id) {
+    const file = this.findFile(id);
+    if (!file) {
+      throw new Error('文件不存在');
+    }
+
+    // 更新访问信息
+    file.lastAccess = new Date().toISOString();
+    file.accessCount = (file.accessCount || 0) + 1;
+    await this.persist({ modified: false });
+    return { ...file };
+  }
+
+  randomHex(bytes) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+      .map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // 本地版本只能添加单个HTML文件，压缩包和多文件合并需要服务器
+  async addFile(fileData) {
+    const files = fileData.files || (fileData.file ? [fileData.file] : []);
+    if (files.length !== 1 || !/\.html?$/i.test(files[0].name)) {
+      throw new Error('静态版本只能添加单个HTML文件');
+    }
+
+    const file = files[0];
+    const encryptedName = this.randomHex(16) + '.html';
+    const blob = new Blob([file], { type: 'text/html' });
+    await this.writePage(encryptedName, blob);
+    this.pageUrls.set(encryptedName, URL.createObjectURL(blob));
+
+    const fileInfo = {
+      id: this.randomHex(8),
+      originalName: file.name,
+      encryptedName,
+      fileSize: file.size,
+      uploadTime: new Date().toISOString(),
+      accessCount: 0,
+      title: fileData.title || file.name,
+      description: fileData.description || '',
+      category: fileData.category || '',
+      background: fileData.background || '',
+      prompt: fileData.prompt || '',
+      model: fileData.model || '',
+      tags: fileData.tags ? (Array.isArray(fileData.tags) ? fileData.tags : [fileData.tags]) : [],
+      status: 'active',
+      rev: 1
+    };
+
+    this.data.files.push(fileInfo);
+    await this.persist();
+    return { success: true, file: fileInfo };
+  }
+
+  async updateFile(id, fileData, rev) {
+    const file = this.findFile(id);
+    if (!file) {
+      throw new Error('文件不存在');
+    }
+    this.checkRevision('files', id, file, rev);
+
+    const { rev: ignored, ...changes } = fileData;
+    Object.assign(file, changes);
+    this.touch(file);
+    await this.persist();
+    return { success: true, file: { ...file } };
+  }
+
+  async deleteFile(id, rev) {
+    const file = (this.data.files || []).find(f => f.id === id);
+    if (!file) {
+      throw new Error('文件不存在');
+    }
+    this.checkRevision('files', id, file, rev);
+
+    // 标记为已删除
+    file.status = 'deleted';
+    this.touch(file);
+    await this.persist();
+    return { success: true };
+  }
+
+  // 批量编辑，与服务器相同：计划由 BulkEdit 生成，任一文件的修订号不一致时不修改任何文件
+  async bulkEditFiles(ids, action, changes, options = {}) {
+    const plan = BulkEdit.planBulkEdit(this.data, { ids, action, changes });
+    if (options.dryRun) {
+      return { success: true, dryRun: true, plan };
+    }
+
+    // 恢复时要修改已删除的文件，不能使用 findFile
+    const revs = options.revs || {};
+    const findRecord = id => this.data.files.find(file => file.id === id);
+    plan.files.forEach(({ id }) => this.checkRevision('files', id, findRecord(id), revs[id]));
+    plan.files.forEach(({ id, after }) => {
+      const file = findRecord(id);
+      Object.assign(file, after);
+      this.touch(file);
+    });
+    if (plan.files.length > 0) {
+      await this.persist();
+    }
+    return { success: true, dryRun: false, plan };
+  }
+
+  // 标签、模型、分类，与服务器接口相同的校验和返回格式
+
+  async addPreset(kind, presetData) {
+    const type = StaticTransport.PRESET_TYPES[kind];
+    if (!presetData.name) {
+      throw new Error(`${type.label}名称不能为空`);
+    }
+
+    const preset = {
+      id: type.prefix + Date.now(),
+      name: presetData.name,
+      ...(kind === 'tags' && {
+        color: presetData.color || '#3498db',
+        parentId: presetData.parentId || '',
+        aliases: TagTaxonomy.cleanAliases(presetData.aliases, presetData.name)
+      }),
+      description: presetData.description || '',
+      ...(kind === 'categories' && { parentId: presetData.parentId || '' }),
+      createTime: new Date().toISOString(),
+      usageCount: 0,
+      rev: 1
+    };
+
+    if (!this.data[type.collection]) this.data[type.collection] = [];
+    if (kind === 'tags') TagTaxonomy.checkTag(this.data.preset_tags, preset);
+    if (kind === 'categories') CategoryTree.checkCategory(this.data.categories, preset);
+    this.data[type.collection].push(preset);
+    await this.persist();
+    return { success: true, [type.key]: preset };
+  }
+
+  async updatePreset(kind, id, presetData, rev) {
+    const type = StaticTransport.PRESET_TYPES[kind];
+    const preset = (this.data[type.collection] || []).find(item => item.id === id);
+    if (!presetData.name) {
+      throw new Error(`${type.label}名称不能为空`);
+    }
+    if (!preset) {
+      throw new Error(`${type.label}不存在`);
+    }
+    this.checkRevision(type.collection, id, preset, rev);
+
+    const changes = {
+      name: presetData.name,
+      ...(kind === 'tags' && {
+        color: presetData.color || preset.color,
+        parentId: presetData.parentId !== undefined ? presetData.parentId || '' : preset.parentId || '',
+        aliases: TagTaxonomy.cleanAliases(presetData.aliases !== undefined ? presetData.aliases : preset.aliases, presetData.name)
+      }),
+      description: presetData.description || '',
+      ...(kind === 'categories' && {
+        parentId: presetData.parentId !== undefined ? presetData.parentId || '' : preset.parentId || ''
+      }),
+      updateTime: new Date().toISOString()
+    };
+    if (kind === 'tags') TagTaxonomy.checkTag(this.data.preset_tags, { ...preset, ...changes });
+    if (kind === 'categories') CategoryTree.checkCategory(this.data.categories, { ...preset, ...changes });
+
+    Object.assign(preset, changes);
+    this.touch(preset);
+    await this.persist();
+    return { success: true, [type.key]: { ...preset } };
+  }
+
+  async deletePreset(kind, id, rev) {
+    const type = StaticTransport.PRESET_TYPES[kind];
+    const collection = this.data[type.collection] || [];
+    const index = collection.findIndex(item => item.id === id);
+    if (index === -1) {
+      throw new Error(`${type.label}不存在`);
+    }
+
+    this.assertPresetUnused(kind, collection[index]);
+    // 与服务器相同：标签和分类的下级改挂到被删除记录的上级下
+    if (kind === 'tags') return this.removeTag(id, { rev });
+    if (kind === 'categories') return this.removeCategory(id, { rev });
+    this.checkRevision(type.collection, id, collection[index], rev);
+
+    const [deleted] = collection.splice(index, 1);
+    await this.persist();
+    return { success: true, [type.key]: deleted };
+  }
+
+  // 标签整理，与服务器相同：计划由 TagTaxonomy 生成，options.dryRun 为 true 时只返回计划
+
+  mergeTag(id, into, options = {}) {
+    return this.applyTagPlan(data => TagTaxonomy.planMerge(data, id, into), options);
+  }
+
+  splitTag(id, parts, options = {}) {
+    return this.applyTagPlan(data => TagTaxonomy.planSplit(data, id, parts), options);
+  }
+
+  removeTag(id, options = {}) {
+    return this.applyTagPlan(data => TagTaxonomy.planDelete(data, id, options.reassignTo || ''), options);
+  }
+
+  async applyTagPlan(createPlan, options) {
+    if (!this.data.preset_tags) this.data.preset_tags = [];
+    const tags = this.data.preset_tags;
+    const plan = createPlan({ preset_tags: tags, files: this.data.files });
+    if (options.dryRun) {
+      return { success: true, dryRun: true, plan };
+    }
+    this.checkRevision('preset_tags', plan.tagId, tags.find(tag => tag.id === plan.tagId), options.rev);
+
+    const backup = JSON.stringify(this.data);
+    const now = new Date().toISOString();
+    try {
+      plan.tags.insert.forEach(tag => tags.push({ ...tag, rev: 1 }));
+      plan.tags.update.forEach(({ id, patch }) => {
+        const tag = tags.find(item => item.id === id);
+        Object.assign(tag, patch, { updateTime: now });
+        this.touch(tag);
+      });
+      plan.files.forEach(item => {
+        const file = this.data.files.find(record => record.id === item.id);
+        file.tags = item.after;
+        this.touch(file);
+      });
+      this.data.preset_tags = tags.filter(tag => !plan.tags.remove.includes(tag.id));
+      await this.persist();
+    } catch (error) {
+      this.data = JSON.parse(backup);
+      throw error;
+    }
+    return { success: true, dryRun: false, plan };
+  }
+
+  // 删除分类，与服务器相同：计划由 CategoryTree 生成，options.reassignTo 为文件改用的分类
+  async removeCategory(id, options = {}) {
+    if (!this.data.categories) this.data.categories = [];
+    const plan = CategoryTree.planDelete(this.data, id, options.reassignTo || '');
+    if (options.dryRun) {
+      return { success: true, dryRun: true, plan };
+    }
+    this.checkRevision('categories', id, this.data.categories.find(category => category.id === id), options.rev);
+
+    const backup = JSON.stringify(this.data);
+    const now = new Date().toISOString();
+    try {
+      plan.categories.update.forEach(({ id: childId, patch }) => {
+        const category = this.data.categories.find(item => item.id === childId);
+        Object.assign(category, patch, { updateTime: now });
+        this.touch(category);
+      });
+      plan.files.forEach(item => {
+        const file = this.data.files.find(record => record.id === item.id);
+        file.category = item.after;
+        this.touch(file);
+      });
+      this.data.categories = this.data.categories.filter(category => !plan.categories.remove.includes(category.id));
+      await this.persist();
+    } catch (error) {
+      this.data = JSON.parse(backup);
+      throw error;
+    }
+    return { success: true, dryRun: false, plan };
+  }
+
+  // 与服务器相同：仍有文件使用的选项不能删除
+  assertPresetUnused(kind, preset) {
+    const type = StaticTransport.PRESET_TYPES[kind];
+    const inUse = this.data.files.filter(file => {
+      if (kind === 'tags') return (file.tags || []).includes(preset.id);
+      if (kind === 'models') return file.model === preset.id;
+      return file.category === preset.id;
+    }).length;
+    if (inUse > 0) {
+      throw new Error(`无法删除${type.label}，有 ${inUse} 个文件正在使用此${type.label}`);
+    }
+  }
+
+  // 同步
+
+  getSyncStatus() {
+    return {
+      sync: this.data ? this.data.sync || null : null,
+      modified: this.hasLocalChanges(),
+      newPublish: this.newPublish
+    };
+  }
+
+  // 导出本地数据，连同在浏览器中添加的页面。交给管理员合并回服务器，也可以在其他浏览器中导入
+  async exportChanges() {
+    const pages = await this.readPages();
+    for (const [encryptedName, content] of Object.entries(pages)) {
+      if (content instanceof Blob) pages[encryptedName] = await content.text();
+    }
+
+    return JSON.stringify({
+      format: 'openonehtml-static-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      modified: this.hasLocalChanges(),
+      data: this.data,
+      pages
+    });
+  }
+
+  /**
+   * 导入 exportChanges 导出的文件，替换本地的全部数据和页面
+   * @param {string} content 导出文件内容
+   * @returns {Promise<Object>} { success, files, pages }
+   */
+  async importArchive(content) {
+    let archive;
+    try {
+      archive = JSON.parse(content);
+    } catch (error) {
+      throw new Error('导入文件不是有效的 JSON');
+    }
+    if (!archive || archive.format !== 'openonehtml-static-export' || !archive.data || !Array.isArray(archive.data.files)) {
+      throw new Error('无效的导入文件');
+    }
+
+    // 页面文件名与服务器的规则相同，其余条目忽略
+    const pages = Object.entries(archive.pages || {})
+      .filter(([encryptedName, html]) => /^[a-f0-9]{32}\.html$/.test(encryptedName) && typeof html === 'string');
+
+    await this.clearPages();
+    for (const [encryptedName, html] of pages) {
+      await this.writePage(encryptedName, new Blob([html], { type: 'text/html' }));
+    }
+
+    this.data = archive.data;
+    this.modified = archive.modified !== false;
+    this.newPublish = null;
+    await this.writeStored();
+    await this.loadPageUrls();
+    return { success: true, files: this.data.files.length, pages: pages.length };
+  }
+
+  // 丢弃本地修改，载入最新发布的数据
+  async resetToPublished() {
+    const published = await this.fetchPublished();
+
+    await this.clearPages();
+    this.revokePageUrls();
+
+    this.data = published;
+    this.modified = false;
+    this.newPublish = null;
+    await this.writeStored();
+    return { success: true };
+  }
+}
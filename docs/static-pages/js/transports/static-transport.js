@@ -0,0 +1,121 @@
+// 静态 JSON 传输层 - 只读，从发布的 database/data.json 读取数据，页面文件放在 html-files/ 目录中
+// 用于部署到 GitHub Pages 等静态托管的只读版本，也是本地存储传输层的基础
+class StaticTransport {
+  constructor(options = {}) {
+    this.dataUrl = options.dataUrl || 'database/data.json';
+    this.pagesUrl = options.pagesUrl || 'html-files/';
+    this.name = 'static';
+    this.data = null;
+    // 新窗口打开时使用的外壳页面地址
+    this.windowUrls = new Map();
+    this.capabilities = {
+      write: false,
+      upload: false,
+      bundle: false,
+      auth: false,
+      search: false,
+      revisions: false,
+      reviews: false,
+      votes: false,
+      thumbnails: false,
+      security: false,
+      export: false,
+      scanDirectory: false,
+      staticImport: false,
+      staticSync: false,
+      live: false,
+      integrity: false,
+      rules: false
+    };
+  }
+
+  // 没有登录，只能查看
+  async getSession() {
+    return { user: null, role: 'viewer' };
+  }
+
+  // 读取已发布的数据
+  async fetchPublished() {
+    const response = await fetch(this.dataUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error('无法加载数据文件');
+    }
+    return response.json();
+  }
+
+  async loadData() {
+    if (!this.data) {
+      this.data = await this.fetchPublished();
+    }
+    // 返回副本，调用方修改后需通过 applyChanges 保存
+    return JSON.parse(JSON.stringify(this.data));
+  }
+
+  getPageUrl(encryptedName) {
+    return this.pagesUrl + encryptedName;
+  }
+
+  // 页面与本站同源，静态托管又不能像服务器那样下发 CSP sandbox 响应头，直接在新窗口打开时
+  // 页面脚本可以读取本站的本地存储，因此打开一个外壳页面，把页面放在与站内预览相同的沙箱 iframe 中
+  getPageWindowUrl(encryptedName) {
+    if (!this.windowUrls.has(encryptedName)) {
+      // 外壳页面是 Blob 地址，相对地址无法解析，需要完整地址
+      const pageUrl = new URL(this.getPageUrl(encryptedName), document.baseURI).href;
+      const html = '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+        '<style>html,body,iframe{margin:0;width:100%;height:100%;border:0;display:block}</style></head>' +
+        `<body><iframe sandbox="allow-scripts allow-modals allow-popups" src="${pageUrl}"></iframe></body></html>`;
+      this.windowUrls.set(encryptedName, URL.createObjectURL(new Blob([html], { type: 'text/html' })));
+    }
+    return this.windowUrls.get(encryptedName);
+  }
+
+  getThumbnailUrl() {
+    return null;
+  }
+
+  // 与 /api/files 相同的筛选：查询语句只匹配元数据，再按分类、标签、模型过滤，分类包含下级分类
+  async listFiles(filters = {}) {
+    let files = (this.data.files || []).filter(file => file.status !== 'deleted');
+
+    if (filters.search) {
+      const query = QueryLanguage.parse(filters.search);
+      const context = QueryLanguage.createContext(this.data);
+      files = files.filter(file => QueryLanguage.evaluate(query, file, context));
+    }
+    if (filters.category) {
+      const categoryIds = CategoryTree.getDescendantIds(this.data.categories || [], filters.category);
+      files = files.filter(file => categoryIds.has(file.category));
+    }
+    if (filters.tags) {
+      const tags = Array.isArray(filters.tags) ? filters.tags : String(filters.tags).split(',');
+      files = files.filter(file => tags.some(tag => (file.tags || []).includes(tag)));
+    }
+    if (filters.model) {
+      files = files.filter(file => file.model === filters.model);
+    }
+    return files.map(file => ({ ...file }));
+  }
+
+  async getFile(id) {
+    const file = this.findFile(id);
+    if (!file) {
+      throw new Error('文件不存在');
+    }
+    return { ...file };
+  }
+
+  findFile(id) {
+    return (this.data.files || []).find(file => file.id === id && file.status !== 'deleted');
+  }
+
+  async listPresets(kind) {
+    return (this.data[StaticTransport.PRESET_TYPES[kind].collection] || []).map(preset => ({ ...preset }));
+  }
+}
+
+// 预置选项类型：数据集合、显示名称、ID 前缀和接口返回字段，与服务器一致
+StaticTransport.PRESET_TYPES = {
+  tags: { collection: 'preset_tags', label: '标签', prefix: 'tag_', key: 'tag' },
+  models: { collection: 'preset_models', label: '模型', prefix: 'model_', key: 'model' },
+  categories: { collection: 'categories', label: '分类', prefix: 'category_', key: 'category' }
+};